@@ -4,58 +4,184 @@ import BabylonViewer from './components/BabylonViewer';
 import DynamicBabylonViewer from './components/DynamicBabylonViewer';
 import FileUploader from './components/FileUploader';
 import ControlPanel from './components/ControlPanel';
+import { fetchWithProgress } from './utils/LoadProgress';
+import { normalizeRemoteUrl, probeRemoteGeoTIFF, getRemoteFileName } from './utils/RemoteGeoTIFF';
+
+// ファイルの範囲（元の座標系、地理座標系は度で小数5桁、投影座標系は小数1桁）
+const formatBounds = (bounds, crs) => {
+  const digits = crs && crs.isGeographic ? 5 : 1;
+  const format = (value) => value.toFixed(digits);
+  return `${format(bounds.minX)}, ${format(bounds.minY)} – ${format(bounds.maxX)}, ${format(bounds.maxY)}`;
+};
 
 function App() {
   const [geotiffData, setGeotiffData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [progress, setProgress] = useState(0);
+  const [progress, setProgress] = useState(null);
   const [fileInfo, setFileInfo] = useState(null);
   const [viewerSettings, setViewerSettings] = useState({
     heightScale: 1.0,
     wireframe: false,
     showGrid: true,
-    cameraSpeed: 1.0
+    cameraSpeed: 1.0,
+    noDataOverride: '',
+    noDataMode: 'hole',
+    noDataFillValue: 0,
+    colorRamp: 'terrain',
+    customColorRamp: null,
+    stretchMode: 'full',
+    stretchPercentLow: 2,
+    stretchPercentHigh: 98,
+    stretchMin: '',
+    stretchMax: '',
+    hillshadeMode: 'off',
+    sunAzimuth: 315,
+    sunAltitude: 45,
+    hillshadeStrength: 0.7,
+    terrainLayer: 'elevation',
+    slopeUnit: 'degrees',
+    showContours: false,
+    contourInterval: 10,
+    indexContourEvery: 5,
+    showContourLabels: true
   });
   const [viewerMode, setViewerMode] = useState('static'); // 'static' or 'dynamic'
+  const [loadSignal, setLoadSignal] = useState(null);
+  // 動的表示で開くCOG（同じURLでも、ビューアーで別のソースを選んでいる場合は開き直すため毎回新しいオブジェクト）
+  const [tileSourceRequest, setTileSourceRequest] = useState(null);
+  const loadControllerRef = useRef(null);
 
-  const handleFileLoad = async (file) => {
+  // 実行中の読み込みを中断し、キャンセル用のAbortControllerを作成
+  const startLoad = () => {
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    setLoadSignal(controller.signal);
+    
     setIsLoading(true);
     setError(null);
-    setProgress(0);
+    setProgress(null);
     setFileInfo(null);
+    return controller;
+  };
+
+  // filesは範囲を分割した複数のGeoTIFFでもよい（ビューアーが同じ座標系で並べる）
+  const handleFileLoad = (files) => {
+    startLoad();
+    
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    const fileSizeMB = totalSize / (1024 * 1024);
+    setFileInfo({
+      mode: 'static',
+      name: files.length > 1 ? `${files[0].name} ほか${files.length - 1}ファイル` : files[0].name,
+      size: fileSizeMB,
+      isLarge: fileSizeMB > 500
+    });
+    
+    // ファイルの読み込み・デコード・メッシュ作成はビューアがWorkerで行い、完了時に読み込み中状態を解除
+    // 設定の変更で読み込み直せるよう、ArrayBufferではなくFileのまま渡す
+    setGeotiffData(files.length > 1 ? { files } : files[0]);
+  };
+
+  const handleUrlLoad = async (input) => {
+    const controller = startLoad();
     
     try {
-      const fileSizeMB = file.size / (1024 * 1024);
+      const url = normalizeRemoteUrl(input);
+      
+      // サーバーの到達性・CORS・Rangeリクエスト対応を確認
+      let remote;
+      try {
+        remote = await probeRemoteGeoTIFF(url, controller.signal);
+      } catch (err) {
+        // 接続できなくても、動的表示はキャッシュ済みのタイルで開ける場合がある（開けなければビューアーがエラーを通知）
+        if (err.name !== 'NetworkError' || viewerMode !== 'dynamic') throw err;
+        remote = { url, name: getRemoteFileName(url), rangeSupported: true, size: null, offline: true };
+      }
+      if (controller.signal.aborted) return;
+      
+      const fileSizeMB = remote.size !== null ? remote.size / (1024 * 1024) : null;
       setFileInfo({
-        name: file.name,
+        mode: viewerMode,
+        name: remote.name,
+        url,
         size: fileSizeMB,
-        isLarge: fileSizeMB > 500
+        rangeSupported: remote.rangeSupported,
+        offline: !!remote.offline,
+        isLarge: fileSizeMB !== null && fileSizeMB > 500
       });
       
-      // プログレス更新のシミュレーション
-      const progressInterval = setInterval(() => {
-        setProgress(prev => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return prev;
-          }
-          return prev + Math.random() * 10;
-        });
-      }, 200);
-      
-      const arrayBuffer = await file.arrayBuffer();
-      setProgress(100);
-      clearInterval(progressInterval);
+      if (viewerMode === 'dynamic') {
+        // 動的表示はタイルごとに必要な範囲だけを読み込むため、Range対応が必須
+        if (!remote.rangeSupported) {
+          throw new Error('サーバーがRangeリクエストに対応していないため、動的表示のタイルソースとして使用できません');
+        }
+        setTileSourceRequest({ url });
+        return;
+      }
       
-      setGeotiffData(arrayBuffer);
+      if (remote.rangeSupported) {
+        // 必要なIFDとタイルだけをWorkerがRangeリクエストで取得
+        setGeotiffData({ url, size: remote.size });
+      } else {
+        console.warn('サーバーがRangeリクエストに対応していないため、ファイル全体をダウンロードします');
+        const arrayBuffer = await fetchWithProgress(url, setProgress, controller.signal, remote.size);
+        if (controller.signal.aborted) return;
+        setGeotiffData(new Blob([arrayBuffer]));
+      }
     } catch (err) {
-      setError('ファイルの読み込みに失敗しました: ' + err.message);
-    } finally {
+      if (err.name !== 'AbortError') {
+        setError('URLからの読み込みに失敗しました: ' + err.message);
+      }
       setIsLoading(false);
     }
   };
 
+  const handleLoadComplete = () => {
+    setProgress(null);
+    setIsLoading(false);
+    loadControllerRef.current = null;
+  };
+
+  // 静的表示の読み込み完了時に、読み込んだファイルの範囲を一覧に追加
+  const handleStaticLoadComplete = (terrainData) => {
+    setFileInfo(prev => prev && ({
+      ...prev,
+      crs: terrainData.crs,
+      bounds: terrainData.bounds,
+      tiles: terrainData.tiles.map(tile => ({
+        name: tile.name || prev.name,
+        width: tile.width,
+        height: tile.height,
+        bounds: tile.bounds
+      }))
+    }));
+    handleLoadComplete();
+  };
+
+  const handleLoadError = (err) => {
+    setIsLoading(false);
+    loadControllerRef.current = null;
+    if (err.name === 'AbortError') {
+      setError('読み込みをキャンセルしました');
+    } else {
+      setError('GeoTIFFファイルの読み込みに失敗しました: ' + err.message);
+    }
+  };
+
+  const handleCancelLoad = () => {
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+      loadControllerRef.current = null;
+    }
+    setGeotiffData(null);
+    setIsLoading(false);
+    setError('読み込みをキャンセルしました');
+  };
+
   const handleSettingsChange = (newSettings) => {
     setViewerSettings(prev => ({ ...prev, ...newSettings }));
   };
@@ -93,20 +219,42 @@ function App() {
             </p>
           </div>
           
-          {viewerMode === 'static' && (
-            <FileUploader 
-              onFileLoad={handleFileLoad}
-              isLoading={isLoading}
-              error={error}
-              progress={progress}
-            />
-          )}
+          <FileUploader 
+            onFileLoad={handleFileLoad}
+            onUrlLoad={handleUrlLoad}
+            onCancel={handleCancelLoad}
+            isLoading={isLoading}
+            error={error}
+            progress={progress}
+            showFileInput={viewerMode === 'static'}
+          />
           
-          {fileInfo && viewerMode === 'static' && (
+          {fileInfo && fileInfo.mode === viewerMode && (
             <div className="file-info-panel">
               <h4>ファイル情報</h4>
               <p><strong>ファイル名:</strong> {fileInfo.name}</p>
-              <p><strong>サイズ:</strong> {fileInfo.size.toFixed(1)}MB</p>
+              <p><strong>サイズ:</strong> {fileInfo.size !== null ? `${fileInfo.size.toFixed(1)}MB` : '不明'}</p>
+              {fileInfo.url && (
+                <p><strong>読み込み方法:</strong> {fileInfo.offline
+                  ? 'オフライン（キャッシュ済みのタイルのみ）'
+                  : fileInfo.rangeSupported ? 'Rangeリクエスト（必要な部分のみ）' : '全体をダウンロード'}</p>
+              )}
+              {fileInfo.tiles && fileInfo.crs && (
+                <p><strong>座標系:</strong> {fileInfo.crs.resolved ? `${fileInfo.crs.name} (${fileInfo.crs.code})` : '不明'}</p>
+              )}
+              {fileInfo.tiles && fileInfo.tiles.length > 1 && (
+                <p><strong>全体の範囲:</strong> {formatBounds(fileInfo.bounds, fileInfo.crs)}</p>
+              )}
+              {fileInfo.tiles && (
+                <ul className="file-tile-list">
+                  {fileInfo.tiles.map((tile, index) => (
+                    <li key={index}>
+                      <span className="file-tile-name">{tile.name}（{tile.width}×{tile.height}）</span>
+                      <span className="file-tile-bounds">{formatBounds(tile.bounds, fileInfo.crs)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
               {fileInfo.isLarge && (
                 <p className="large-file-warning">
                   ⚠️ 大規模ファイル - 解像度を自動調整中
@@ -128,11 +276,18 @@ function App() {
               geotiffData={geotiffData}
               settings={viewerSettings}
               isLoading={isLoading}
+              loadSignal={loadSignal}
+              onLoadProgress={setProgress}
+              onLoadComplete={handleStaticLoadComplete}
+              onLoadError={handleLoadError}
             />
           ) : (
             <DynamicBabylonViewer
               settings={viewerSettings}
               isLoading={isLoading}
+              tileSourceRequest={tileSourceRequest}
+              onLoadComplete={handleLoadComplete}
+              onLoadError={handleLoadError}
             />
           )}
         </div>
@@ -1,16 +1,83 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { Engine, Scene, UniversalCamera, HemisphericLight, Vector3, Color3, MeshBuilder, StandardMaterial, VertexData, Mesh } from '@babylonjs/core';
-import { fromArrayBuffer } from 'geotiff';
+import { Engine, Scene, UniversalCamera, HemisphericLight, Vector3, Color3, MeshBuilder, StandardMaterial, VertexData, VertexBuffer, Mesh } from '@babylonjs/core';
+import { TerrainWorkerClient } from '../utils/TerrainWorkerClient';
+import { TerrainFrame } from '../utils/TerrainFrame';
+import { assertSameCRS, createMosaicFrame, extendTilesToNeighbors } from '../utils/Mosaic';
+import { createFileProgressEvent } from '../utils/LoadProgress';
+import { COLOR_RAMPS, DIFFERENCE_RAMP, NODATA_COLOR, createColorScale } from '../utils/ColorRamps';
+import { resolveStretch } from '../utils/ElevationStretch';
+import { createHillshade, applyHillshade } from '../utils/Hillshade';
+import { createTerrainClassifier, summarizeTerrainClasses } from '../utils/TerrainAnalysis';
+import { ContourOverlay } from '../utils/ContourOverlay';
+import { TerrainPicker } from '../utils/TerrainPicker';
+import { MeasurementTool } from '../utils/MeasurementTool';
+import { createPointInfo } from '../utils/CoordinateFormat';
+import { sampleBilinear, createGridSampler, describeCRSMismatch } from '../utils/RasterSampling';
+import { downloadBlob } from '../utils/Download';
+import { samplePath, profileToCSV } from '../utils/ElevationProfile';
+import { fitPlane, computeCutFill, createCutFillColorizer } from '../utils/Volume';
+import { createVertexOverlay, blendVertexOverlays } from '../utils/VertexOverlay';
+import { computeDEMDifference, symmetricRange, summarizeDifference, mergeDifferenceGrids, createDifferenceColorizer } from '../utils/DEMDifference';
+import { writeFloat32GeoTIFF } from '../utils/GeoTIFFWriter';
+import ElevationLegend from './ElevationLegend';
+import TerrainClassLegend from './TerrainClassLegend';
+import TerrainStatusBar from './TerrainStatusBar';
+import MeasurementPanel from './MeasurementPanel';
+import ElevationProfileChart from './ElevationProfileChart';
+import VolumePanel from './VolumePanel';
+import DifferencePanel from './DifferencePanel';
 import './BabylonViewer.css';
 
-const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
+// NoData上書き値の文字列を数値に変換（空文字はGeoTIFFのタグを使用）
+const parseNoDataOverride = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  if (String(value).trim().toLowerCase() === 'nan') {
+    return NaN;
+  }
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// ピッキングを速くするため、大きなメッシュを分けるサブメッシュあたりの三角形数
+// （行の帯ごとのサブメッシュになり、光線と交わらない帯は境界ボックスで除外される）
+const PICK_SUBMESH_TRIANGLES = 65536;
+const MAX_PICK_SUBMESHES = 64;
+
+const BabylonViewer = ({ geotiffData, settings, isLoading, loadSignal, onLoadProgress, onLoadComplete, onLoadError }) => {
   const canvasRef = useRef(null);
   const engineRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
+  const terrainWorkerRef = useRef(null);
+  const loadControllerRef = useRef(null);
+  const terrainDataRef = useRef(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [memoryUsage, setMemoryUsage] = useState(null);
   const [terrainInfo, setTerrainInfo] = useState(null);
+  // 凡例に表示する色分け（RGBバンドの色や傾斜・斜面方位で表示している場合はnull）
+  const [colorLegend, setColorLegend] = useState(null);
+  // 傾斜・斜面方位の分類ごとの割合と傾斜のヒストグラム
+  const [classSummary, setClassSummary] = useState(null);
+  // 表示中の等高線の本数（生成できない場合はerror）
+  const [contourInfo, setContourInfo] = useState(null);
+  const contourOverlayRef = useRef(null);
+  // カーソル位置とクリックした地点（ステータスバーに表示）
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const [pickedPoint, setPickedPoint] = useState(null);
+  // 計測ツールの状態（MeasurementToolのonChangeの値）
+  const [measurement, setMeasurement] = useState(null);
+  const measurementToolRef = useRef(null);
+  // 比較・土量の基準に使う2つ目のDEM
+  const [referenceDEM, setReferenceDEM] = useState({ dem: null, loading: false, error: null });
+  // 土量の基準面と切土・盛土の結果
+  const [volumeReference, setVolumeReference] = useState({ type: 'elevation', elevation: '' });
+  const [volumeResult, setVolumeResult] = useState(null);
+  // 2つ目のDEMとの差分の設定と統計（差分のグリッドは表示中の地形・DEM・向きが同じ間は再計算しない）
+  const [differenceOptions, setDifferenceOptions] = useState({ enabled: true, direction: 'currentMinusReference', threshold: '0.5' });
+  const [differenceResult, setDifferenceResult] = useState(null);
+  const differenceRef = useRef(null);
 
   useEffect(() => {
     if (!canvasRef.current) return;
@@ -47,6 +114,23 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
     engineRef.current = engine;
     sceneRef.current = scene;
     cameraRef.current = camera;
+    terrainWorkerRef.current = new TerrainWorkerClient();
+    contourOverlayRef.current = new ContourOverlay(scene);
+    const isTerrainMesh = (mesh) => mesh.name.startsWith('terrain');
+    const measurementTool = new MeasurementTool(scene, {
+      camera,
+      terrainPredicate: isTerrainMesh,
+      resolvePoint: resolvePickedPoint,
+      onChange: setMeasurement
+    });
+    measurementToolRef.current = measurementTool;
+    // 計測中のクリックは計測の頂点に、それ以外は座標のコピーに使う
+    const picker = new TerrainPicker(scene, {
+      predicate: isTerrainMesh,
+      resolvePoint: resolvePickedPoint,
+      onMove: setHoverPoint,
+      onPick: (point) => (measurementTool.isActive() ? measurementTool.addPoint(point) : setPickedPoint(point))
+    });
     setIsInitialized(true);
 
     // レンダーループの開始
@@ -76,6 +160,10 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
     return () => {
       window.removeEventListener('resize', handleResize);
       clearInterval(memoryInterval);
+      terrainWorkerRef.current.dispose();
+      contourOverlayRef.current.dispose();
+      picker.dispose();
+      measurementTool.dispose();
       engine.dispose();
     };
   }, []);
@@ -83,14 +171,73 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
   useEffect(() => {
     if (!isInitialized || !sceneRef.current) return;
 
-    // 既存の地形メッシュをクリア
-    const existingMeshes = sceneRef.current.meshes.filter(mesh => mesh.name.startsWith('terrain'));
-    existingMeshes.forEach(mesh => mesh.dispose());
+    // 実行中の読み込みを中断し、既存の地形メッシュをクリア
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+    }
+    clearTerrainMeshes();
+    terrainDataRef.current = null;
+    setColorLegend(null);
+    setClassSummary(null);
+    setHoverPoint(null);
+    setVolumeResult(null);
+    setDifferenceResult(null);
+    differenceRef.current = null;
+    measurementToolRef.current.reset();
 
     if (geotiffData) {
       loadGeoTIFFData(geotiffData);
     }
-  }, [geotiffData, isInitialized]);
+  }, [geotiffData, isInitialized, settings.noDataOverride]);
+
+  // 土量の範囲・基準面の変更時（地形メッシュの作成時も計測ツールから通知される）
+  useEffect(() => {
+    if (!isInitialized || !terrainDataRef.current) return;
+    updateVolume(terrainDataRef.current);
+  }, [measurement, volumeReference, referenceDEM, isInitialized]);
+
+  // 2つ目のDEM・差分の設定の変更時と地形メッシュの作成時（terrainInfoはメッシュの作成のたびに更新される）
+  useEffect(() => {
+    if (!isInitialized || !terrainDataRef.current) return;
+    updateDifference(terrainDataRef.current);
+  }, [referenceDEM, differenceOptions, terrainInfo, isInitialized]);
+
+  useEffect(() => {
+    if (!isInitialized || !sceneRef.current || !terrainDataRef.current) return;
+
+    // NoDataの表示方法が変わった場合はメッシュを再作成
+    rebuildTerrainMesh(terrainDataRef.current);
+  }, [settings.noDataMode, settings.noDataFillValue]);
+
+  useEffect(() => {
+    if (!isInitialized || !sceneRef.current || !terrainDataRef.current) return;
+
+    // 色分けの変更はメッシュを作り直さず頂点カラーだけ更新
+    updateTerrainColors(terrainDataRef.current);
+  }, [
+    settings.terrainLayer,
+    settings.slopeUnit,
+    settings.colorRamp,
+    settings.customColorRamp,
+    settings.stretchMode,
+    settings.stretchPercentLow,
+    settings.stretchPercentHigh,
+    settings.stretchMin,
+    settings.stretchMax
+  ]);
+
+  useEffect(() => {
+    if (!isInitialized || !sceneRef.current) return;
+
+    // 陰影起伏は標高スケールを掛けた勾配から計算するため、標高スケールの変更時も更新
+    updateTerrainShading();
+  }, [settings.heightScale, settings.hillshadeMode, settings.sunAzimuth, settings.sunAltitude, settings.hillshadeStrength]);
+
+  useEffect(() => {
+    if (!isInitialized || !sceneRef.current || !terrainDataRef.current) return;
+
+    updateContours(terrainDataRef.current);
+  }, [settings.showContours, settings.contourInterval, settings.indexContourEvery, settings.showContourLabels]);
 
   useEffect(() => {
     if (!isInitialized || !sceneRef.current) return;
@@ -99,243 +246,248 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
     updateTerrainSettings();
   }, [settings, isInitialized]);
 
-  const loadGeoTIFFData = async (arrayBuffer) => {
+  // 地形メッシュ（複数ファイルの場合はファイルごとに1つ）
+  const getTerrainMeshes = () => sceneRef.current.meshes.filter(mesh => mesh.name.startsWith('terrain'));
+
+  const clearTerrainMeshes = () => {
+    // マテリアルはメッシュごとに作成しているため、メッシュと一緒に破棄する
+    getTerrainMeshes().forEach(mesh => mesh.dispose(false, true));
+    contourOverlayRef.current.clear();
+    setContourInfo(null);
+  };
+
+  // 地形メッシュの頂点バッファ作成オプション
+  const getMeshOptions = () => ({
+    noDataMode: settings.noDataMode,
+    noDataFillValue: settings.noDataFillValue
+  });
+
+  // 実行中の読み込みを中断し、新しい読み込み用のAbortControllerを作成
+  const startLoad = () => {
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    if (loadSignal) {
+      if (loadSignal.aborted) {
+        controller.abort();
+      } else {
+        loadSignal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    return controller;
+  };
+
+  // 読み込むファイルの一覧（ファイル名は複数ファイルの場合のみ）
+  const getSourceEntries = (geotiffData) => {
+    if (geotiffData.files) {
+      return geotiffData.files.map(file => ({ name: file.name, source: file }));
+    }
+    const isRemote = !(geotiffData instanceof Blob);
+    return [{
+      name: null,
+      source: isRemote ? geotiffData.url : geotiffData,
+      size: isRemote ? geotiffData.size : undefined
+    }];
+  };
+
+  // 複数ファイルの進捗は全体の進捗率に換算して通知
+  const reportFileProgress = (index, count) => (progress) => {
+    if (onLoadProgress) {
+      onLoadProgress(createFileProgressEvent(progress, index, count));
+    }
+  };
+
+  // geotiffDataはFile（Blob）、Rangeリクエストで読み込むリモートファイル { url, size }、
+  // または範囲を分割した複数のファイル { files: [File] }
+  const loadGeoTIFFData = async (geotiffData) => {
+    const controller = startLoad();
+    const entries = getSourceEntries(geotiffData);
+    const isMosaic = entries.length > 1;
+    
     try {
-      console.log('GeoTIFFファイルの読み込みを開始...');
-      
-      // geotiff.jsを直接使用
-      const tiff = await fromArrayBuffer(arrayBuffer);
-      const image = await tiff.getImage();
-      
-      // 画像のサイズを取得
-      let width = image.getWidth();
-      let height = image.getHeight();
-      
-      console.log(`GeoTIFF画像サイズ: ${width} x ${height}`);
+      console.log(`GeoTIFFファイルの読み込みを開始...（${entries.length}ファイル）`);
       
-      // 画像サイズの制限チェック
-      const totalPixels = width * height;
-      const maxPixels = 10000000; // 1000万ピクセルに制限
-      
-      let rasterData;
-      
-      if (totalPixels > maxPixels) {
-        console.warn(`画像が大きすぎます: ${totalPixels}ピクセル > ${maxPixels}ピクセル`);
-        console.log('画像を縮小して読み込みます...');
+      const tiles = [];
+      let geometries = [];
+      for (const [index, entry] of entries.entries()) {
+        // Workerでデコードと頂点バッファの作成を実行（NoDataマスクを含む）
+        // 複数ファイルは全ファイルの範囲から共通のフレームが決まった後に頂点バッファを作成する
+        const { terrain, geometry } = await terrainWorkerRef.current.load(entry.source, {
+          ...getMeshOptions(),
+          noDataValue: parseNoDataOverride(settings.noDataOverride),
+          fileSize: entry.size,
+          skipMesh: isMosaic
+        }, controller.signal, reportFileProgress(index, entries.length));
         
-        // 縮小率を計算
-        const scaleFactor = Math.sqrt(maxPixels / totalPixels);
-        const newWidth = Math.floor(width * scaleFactor);
-        const newHeight = Math.floor(height * scaleFactor);
+        if (controller.signal.aborted) return;
         
-        console.log(`縮小後サイズ: ${newWidth} x ${newHeight}`);
+        console.log(`${entry.name || 'GeoTIFF'}: NoData値: ${terrain.noDataValue}, 標高範囲: ${terrain.minElevation.toFixed(2)}m - ${terrain.maxElevation.toFixed(2)}m`);
         
-        // 縮小した画像を読み込み
-        rasterData = await image.readRasters({
-          window: [0, 0, width, height],
-          width: newWidth,
-          height: newHeight
+        tiles.push({
+          name: entry.name,
+          elevationData: terrain.elevationData,
+          validMask: terrain.validMask,
+          noDataValue: terrain.noDataValue,
+          colorData: terrain.colorData,
+          width: terrain.width,
+          height: terrain.height,
+          originalWidth: terrain.originalWidth,
+          originalHeight: terrain.originalHeight,
+          isLargeFile: terrain.isLargeFile,
+          scaleFactor: terrain.scaleFactor,
+          overview: terrain.overview,
+          bounds: terrain.bounds,
+          minElevation: terrain.minElevation,
+          maxElevation: terrain.maxElevation,
+          geoKeys: terrain.geoKeys,
+          crs: terrain.crs
         });
-        
-        // サイズを更新
-        width = newWidth;
-        height = newHeight;
-      } else {
-        // 通常の読み込み
-        rasterData = await image.readRasters();
+        geometries.push(geometry);
       }
-      console.log(`読み込まれたバンド数: ${rasterData.length}`);
-      console.log(`データ型: ${typeof rasterData[0]}, 長さ: ${rasterData[0]?.length}`);
-      console.log(`画像サイズ: ${width} x ${height} = ${width * height}ピクセル`);
-      console.log(`rasterData構造:`, {
-        isArray: Array.isArray(rasterData),
-        length: rasterData.length,
-        firstElement: rasterData[0],
-        firstElementType: typeof rasterData[0],
-        firstElementLength: rasterData[0]?.length
-      });
-      
-      // 地理情報を取得
-      const bbox = image.getBoundingBox();
-      const geoKeys = image.getGeoKeys();
-      
-      console.log('地理参照情報:', {
-        bbox: bbox,
-        geoKeys: geoKeys,
-        pixelScale: image.getFileDirectory().ModelPixelScale,
-        tiepoint: image.getFileDirectory().ModelTiepoint
-      });
       
-      // データの構造を正しく処理
-      let elevationArray, colorData = null;
-      
-      // データ構造の詳細チェック
-      console.log('データ構造分析開始...');
-      
-      if (Array.isArray(rasterData) && rasterData.length > 0) {
-        if (Array.isArray(rasterData[0])) {
-          // 2次元配列の場合（複数バンド）
-          console.log('2次元配列を検出');
-          if (rasterData.length === 1) {
-            // 単一バンド：標高データ
-            elevationArray = rasterData[0];
-            console.log('単一バンド: 標高データとして処理');
-          } else if (rasterData.length >= 3) {
-            // 複数バンド：RGB + 標高の可能性
-            elevationArray = rasterData[0];
-            colorData = {
-              red: rasterData[0],
-              green: rasterData[1],
-              blue: rasterData[2]
-            };
-            console.log('複数バンド: RGB + 標高データとして処理');
-          } else {
-            // 2バンドの場合
-            elevationArray = rasterData[0];
-            colorData = {
-              red: rasterData[0],
-              green: rasterData[1],
-              blue: rasterData[0]
-            };
-            console.log('2バンド: 標高 + 色データとして処理');
-          }
-        } else {
-          // 1次元配列の場合（単一バンド）
-          console.log('1次元配列を検出');
-          elevationArray = rasterData;
-          console.log('1次元配列: 単一バンドとして処理');
-        }
-      } else {
-        console.error('rasterDataが無効です:', rasterData);
-        throw new Error('GeoTIFFデータの読み込みに失敗しました');
+      const terrainData = createTerrainData(tiles);
+      if (isMosaic) {
+        geometries = await buildGeometries(terrainData, controller.signal, true);
+        if (controller.signal.aborted) return;
       }
+      terrainDataRef.current = terrainData;
       
-      console.log(`elevationArray長: ${elevationArray?.length}, 型: ${typeof elevationArray}`);
-      
-      // 配列の長さをチェック
-      if (!elevationArray || elevationArray.length === 0) {
-        throw new Error('標高データが空です');
-      }
-      
-      console.log(`標高データ長: ${elevationArray.length}, 期待値: ${width * height}`);
-      
-      // データ長が期待値と一致するかチェック
-      const expectedLength = width * height;
-      console.log(`データ長チェック: 実際=${elevationArray.length}, 期待=${expectedLength}`);
-      
-      if (elevationArray.length !== expectedLength) {
-        console.warn(`データ長が一致しません: 実際=${elevationArray.length}, 期待=${expectedLength}`);
+      if (sceneRef.current) {
+        // 地形情報の設定（複数ファイルの場合は全体のグリッド）
+        const [first] = tiles;
+        setTerrainInfo({
+          width: isMosaic ? terrainData.sceneFrame.width : first.width,
+          height: isMosaic ? terrainData.sceneFrame.height : first.height,
+          originalWidth: first.originalWidth || first.width,
+          originalHeight: first.originalHeight || first.height,
+          isLargeFile: tiles.some(tile => tile.isLargeFile),
+          scaleFactor: first.scaleFactor || 1.0,
+          overview: isMosaic ? null : first.overview,
+          noDataValue: first.noDataValue,
+          crs: first.crs,
+          tileCount: tiles.length
+        });
         
-        if (elevationArray.length === 1) {
-          // データが1つしかない場合、その値で全体を埋める
-          console.log('データが1つしかないため、全体を同じ値で埋めます');
-          const singleValue = elevationArray[0];
-          
-          // 安全な配列作成（大きな配列の場合）
-          try {
-            elevationArray = new Array(expectedLength).fill(singleValue);
-            console.log(`データを複製: ${singleValue} -> ${elevationArray.length}個`);
-          } catch (error) {
-            console.error('大きな配列の作成に失敗:', error);
-            // フォールバック: より小さな配列を作成
-            const safeLength = Math.min(expectedLength, 1000000); // 100万要素に制限
-            elevationArray = new Array(safeLength).fill(singleValue);
-            console.log(`安全なサイズで作成: ${safeLength}個`);
-          }
-        } else if (elevationArray.length > expectedLength) {
-          // データが多すぎる場合、切り詰める
-          elevationArray = elevationArray.slice(0, expectedLength);
-          console.log('データを切り詰めました');
-        } else {
-          // データが不足している場合、パディングする
-          const padding = new Array(expectedLength - elevationArray.length).fill(elevationArray[0] || 0);
-          elevationArray = [...elevationArray, ...padding];
-          console.log('データをパディングしました');
-        }
+        createTerrainMesh(terrainData, geometries);
       }
       
-      // 標高データの統計を計算（実際のGeoTIFFの値を使用）
-      let minElevation = elevationArray[0];
-      let maxElevation = elevationArray[0];
-      let validCount = 0;
-      
-      for (let i = 0; i < elevationArray.length; i++) {
-        const elevation = elevationArray[i];
-        if (elevation !== null && elevation !== undefined && !isNaN(elevation) && isFinite(elevation)) {
-          if (elevation < minElevation) minElevation = elevation;
-          if (elevation > maxElevation) maxElevation = elevation;
-          validCount++;
-        }
+      if (onLoadComplete) {
+        onLoadComplete(terrainData);
       }
-      
-      console.log(`標高範囲: ${minElevation.toFixed(2)}m - ${maxElevation.toFixed(2)}m`);
-      console.log(`有効な標高データ数: ${validCount}/${elevationArray.length}`);
-      
-      const terrainData = {
-        elevationData: elevationArray,
-        colorData: colorData,
-        width: width,
-        height: height,
-        bounds: {
-          minX: bbox[0],
-          minY: bbox[1],
-          maxX: bbox[2],
-          maxY: bbox[3]
-        },
-        minElevation: minElevation,
-        maxElevation: maxElevation,
-        geoKeys: geoKeys
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('GeoTIFFの読み込みをキャンセルしました');
+      } else {
+        console.error('GeoTIFFの読み込みエラー:', error);
+      }
+      if (onLoadError && loadControllerRef.current === controller) {
+        onLoadError(error);
+      }
+    } finally {
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
+      }
+    }
+  };
+
+  // 読み込んだファイルを1つの地形にまとめる
+  // 複数ファイルは全ファイルの範囲の中心を原点とする共通のフレームに並べ、標高の基準（最低標高）と色分けの範囲も共通にする
+  const createTerrainData = (tiles) => {
+    const tileFrames = tiles.map(tile => new TerrainFrame(tile));
+    let sceneFrame = null;
+    if (tiles.length > 1) {
+      assertSameCRS(tiles);
+      const frame = createMosaicFrame(tileFrames);
+      sceneFrame = {
+        bounds: frame.bounds,
+        width: frame.width,
+        height: frame.height,
+        crs: frame.crs,
+        geoKeys: frame.geoKeys
       };
+    }
+
+    return {
+      tiles,
+      // メッシュ用のグリッド（複数ファイルは隣接するファイルとの1画素分の隙間を埋めたもの）
+      meshTiles: tiles.length > 1 ? extendTilesToNeighbors(tiles) : tiles,
+      sceneFrame,
+      // シーンのローカル座標と元の座標系の変換（frame）と、ファイルごとのグリッドの変換（tileFrames）
+      frame: sceneFrame ? new TerrainFrame(sceneFrame) : tileFrames[0],
+      tileFrames,
+      bounds: sceneFrame ? sceneFrame.bounds : tiles[0].bounds,
+      crs: tiles[0].crs,
+      minElevation: Math.min(...tiles.map(tile => tile.minElevation)),
+      maxElevation: Math.max(...tiles.map(tile => tile.maxElevation))
+    };
+  };
+
+  // 各ファイルの頂点バッファを共通のフレームで作成（1ファイルの場合はファイル自身のフレーム）
+  const buildGeometries = async (terrainData, signal, reportProgress = false) => {
+    const { meshTiles, sceneFrame } = terrainData;
+    const geometries = [];
+    for (const [index, tile] of meshTiles.entries()) {
+      const { geometry } = await terrainWorkerRef.current.build(
+        tile,
+        { ...getMeshOptions(), sceneFrame },
+        signal,
+        reportProgress ? reportFileProgress(index, meshTiles.length) : null
+      );
+      geometries.push(geometry);
+    }
+    return geometries;
+  };
+
+  // NoData表示の変更時など、読み込み済みの標高データから頂点バッファを作り直す
+  const rebuildTerrainMesh = async (terrainData) => {
+    const controller = startLoad();
+    
+    try {
+      const geometries = await buildGeometries(terrainData, controller.signal);
+      if (controller.signal.aborted || terrainDataRef.current !== terrainData) return;
       
-      if (terrainData && sceneRef.current) {
-        // 地形情報の設定
-        setTerrainInfo({
-          width: terrainData.width,
-          height: terrainData.height,
-          originalWidth: terrainData.width,
-          originalHeight: terrainData.height,
-          isLargeFile: false,
-          scaleFactor: 1.0
-        });
-        
-        await createTerrainMesh(terrainData);
-      }
+      clearTerrainMeshes();
+      createTerrainMesh(terrainData, geometries);
     } catch (error) {
-      console.error('GeoTIFFの読み込みエラー:', error);
+      if (error.name !== 'AbortError') {
+        console.error('地形メッシュの再作成エラー:', error);
+      }
+    } finally {
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
+      }
     }
   };
 
-  const createTerrainMesh = async (terrainData) => {
+  const createTerrainMesh = (terrainData, geometries) => {
     if (!sceneRef.current) return;
 
-    const { elevationData, colorData, width, height, bounds, minElevation, maxElevation } = terrainData;
+    const { meshTiles, minElevation, maxElevation } = terrainData;
     
-    // スケールの計算
-    const scaleX = (bounds.maxX - bounds.minX) / (width - 1);
-    const scaleZ = (bounds.maxY - bounds.minY) / (height - 1);
+    // 地上解像度（Workerでグリッド座標からシーン座標（メートル）に変換済み、地理座標系は接平面に投影）
+    const [firstGeometry] = geometries;
+    setTerrainInfo(prev => prev && ({
+      ...prev,
+      groundResolution: firstGeometry.groundResolution,
+      isGeographic: firstGeometry.isGeographic
+    }));
     
-    // 地形メッシュの作成
-    const terrainMesh = await createHeightMapMesh(
-      elevationData,
-      colorData,
-      width,
-      height,
-      bounds,
-      minElevation,
-      maxElevation,
-      sceneRef.current,
-      scaleX,
-      scaleZ
-    );
+    // 地形メッシュの作成（ファイルごとに1つ、色分けは全ファイル共通）
+    const coloring = createTerrainColoring(terrainData);
+    const meshes = meshTiles
+      .map((tile, index) => createHeightMapMesh(tile, geometries[index], terrainData, coloring, `terrain-${index}`, sceneRef.current))
+      .filter(Boolean);
+    updateColorLegend(terrainData, coloring);
+    updateContours(terrainData);
+    updateMeasurementTerrain(terrainData);
     
-    if (terrainMesh) {
-      terrainMesh.name = 'terrain-main';
-      
+    if (meshes.length > 0) {
       // カメラの位置を調整（Three.jsと同じロジック）
       if (cameraRef.current) {
-        const maxDimension = Math.max(width, height);
-        const scale = Math.max(scaleX, scaleZ);
-        const terrainSize = maxDimension * scale;
+        const extent = terrainData.frame.getLocalExtent();
+        const terrainSize = Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ);
         
         // GeoTIFFの実際の標高範囲を使用
         const elevationRange = maxElevation - minElevation;
@@ -364,159 +516,206 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
     }
   };
 
-  const createHeightMapMesh = async (elevationData, colorData, width, height, bounds, minElevation, maxElevation, scene, scaleX, scaleZ) => {
-    try {
-      console.log(`地形メッシュ作成開始: ${width}x${height}, データ数: ${elevationData.length}`);
-      console.log(`GeoTIFF標高範囲: ${minElevation.toFixed(2)}m - ${maxElevation.toFixed(2)}m`);
-      
-      // GeoTIFFの実際の標高範囲を使用
-      const elevationRange = maxElevation - minElevation;
-      console.log(`標高範囲: ${elevationRange.toFixed(2)}m`);
-
-      // 頂点データの作成
-      const positions = [];
-      const indices = [];
-      const uvs = [];
-
-      // 頂点の生成（GeoTIFFの実際の値を使用）
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-          const index = y * width + x;
-          const elevation = elevationData[index];
-          
-          // 無効な標高値の場合は最小値を使用
-          const validElevation = (elevation !== null && elevation !== undefined && !isNaN(elevation) && isFinite(elevation)) 
-            ? elevation 
-            : minElevation;
-          
-          // GeoTIFFの実際の標高値をそのまま使用（メートル単位）
-          const worldY = validElevation * settings.heightScale;
-          
-          // デバッグ用：最初の数点の座標をログ出力
-          if (x < 5 && y < 5) {
-            console.log(`頂点(${x},${y}): GeoTIFF標高=${validElevation.toFixed(3)}m, Y座標=${worldY.toFixed(3)}`);
-          }
-          
-          const xPos = (x - width / 2) * scaleX;
-          const zPos = (y - height / 2) * scaleZ;
-          const yPos = worldY;
+  // 表示レイヤーの色分け
+  // 標高: 設定のカラーランプとストレッチ（標高の範囲は全ファイル共通）、傾斜・斜面方位: 分類ごとの色（classifier）
+  const createTerrainColoring = (terrainData) => {
+    const classifier = createTerrainClassifier(settings.terrainLayer, settings.slopeUnit);
+    if (classifier) {
+      return { classifier, colorScale: null };
+    }
 
-          positions.push(xPos, yPos, zPos);
-          uvs.push(x / (width - 1), y / (height - 1));
-        }
+    const ramp = settings.colorRamp === 'custom' && settings.customColorRamp
+      ? settings.customColorRamp
+      : COLOR_RAMPS[settings.colorRamp] || COLOR_RAMPS.terrain;
+    const { min, max } = resolveStretch(settings, terrainData);
+    return { classifier: null, colorScale: createColorScale(ramp, min, max) };
+  };
+
+  // RGBバンドの色で表示するか（色情報のないファイルはカラーランプで表示）
+  const usesBandColors = (tile) => {
+    const { colorData } = tile;
+    return settings.terrainLayer === 'elevation' && settings.colorRamp === 'rgb' &&
+      Boolean(colorData && colorData.red && colorData.green && colorData.blue);
+  };
+
+  const updateColorLegend = (terrainData, { colorScale, classifier }) => {
+    if (!classifier) {
+      setClassSummary(null);
+      setColorLegend(terrainData.meshTiles.every(usesBandColors) ? null : colorScale);
+      return;
+    }
+
+    // 分類の割合はファイルの元の範囲で集計（継ぎ目を埋めるために追加した画素は数えない）
+    const grids = terrainData.meshTiles.map((tile, index) => {
+      const mesh = sceneRef.current.getMeshByName(`terrain-${index}`);
+      return mesh && {
+        gradients: mesh.metadata.gradients,
+        validMask: tile.validMask,
+        width: tile.width,
+        countWidth: terrainData.tiles[index].width,
+        countHeight: terrainData.tiles[index].height
+      };
+    }).filter(Boolean);
+    setColorLegend(null);
+    setClassSummary(summarizeTerrainClasses(classifier, grids));
+  };
+
+  // 頂点カラー（RGBA）を計算
+  const computeVertexColors = (tile, gradients, { colorScale, classifier }) => {
+    const { elevationData, validMask, colorData, width, height } = tile;
+    const isValid = (index) => !validMask || validMask[index] === 1;
+    const vertexCount = width * height;
+    const colorArray = new Float32Array(vertexCount * 4);
+
+    if (classifier) {
+      // 傾斜・斜面方位を分類ごとの色で塗る（NoDataはグレー）
+      for (let i = 0; i < vertexCount; i++) {
+        const color = isValid(i)
+          ? classifier.classes[classifier.classify(gradients[i * 2], gradients[i * 2 + 1])].color
+          : NODATA_COLOR;
+        colorArray[i * 4] = color[0];
+        colorArray[i * 4 + 1] = color[1];
+        colorArray[i * 4 + 2] = color[2];
+        colorArray[i * 4 + 3] = 1.0;
       }
+      return colorArray;
+    }
 
-      // インデックスの生成（安全な同期的処理）
-      const totalVertices = width * height;
-      console.log(`インデックス生成開始: 頂点数=${totalVertices}, 位置配列長=${positions.length / 3}`);
-      
-      for (let y = 0; y < height - 1; y++) {
-        for (let x = 0; x < width - 1; x++) {
-          const topLeft = y * width + x;
-          const topRight = topLeft + 1;
-          const bottomLeft = (y + 1) * width + x;
-          const bottomRight = bottomLeft + 1;
-
-          // インデックスの範囲チェック
-          if (topLeft >= totalVertices || topRight >= totalVertices || 
-              bottomLeft >= totalVertices || bottomRight >= totalVertices) {
-            console.warn(`インデックス範囲外: ${topLeft}, ${topRight}, ${bottomLeft}, ${bottomRight} (最大: ${totalVertices - 1})`);
-            continue;
-          }
+    if (usesBandColors(tile)) {
+      // GeoTIFFの色情報
+      const colorLength = Math.min(vertexCount, colorData.red.length);
 
-          // 最初の三角形（時計回り）
-          indices.push(topLeft, topRight, bottomLeft);
-          // 2番目の三角形（時計回り）
-          indices.push(topRight, bottomRight, bottomLeft);
+      for (let i = 0; i < vertexCount; i++) {
+        if (i < colorLength) {
+          colorArray[i * 4] = (colorData.red[i] || 0) / 255.0;   // 0-255を0-1に正規化
+          colorArray[i * 4 + 1] = (colorData.green[i] || 0) / 255.0;
+          colorArray[i * 4 + 2] = (colorData.blue[i] || 0) / 255.0;
+        } else {
+          // 不足分をデフォルト色でパディング
+          colorArray[i * 4] = 0.5;
+          colorArray[i * 4 + 1] = 0.5;
+          colorArray[i * 4 + 2] = 0.5;
         }
+        colorArray[i * 4 + 3] = 1.0;
       }
+      return colorArray;
+    }
 
-      console.log(`頂点数: ${positions.length / 3}, インデックス数: ${indices.length}`);
-      console.log(`最初の10頂点: ${positions.slice(0, 30).map((v, i) => i % 3 === 0 ? `\n(${v.toFixed(2)},` : i % 3 === 1 ? `${v.toFixed(2)},` : `${v.toFixed(2)})`).join('')}`);
+    // 標高をカラーランプで色分け
+    const { nodata } = colorScale;
+    for (let i = 0; i < vertexCount; i++) {
+      if (isValid(i)) {
+        colorScale.colorAt(elevationData[i], colorArray, i * 4);
+      } else {
+        colorArray[i * 4] = nodata[0];
+        colorArray[i * 4 + 1] = nodata[1];
+        colorArray[i * 4 + 2] = nodata[2];
+      }
+      colorArray[i * 4 + 3] = 1.0;
+    }
+    return colorArray;
+  };
 
-      // VertexDataを使用してメッシュを作成
-      const vertexData = new VertexData();
-      vertexData.positions = positions;
-      vertexData.indices = indices;
-      vertexData.uvs = uvs;
-      
-      // 法線を計算
-      vertexData.normals = [];
-      VertexData.ComputeNormals(positions, indices, vertexData.normals);
+  const createTerrainHillshade = () => createHillshade({
+    mode: settings.hillshadeMode,
+    azimuth: settings.sunAzimuth,
+    altitude: settings.sunAltitude,
+    heightScale: settings.heightScale
+  });
 
-      // カスタムメッシュを作成
-      const customMesh = new Mesh('terrain', scene);
-      vertexData.applyToMesh(customMesh);
+  // 色分けの頂点カラー（mesh.metadata.baseColors）に陰影起伏を掛け、土量などの色（mesh.metadata.overlays）を重ねて表示
+  // 陰影を表示する場合は頂点カラーをそのまま表示するため、ライティングを無効にする
+  const applyTerrainShading = (mesh, hillshade) => {
+    const { baseColors, gradients, overlays } = mesh.metadata;
+    const shadedColors = hillshade
+      ? applyHillshade(baseColors, gradients, hillshade, settings.hillshadeStrength)
+      : baseColors;
+    const colors = blendVertexOverlays(shadedColors, Object.values(overlays).filter(Boolean));
 
-    // 地形を底面が原点0になるように下げる
-    const minValue = minElevation * settings.heightScale;
-    customMesh.position.y = -minValue;
+    const colorBuffer = mesh.getVertexBuffer(VertexBuffer.ColorKind);
+    if (colorBuffer && colorBuffer.isUpdatable()) {
+      mesh.updateVerticesData(VertexBuffer.ColorKind, colors);
+    } else {
+      mesh.setVerticesData(VertexBuffer.ColorKind, colors, true);
+    }
 
-    // マテリアルの設定（GeoTIFFの色情報を使用）
-      const material = new StandardMaterial('terrainMaterial', scene);
-    
-    if (colorData && colorData.red && colorData.green && colorData.blue) {
-      // GeoTIFFの色情報がある場合、頂点カラーを設定
-      const colorArray = [];
-      const colorLength = Math.min(elevationData.length, colorData.red.length);
-      
-      for (let i = 0; i < colorLength; i++) {
-        const r = (colorData.red[i] || 0) / 255.0;   // 0-255を0-1に正規化
-        const g = (colorData.green[i] || 0) / 255.0;
-        const b = (colorData.blue[i] || 0) / 255.0;
-        colorArray.push(r, g, b, 1.0); // RGBA
-      }
-      
-      // 不足分をデフォルト色でパディング
-      while (colorArray.length < elevationData.length * 4) {
-        colorArray.push(0.5, 0.5, 0.5, 1.0); // グレー
+    mesh.metadata.shaded = Boolean(hillshade);
+    mesh.material.disableLighting = Boolean(hillshade);
+    mesh.material.emissiveColor = hillshade ? new Color3(1, 1, 1) : new Color3(0, 0, 0);
+  };
+
+  // 色分けの変更時に各メッシュの頂点カラーを書き換える
+  const updateTerrainColors = (terrainData) => {
+    const coloring = createTerrainColoring(terrainData);
+    const hillshade = createTerrainHillshade();
+    terrainData.meshTiles.forEach((tile, index) => {
+      const mesh = sceneRef.current.getMeshByName(`terrain-${index}`);
+      if (!mesh) return;
+
+      mesh.metadata.baseColors = computeVertexColors(tile, mesh.metadata.gradients, coloring);
+      applyTerrainShading(mesh, hillshade);
+    });
+    updateColorLegend(terrainData, coloring);
+  };
+
+  const updateTerrainShading = () => {
+    const hillshade = createTerrainHillshade();
+    for (const mesh of getTerrainMeshes()) {
+      // 陰影なしのまま標高スケールだけ変わった場合は更新不要
+      if (mesh.metadata && (hillshade || mesh.metadata.shaded)) {
+        applyTerrainShading(mesh, hillshade);
       }
+    }
+  };
+
+  // tileは1ファイル分の標高データ。標高の基準と色分けの範囲は全ファイル共通（terrainData）
+  const createHeightMapMesh = (tile, geometry, terrainData, coloring, name, scene) => {
+    try {
+      const { elevationData, width, height } = tile;
+      const { minElevation, maxElevation } = terrainData;
       
-      // 頂点カラーを設定
-      vertexData.colors = colorArray;
+      console.log(`地形メッシュ作成開始: ${tile.name || name} ${width}x${height}, データ数: ${elevationData.length}`);
+      console.log(`GeoTIFF標高範囲: ${minElevation.toFixed(2)}m - ${maxElevation.toFixed(2)}m`);
+      console.log(`頂点数: ${geometry.positions.length / 3}, インデックス数: ${geometry.indices.length}`);
+
+      // VertexDataを使用してメッシュを作成（Workerで作成した型付き配列をそのまま使用）
+      const vertexData = new VertexData();
+      vertexData.positions = geometry.positions;
+      vertexData.indices = geometry.indices;
+      vertexData.normals = geometry.normals;
+      vertexData.uvs = geometry.uvs;
+
+      const customMesh = new Mesh(name, scene);
       vertexData.applyToMesh(customMesh);
-      
-      console.log(`GeoTIFFの色情報を適用: ${colorLength}/${elevationData.length}ピクセル`);
-    } else {
-      // 色情報がない場合、標高に基づく色を生成
-      const colorArray = [];
-      for (let i = 0; i < elevationData.length; i++) {
-        const elevation = elevationData[i];
-        const normalizedElevation = (elevation - minElevation) / (maxElevation - minElevation);
-        
-        // 標高に基づいて色を計算
-        let r, g, b;
-        if (normalizedElevation < 0.3) {
-          // 低地：青（海）
-          r = 0.2; g = 0.4; b = 0.8;
-        } else if (normalizedElevation < 0.6) {
-          // 平地：緑（草地）
-          r = 0.3; g = 0.7; b = 0.3;
-        } else if (normalizedElevation < 0.8) {
-          // 丘陵：茶色（土）
-          r = 0.6; g = 0.4; b = 0.2;
-        } else {
-          // 高地：白（雪）
-          r = 0.9; g = 0.9; b = 0.9;
-        }
-        
-        colorArray.push(r, g, b, 1.0); // RGBA
+      const triangleCount = geometry.indices.length / 3;
+      if (triangleCount > PICK_SUBMESH_TRIANGLES) {
+        customMesh.subdivide(Math.min(MAX_PICK_SUBMESHES, Math.ceil(triangleCount / PICK_SUBMESH_TRIANGLES)));
       }
-      
-      // 頂点カラーを設定
-      vertexData.colors = colorArray;
-      vertexData.applyToMesh(customMesh);
-      
-      console.log('標高ベースの色を適用');
-    }
-    
+      // 色分けの頂点カラーと陰影起伏の勾配（頂点カラーは色分け・陰影の変更時に書き換える）
+      customMesh.metadata = {
+        baseColors: computeVertexColors(tile, geometry.gradients, coloring),
+        gradients: geometry.gradients,
+        overlays: {},
+        shaded: false
+      };
+      if (coloring.classifier) {
+        console.log(`${coloring.classifier.title}の分類を適用`);
+      } else {
+        console.log(usesBandColors(tile) ? 'GeoTIFFの色情報を適用' : `カラーランプを適用: ${coloring.colorScale.min.toFixed(2)}m - ${coloring.colorScale.max.toFixed(2)}m`);
+      }
+
+      // 標高スケールはscalingで適用し、地形を底面が原点0になるように下げる
+      applyHeightScale(customMesh, minElevation);
+
+      // マテリアルの設定
+      const material = new StandardMaterial('terrainMaterial', scene);
       material.specularColor = new Color3(0.1, 0.1, 0.1);
       material.wireframe = settings.wireframe;
       customMesh.material = material;
+      applyTerrainShading(customMesh, createTerrainHillshade());
 
       console.log('地形メッシュ作成完了');
-    console.log(`メッシュ位置: (${customMesh.position.x.toFixed(2)}, ${customMesh.position.y.toFixed(2)}, ${customMesh.position.z.toFixed(2)})`);
-    console.log(`メッシュ境界: min=(${customMesh.getBoundingInfo().minimum.x.toFixed(2)}, ${customMesh.getBoundingInfo().minimum.y.toFixed(2)}, ${customMesh.getBoundingInfo().minimum.z.toFixed(2)}), max=(${customMesh.getBoundingInfo().maximum.x.toFixed(2)}, ${customMesh.getBoundingInfo().maximum.y.toFixed(2)}, ${customMesh.getBoundingInfo().maximum.z.toFixed(2)})`);
+      console.log(`メッシュ位置: (${customMesh.position.x.toFixed(2)}, ${customMesh.position.y.toFixed(2)}, ${customMesh.position.z.toFixed(2)})`);
       return customMesh;
     } catch (error) {
       console.error('地形メッシュの作成エラー:', error);
@@ -524,15 +723,288 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
     }
   };
 
+  // 標高スケールをメッシュに適用（頂点のYは標高そのもの）
+  const applyHeightScale = (mesh, minElevation) => {
+    mesh.scaling.y = settings.heightScale;
+    mesh.position.y = -minElevation * settings.heightScale;
+  };
+
+  // ピッキングした地点の情報（標高はメッシュの三角形ではなく、元のグリッドから双線形補間した値）
+  const resolvePickedPoint = (pickInfo) => {
+    const terrainData = terrainDataRef.current;
+    if (!terrainData) return null;
+
+    const { x, z } = pickInfo.pickedPoint;
+    const source = terrainData.frame.localToSource(x, z);
+    return createPointInfo(terrainData.frame, x, z, sampleTerrainElevation(terrainData, source));
+  };
+
+  // 地表に沿った標本化の間隔（最も細かいファイルの解像度）
+  const getSampleResolution = ({ tileFrames }) => (
+    Math.min(...tileFrames.map(({ groundResolution }) => Math.min(groundResolution.x, groundResolution.y)))
+  );
+
+  // 計測ツールに地形を設定（地表に沿った距離・表面積は最も細かいファイルの解像度で標本化）
+  const updateMeasurementTerrain = (terrainData) => {
+    const { frame, minElevation } = terrainData;
+    const extent = frame.getLocalExtent();
+    const tool = measurementToolRef.current;
+    tool.setHeightScale(settings.heightScale);
+    tool.setTerrain({
+      sampleElevation: (x, z) => sampleTerrainElevation(terrainData, frame.localToSource(x, z)),
+      resolution: getSampleResolution(terrainData),
+      baseElevation: minElevation,
+      size: Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ)
+    });
+  };
+
+  const handleMeasurementMode = (mode) => measurementToolRef.current.setMode(mode);
+  const handleMeasurementToggle = () => measurementToolRef.current.setActive(!measurementToolRef.current.isActive());
+  const handleMeasurementUndo = () => measurementToolRef.current.undo();
+  const handleMeasurementClear = () => measurementToolRef.current.clear();
+  const handleProfileHover = (sample) => measurementToolRef.current.setHighlight(sample);
+
+  // 断面をCSVファイルとして保存（座標は元の座標系）
+  const exportProfile = () => {
+    const csv = profileToCSV(measurement.result.path, terrainDataRef.current.frame);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), 'elevation-profile.csv');
+  };
+
+  // 頂点カラーに重ねる色を設定（overlaysはファイルごとの色、nullで解除）
+  const setTerrainOverlay = (terrainData, name, overlays) => {
+    const hillshade = createTerrainHillshade();
+    terrainData.meshTiles.forEach((tile, index) => {
+      const mesh = sceneRef.current.getMeshByName(`terrain-${index}`);
+      if (!mesh) return;
+
+      const overlay = overlays ? overlays[index] : null;
+      if (!overlay && !mesh.metadata.overlays[name]) return;
+      mesh.metadata.overlays[name] = overlay;
+      applyTerrainShading(mesh, hillshade);
+    });
+  };
+
+  // 土量の基準面（元の座標系の x, y → 標高）。標高やDEMが未指定の場合はnull
+  const createVolumeReference = (terrainData, polygon) => {
+    const { frame, crs } = terrainData;
+    switch (volumeReference.type) {
+      case 'elevation': {
+        const elevation = parseFloat(volumeReference.elevation);
+        return isFinite(elevation) ? { elevationAt: () => elevation } : null;
+      }
+      case 'plane': {
+        // 多角形の境界に沿って標本化した標高に平面を当てはめる
+        const boundary = samplePath(
+          [...polygon, polygon[0]],
+          (x, z) => sampleTerrainElevation(terrainData, frame.localToSource(x, z)),
+          getSampleResolution(terrainData)
+        ).filter(sample => sample.elevation !== null);
+        const plane = fitPlane(boundary);
+        return {
+          plane,
+          elevationAt: (x, y) => {
+            const local = frame.sourceToLocal(x, y);
+            return plane.elevationAt(local.x, local.z);
+          }
+        };
+      }
+      case 'surface':
+        return referenceDEM.dem
+          ? { elevationAt: createGridSampler(referenceDEM.dem.grid, referenceDEM.dem.frame, crs) }
+          : null;
+      default:
+        return null;
+    }
+  };
+
+  // 土量モードの範囲の切土・盛土を計算し、地形に色を重ねる
+  const updateVolume = (terrainData) => {
+    const result = measurement && measurement.result;
+    const clearVolume = (volume) => {
+      setTerrainOverlay(terrainData, 'volume', null);
+      setVolumeResult(volume);
+    };
+    if (!result || result.mode !== 'volume') {
+      clearVolume(null);
+      return;
+    }
+
+    try {
+      const reference = createVolumeReference(terrainData, result.polygon);
+      if (!reference) {
+        clearVolume(null);
+        return;
+      }
+      const { tiles, tileFrames, frame, meshTiles } = terrainData;
+      const { differences, ...volume } = computeCutFill({
+        tiles,
+        tileFrames,
+        frame,
+        polygon: result.polygon,
+        reference: reference.elevationAt
+      });
+      setTerrainOverlay(terrainData, 'volume', meshTiles.map((meshTile, index) => (
+        differences[index] && createVertexOverlay(
+          meshTile.width,
+          meshTile.height,
+          tiles[index].width,
+          tiles[index].height,
+          createCutFillColorizer(differences[index], volume.maxDifference)
+        )
+      )));
+      setVolumeResult({ ...volume, plane: reference.plane || null });
+    } catch (error) {
+      console.error('土量の計算エラー:', error);
+      clearVolume({ error: error.message });
+    }
+  };
+
+  // 2つ目のDEMとの差分を計算し、発散型のカラーランプで地形に重ねる
+  const updateDifference = (terrainData) => {
+    const { dem } = referenceDEM;
+    if (!dem || !differenceOptions.enabled) {
+      setTerrainOverlay(terrainData, 'difference', null);
+      setDifferenceResult(null);
+      return;
+    }
+
+    try {
+      const { tiles, tileFrames, meshTiles, crs } = terrainData;
+      let difference = differenceRef.current;
+      if (!difference || difference.terrainData !== terrainData || difference.dem !== dem || difference.direction !== differenceOptions.direction) {
+        const grids = computeDEMDifference({ tiles, tileFrames, crs, reference: dem, direction: differenceOptions.direction });
+        difference = { terrainData, dem, direction: differenceOptions.direction, grids, range: symmetricRange(grids) };
+        differenceRef.current = difference;
+      }
+
+      const threshold = Math.abs(parseFloat(differenceOptions.threshold)) || 0;
+      const summary = summarizeDifference(difference.grids, tileFrames, threshold);
+      if (summary.count === 0) {
+        throw new Error('表示中の地形と比較するDEMの重なる範囲がありません');
+      }
+      const scale = createColorScale(DIFFERENCE_RAMP, -difference.range, difference.range);
+      setTerrainOverlay(terrainData, 'difference', meshTiles.map((meshTile, index) => createVertexOverlay(
+        meshTile.width,
+        meshTile.height,
+        tiles[index].width,
+        tiles[index].height,
+        createDifferenceColorizer(difference.grids[index], scale)
+      )));
+      setDifferenceResult({ ...summary, scale, warning: describeCRSMismatch(crs, dem.crs) });
+    } catch (error) {
+      console.error('DEMの差分の計算エラー:', error);
+      setTerrainOverlay(terrainData, 'difference', null);
+      setDifferenceResult({ error: error.message });
+    }
+  };
+
+  // 差分を表示中の地形のグリッド（複数ファイルは全体のグリッド）のGeoTIFFとして保存
+  const exportDifference = () => {
+    const terrainData = terrainDataRef.current;
+    const { frame, tileFrames } = terrainData;
+    const data = mergeDifferenceGrids(differenceRef.current.grids, tileFrames, frame);
+    const buffer = writeFloat32GeoTIFF(data, {
+      width: frame.width,
+      height: frame.height,
+      bounds: frame.bounds,
+      crs: frame.crs,
+      geoKeys: frame.geoKeys
+    });
+    downloadBlob(new Blob([buffer], { type: 'image/tiff' }), 'dem-difference.tif');
+  };
+
+  // 比較・土量の基準に使う2つ目のDEMを読み込む
+  // 表示中の地形の読み込みを中断しても影響しないように、別のWorkerで読み込む
+  const loadReferenceDEM = async (file) => {
+    setReferenceDEM({ dem: null, loading: true, error: null });
+    const worker = new TerrainWorkerClient();
+    try {
+      const { terrain } = await worker.load(file, { noDataValue: null, skipMesh: true });
+      console.log(`2つ目のDEMを読み込み: ${file.name} ${terrain.width}x${terrain.height}`);
+      setReferenceDEM({
+        dem: {
+          name: file.name,
+          width: terrain.width,
+          height: terrain.height,
+          crs: terrain.crs,
+          grid: terrain,
+          frame: new TerrainFrame(terrain)
+        },
+        loading: false,
+        error: null
+      });
+    } catch (error) {
+      console.error('2つ目のDEMの読み込みエラー:', error);
+      setReferenceDEM({ dem: null, loading: false, error: `読み込めませんでした: ${error.message}` });
+    } finally {
+      worker.dispose();
+    }
+  };
+
+  const handleVolumeReference = (change) => setVolumeReference(prev => ({ ...prev, ...change }));
+  const clearReferenceDEM = () => setReferenceDEM({ dem: null, loading: false, error: null });
+  const handleDifferenceOptions = (change) => setDifferenceOptions(prev => ({ ...prev, ...change }));
+
+  // 元の座標系の地点を含むファイルのグリッドから標高を補間（どのファイルにも含まれない場合はnull）
+  const sampleTerrainElevation = (terrainData, source) => {
+    for (const [index, tile] of terrainData.tiles.entries()) {
+      const { col, row } = terrainData.tileFrames[index].sourceToGrid(source.x, source.y);
+      const elevation = sampleBilinear(tile, col, row);
+      if (elevation !== null) return elevation;
+    }
+    return null;
+  };
+
+  // 等高線を生成し直す（間隔などの変更時と地形メッシュの作成時）
+  const updateContours = (terrainData) => {
+    const overlay = contourOverlayRef.current;
+    if (!settings.showContours) {
+      overlay.clear();
+      setContourInfo(null);
+      return;
+    }
+
+    try {
+      const result = overlay.build(terrainData, {
+        interval: settings.contourInterval,
+        indexEvery: settings.indexContourEvery,
+        showLabels: settings.showContourLabels,
+        heightScale: settings.heightScale
+      });
+      console.log(`等高線を生成: ${result.levelCount}段階, ${result.lineCount}本`);
+      setContourInfo(result);
+    } catch (error) {
+      console.error('等高線の生成エラー:', error);
+      overlay.clear();
+      setContourInfo({ error: error.message });
+    }
+  };
+
+  // 等高線をGeoJSONファイルとして保存（座標は元の座標系）
+  const exportContours = () => {
+    const geoJSON = contourOverlayRef.current.toGeoJSON();
+    const blob = new Blob([JSON.stringify(geoJSON)], { type: 'application/geo+json' });
+    downloadBlob(blob, `contours-${settings.contourInterval}m.geojson`);
+  };
+
   const updateTerrainSettings = () => {
     if (!sceneRef.current) return;
 
-    const terrainMesh = sceneRef.current.getMeshByName('terrain-main');
-    if (terrainMesh && terrainMesh.material) {
-      terrainMesh.material.wireframe = settings.wireframe;
+    contourOverlayRef.current.setHeightScale(settings.heightScale);
+    measurementToolRef.current.setHeightScale(settings.heightScale);
+
+    for (const terrainMesh of getTerrainMeshes()) {
+      if (terrainMesh.material) {
+        terrainMesh.material.wireframe = settings.wireframe;
+      }
+      if (terrainDataRef.current) {
+        applyHeightScale(terrainMesh, terrainDataRef.current.minElevation);
+      }
     }
   };
 
+  const differenceScale = differenceResult && differenceResult.scale;
+
   return (
     <div className="babylon-viewer">
       <canvas ref={canvasRef} className="babylon-canvas" />
@@ -544,6 +1016,35 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
       )}
       
       {/* メモリ使用量と地形情報の表示 */}
+      {/* 差分を重ねている間は差分の凡例を表示 */}
+      {differenceScale && <ElevationLegend scale={differenceScale} title="標高差" />}
+      {!differenceScale && colorLegend && <ElevationLegend scale={colorLegend} />}
+      {!differenceScale && classSummary && <TerrainClassLegend summary={classSummary} />}
+      {terrainInfo && <TerrainStatusBar point={hoverPoint} pickedPoint={pickedPoint} />}
+      {terrainInfo && measurement && (
+        <MeasurementPanel
+          state={measurement}
+          onModeChange={handleMeasurementMode}
+          onToggle={handleMeasurementToggle}
+          onUndo={handleMeasurementUndo}
+          onClear={handleMeasurementClear}
+        >
+          {measurement.mode === 'volume' && (
+            <VolumePanel
+              reference={volumeReference}
+              referenceDEM={referenceDEM}
+              result={volumeResult}
+              onReferenceChange={handleVolumeReference}
+              onReferenceDEMSelect={loadReferenceDEM}
+              onReferenceDEMClear={clearReferenceDEM}
+            />
+          )}
+        </MeasurementPanel>
+      )}
+      {terrainInfo && measurement && measurement.result && measurement.result.mode === 'profile' && (
+        <ElevationProfileChart profile={measurement.result} onHover={handleProfileHover} onExport={exportProfile} />
+      )}
+
       {(memoryUsage || terrainInfo) && (
         <div className="info-overlay">
           {memoryUsage && (
@@ -556,6 +1057,9 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
           {terrainInfo && (
             <div className="terrain-info">
               <h4>地形情報</h4>
+              {terrainInfo.tileCount > 1 && (
+                <p>ファイル数: {terrainInfo.tileCount}（全体のグリッド）</p>
+              )}
               <p>解像度: {terrainInfo.width}×{terrainInfo.height}</p>
               {terrainInfo.isLargeFile && (
                 <p>元の解像度: {terrainInfo.originalWidth}×{terrainInfo.originalHeight}</p>
@@ -563,8 +1067,51 @@ const BabylonViewer = ({ geotiffData, settings, isLoading }) => {
               {terrainInfo.scaleFactor && (
                 <p>スケール: {(terrainInfo.scaleFactor * 100).toFixed(1)}%</p>
               )}
+              {terrainInfo.overview && (
+                <p>
+                  オーバービュー: {terrainInfo.overview.count > 1
+                    ? `レベル${terrainInfo.overview.level} / ${terrainInfo.overview.count - 1}（${terrainInfo.overview.width}×${terrainInfo.overview.height}）`
+                    : 'なし'}
+                </p>
+              )}
+              {terrainInfo.groundResolution && (
+                <p>地上解像度: {terrainInfo.groundResolution.x.toFixed(2)}×{terrainInfo.groundResolution.y.toFixed(2)} m/px{terrainInfo.isGeographic ? '（接平面換算）' : ''}</p>
+              )}
+              <p>NoData値: {terrainInfo.noDataValue !== null && terrainInfo.noDataValue !== undefined ? String(terrainInfo.noDataValue) : 'なし'}</p>
+              {terrainInfo.crs && (terrainInfo.crs.resolved ? (
+                <p>座標系: {terrainInfo.crs.name} ({terrainInfo.crs.code})</p>
+              ) : (
+                <p className="crs-warning">⚠️ 座標系を解決できません: {terrainInfo.crs.reason}</p>
+              ))}
             </div>
           )}
+          {contourInfo && (
+            <div className="contour-info">
+              <h4>等高線</h4>
+              {contourInfo.error ? (
+                <p className="crs-warning">⚠️ {contourInfo.error}</p>
+              ) : (
+                <>
+                  <p>間隔: {settings.contourInterval}m（計曲線 {settings.contourInterval * settings.indexContourEvery}m ごと）</p>
+                  <p>{contourInfo.levelCount}段階, {contourInfo.lineCount}本</p>
+                  <button className="overlay-button" onClick={exportContours} disabled={contourInfo.lineCount === 0}>
+                    GeoJSONで保存
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {terrainInfo && (
+            <DifferencePanel
+              referenceDEM={referenceDEM}
+              options={differenceOptions}
+              result={differenceResult}
+              onOptionsChange={handleDifferenceOptions}
+              onReferenceDEMSelect={loadReferenceDEM}
+              onReferenceDEMClear={clearReferenceDEM}
+              onExport={exportDifference}
+            />
+          )}
         </div>
       )}
     </div>
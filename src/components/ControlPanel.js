@@ -1,7 +1,61 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { COLOR_RAMPS, parseColorRamp } from '../utils/ColorRamps';
+import { STRETCH_MODES } from '../utils/ElevationStretch';
+import { HILLSHADE_MODES } from '../utils/Hillshade';
+import { TERRAIN_LAYERS, SLOPE_UNITS } from '../utils/TerrainAnalysis';
 import './ControlPanel.css';
 
+/**
+ * 入力中の値を手元に保持し、フォーカスを外すかEnterで設定に確定するテキスト入力
+ * 確定のたびにファイルの再読み込みなど重い処理が走る設定に使う（Escで入力前の値に戻す）
+ * @param {Function} validate - 確定できる値か（falseの場合は確定せず元の値に戻す）
+ * @param {Function} onCommit - (入力した文字列) 確定した時
+ */
+const DraftInput = ({ value, validate, onCommit, ...inputProps }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  // リセットなどで設定が外から変わった場合は入力中の値も合わせる
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    if (draft === String(value)) return;
+    if (validate && !validate(draft)) {
+      setDraft(String(value));
+      return;
+    }
+    onCommit(draft);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      commit();
+    } else if (event.key === 'Escape') {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <input
+      {...inputProps}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+    />
+  );
+};
+
+// NoData値の上書きは空（GDAL_NODATAタグを使用）、nan、または数値
+const isValidNoDataOverride = (text) => {
+  const value = text.trim();
+  return value === '' || value.toLowerCase() === 'nan' || isFinite(Number(value));
+};
+
 const ControlPanel = ({ settings, onSettingsChange, disabled }) => {
+  const [colorRampError, setColorRampError] = useState(null);
+
   const handleSliderChange = (key, value) => {
     onSettingsChange({ [key]: parseFloat(value) });
   };
@@ -10,13 +64,53 @@ const ControlPanel = ({ settings, onSettingsChange, disabled }) => {
     onSettingsChange({ [key]: checked });
   };
 
+  const handleValueChange = (key, value) => {
+    onSettingsChange({ [key]: value });
+  };
+
+  // カスタムのカラーランプ（JSONまたはGDAL color-reliefのテキスト）を読み込む
+  const handleColorRampFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const ramp = parseColorRamp(await file.text());
+      setColorRampError(null);
+      onSettingsChange({ colorRamp: 'custom', customColorRamp: { ...ramp, name: file.name } });
+    } catch (error) {
+      setColorRampError(`${file.name}: ${error.message}`);
+    }
+  };
+
   const resetSettings = () => {
     onSettingsChange({
       heightScale: 1.0,
       wireframe: false,
       showGrid: true,
-      cameraSpeed: 1.0
+      cameraSpeed: 1.0,
+      noDataOverride: '',
+      noDataMode: 'hole',
+      noDataFillValue: 0,
+      colorRamp: 'terrain',
+      customColorRamp: null,
+      stretchMode: 'full',
+      stretchPercentLow: 2,
+      stretchPercentHigh: 98,
+      stretchMin: '',
+      stretchMax: '',
+      hillshadeMode: 'off',
+      sunAzimuth: 315,
+      sunAltitude: 45,
+      hillshadeStrength: 0.7,
+      terrainLayer: 'elevation',
+      slopeUnit: 'degrees',
+      showContours: false,
+      contourInterval: 10,
+      indexContourEvery: 5,
+      showContourLabels: true
     });
+    setColorRampError(null);
   };
 
   return (
@@ -83,6 +177,324 @@ const ControlPanel = ({ settings, onSettingsChange, disabled }) => {
         />
       </div>
 
+      <div className="control-group">
+        <label className="control-label">
+          NoData値（上書き）
+        </label>
+        <DraftInput
+          type="text"
+          value={settings.noDataOverride}
+          placeholder="GDAL_NODATAタグを使用（Enterで適用）"
+          validate={isValidNoDataOverride}
+          onCommit={(value) => handleValueChange('noDataOverride', value.trim())}
+          disabled={disabled}
+          className="control-input"
+        />
+      </div>
+
+      <div className="control-group">
+        <label className="control-label">
+          NoDataの表示
+        </label>
+        <select
+          value={settings.noDataMode}
+          onChange={(e) => handleValueChange('noDataMode', e.target.value)}
+          disabled={disabled}
+          className="control-select"
+        >
+          <option value="hole">穴として表示</option>
+          <option value="fill">指定標高で埋める</option>
+        </select>
+      </div>
+
+      {settings.noDataMode === 'fill' && (
+        <div className="control-group">
+          <label className="control-label">
+            埋める標高
+            <span className="control-value">{settings.noDataFillValue}m</span>
+          </label>
+          <input
+            type="number"
+            step="1"
+            value={settings.noDataFillValue}
+            onChange={(e) => !isNaN(parseFloat(e.target.value)) && handleSliderChange('noDataFillValue', e.target.value)}
+            disabled={disabled}
+            className="control-input"
+          />
+        </div>
+      )}
+
+      <div className="control-group">
+        <label className="control-label">
+          表示レイヤー
+        </label>
+        <select
+          value={settings.terrainLayer}
+          onChange={(e) => handleValueChange('terrainLayer', e.target.value)}
+          disabled={disabled}
+          className="control-select"
+        >
+          {Object.entries(TERRAIN_LAYERS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {settings.terrainLayer === 'slope' && (
+          <div className="control-row">
+            <span>単位</span>
+            <select
+              value={settings.slopeUnit}
+              onChange={(e) => handleValueChange('slopeUnit', e.target.value)}
+              disabled={disabled}
+              className="control-select"
+            >
+              {Object.entries(SLOPE_UNITS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {settings.terrainLayer === 'elevation' && (
+        <div className="control-group">
+          <label className="control-label">
+            標高の色分け
+          </label>
+          <select
+            value={settings.colorRamp}
+            onChange={(e) => handleValueChange('colorRamp', e.target.value)}
+            disabled={disabled}
+            className="control-select"
+          >
+            {Object.entries(COLOR_RAMPS).map(([key, ramp]) => (
+              <option key={key} value={key}>{ramp.label}</option>
+            ))}
+            <option value="custom" disabled={!settings.customColorRamp}>
+              カスタム{settings.customColorRamp ? `（${settings.customColorRamp.name}）` : ''}
+            </option>
+            <option value="rgb">GeoTIFFの色（RGBバンド）</option>
+          </select>
+          <label className="control-file">
+            カラーランプを読み込む（JSON・GDAL color-relief）
+            <input
+              type="file"
+              accept=".json,.txt,.cpt,.clr"
+              onChange={handleColorRampFile}
+              disabled={disabled}
+            />
+          </label>
+          {colorRampError && (
+            <p className="control-error">{colorRampError}</p>
+          )}
+        </div>
+      )}
+
+      {settings.terrainLayer === 'elevation' && settings.colorRamp !== 'rgb' && (
+        <div className="control-group">
+          <label className="control-label">
+            色分けの標高範囲
+          </label>
+          <select
+            value={settings.stretchMode}
+            onChange={(e) => handleValueChange('stretchMode', e.target.value)}
+            disabled={disabled}
+            className="control-select"
+          >
+            {Object.entries(STRETCH_MODES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          {settings.stretchMode === 'percentile' && (
+            <div className="control-row">
+              <input
+                type="number"
+                min="0"
+                max="50"
+                step="0.5"
+                value={settings.stretchPercentLow}
+                onChange={(e) => !isNaN(parseFloat(e.target.value)) && handleSliderChange('stretchPercentLow', e.target.value)}
+                disabled={disabled}
+                className="control-input"
+                title="下位（%）"
+              />
+              <span>〜</span>
+              <input
+                type="number"
+                min="50"
+                max="100"
+                step="0.5"
+                value={settings.stretchPercentHigh}
+                onChange={(e) => !isNaN(parseFloat(e.target.value)) && handleSliderChange('stretchPercentHigh', e.target.value)}
+                disabled={disabled}
+                className="control-input"
+                title="上位（%）"
+              />
+              <span>%</span>
+            </div>
+          )}
+          {settings.stretchMode === 'manual' && (
+            <div className="control-row">
+              <input
+                type="number"
+                step="1"
+                value={settings.stretchMin}
+                placeholder="最低"
+                onChange={(e) => handleValueChange('stretchMin', e.target.value)}
+                disabled={disabled}
+                className="control-input"
+              />
+              <span>〜</span>
+              <input
+                type="number"
+                step="1"
+                value={settings.stretchMax}
+                placeholder="最高"
+                onChange={(e) => handleValueChange('stretchMax', e.target.value)}
+                disabled={disabled}
+                className="control-input"
+              />
+              <span>m</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="control-group">
+        <label className="control-label">
+          陰影起伏
+        </label>
+        <select
+          value={settings.hillshadeMode}
+          onChange={(e) => handleValueChange('hillshadeMode', e.target.value)}
+          disabled={disabled}
+          className="control-select"
+        >
+          {Object.entries(HILLSHADE_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {settings.hillshadeMode === 'single' && (
+        <div className="control-group">
+          <label className="control-label">
+            太陽の方位
+            <span className="control-value">{settings.sunAzimuth}°</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="360"
+            step="5"
+            value={settings.sunAzimuth}
+            onChange={(e) => handleSliderChange('sunAzimuth', e.target.value)}
+            disabled={disabled}
+            className="control-slider"
+          />
+        </div>
+      )}
+
+      {settings.hillshadeMode !== 'off' && (
+        <>
+          <div className="control-group">
+            <label className="control-label">
+              太陽の高度
+              <span className="control-value">{settings.sunAltitude}°</span>
+            </label>
+            <input
+              type="range"
+              min="5"
+              max="90"
+              step="1"
+              value={settings.sunAltitude}
+              onChange={(e) => handleSliderChange('sunAltitude', e.target.value)}
+              disabled={disabled}
+              className="control-slider"
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              陰影の強さ
+              <span className="control-value">{Math.round(settings.hillshadeStrength * 100)}%</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.hillshadeStrength}
+              onChange={(e) => handleSliderChange('hillshadeStrength', e.target.value)}
+              disabled={disabled}
+              className="control-slider"
+            />
+          </div>
+        </>
+      )}
+
+      <div className="control-group">
+        <label className="control-label">
+          等高線表示
+        </label>
+        <input
+          type="checkbox"
+          checked={settings.showContours}
+          onChange={(e) => handleCheckboxChange('showContours', e.target.checked)}
+          disabled={disabled}
+          className="control-checkbox"
+        />
+      </div>
+
+      {settings.showContours && (
+        <>
+          <div className="control-group">
+            <label className="control-label">
+              等高線の間隔
+              <span className="control-value">{settings.contourInterval}m</span>
+            </label>
+            <DraftInput
+              type="number"
+              min="0.1"
+              step="1"
+              value={settings.contourInterval}
+              validate={(value) => parseFloat(value) > 0}
+              onCommit={(value) => handleSliderChange('contourInterval', value)}
+              disabled={disabled}
+              className="control-input"
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              計曲線（本ごと）
+              <span className="control-value">{settings.contourInterval * settings.indexContourEvery}m</span>
+            </label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={settings.indexContourEvery}
+              onChange={(e) => parseInt(e.target.value, 10) >= 1 && handleValueChange('indexContourEvery', parseInt(e.target.value, 10))}
+              disabled={disabled}
+              className="control-input"
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              計曲線の標高ラベル
+            </label>
+            <input
+              type="checkbox"
+              checked={settings.showContourLabels}
+              onChange={(e) => handleCheckboxChange('showContourLabels', e.target.checked)}
+              disabled={disabled}
+              className="control-checkbox"
+            />
+          </div>
+        </>
+      )}
+
       <div className="control-actions">
         <button
           onClick={resetSettings}
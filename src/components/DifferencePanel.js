@@ -0,0 +1,66 @@
+import React from 'react';
+import { DIFFERENCE_DIRECTIONS } from '../utils/DEMDifference';
+import { formatArea } from '../utils/Measurement';
+import ReferenceDEMInput from './ReferenceDEMInput';
+import './DifferencePanel.css';
+
+const formatMeters = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2)} m`;
+
+/**
+ * DEMの差分（変化の検出）の設定と統計（地形情報のオーバーレイに表示）
+ * @param {Object} referenceDEM - 比較するDEMの状態（ReferenceDEMInputのstate）
+ * @param {Object} options - { enabled, direction（DIFFERENCE_DIRECTIONSのキー）, threshold（変化とみなす差分の入力値） }
+ * @param {Object|null} result - summarizeDifferenceの結果（warning: 座標系の注意）、計算できない場合は { error }
+ */
+const DifferencePanel = ({ referenceDEM, options, result, onOptionsChange, onReferenceDEMSelect, onReferenceDEMClear, onExport }) => (
+  <div className="difference-info">
+    <h4>DEMの差分</h4>
+    <ReferenceDEMInput state={referenceDEM} onSelect={onReferenceDEMSelect} onClear={onReferenceDEMClear} />
+    {referenceDEM.dem && (
+      <>
+        <label className="difference-checkbox">
+          <input
+            type="checkbox"
+            checked={options.enabled}
+            onChange={(e) => onOptionsChange({ enabled: e.target.checked })}
+          />
+          差分を地形に表示
+        </label>
+        <select value={options.direction} onChange={(e) => onOptionsChange({ direction: e.target.value })}>
+          {Object.entries(DIFFERENCE_DIRECTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <label className="difference-threshold">
+          変化とみなす差（m）
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={options.threshold}
+            onChange={(e) => onOptionsChange({ threshold: e.target.value })}
+          />
+        </label>
+      </>
+    )}
+
+    {result && result.error && <p className="crs-warning">⚠️ {result.error}</p>}
+    {result && !result.error && (
+      <>
+        {result.warning && <p className="crs-warning">⚠️ {result.warning}</p>}
+        <p>平均: {formatMeters(result.mean)}（標準偏差 {result.std.toFixed(2)} m）</p>
+        <p>RMSE: {result.rmse.toFixed(2)} m</p>
+        <p>範囲: {formatMeters(result.min)} 〜 {formatMeters(result.max)}</p>
+        <p>
+          ±{result.threshold} m を超える変化: {formatArea(result.changedArea)}
+          （{result.area > 0 ? (result.changedArea / result.area * 100).toFixed(1) : '0.0'}%）
+        </p>
+        <p>上昇: {formatArea(result.raisedArea)} / 低下: {formatArea(result.loweredArea)}</p>
+        <p>比較した範囲: {formatArea(result.area)}（{result.count.toLocaleString()}画素）</p>
+        <button className="overlay-button" onClick={onExport}>差分をGeoTIFFで保存</button>
+      </>
+    )}
+  </div>
+);
+
+export default DifferencePanel;
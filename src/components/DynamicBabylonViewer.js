@@ -1,17 +1,50 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { Engine, Scene, UniversalCamera, HemisphericLight, Vector3, Color3 } from '@babylonjs/core';
 import { DynamicTerrainManager } from '../utils/DynamicTerrainManager';
+import { COGLoader } from '../utils/COGLoader';
+import { createTileSource } from '../utils/tileSources/createTileSource';
+import { TerrainPicker } from '../utils/TerrainPicker';
+import { MeasurementTool } from '../utils/MeasurementTool';
+import { MEASUREMENT_MODES } from '../utils/Measurement';
+import { createPointInfo } from '../utils/CoordinateFormat';
+import { profileToCSV } from '../utils/ElevationProfile';
+import { downloadBlob } from '../utils/Download';
+import TileSourcePicker from './TileSourcePicker';
+import TerrainStatusBar from './TerrainStatusBar';
+import MeasurementPanel from './MeasurementPanel';
+import ElevationProfileChart from './ElevationProfileChart';
 import './BabylonViewer.css';
 
-const DynamicBabylonViewer = ({ settings, isLoading }) => {
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+
+// 土量は読み込んだ標高グリッドが必要なため、タイルの表示では選択できない
+const DYNAMIC_MEASUREMENT_MODES = Object.keys(MEASUREMENT_MODES).filter(mode => mode !== 'volume');
+
+const DynamicBabylonViewer = ({ settings, isLoading, tileSourceRequest, onLoadComplete, onLoadError }) => {
+  const tileSourceUrl = tileSourceRequest ? tileSourceRequest.url : null;
   const canvasRef = useRef(null);
   const engineRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const terrainManagerRef = useRef(null);
+  const cogLoaderRef = useRef(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [sourceSpec, setSourceSpec] = useState({ type: 'procedural' });
+  const [isOpeningSource, setIsOpeningSource] = useState(false);
+  const [sourceError, setSourceError] = useState(null);
   const [debugInfo, setDebugInfo] = useState(null);
   const [memoryUsage, setMemoryUsage] = useState(null);
+  // カーソル位置とクリックした地点（ステータスバーに表示）
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const [pickedPoint, setPickedPoint] = useState(null);
+  // 計測ツールの状態（MeasurementToolのonChangeの値）
+  const [measurement, setMeasurement] = useState(null);
+  const measurementToolRef = useRef(null);
+  // 読み込みの完了・エラーの通知（親の再描画でコールバックが変わっても、タイルソースを開き直さないようにrefで参照）
+  const onLoadCompleteRef = useRef(onLoadComplete);
+  const onLoadErrorRef = useRef(onLoadError);
+  onLoadCompleteRef.current = onLoadComplete;
+  onLoadErrorRef.current = onLoadError;
 
   useEffect(() => {
     if (!canvasRef.current) return;
@@ -49,7 +82,9 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
     // 背景色の設定
     scene.clearColor = new Color3(0.1, 0.1, 0.1);
     
-    // Dynamic Terrain Managerの初期化
+    // Dynamic Terrain Managerの初期化（タイルソースを選ぶまではテスト地形）
+    // COG・ローカルファイルのソースは、キャッシュを共有するため同じCOGローダーを使う
+    cogLoaderRef.current = new COGLoader();
     const terrainManager = new DynamicTerrainManager(scene, camera);
     terrainManagerRef.current = terrainManager;
     
@@ -59,6 +94,28 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
         terrainManagerRef.current.updateTerrain();
       }
     });
+
+    // カーソル位置の座標と標高（元の座標系のないテスト地形はローカル座標のみ）
+    const isTerrainMesh = (mesh) => mesh.name.startsWith('terrain_') && mesh.isEnabled();
+    const resolvePoint = (pickInfo) => {
+      const manager = terrainManagerRef.current;
+      const { pickedMesh, pickedPoint: point } = pickInfo;
+      return createPointInfo(manager.source.getFrame(), point.x, point.z, manager.getElevationAt(pickedMesh, point));
+    };
+    const measurementTool = new MeasurementTool(scene, {
+      camera,
+      terrainPredicate: isTerrainMesh,
+      resolvePoint,
+      onChange: setMeasurement
+    });
+    measurementToolRef.current = measurementTool;
+    // 計測中のクリックは計測の頂点に、それ以外は座標のコピーに使う
+    const picker = new TerrainPicker(scene, {
+      predicate: isTerrainMesh,
+      resolvePoint,
+      onMove: setHoverPoint,
+      onPick: (point) => (measurementTool.isActive() ? measurementTool.addPoint(point) : setPickedPoint(point))
+    });
     
     // レンダーループ
     engine.runRenderLoop(() => {
@@ -100,6 +157,8 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
       window.removeEventListener('resize', handleResize);
       clearInterval(memoryInterval);
       clearInterval(debugInterval);
+      picker.dispose();
+      measurementTool.dispose();
       
       if (terrainManagerRef.current) {
         terrainManagerRef.current.dispose();
@@ -113,22 +172,114 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
   useEffect(() => {
     if (terrainManagerRef.current) {
       terrainManagerRef.current.updateSettings(settings);
+      measurementToolRef.current.setHeightScale(settings.heightScale);
     }
   }, [settings]);
 
-  // 初期地形の読み込み
+  // サイドバーでCOGのURLが指定された場合はCOGのタイルソースに切り替え
   useEffect(() => {
-    if (isInitialized && terrainManagerRef.current) {
-      // 初期位置周辺の地形を読み込み
-      terrainManagerRef.current.updateTerrain();
+    if (tileSourceRequest) {
+      setSourceSpec({ type: 'cog', url: tileSourceRequest.url });
+    }
+  }, [tileSourceRequest]);
+
+  // タイルソースを開いて切り替え（開けない場合はタイルを読み込む前にエラーを通知）
+  useEffect(() => {
+    if (!isInitialized || !terrainManagerRef.current || sourceSpec.pending) return;
+    const terrainManager = terrainManagerRef.current;
+    const isUrlSource = sourceSpec.type === 'cog';
+
+    let cancelled = false;
+    setIsOpeningSource(true);
+    setSourceError(null);
+
+    const source = createTileSource(sourceSpec, cogLoaderRef.current);
+    source.open()
+      .then(() => {
+        if (cancelled) return;
+        terrainManager.setSource(source);
+        setHoverPoint(null);
+        setMeasurementTerrain(terrainManager);
+        fitCameraToSource(sourceSpec.type === 'procedural');
+        terrainManager.updateTerrain(true);
+        setIsOpeningSource(false);
+        if (isUrlSource && onLoadCompleteRef.current) {
+          onLoadCompleteRef.current(source);
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('タイルソースを開けません:', error);
+        setIsOpeningSource(false);
+        if (isUrlSource && onLoadErrorRef.current) {
+          onLoadErrorRef.current(error);
+        } else {
+          setSourceError(error.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isInitialized, sourceSpec]);
+
+  // 計測ツールに地形を設定（標高と標本化の間隔は、その時点で読み込まれているタイルから求める）
+  const setMeasurementTerrain = (terrainManager) => {
+    const tool = measurementToolRef.current;
+    tool.reset();
+    tool.setTerrain({
+      sampleElevation: (x, z) => terrainManager.sampleElevation(x, z),
+      get resolution() {
+        return terrainManager.getSampleSpacing();
+      },
+      // タイルのメッシュは標高0が高さ0
+      baseElevation: 0,
+      size: terrainManager.quadtree.size
+    });
+  };
+
+  const handleMeasurementMode = (mode) => measurementToolRef.current.setMode(mode);
+  const handleMeasurementToggle = () => measurementToolRef.current.setActive(!measurementToolRef.current.isActive());
+  const handleMeasurementUndo = () => measurementToolRef.current.undo();
+  const handleMeasurementClear = () => measurementToolRef.current.clear();
+  const handleProfileHover = (sample) => measurementToolRef.current.setHighlight(sample);
+
+  // 断面をCSVファイルとして保存（座標は元の座標系、テスト地形はローカル座標）
+  const exportProfile = () => {
+    const csv = profileToCSV(measurement.result.path, terrainManagerRef.current.source.getFrame());
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), 'elevation-profile.csv');
+  };
+
+  // データ全体を見渡せる位置にカメラを移動（テスト地形は初期位置に戻す）
+  const fitCameraToSource = (isDemo) => {
+    const camera = cameraRef.current;
+    if (isDemo) {
+      camera.position = new Vector3(200, 200, 200);
+      camera.setTarget(Vector3.Zero());
+      camera.maxZ = 100000;
+      camera.speed = 2.0;
+      return;
     }
-  }, [isInitialized]);
+
+    const size = terrainManagerRef.current.quadtree.size;
+    camera.position = new Vector3(0, size * 0.6, size * 0.6);
+    camera.setTarget(Vector3.Zero());
+    camera.maxZ = Math.max(100000, size * 4);
+    camera.speed = Math.max(2.0, size / 2000);
+  };
+
+  const handleClearCache = () => {
+    if (!terrainManagerRef.current) return;
+    terrainManagerRef.current.clearTileCache()
+      .then(() => setDebugInfo(terrainManagerRef.current.getDebugInfo()))
+      .catch((error) => console.error('キャッシュの削除に失敗しました', error));
+  };
 
   return (
     <div className="dynamic-babylon-viewer">
       <canvas ref={canvasRef} className="babylon-canvas" />
       
-      {isLoading && (
+      {(isLoading || isOpeningSource) && (
         <div className="loading-overlay">
           <div className="loading-spinner"></div>
           <p>Dynamic Terrainを読み込み中...</p>
@@ -139,12 +290,54 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
       {debugInfo && (
         <div className="debug-overlay">
           <h4>Dynamic Terrain デバッグ情報</h4>
+          <p>タイルソース: {debugInfo.sourceName}</p>
           <p>読み込み済みタイル: {debugInfo.loadedTiles}</p>
           <p>読み込み中タイル: {debugInfo.loadingTiles}</p>
-          <p>タイルキー: {debugInfo.tileKeys.join(', ')}</p>
+          <p>読み込み待ちタイル: {debugInfo.queuedTiles}</p>
+          <p>表示中タイル: {debugInfo.visibleTiles}</p>
+          <p>詳細レベル: {debugInfo.maxVisibleLevel !== null ? debugInfo.maxVisibleLevel : '-'} / {debugInfo.maxLevel}</p>
+          {debugInfo.cache && (
+            <>
+              <p>キャッシュヒット率: {(debugInfo.cache.hitRate * 100).toFixed(1)}% ({debugInfo.cache.hits}/{debugInfo.cache.requests})</p>
+              <p>メモリ: {formatBytes(debugInfo.cache.memory.bytes)} / {formatBytes(debugInfo.cache.memory.maxBytes)}</p>
+              <p>
+                IndexedDB: {debugInfo.cache.persistent.available
+                  ? `${formatBytes(debugInfo.cache.persistent.bytes)}（${debugInfo.cache.persistent.entries}件）`
+                  : '利用不可'}
+              </p>
+              <button className="debug-button" onClick={handleClearCache}>
+                このソースのキャッシュを削除
+              </button>
+            </>
+          )}
         </div>
       )}
       
+      {/* タイルソースの選択 */}
+      <TileSourcePicker
+        sourceSpec={sourceSpec}
+        tileSourceUrl={tileSourceUrl}
+        onChange={setSourceSpec}
+        disabled={isLoading || isOpeningSource}
+        error={sourceError}
+      />
+
+      <TerrainStatusBar point={hoverPoint} pickedPoint={pickedPoint} />
+      {measurement && (
+        <MeasurementPanel
+          state={measurement}
+          className="measurement-panel-top-center"
+          modes={DYNAMIC_MEASUREMENT_MODES}
+          onModeChange={handleMeasurementMode}
+          onToggle={handleMeasurementToggle}
+          onUndo={handleMeasurementUndo}
+          onClear={handleMeasurementClear}
+        />
+      )}
+      {measurement && measurement.result && measurement.result.mode === 'profile' && (
+        <ElevationProfileChart profile={measurement.result} onHover={handleProfileHover} onExport={exportProfile} />
+      )}
+
       {/* メモリ使用量の表示 */}
       {memoryUsage && (
         <div className="memory-overlay">
@@ -162,8 +355,9 @@ const DynamicBabylonViewer = ({ settings, isLoading }) => {
           <li>マウス右ドラッグ: パン</li>
           <li>マウスホイール: ズーム</li>
           <li>WASD: 移動</li>
+          <li>クリック: カーソル位置の座標をコピー</li>
         </ul>
-        <p>カメラを移動すると、周辺の地形が動的に読み込まれます。</p>
+        <p>カメラに近い地形ほど詳細なタイルが動的に読み込まれます。</p>
       </div>
     </div>
   );
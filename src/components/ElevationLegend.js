@@ -0,0 +1,51 @@
+import React, { useMemo } from 'react';
+import { niceTicks } from '../utils/NiceScale';
+import './ElevationLegend.css';
+
+const GRADIENT_SAMPLES = 32;
+const TARGET_TICKS = 5;
+
+const toCSSColor = ([r, g, b]) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+/**
+ * 色分けの凡例（キャンバスに重ねて表示）
+ * @param {Object} scale - createColorScaleの戻り値（min・maxはメートル）
+ */
+const ElevationLegend = ({ scale, title = '標高' }) => {
+  const { gradient, ticks } = useMemo(() => {
+    const { min, max } = scale;
+    const span = max - min;
+
+    // 下端（min）から上端（max）へのグラデーション
+    const colors = Array.from({ length: GRADIENT_SAMPLES + 1 }, (_, i) => {
+      const t = i / GRADIENT_SAMPLES;
+      return `${toCSSColor(scale.colorAt(min + t * span))} ${(t * 100).toFixed(1)}%`;
+    });
+
+    return {
+      gradient: `linear-gradient(to top, ${colors.join(', ')})`,
+      ticks: niceTicks(min, max, TARGET_TICKS).map(({ value, label }) => ({
+        label,
+        position: (value - min) / span * 100
+      }))
+    };
+  }, [scale]);
+
+  return (
+    <div className="elevation-legend">
+      <div className="elevation-legend-title">{title}（m）</div>
+      <div className="elevation-legend-body">
+        <div className="elevation-legend-bar" style={{ background: gradient }} />
+        <div className="elevation-legend-ticks">
+          {ticks.map(tick => (
+            <span key={tick.label} className="elevation-legend-tick" style={{ bottom: `${tick.position}%` }}>
+              {tick.label}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ElevationLegend;
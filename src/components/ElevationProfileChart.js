@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import { findProfileSample } from '../utils/ElevationProfile';
+import { formatLength } from '../utils/Measurement';
+import { niceTicks } from '../utils/NiceScale';
+import './ElevationProfileChart.css';
+
+// グラフの大きさ（viewBoxの単位）と余白
+const WIDTH = 600;
+const HEIGHT = 180;
+const MARGIN = { top: 10, right: 12, bottom: 24, left: 52 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// 断面の折れ線（NoDataの標本で途切れる）と軸の目盛り
+const buildChart = ({ path, length, min, max }) => {
+  // 標高の範囲は上下に余白を取る（平坦な場合は±1m）
+  const padding = max > min ? (max - min) * 0.05 : 1;
+  const yMin = min - padding;
+  const yMax = max + padding;
+  const toX = (distance) => MARGIN.left + (length > 0 ? distance / length : 0) * PLOT_WIDTH;
+  const toY = (elevation) => MARGIN.top + (1 - (elevation - yMin) / (yMax - yMin)) * PLOT_HEIGHT;
+
+  const lines = [];
+  let current = [];
+  for (const { distance, elevation } of path) {
+    if (elevation === null) {
+      if (current.length > 1) lines.push(current.join(' '));
+      current = [];
+      continue;
+    }
+    current.push(`${toX(distance).toFixed(1)},${toY(elevation).toFixed(1)}`);
+  }
+  if (current.length > 1) lines.push(current.join(' '));
+
+  // 2km以上はkmの目盛り
+  const inKilometers = length >= 2000;
+  const xTicks = length > 0
+    ? niceTicks(0, inKilometers ? length / 1000 : length, 6).map(({ value, label }) => ({
+      position: toX(inKilometers ? value * 1000 : value),
+      label
+    }))
+    : [];
+  const yTicks = niceTicks(yMin, yMax, 4).map(({ value, label }) => ({ position: toY(value), label }));
+
+  return { lines, xTicks, yTicks, xUnit: inKilometers ? 'km' : 'm', toX, toY };
+};
+
+/**
+ * 断面図（横軸: 始点からの水平距離、縦軸: 標高）と統計
+ * グラフにカーソルを合わせた標本をonHoverで通知し、3Dビューの地点と連動させる
+ * @param {Object} profile - 計測ツールの断面の結果（path, length, min, max, gain, loss, start, end, validCount）
+ */
+const ElevationProfileChart = ({ profile, onHover, onExport }) => {
+  const [hover, setHover] = useState(null);
+  const chart = useMemo(() => (profile.validCount > 0 ? buildChart(profile) : null), [profile]);
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * WIDTH;
+    const ratio = Math.min(1, Math.max(0, (x - MARGIN.left) / PLOT_WIDTH));
+    const sample = findProfileSample(profile.path, ratio * profile.length);
+    setHover(sample);
+    onHover(sample);
+  };
+
+  const handleMouseLeave = () => {
+    setHover(null);
+    onHover(null);
+  };
+
+  return (
+    <div className="elevation-profile">
+      <div className="elevation-profile-header">
+        <h4>断面図</h4>
+        <button className="overlay-button" onClick={onExport}>CSVで保存</button>
+      </div>
+
+      {chart ? (
+        <svg
+          className="elevation-profile-chart"
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={handleMouseLeave}
+        >
+          {chart.yTicks.map(tick => (
+            <g key={`y-${tick.label}`}>
+              <line className="grid-line" x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={tick.position} y2={tick.position} />
+              <text className="tick-label" x={MARGIN.left - 4} y={tick.position} textAnchor="end" dominantBaseline="middle">{tick.label}</text>
+            </g>
+          ))}
+          {chart.xTicks.map(tick => (
+            <text key={`x-${tick.label}`} className="tick-label" x={tick.position} y={HEIGHT - 8} textAnchor="middle">{tick.label}</text>
+          ))}
+          <text className="axis-label" x={WIDTH - MARGIN.right} y={HEIGHT - 8} textAnchor="end">{chart.xUnit}</text>
+          <text className="axis-label" x={4} y={MARGIN.top + 4}>m</text>
+
+          {chart.lines.map((points, i) => (
+            <polyline key={i} className="profile-line" points={points} />
+          ))}
+
+          {hover && (
+            <g>
+              <line
+                className="hover-line"
+                x1={chart.toX(hover.distance)}
+                x2={chart.toX(hover.distance)}
+                y1={MARGIN.top}
+                y2={HEIGHT - MARGIN.bottom}
+              />
+              {hover.elevation !== null && (
+                <circle className="hover-point" cx={chart.toX(hover.distance)} cy={chart.toY(hover.elevation)} r={3.5} />
+              )}
+            </g>
+          )}
+        </svg>
+      ) : (
+        <p className="elevation-profile-empty">断面に標高のある地点がありません（NoData）</p>
+      )}
+
+      <div className="elevation-profile-stats">
+        {hover ? (
+          <span>
+            距離 {formatLength(hover.distance)} / 標高 {hover.elevation !== null ? `${hover.elevation.toFixed(2)} m` : 'NoData'}
+          </span>
+        ) : (
+          <span>距離 {formatLength(profile.length)}</span>
+        )}
+        {profile.validCount > 0 && (
+          <>
+            <span>最低 {profile.min.toFixed(2)} m</span>
+            <span>最高 {profile.max.toFixed(2)} m</span>
+            <span>上り累積 {profile.gain.toFixed(2)} m</span>
+            <span>下り累積 {profile.loss.toFixed(2)} m</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ElevationProfileChart;
@@ -1,46 +1,55 @@
 import React, { useRef } from 'react';
+import UrlInput from './UrlInput';
 import './FileUploader.css';
 
-const FileUploader = ({ onFileLoad, isLoading, error, progress }) => {
+// showFileInputがfalseの場合（動的表示）はURL入力のみを表示
+const FileUploader = ({ onFileLoad, onUrlLoad, onCancel, isLoading, error, progress, showFileInput = true }) => {
   const fileInputRef = useRef(null);
 
+  // 複数選択・複数ドロップに対応（範囲を分割したGeoTIFFを並べて表示）
   const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      // ファイル形式の検証
-      if (!file.name.toLowerCase().endsWith('.tif') && 
-          !file.name.toLowerCase().endsWith('.tiff')) {
-        alert('GeoTIFFファイル（.tif または .tiff）を選択してください。');
-        return;
-      }
+    const files = Array.from(event.target.files);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    if (files.length === 0) return;
 
-      // ファイルサイズの検証（1GB制限に拡張）
-      const maxSize = 1024 * 1024 * 1024; // 1GB
-      if (file.size > maxSize) {
-        alert('ファイルサイズが大きすぎます。1GB以下のファイルを選択してください。');
-        return;
-      }
+    // ファイル形式の検証
+    const invalid = files.find(file =>
+      !file.name.toLowerCase().endsWith('.tif') &&
+      !file.name.toLowerCase().endsWith('.tiff')
+    );
+    if (invalid) {
+      alert(`GeoTIFFファイル（.tif または .tiff）を選択してください。\n${invalid.name}`);
+      return;
+    }
 
-      // 大規模ファイルの警告
-      const fileSizeMB = file.size / (1024 * 1024);
-      if (fileSizeMB > 500) {
-        const confirmed = window.confirm(
-          `大規模ファイル（${fileSizeMB.toFixed(1)}MB）が検出されました。\n` +
-          'パフォーマンスを向上させるため、解像度を自動的に調整します。\n' +
-          '続行しますか？'
-        );
-        if (!confirmed) return;
-      }
+    // ファイルサイズの検証（合計1GBまで）
+    const maxSize = 1024 * 1024 * 1024; // 1GB
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    if (totalSize > maxSize) {
+      alert('ファイルサイズが大きすぎます。合計1GB以下になるように選択してください。');
+      return;
+    }
 
-      onFileLoad(file);
+    // 大規模ファイルの警告
+    const fileSizeMB = totalSize / (1024 * 1024);
+    if (fileSizeMB > 500) {
+      const confirmed = window.confirm(
+        `大規模ファイル（${fileSizeMB.toFixed(1)}MB）が検出されました。\n` +
+        'パフォーマンスを向上させるため、解像度を自動的に調整します。\n' +
+        '続行しますか？'
+      );
+      if (!confirmed) return;
     }
+
+    onFileLoad(files);
   };
 
   const handleDrop = (event) => {
     event.preventDefault();
-    const file = event.dataTransfer.files[0];
-    if (file) {
-      handleFileSelect({ target: { files: [file] } });
+    if (event.dataTransfer.files.length > 0) {
+      handleFileSelect({ target: { files: event.dataTransfer.files } });
     }
   };
 
@@ -54,62 +63,88 @@ const FileUploader = ({ onFileLoad, isLoading, error, progress }) => {
 
   return (
     <div className="file-uploader">
-      <h3>ファイルアップロード</h3>
+      <h3>{showFileInput ? 'ファイルアップロード' : 'タイルソース'}</h3>
       
-      <div 
-        className="drop-zone"
-        onDrop={handleDrop}
-        onDragOver={handleDragOver}
-        onClick={openFileDialog}
-      >
-        {isLoading ? (
-          <div className="upload-loading">
-            <div className="loading-spinner"></div>
-            <p>読み込み中...</p>
-            {progress !== undefined && (
-              <div className="progress-container">
-                <div className="progress-bar">
-                  <div 
-                    className="progress-fill" 
-                    style={{ width: `${progress}%` }}
-                  ></div>
+      {showFileInput && (
+        <div 
+          className="drop-zone"
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onClick={openFileDialog}
+        >
+          {isLoading ? (
+            <div className="upload-loading">
+              <div className="loading-spinner"></div>
+              <p>{progress ? `${progress.label}中...` : '読み込み中...'}</p>
+              {progress && (
+                <div className="progress-container">
+                  <div className="progress-bar">
+                    <div 
+                      className="progress-fill" 
+                      style={{ width: `${progress.percent}%` }}
+                    ></div>
+                  </div>
+                  <p className="progress-text">
+                    {progress.percent.toFixed(1)}%（{progress.label}: {progress.stagePercent.toFixed(0)}%）
+                  </p>
                 </div>
-                <p className="progress-text">{progress.toFixed(1)}%</p>
-              </div>
-            )}
-          </div>
-        ) : (
-          <div className="upload-content">
-            <div className="upload-icon">📁</div>
-            <p>GeoTIFFファイルをドラッグ&ドロップ</p>
-            <p>または</p>
-            <button 
-              type="button" 
-              className="select-file-btn"
-              disabled={isLoading}
-            >
-              ファイルを選択
-            </button>
-            <p className="file-info">
-              対応形式: .tif, .tiff<br/>
-              最大サイズ: 1GB<br/>
-              <span className="large-file-note">
-                ※500MB以上のファイルは自動的に最適化されます
-              </span>
-            </p>
-          </div>
-        )}
-      </div>
+              )}
+              {onCancel && (
+                <button
+                  type="button"
+                  className="cancel-btn"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    onCancel();
+                  }}
+                >
+                  キャンセル
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="upload-content">
+              <div className="upload-icon">📁</div>
+              <p>GeoTIFFファイルをドラッグ&ドロップ（複数可）</p>
+              <p>または</p>
+              <button 
+                type="button" 
+                className="select-file-btn"
+                disabled={isLoading}
+              >
+                ファイルを選択
+              </button>
+              <p className="file-info">
+                対応形式: .tif, .tiff<br/>
+                最大サイズ: 合計1GB<br/>
+                複数のファイルは同じ座標系で並べて表示します<br/>
+                <span className="large-file-note">
+                  ※500MB以上のファイルは自動的に最適化されます
+                </span>
+              </p>
+            </div>
+          )}
+        </div>
+      )}
 
       <input
         ref={fileInputRef}
         type="file"
         accept=".tif,.tiff"
+        multiple
         onChange={handleFileSelect}
         style={{ display: 'none' }}
         disabled={isLoading}
       />
 
+      {onUrlLoad && (
+        <UrlInput
+          onUrlLoad={onUrlLoad}
+          disabled={isLoading}
+          placeholder={showFileInput ? 'GeoTIFF / COG のURL' : 'COG のURL（Rangeリクエスト対応）'}
+        />
+      )}
+
       {error && (
         <div className="error-message">
           <strong>エラー:</strong> {error}
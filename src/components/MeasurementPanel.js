@@ -0,0 +1,109 @@
+import React from 'react';
+import { MEASUREMENT_MODES, MIN_MEASUREMENT_POINTS, formatLength, formatArea } from '../utils/Measurement';
+import './MeasurementPanel.css';
+
+const formatSigned = (meters) => `${meters >= 0 ? '+' : '−'}${formatLength(Math.abs(meters))}`;
+
+// 計測モードごとの結果の行
+const ResultRows = ({ result }) => {
+  switch (result.mode) {
+    case 'distance':
+      return (
+        <>
+          <p className="measurement-value">{formatLength(result.length)}</p>
+          <p>水平距離: {formatLength(result.horizontal)}</p>
+        </>
+      );
+    case 'horizontal':
+      return <p className="measurement-value">{formatLength(result.length)}</p>;
+    case 'height':
+      return (
+        <>
+          <p className="measurement-value">{formatSigned(result.difference)}</p>
+          <p>累積標高: 上り {formatLength(result.gain)} / 下り {formatLength(result.loss)}</p>
+          <p>水平距離: {formatLength(result.horizontal)}</p>
+        </>
+      );
+    case 'surface':
+      return (
+        <>
+          <p className="measurement-value">{formatLength(result.length)}</p>
+          <p>水平距離: {formatLength(result.horizontal)}</p>
+          {result.gapLength > 0 && (
+            <p className="measurement-warning">⚠️ NoDataの区間 {formatLength(result.gapLength)} は水平距離で計算</p>
+          )}
+        </>
+      );
+    case 'profile':
+      return (
+        <>
+          <p className="measurement-value">{formatLength(result.length)}</p>
+          <p>断面図をグラフに表示しています</p>
+        </>
+      );
+    case 'area':
+      return (
+        <>
+          <p className="measurement-value">{formatArea(result.planimetric)}</p>
+          <p>表面積: {formatArea(result.surface)}</p>
+          <p>周長: {formatLength(result.perimeter)}</p>
+        </>
+      );
+    case 'volume':
+      return (
+        <>
+          <p>範囲: {formatArea(result.planimetric)}</p>
+          <p>周長: {formatLength(result.perimeter)}</p>
+        </>
+      );
+    default:
+      return null;
+  }
+};
+
+/**
+ * 計測ツールの操作と結果（キャンバスに重ねて表示）
+ * 結果は標高スケールに関係なく実際のメートル単位
+ * @param {Object} state - MeasurementToolのonChangeの値 { mode, active, pointCount, canUndo, result }
+ * @param {string} className - 表示位置を変える場合のクラス
+ * @param {Array<string>} modes - 選択できる計測モード（省略時は全て）
+ * @param {ReactNode} children - 結果の下に表示する内容（土量の基準面など）
+ */
+const MeasurementPanel = ({ state, className, modes, onModeChange, onToggle, onUndo, onClear, children }) => {
+  const { mode, active, pointCount, canUndo, result } = state;
+  const remaining = MIN_MEASUREMENT_POINTS[mode] - pointCount;
+
+  return (
+    <div className={className ? `measurement-panel ${className}` : 'measurement-panel'}>
+      <h4>計測</h4>
+      <select value={mode} onChange={(e) => onModeChange(e.target.value)}>
+        {Object.entries(MEASUREMENT_MODES).filter(([key]) => !modes || modes.includes(key)).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <div className="measurement-buttons">
+        <button className={active ? 'active' : ''} onClick={onToggle}>
+          {active ? '計測を終了' : '計測を開始'}
+        </button>
+        <button onClick={onUndo} disabled={!canUndo}>元に戻す</button>
+        <button onClick={onClear} disabled={pointCount === 0}>クリア</button>
+      </div>
+      {active && (
+        <p className="measurement-hint">
+          地形をクリックして頂点を追加、頂点はドラッグで移動できます
+        </p>
+      )}
+      {result ? (
+        <div className="measurement-result">
+          <ResultRows result={result} />
+          <p>頂点: {pointCount}</p>
+        </div>
+      ) : (
+        pointCount > 0 && <p className="measurement-hint">あと{remaining}点を指定してください</p>
+      )}
+      {children}
+    </div>
+  );
+};
+
+export default MeasurementPanel;
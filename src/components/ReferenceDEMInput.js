@@ -0,0 +1,40 @@
+import React from 'react';
+import './ReferenceDEMInput.css';
+
+/**
+ * 比較・基準に使う2つ目のDEM（GeoTIFF）の選択
+ * @param {Object} state - { dem（読み込んだDEM { name, width, height, crs }）, loading, error }
+ * @param {Function} onSelect - (File) ファイルを選択した時
+ * @param {Function} onClear - 読み込んだDEMを解除する時
+ */
+const ReferenceDEMInput = ({ state, onSelect, onClear }) => {
+  const { dem, loading, error } = state;
+
+  const handleFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) {
+      onSelect(file);
+    }
+  };
+
+  return (
+    <div className="reference-dem">
+      {dem ? (
+        <div className="reference-dem-info">
+          <span className="reference-dem-name" title={dem.name}>{dem.name}</span>
+          <span>{dem.width}×{dem.height}{dem.crs && dem.crs.code ? `, ${dem.crs.code}` : ''}</span>
+          <button onClick={onClear}>解除</button>
+        </div>
+      ) : (
+        <label className="reference-dem-file">
+          {loading ? '読み込み中...' : 'GeoTIFFファイルを選択'}
+          <input type="file" accept=".tif,.tiff" onChange={handleFile} disabled={loading} />
+        </label>
+      )}
+      {error && <p className="reference-dem-error">{error}</p>}
+    </div>
+  );
+};
+
+export default ReferenceDEMInput;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { classifySlope } from '../utils/TerrainAnalysis';
+import './TerrainClassLegend.css';
+
+const toCSSColor = ([r, g, b]) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * 傾斜ヒストグラム（階級の色は分類の色）
+ */
+const SlopeHistogram = ({ histogram, unit, classes }) => {
+  const { counts, binWidth, range } = histogram;
+  const maxCount = Math.max(1, ...counts);
+  const unitLabel = unit === 'percent' ? '%' : '°';
+
+  return (
+    <div className="slope-histogram">
+      <div className="slope-histogram-bars">
+        {counts.map((count, i) => {
+          const lower = i * binWidth;
+          const isLast = i === counts.length - 1;
+          const label = isLast && lower + binWidth >= range
+            ? `${lower}${unitLabel}以上`
+            : `${lower}〜${lower + binWidth}${unitLabel}`;
+          return (
+            <div
+              key={lower}
+              className="slope-histogram-bar"
+              title={`${label}: ${count}画素`}
+              style={{
+                height: `${count / maxCount * 100}%`,
+                backgroundColor: toCSSColor(classes[classifySlope(lower + binWidth / 2, unit)].color)
+              }}
+            />
+          );
+        })}
+      </div>
+      <div className="slope-histogram-axis">
+        <span>0</span>
+        <span>{range / 2}</span>
+        <span>{range}{unitLabel}+</span>
+      </div>
+      <p className="slope-histogram-stats">
+        平均 {histogram.mean.toFixed(1)}{unitLabel} / 最大 {histogram.max.toFixed(1)}{unitLabel}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * 傾斜・斜面方位の分類の凡例（分類ごとの面積の割合）と傾斜のヒストグラム
+ * @param {Object} summary - summarizeTerrainClassesの戻り値
+ */
+const TerrainClassLegend = ({ summary }) => (
+  <div className="terrain-class-legend">
+    <div className="terrain-class-legend-title">
+      {summary.title}{summary.unit ? `（${summary.unit === 'percent' ? '%' : '度'}）` : ''}
+    </div>
+    <ul className="terrain-class-list">
+      {summary.classes.map(terrainClass => (
+        <li key={terrainClass.label}>
+          <span className="terrain-class-swatch" style={{ backgroundColor: toCSSColor(terrainClass.color) }} />
+          <span className="terrain-class-label">{terrainClass.label}</span>
+          <span className="terrain-class-fraction">{formatPercent(terrainClass.fraction)}</span>
+        </li>
+      ))}
+    </ul>
+    {summary.histogram && (
+      <SlopeHistogram histogram={summary.histogram} unit={summary.unit} classes={summary.classes} />
+    )}
+  </div>
+);
+
+export default TerrainClassLegend;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { COORDINATE_FORMATS, formatPoint, formatDecimalDegrees, formatSourceCoordinates } from '../utils/CoordinateFormat';
+import './TerrainStatusBar.css';
+
+// コピーした旨の表示を消すまでの時間（ミリ秒）
+const COPIED_MESSAGE_DURATION = 2000;
+
+/**
+ * カーソル位置の座標と標高のステータスバー（キャンバスに重ねて表示）
+ * 地形をクリックすると、選択した書式の座標をクリップボードにコピーする
+ * @param {Object|null} point - カーソル位置の地点（createPointInfo）
+ * @param {Object|null} pickedPoint - クリックした地点（クリックのたびに新しいオブジェクト）
+ */
+const TerrainStatusBar = ({ point, pickedPoint }) => {
+  const [format, setFormat] = useState('decimal');
+  const [message, setMessage] = useState(null);
+  const formatRef = useRef(format);
+  const messageTimerRef = useRef(null);
+
+  formatRef.current = format;
+
+  useEffect(() => () => clearTimeout(messageTimerRef.current), []);
+
+  useEffect(() => {
+    if (!pickedPoint) return;
+
+    const showMessage = (text, isError = false) => {
+      clearTimeout(messageTimerRef.current);
+      setMessage({ text, isError });
+      messageTimerRef.current = setTimeout(() => setMessage(null), COPIED_MESSAGE_DURATION);
+    };
+
+    const text = formatPoint(pickedPoint, formatRef.current);
+    if (!navigator.clipboard) {
+      showMessage('クリップボードを利用できません（HTTPSで開いてください）', true);
+      return;
+    }
+    navigator.clipboard.writeText(text)
+      .then(() => showMessage(`コピーしました: ${text}`))
+      .catch((error) => {
+        console.error('クリップボードへのコピーに失敗しました:', error);
+        showMessage('クリップボードにコピーできませんでした', true);
+      });
+  }, [pickedPoint]);
+
+  return (
+    <div className="terrain-status-bar">
+      {point ? (
+        <>
+          {point.source ? (
+            <span className="terrain-status-item">
+              {point.crs && point.crs.code ? `${point.crs.code}: ` : ''}{formatSourceCoordinates(point.source, point.crs)}
+            </span>
+          ) : (
+            <span className="terrain-status-item">ローカル: {formatSourceCoordinates({ x: point.local.x, y: point.local.z })} m</span>
+          )}
+          {point.lonLat && (
+            <span className="terrain-status-item">緯度経度: {formatDecimalDegrees(point.lonLat)}</span>
+          )}
+          <span className="terrain-status-item">
+            標高: {point.elevation !== null && point.elevation !== undefined ? `${point.elevation.toFixed(2)} m` : '-'}
+          </span>
+        </>
+      ) : (
+        <span className="terrain-status-hint">地形にカーソルを合わせると座標を表示します</span>
+      )}
+      <label className="terrain-status-format">
+        クリックでコピー:
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(COORDINATE_FORMATS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {message && (
+        <span className={message.isError ? 'terrain-status-message error' : 'terrain-status-message'}>
+          {message.text}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default TerrainStatusBar;
@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { TILE_SOURCE_TYPES } from '../utils/tileSources/createTileSource';
+import { TERRAIN_ENCODINGS } from '../utils/TerrainRGB';
+import './TileSourcePicker.css';
+
+const XYZ_SETTINGS_KEY = 'geotiff-viewer.xyzSource';
+
+// 標高PNGタイルの初期設定（範囲は富士山周辺）
+const DEFAULT_XYZ_SETTINGS = {
+  template: '',
+  encoding: 'terrain-rgb',
+  minZoom: 0,
+  maxZoom: 14,
+  west: 138.6,
+  south: 35.25,
+  east: 138.85,
+  north: 35.45
+};
+
+// 前回の設定をlocalStorageから取得（利用できない環境では初期設定）
+const loadSettings = (key, defaults) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    return { ...defaults, ...stored };
+  } catch (e) {
+    return defaults;
+  }
+};
+
+const saveSettings = (key, settings) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('タイルソースの設定を保存できません:', e);
+  }
+};
+
+/**
+ * 標高PNGタイルのURLテンプレート・符号化形式・ズームレベル・表示範囲の入力
+ */
+const XYZSourceForm = ({ onOpen, disabled }) => {
+  const [settings, setSettings] = useState(() => loadSettings(XYZ_SETTINGS_KEY, DEFAULT_XYZ_SETTINGS));
+
+  const update = (key) => (event) => {
+    const { value } = event.target;
+    setSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    saveSettings(XYZ_SETTINGS_KEY, settings);
+    const { template, encoding, minZoom, maxZoom, west, south, east, north } = settings;
+    // 入力途中の数値はそのまま保持し、開くときに数値に変換（不正な値はタイルソースがエラーにする）
+    onOpen({
+      type: 'xyz',
+      template: template.trim(),
+      encoding,
+      minZoom: parseInt(minZoom, 10),
+      maxZoom: parseInt(maxZoom, 10),
+      bounds: {
+        west: parseFloat(west),
+        south: parseFloat(south),
+        east: parseFloat(east),
+        north: parseFloat(north)
+      }
+    });
+  };
+
+  const numberField = (key, label, step) => (
+    <label className="tile-source-field">
+      <span>{label}</span>
+      <input type="number" step={step} value={settings[key]} onChange={update(key)} disabled={disabled} />
+    </label>
+  );
+
+  return (
+    <form className="xyz-source-form" onSubmit={handleSubmit}>
+      <input
+        className="tile-source-text"
+        type="text"
+        value={settings.template}
+        onChange={update('template')}
+        placeholder="https://example.com/terrain/{z}/{x}/{y}.png"
+        disabled={disabled}
+      />
+      <select className="tile-source-select" value={settings.encoding} onChange={update('encoding')} disabled={disabled}>
+        {Object.entries(TERRAIN_ENCODINGS).map(([value, { label }]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <div className="tile-source-grid">
+        {numberField('minZoom', '最小ズーム', 1)}
+        {numberField('maxZoom', '最大ズーム', 1)}
+        {numberField('west', '西（経度）', 'any')}
+        {numberField('east', '東（経度）', 'any')}
+        {numberField('south', '南（緯度）', 'any')}
+        {numberField('north', '北（緯度）', 'any')}
+      </div>
+      <button type="submit" className="tile-source-open" disabled={disabled || !settings.template.trim()}>
+        開く
+      </button>
+    </form>
+  );
+};
+
+const QUANTIZED_MESH_SETTINGS_KEY = 'geotiff-viewer.quantizedMeshSource';
+
+// 範囲を空欄にした場合はlayer.jsonのboundsを使う
+const DEFAULT_QUANTIZED_MESH_SETTINGS = {
+  url: '',
+  west: '',
+  south: '',
+  east: '',
+  north: ''
+};
+
+/**
+ * quantized-meshのlayer.jsonのURLと表示範囲の入力
+ */
+const QuantizedMeshSourceForm = ({ onOpen, disabled }) => {
+  const [settings, setSettings] = useState(() => loadSettings(QUANTIZED_MESH_SETTINGS_KEY, DEFAULT_QUANTIZED_MESH_SETTINGS));
+
+  const update = (key) => (event) => {
+    const { value } = event.target;
+    setSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    saveSettings(QUANTIZED_MESH_SETTINGS_KEY, settings);
+    const { url, west, south, east, north } = settings;
+    const boundsEntered = [west, south, east, north].some(value => String(value).trim() !== '');
+    onOpen({
+      type: 'quantized-mesh',
+      url: url.trim(),
+      bounds: boundsEntered
+        ? {
+          west: parseFloat(west),
+          south: parseFloat(south),
+          east: parseFloat(east),
+          north: parseFloat(north)
+        }
+        : undefined
+    });
+  };
+
+  const numberField = (key, label) => (
+    <label className="tile-source-field">
+      <span>{label}</span>
+      <input type="number" step="any" value={settings[key]} onChange={update(key)} disabled={disabled} />
+    </label>
+  );
+
+  return (
+    <form className="xyz-source-form" onSubmit={handleSubmit}>
+      <input
+        className="tile-source-text"
+        type="text"
+        value={settings.url}
+        onChange={update('url')}
+        placeholder="https://example.com/terrain/layer.json"
+        disabled={disabled}
+      />
+      <div className="tile-source-grid">
+        {numberField('west', '西（経度）')}
+        {numberField('east', '東（経度）')}
+        {numberField('south', '南（緯度）')}
+        {numberField('north', '北（緯度）')}
+      </div>
+      <p className="tile-source-hint">範囲を空欄にするとlayer.jsonのboundsを使います（30度以内）</p>
+      <button type="submit" className="tile-source-open" disabled={disabled || !settings.url.trim()}>
+        開く
+      </button>
+    </form>
+  );
+};
+
+/**
+ * 動的表示のタイルソースの選択
+ * COGのURLはサイドバーのURL入力で指定し、ローカルファイル・フォルダはここで選択する
+ */
+const TileSourcePicker = ({ sourceSpec, tileSourceUrl, onChange, disabled, error }) => {
+  const handleTypeChange = (event) => {
+    const type = event.target.value;
+    if (type === 'procedural') {
+      onChange({ type });
+    } else if (type === 'cog' && tileSourceUrl) {
+      onChange({ type, url: tileSourceUrl });
+    } else {
+      // ファイル・フォルダは選択されるまで現在のソースを表示し続ける
+      onChange({ type, pending: true });
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      onChange({ type: 'file', file });
+    }
+    event.target.value = '';
+  };
+
+  const handleDirectoryChange = (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+      onChange({ type: 'directory', files });
+    }
+    event.target.value = '';
+  };
+
+  return (
+    <div className="tile-source-picker">
+      <h4>タイルソース</h4>
+      <select
+        className="tile-source-select"
+        value={sourceSpec.type}
+        onChange={handleTypeChange}
+        disabled={disabled}
+      >
+        {TILE_SOURCE_TYPES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {sourceSpec.type === 'cog' && !tileSourceUrl && (
+        <p className="tile-source-hint">サイドバーの「URLから開く」でCOGのURLを指定してください</p>
+      )}
+
+      {sourceSpec.type === 'file' && (
+        <input
+          className="tile-source-input"
+          type="file"
+          accept=".tif,.tiff"
+          onChange={handleFileChange}
+          disabled={disabled}
+        />
+      )}
+
+      {sourceSpec.type === 'directory' && (
+        <input
+          className="tile-source-input"
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleDirectoryChange}
+          disabled={disabled}
+        />
+      )}
+
+      {sourceSpec.type === 'xyz' && (
+        <XYZSourceForm onOpen={onChange} disabled={disabled} />
+      )}
+
+      {sourceSpec.type === 'quantized-mesh' && (
+        <QuantizedMeshSourceForm onOpen={onChange} disabled={disabled} />
+      )}
+
+      {error && <p className="tile-source-error">{error}</p>}
+    </div>
+  );
+};
+
+export default TileSourcePicker;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import './UrlInput.css';
+
+const RECENT_URLS_KEY = 'geotiff-viewer.recentUrls';
+const MAX_RECENT_URLS = 8;
+
+// 最近使用したURLをlocalStorageから取得（利用できない環境では空）
+const loadRecentUrls = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(RECENT_URLS_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const saveRecentUrls = (urls) => {
+  try {
+    window.localStorage.setItem(RECENT_URLS_KEY, JSON.stringify(urls));
+  } catch (e) {
+    console.warn('最近使用したURLを保存できません:', e);
+  }
+};
+
+const UrlInput = ({ onUrlLoad, disabled, placeholder }) => {
+  const [url, setUrl] = useState('');
+  const [recentUrls, setRecentUrls] = useState(loadRecentUrls);
+
+  const openUrl = (target) => {
+    const trimmed = target.trim();
+    if (!trimmed) return;
+
+    // 先頭に移動して保存
+    const updated = [trimmed, ...recentUrls.filter(recent => recent !== trimmed)].slice(0, MAX_RECENT_URLS);
+    setRecentUrls(updated);
+    saveRecentUrls(updated);
+
+    setUrl(trimmed);
+    onUrlLoad(trimmed);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    openUrl(url);
+  };
+
+  const removeRecentUrl = (target) => {
+    const updated = recentUrls.filter(recent => recent !== target);
+    setRecentUrls(updated);
+    saveRecentUrls(updated);
+  };
+
+  return (
+    <div className="url-input">
+      <p className="url-input-title">URLから開く</p>
+      <form className="url-form" onSubmit={handleSubmit}>
+        <input
+          type="url"
+          className="url-field"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder={placeholder || 'https://example.com/dem.tif'}
+          disabled={disabled}
+        />
+        <button type="submit" className="url-open-btn" disabled={disabled || !url.trim()}>
+          開く
+        </button>
+      </form>
+
+      {recentUrls.length > 0 && (
+        <div className="recent-urls">
+          <p className="recent-urls-title">最近使用したURL</p>
+          <ul>
+            {recentUrls.map(recent => (
+              <li key={recent}>
+                <button
+                  type="button"
+                  className="recent-url"
+                  title={recent}
+                  onClick={() => openUrl(recent)}
+                  disabled={disabled}
+                >
+                  {recent}
+                </button>
+                <button
+                  type="button"
+                  className="recent-url-remove"
+                  title="履歴から削除"
+                  onClick={() => removeRecentUrl(recent)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UrlInput;
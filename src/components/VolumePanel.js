@@ -0,0 +1,68 @@
+import React from 'react';
+import { VOLUME_REFERENCES, formatVolume, CUT_COLOR, FILL_COLOR } from '../utils/Volume';
+import { formatArea } from '../utils/Measurement';
+import ReferenceDEMInput from './ReferenceDEMInput';
+import './VolumePanel.css';
+
+const toCSSColor = ([r, g, b]) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+/**
+ * 土量の基準面の指定と切土・盛土の結果（計測パネルの土量モードに表示）
+ * @param {Object} reference - 基準面 { type（VOLUME_REFERENCESのキー）, elevation（指定した標高の入力値） }
+ * @param {Object} referenceDEM - 基準のDEMの状態（ReferenceDEMInputのstate）
+ * @param {Object|null} result - computeCutFillの結果（plane: 近似平面）、計算できない場合は { error }
+ */
+const VolumePanel = ({ reference, referenceDEM, result, onReferenceChange, onReferenceDEMSelect, onReferenceDEMClear }) => (
+  <div className="volume-panel">
+    <label>
+      基準面
+      <select value={reference.type} onChange={(e) => onReferenceChange({ type: e.target.value })}>
+        {Object.entries(VOLUME_REFERENCES).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+    </label>
+    {reference.type === 'elevation' && (
+      <label>
+        標高（m）
+        <input
+          type="number"
+          step="0.1"
+          value={reference.elevation}
+          placeholder="例: 120.5"
+          onChange={(e) => onReferenceChange({ elevation: e.target.value })}
+        />
+      </label>
+    )}
+    {reference.type === 'surface' && (
+      <ReferenceDEMInput state={referenceDEM} onSelect={onReferenceDEMSelect} onClear={onReferenceDEMClear} />
+    )}
+
+    {!result && <p className="measurement-hint">範囲（3点以上）と基準面を指定すると土量を計算します</p>}
+    {result && result.error && <p className="volume-error">{result.error}</p>}
+    {result && !result.error && (
+      <div className="volume-result">
+        {result.plane && (
+          <p>近似平面: 中心 {result.plane.centerElevation.toFixed(2)} m, 傾斜 {result.plane.slopeDegrees.toFixed(2)}°</p>
+        )}
+        <p>
+          <span className="volume-swatch" style={{ backgroundColor: toCSSColor(CUT_COLOR) }} />
+          切土: <span className="volume-value">{formatVolume(result.cut)}</span>
+        </p>
+        <p>
+          <span className="volume-swatch" style={{ backgroundColor: toCSSColor(FILL_COLOR) }} />
+          盛土: <span className="volume-value">{formatVolume(result.fill)}</span>
+        </p>
+        <p>差引（切土−盛土）: <span className="volume-value">{formatVolume(result.net)}</span></p>
+        <p>対象面積: {formatArea(result.area)}（{result.pixelCount.toLocaleString()}画素）</p>
+        {result.missingCount > 0 && (
+          <p className="measurement-warning">
+            ⚠️ NoData・基準面の範囲外の{result.missingCount.toLocaleString()}画素は計算から除外
+          </p>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default VolumePanel;
@@ -0,0 +1,96 @@
+/**
+ * Fixture Server
+ * テスト用のフィクスチャをメモリから配信するHTTPサーバー（一時ポート）
+ *
+ * 単一範囲のRangeリクエスト（206）・ETag・CORSに対応し、受け付けたリクエストを記録する。
+ * files のキーはパス（'/dem.tif'）、値は本文（ArrayBuffer・型付き配列・文字列）または
+ * { body, etag, contentType, status } 。登録されていないパスは404を返す。
+ */
+
+import http from 'http';
+
+const isBody = (value) => typeof value === 'string' || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+const toBuffer = (body) => {
+  if (typeof body === 'string' || body instanceof ArrayBuffer) return Buffer.from(body);
+  return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+};
+
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  if (match[1] === '') {
+    // bytes=-N（末尾のNバイト）
+    return { start: Math.max(0, size - parseInt(match[2], 10)), end: size - 1 };
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] === '' ? size - 1 : Math.min(size - 1, parseInt(match[2], 10));
+  return { start, end };
+};
+
+export const startFixtureServer = async (files = {}) => {
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const path = decodeURIComponent(url.pathname);
+    requests.push({ method: request.method, path, query: url.search, range: request.headers.range || null, headers: request.headers });
+
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Expose-Headers', 'ETag, Content-Range, Content-Length');
+
+    const file = files[path];
+    if (file === undefined) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    const { body, etag = null, contentType = 'application/octet-stream', status = 200 } =
+      isBody(file) ? { body: file } : file;
+    if (status !== 200) {
+      response.writeHead(status);
+      response.end();
+      return;
+    }
+
+    const data = toBuffer(body);
+    response.setHeader('Content-Type', contentType);
+    response.setHeader('Accept-Ranges', 'bytes');
+    if (etag) {
+      response.setHeader('ETag', etag);
+    }
+
+    const range = request.headers.range ? parseRange(request.headers.range, data.length) : null;
+    if (request.headers.range && (!range || range.start >= data.length)) {
+      response.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+      response.end();
+      return;
+    }
+    if (range) {
+      response.writeHead(206, {
+        'Content-Range': `bytes ${range.start}-${range.end}/${data.length}`,
+        'Content-Length': range.end - range.start + 1
+      });
+      response.end(data.subarray(range.start, range.end + 1));
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Length': data.length });
+    response.end(data);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    files,
+    requests,
+    close: () => new Promise((resolve) => {
+      // fetchのキープアライブ接続が残っているとcloseが終わらないため、先に切断する
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+};
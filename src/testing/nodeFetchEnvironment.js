@@ -0,0 +1,19 @@
+/**
+ * Node Fetch Environment
+ * jestのnode環境にNodeのfetch（Response・Headers・Blobを含む）を公開するテスト環境
+ *
+ * jest 27のnode環境はfetchをテストのグローバルにコピーしないため、ローカルのHTTPサーバーから
+ * 配信したフィクスチャをfetchで読み込むテストはこの環境を指定する:
+ *   @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+
+const NodeEnvironment = require('jest-environment-node');
+
+class NodeFetchEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    Object.assign(this.global, { fetch, Request, Response, Headers, Blob });
+  }
+}
+
+module.exports = NodeFetchEnvironment;
@@ -0,0 +1,157 @@
+/**
+ * PNG Image
+ * テスト用のPNGの作成と、ブラウザの画像の復号（createImageBitmap・OffscreenCanvas）のNode版
+ *
+ * jestのnode環境には画像の復号がないため、8ビットRGBA（カラータイプ6）のPNGに限って
+ * zlibで展開し、各行のフィルター（None・Sub・Up・Average・Paeth）を戻す。
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * RGBAの画素（width × height × 4）をPNGに符号化（フィルターなし）
+ */
+export const encodePNG = (width, height, rgba) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw.set(rgba.subarray(row * stride, (row + 1) * stride), row * (stride + 1) + 1);
+  }
+
+  return new Uint8Array(Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]));
+};
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * PNGを復号して { width, height, data }（RGBA）を返す
+ */
+export const decodePNG = (bytes) => {
+  const buffer = Buffer.from(bytes);
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('PNGではありません');
+  }
+
+  let width = 0;
+  let height = 0;
+  const idat = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      if (data[8] !== 8 || data[9] !== 6 || data[12] !== 0) {
+        throw new Error('8ビットRGBA（インターレースなし）のPNGのみ対応しています');
+      }
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    }
+    offset += 12 + length;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * 4;
+  const data = new Uint8ClampedArray(stride * height);
+  for (let row = 0; row < height; row++) {
+    const filter = raw[row * (stride + 1)];
+    const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? data[row * stride + i - 4] : 0;
+      const up = row > 0 ? data[(row - 1) * stride + i] : 0;
+      const upLeft = row > 0 && i >= 4 ? data[(row - 1) * stride + i - 4] : 0;
+      const predictor = [0, left, up, Math.floor((left + up) / 2), paeth(left, up, upLeft)][filter];
+      data[row * stride + i] = (line[i] + predictor) & 0xff;
+    }
+  }
+  return { width, height, data };
+};
+
+class NodeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+  }
+
+  getContext() {
+    return {
+      drawImage: (image, x, y) => {
+        for (let row = 0; row < image.height; row++) {
+          this.data.set(
+            image.data.subarray(row * image.width * 4, (row + 1) * image.width * 4),
+            ((row + y) * this.width + x) * 4
+          );
+        }
+      },
+      getImageData: (x, y, width, height) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+          const start = ((row + y) * this.width + x) * 4;
+          data.set(this.data.subarray(start, start + width * 4), row * width * 4);
+        }
+        return { width, height, data };
+      }
+    };
+  }
+}
+
+/**
+ * テストのグローバルにcreateImageBitmap・OffscreenCanvasを設定し、元に戻す関数を返す
+ */
+export const installImageDecoding = () => {
+  const previous = { createImageBitmap: global.createImageBitmap, OffscreenCanvas: global.OffscreenCanvas };
+
+  global.createImageBitmap = async (blob) => {
+    const image = decodePNG(new Uint8Array(await blob.arrayBuffer()));
+    return { ...image, close: () => {} };
+  };
+  global.OffscreenCanvas = NodeOffscreenCanvas;
+
+  return () => Object.assign(global, previous);
+};
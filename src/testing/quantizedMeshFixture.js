@@ -0,0 +1,108 @@
+/**
+ * Quantized Mesh Fixture
+ * テスト用の.terrainタイル（quantized-mesh-1.0）を仕様どおりに組み立てる
+ */
+
+import { EXTENSION_METADATA } from '../utils/QuantizedMeshDecoder';
+
+export const HEADER_SIZE = 88;
+
+const zigZagEncode = (value) => ((value << 1) ^ (value >> 31)) & 0xffff;
+
+// ハイウォーターマーク符号化（デコーダーとは独立に仕様どおりに書いたもの）
+const highWaterMarkEncode = (indices) => {
+  let highest = 0;
+  return indices.map((index) => {
+    const code = highest - index;
+    if (code === 0) highest++;
+    return code;
+  });
+};
+
+/**
+ * 仕様どおりの.terrainタイルを組み立てるフィクスチャ
+ * vertices: [u, v, height]、triangles: 頂点インデックスの平らな配列、edges: { west, south, east, north }
+ * extensions: [{ id, bytes }]
+ */
+export const buildTerrainTile = ({ vertices, triangles, edges, extensions = [] }) => {
+  const vertexCount = vertices.length;
+  const use32 = vertexCount > 65536;
+  const bytesPerIndex = use32 ? 4 : 2;
+
+  const chunks = [];
+  let size = 0;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    size += bytes.byteLength;
+  };
+  const align = (alignment) => {
+    if (size % alignment !== 0) push(new Uint8Array(alignment - (size % alignment)));
+  };
+  const uint32 = (value) => {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+  };
+  const indexArray = (values) => {
+    const bytes = new Uint8Array(values.length * bytesPerIndex);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => (use32 ? view.setUint32(i * 4, value, true) : view.setUint16(i * 2, value, true)));
+    return bytes;
+  };
+
+  const header = new DataView(new ArrayBuffer(HEADER_SIZE));
+  [1, 2, 3].forEach((value, i) => header.setFloat64(i * 8, value, true));
+  header.setFloat32(24, 100, true);
+  header.setFloat32(28, 500, true);
+  header.setFloat64(56, 1000, true);
+  push(new Uint8Array(header.buffer));
+
+  push(uint32(vertexCount));
+  for (let component = 0; component < 3; component++) {
+    const bytes = new Uint8Array(vertexCount * 2);
+    const view = new DataView(bytes.buffer);
+    let previous = 0;
+    vertices.forEach((vertex, i) => {
+      view.setUint16(i * 2, zigZagEncode(vertex[component] - previous), true);
+      previous = vertex[component];
+    });
+    push(bytes);
+  }
+
+  align(bytesPerIndex);
+  push(uint32(triangles.length / 3));
+  push(indexArray(highWaterMarkEncode(triangles)));
+  for (const edge of [edges.west, edges.south, edges.east, edges.north]) {
+    push(uint32(edge.length));
+    push(indexArray(edge));
+  }
+
+  for (const { id, bytes } of extensions) {
+    push(new Uint8Array([id]));
+    push(uint32(bytes.byteLength));
+    push(bytes);
+  }
+
+  const buffer = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return buffer.buffer;
+};
+
+// 2つの三角形の四角形（南西・南東・北東・北西）
+export const QUAD = {
+  vertices: [[0, 0, 0], [32767, 0, 16000], [32767, 32767, 32767], [0, 32767, 8000]],
+  triangles: [0, 1, 2, 0, 2, 3],
+  edges: { west: [0, 3], south: [0, 1], east: [1, 2], north: [3, 2] }
+};
+
+export const metadataExtension = (metadata) => {
+  const json = new TextEncoder().encode(JSON.stringify(metadata));
+  const bytes = new Uint8Array(4 + json.byteLength);
+  new DataView(bytes.buffer).setUint32(0, json.byteLength, true);
+  bytes.set(json, 4);
+  return { id: EXTENSION_METADATA, bytes };
+};
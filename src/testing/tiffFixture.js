@@ -0,0 +1,117 @@
+/**
+ * TIFF Fixture
+ * テスト用の単バンドFloat32のTIFF（8×8のタイル分割、複数のIFD）を作成
+ *
+ * geotiffで読み込めるリトルエンディアンのクラシックTIFF。IFDを先頭にまとめ、
+ * 画素データ（タイル）を後ろに置くCOGの配置にする。GeoTIFFのタグは images[].tags で追加する。
+ */
+
+const TILE_SIZE = 8;
+
+// タグの型: [TIFFの型番号, 1要素のバイト数]
+const TAG_TYPES = { ascii: [2, 1], short: [3, 2], long: [4, 4], double: [12, 8] };
+
+const writeValues = (view, offset, type, values) => {
+  values.forEach((value, i) => {
+    if (type === 'ascii') view.setUint8(offset + i, value);
+    if (type === 'short') view.setUint16(offset + i * 2, value, true);
+    if (type === 'long') view.setUint32(offset + i * 4, value, true);
+    if (type === 'double') view.setFloat64(offset + i * 8, value, true);
+  });
+};
+
+/**
+ * @param {Array} images - { size（一辺の画素数）, data（Float32Array）, tags: [[タグ番号, 型, 値]] }
+ * @returns {Uint8Array}
+ */
+export const buildTIFF = (images) => {
+  const ifds = images.map(({ size, data, tags = [] }) => {
+    const tilesAcross = Math.ceil(size / TILE_SIZE);
+    const tiles = [];
+    for (let tileRow = 0; tileRow < tilesAcross; tileRow++) {
+      for (let tileCol = 0; tileCol < tilesAcross; tileCol++) {
+        const tile = new Float32Array(TILE_SIZE * TILE_SIZE);
+        for (let row = 0; row < TILE_SIZE; row++) {
+          for (let col = 0; col < TILE_SIZE; col++) {
+            const x = tileCol * TILE_SIZE + col;
+            const y = tileRow * TILE_SIZE + row;
+            if (x < size && y < size) tile[row * TILE_SIZE + col] = data[y * size + x];
+          }
+        }
+        tiles.push(new Uint8Array(tile.buffer));
+      }
+    }
+
+    const entries = [
+      [256, 'short', [size]],
+      [257, 'short', [size]],
+      [258, 'short', [32]],
+      [259, 'short', [1]],
+      [262, 'short', [1]],
+      [277, 'short', [1]],
+      [284, 'short', [1]],
+      [322, 'short', [TILE_SIZE]],
+      [323, 'short', [TILE_SIZE]],
+      [324, 'long', tiles.map(() => 0)],
+      [325, 'long', tiles.map(tile => tile.length)],
+      [339, 'short', [3]],
+      ...tags.map(([tag, type, values]) => [
+        tag, type, type === 'ascii' ? [...Buffer.from(`${values}\0`, 'latin1')] : values
+      ])
+    ].sort((a, b) => a[0] - b[0]);
+    return { entries, tiles };
+  });
+
+  // IFDと4バイトに収まらない値の配置
+  let offset = 8;
+  for (const ifd of ifds) {
+    ifd.offset = offset;
+    offset += 2 + ifd.entries.length * 12 + 4;
+    ifd.valueOffsets = [];
+    for (const [, type, values] of ifd.entries) {
+      const bytes = values.length * TAG_TYPES[type][1];
+      if (bytes <= 4) {
+        ifd.valueOffsets.push(null);
+      } else {
+        ifd.valueOffsets.push(offset);
+        offset += bytes + (bytes % 2);
+      }
+    }
+  }
+  // 画素データの配置（TileOffsetsを確定）
+  for (const ifd of ifds) {
+    const tileOffsets = ifd.entries.find(([tag]) => tag === 324)[2];
+    for (const [i, tile] of ifd.tiles.entries()) {
+      tileOffsets[i] = offset;
+      offset += tile.length;
+    }
+  }
+
+  const buffer = new ArrayBuffer(offset);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0x4949, true);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifds[0].offset, true);
+
+  ifds.forEach((ifd, index) => {
+    view.setUint16(ifd.offset, ifd.entries.length, true);
+    ifd.entries.forEach(([tag, type, values], i) => {
+      const entryOffset = ifd.offset + 2 + i * 12;
+      view.setUint16(entryOffset, tag, true);
+      view.setUint16(entryOffset + 2, TAG_TYPES[type][0], true);
+      view.setUint32(entryOffset + 4, values.length, true);
+      const valueOffset = ifd.valueOffsets[i];
+      if (valueOffset !== null) {
+        view.setUint32(entryOffset + 8, valueOffset, true);
+      }
+      writeValues(view, valueOffset === null ? entryOffset + 8 : valueOffset, type, values);
+    });
+    const next = ifds[index + 1];
+    view.setUint32(ifd.offset + 2 + ifd.entries.length * 12, next ? next.offset : 0, true);
+    ifd.tiles.forEach((tile, i) => {
+      new Uint8Array(buffer).set(tile, ifd.entries.find(([tag]) => tag === 324)[2][i]);
+    });
+  });
+
+  return new Uint8Array(buffer);
+};
@@ -3,215 +3,349 @@
  * 大規模GeoTIFFファイルから必要な部分を効率的に読み込み
  */
 
-import { fromArrayBuffer } from 'geotiff';
+import { GeoTIFFLoader } from './GeoTIFFLoader';
+import { TerrainFrame } from './TerrainFrame';
+import { TileCache } from './TileCache';
+import { probeRemoteGeoTIFF, getRemoteFileName } from './RemoteGeoTIFF';
 
 export class COGLoader {
   constructor() {
-    this.cache = new Map();
-    this.maxCacheSize = 50; // キャッシュサイズ制限
+    // タイルデータのキャッシュ（メモリのLRU + IndexedDB）
+    this.tileCache = new TileCache();
     this.baseUrl = ''; // COGファイルのベースURL
+    
+    // URLごとに解析済みのIFD（オーバービュー）と座標系を保持
+    this.sources = new Map();
+    // オーバービューの選択・座標系・NoDataの解決はGeoTIFFLoaderと共通
+    this.geotiffLoader = new GeoTIFFLoader();
   }
 
   /**
    * COGファイルからタイルデータを読み込み
+   * bboxはシーンのローカル座標（メートル、COGの中心が原点、x: 東、z: 南）
+   * タイルの頂点（境界を含む resolution×resolution 点）の標高を返し、範囲外・NoDataはNaN
    */
-  async loadTileFromCOG(cogUrl, bbox, resolution = 256) {
-    const cacheKey = `${cogUrl}_${bbox.minX}_${bbox.minZ}_${bbox.maxX}_${bbox.maxZ}_${resolution}`;
-    
-    if (this.cache.has(cacheKey)) {
-      console.log('COG Loader: キャッシュから取得', cacheKey);
-      return this.cache.get(cacheKey);
-    }
+  async loadTileFromCOG(cogUrl, bbox, resolution = 256, signal = null) {
+    const source = await this.openCOG(cogUrl);
+    return this.loadTile(source, bbox, resolution, signal);
+  }
+
+  /**
+   * 解析済みのソース（openCOG・openFile）からタイルデータを読み込み
+   * sceneFrameはbboxの座標系（省略時はソース自身の中心が原点）。複数ファイルを共通の座標で並べる場合に指定
+   */
+  async loadTile(source, bbox, resolution, signal = null, sceneFrame = source.frame) {
+    // 共通の座標で読み込む場合は、原点の違いでキャッシュが混ざらないよう原点をアドレスに含める
+    const origin = sceneFrame === source.frame ? '' : `@${sceneFrame.centerX}_${sceneFrame.centerY}`;
+    const address = `${bbox.minX}_${bbox.minZ}_${bbox.maxX}_${bbox.maxZ}_${resolution}${origin}`;
 
     try {
-      console.log('COG Loader: タイル読み込み開始', { cogUrl, bbox, resolution });
-      
-      // 現在はテスト用のダミーデータを返す
-      // 実際の実装では、COGファイルから必要な部分を取得
-      const tileData = await this.generateTestTileData(bbox, resolution);
-      
+      // キャッシュのキーにはファイルのバージョンを含め、更新されたファイルの古いタイルを使わない
+      const cached = await this.tileCache.get(source.url, source.version, address);
+      if (cached) {
+        return cached;
+      }
+
+      console.log('COG Loader: タイル読み込み開始', { url: source.url, bbox, resolution });
+
+      // COGを開いている間に中断された場合は、画素の読み込みを始めない
+      if (signal && signal.aborted) {
+        const error = new Error('タイルの読み込みを中断しました');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      const tileData = await this.readTile(source, bbox, resolution, signal, sceneFrame);
+
       // キャッシュに保存
-      this.cache.set(cacheKey, tileData);
-      this.manageCacheSize();
-      
+      await this.tileCache.set(source.url, source.version, address, tileData);
+
       return tileData;
       
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('COG Loader: タイル読み込みエラー', error);
       throw error;
     }
   }
 
   /**
-   * テスト用のダミータイルデータを生成
-   * 実際の実装では、COGファイルからデータを取得
+   * COGを開き、IFDを解析（URLごとに1回だけ）
+   * ヘッダーとIFDは Range リクエストで取得され、画素データは読み込まない
    */
-  async generateTestTileData(bbox, resolution) {
-    // 実際のCOGファイルの読み込み処理
-    // const response = await fetch(cogUrl);
-    // const arrayBuffer = await response.arrayBuffer();
-    // const tiff = await fromArrayBuffer(arrayBuffer);
-    // const image = await tiff.getImage();
-    
-    // テスト用のノイズベースの地形データを生成
-    const width = resolution;
-    const height = resolution;
-    const elevationData = new Float32Array(width * height);
-    
-    // パーリンノイズ風の地形を生成
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const index = y * width + x;
-        
-        // ワールド座標を計算
-        const worldX = bbox.minX + (x / width) * (bbox.maxX - bbox.minX);
-        const worldZ = bbox.minZ + (y / height) * (bbox.maxZ - bbox.minZ);
-        
-        // 複数のノイズレイヤーを組み合わせて地形を生成
-        const noise1 = this.simplexNoise(worldX * 0.01, worldZ * 0.01) * 200;
-        const noise2 = this.simplexNoise(worldX * 0.02, worldZ * 0.02) * 100;
-        const noise3 = this.simplexNoise(worldX * 0.04, worldZ * 0.04) * 50;
-        const noise4 = this.simplexNoise(worldX * 0.08, worldZ * 0.08) * 25;
-        
-        elevationData[index] = noise1 + noise2 + noise3 + noise4;
-      }
+  async openCOG(cogUrl) {
+    if (!this.sources.has(cogUrl)) {
+      const opening = this.parseCOG(cogUrl);
+      this.sources.set(cogUrl, opening);
+      // 失敗した場合は次回再試行できるよう削除
+      opening.catch(() => this.sources.delete(cogUrl));
     }
-    
-    return {
-      elevationData,
-      bbox,
-      width,
-      height,
-      metadata: {
-        resolution,
-        generated: true,
-        timestamp: Date.now()
-      }
-    };
+    return this.sources.get(cogUrl);
+  }
+
+  async parseCOG(cogUrl) {
+    // ファイルのバージョン（ETag）を確認。接続できない場合は保存済みの解析結果で開く
+    let remote;
+    try {
+      remote = await probeRemoteGeoTIFF(cogUrl);
+    } catch (error) {
+      const record = error.name === 'NetworkError' ? await this.tileCache.getSource(cogUrl) : null;
+      if (!record) throw error;
+      console.warn('COG Loader: サーバーに接続できないため、キャッシュ済みのタイルのみを使用', cogUrl);
+      return this.createOfflineSource(record);
+    }
+
+    const tiff = await this.geotiffLoader.openTiff(cogUrl);
+    const source = await this.parseTiff(cogUrl, tiff, remote.version, remote.name);
+
+    await this.saveSourceRecord({
+      url: cogUrl,
+      version: remote.version,
+      bounds: source.bounds,
+      width: source.frame.width,
+      height: source.frame.height,
+      crs: source.crs,
+      geoKeys: source.geoKeys,
+      noDataValue: source.noDataValue
+    });
+
+    return source;
   }
 
   /**
-   * 簡易ノイズ関数
-   * 実際の実装では、SimplexNoiseライブラリを使用
+   * ローカルファイルを開き、IFDを解析（ファイル全体は読み込まず、必要な範囲をBlob.sliceで読む）
+   * タイルはメモリにのみキャッシュする（ファイルの内容が変わっても検出できないため永続化しない）
    */
-  simplexNoise(x, z) {
-    // 簡易的なノイズ関数
-    const n1 = Math.sin(x) * Math.cos(z);
-    const n2 = Math.sin(x * 2.1) * Math.cos(z * 2.1) * 0.5;
-    const n3 = Math.sin(x * 4.1) * Math.cos(z * 4.1) * 0.25;
-    const n4 = Math.sin(x * 8.1) * Math.cos(z * 8.1) * 0.125;
-    return n1 + n2 + n3 + n4;
+  async openFile(file) {
+    const id = `file:${file.name}:${file.size}:${file.lastModified}`;
+    if (!this.sources.has(id)) {
+      const opening = this.geotiffLoader.openTiff(file)
+        .then(tiff => this.parseTiff(id, tiff, null, file.name));
+      this.sources.set(id, opening);
+      opening.catch(() => this.sources.delete(id));
+    }
+    return this.sources.get(id);
   }
 
   /**
-   * 実際のCOGファイルからデータを取得（将来の実装）
+   * 開いたGeoTIFFのIFD・座標系・NoDataを解析
+   * idはキャッシュのキー（URLまたはファイルの識別子）、versionは永続キャッシュに使うバージョン
    */
-  async loadFromRealCOG(cogUrl, bbox, resolution) {
-    try {
-      // COGファイルのヘッダー情報を取得
-      const headerResponse = await fetch(cogUrl, {
-        headers: { 'Range': 'bytes=0-1023' }
-      });
-      
-      if (!headerResponse.ok) {
-        throw new Error(`COGファイルのヘッダー取得に失敗: ${headerResponse.status}`);
-      }
-      
-      // 必要な部分のバイト範囲を計算
-      const byteRange = this.calculateByteRange(bbox, resolution);
-      
-      // 指定された範囲のデータを取得
-      const dataResponse = await fetch(cogUrl, {
-        headers: { 'Range': `bytes=${byteRange.start}-${byteRange.end}` }
-      });
-      
-      if (!dataResponse.ok) {
-        throw new Error(`COGファイルのデータ取得に失敗: ${dataResponse.status}`);
-      }
-      
-      const arrayBuffer = await dataResponse.arrayBuffer();
-      const tiff = await fromArrayBuffer(arrayBuffer);
-      const image = await tiff.getImage();
-      
-      // 指定された範囲のデータを読み込み
-      const rasters = await image.readRasters({
-        window: [bbox.minX, bbox.minZ, bbox.maxX, bbox.maxZ],
-        width: resolution,
-        height: resolution
-      });
+  async parseTiff(id, tiff, version, name = id) {
+    const loader = this.geotiffLoader;
+    const image = await tiff.getImage();
+    const overviews = await loader.getOverviews(tiff);
 
-      return {
-        elevationData: rasters[0],
-        bbox: bbox,
-        width: resolution,
-        height: resolution,
-        metadata: {
-          geoKeys: image.getGeoKeys(),
-          bbox: image.getBoundingBox(),
-          resolution,
-          timestamp: Date.now()
-        }
-      };
-      
-    } catch (error) {
-      console.error('COG Loader: 実際のCOGファイル読み込みエラー', error);
-      throw error;
+    const geoKeys = image.getGeoKeys();
+    const bounds = loader.calculateBounds(image.getBoundingBox(), geoKeys);
+    const crs = loader.resolveCRS(geoKeys);
+    const noDataValue = loader.resolveNoDataValue(image);
+    const frame = new TerrainFrame({
+      bounds,
+      width: image.getWidth(),
+      height: image.getHeight(),
+      crs,
+      geoKeys
+    });
+
+    console.log('COG Loader: IFD解析完了', {
+      id,
+      size: `${image.getWidth()}x${image.getHeight()}`,
+      tileSize: `${image.getTileWidth()}x${image.getTileHeight()}`,
+      overviews: overviews.length,
+      crs: crs.code
+    });
+
+    return { url: id, name, version, tiff, overviews, geoKeys, bounds, crs, noDataValue, frame, offline: false };
+  }
+
+  /**
+   * オフラインで開くための解析結果を保存
+   * ファイルが更新されていた場合は、古いバージョンのタイルを削除
+   */
+  async saveSourceRecord(record) {
+    const previous = await this.tileCache.getSource(record.url);
+    if (previous && previous.version !== record.version) {
+      console.log('COG Loader: ファイルが更新されたため古いキャッシュを削除', record.url);
+      await this.tileCache.clearSource(record.url);
+    }
+    // バージョンが取得できないソースのタイルは永続化しないため、解析結果も保存しない
+    if (record.version) {
+      await this.tileCache.setSource({ ...record, savedAt: Date.now() });
     }
   }
 
   /**
-   * バイト範囲を計算（COGファイルの構造に基づく）
+   * 保存済みの解析結果からソースを復元（画素は読めないため、キャッシュ済みのタイルのみ利用可能）
    */
-  calculateByteRange(bbox, resolution) {
-    // これはCOGファイルの具体的な構造に依存します
-    // 簡易的な実装
-    const tileIndex = this.getTileIndex(bbox);
-    const tileSize = resolution * resolution * 4; // Float32の場合
-    const offset = tileIndex * tileSize;
-    
+  createOfflineSource(record) {
+    const { url, version, bounds, width, height, crs, geoKeys, noDataValue } = record;
     return {
-      start: offset,
-      end: offset + tileSize - 1
+      url,
+      name: getRemoteFileName(url),
+      version,
+      tiff: null,
+      overviews: null,
+      geoKeys,
+      bounds,
+      crs,
+      noDataValue,
+      frame: new TerrainFrame({ bounds, width, height, crs, geoKeys }),
+      offline: true
     };
   }
 
   /**
-   * タイルインデックスを計算
+   * タイル範囲に対応するピクセル範囲を、必要な解像度のオーバービューから読み込む
    */
-  getTileIndex(bbox) {
-    // 簡易的な実装
-    const x = Math.floor(bbox.minX / 1000);
-    const z = Math.floor(bbox.minZ / 1000);
-    return x * 1000 + z; // 仮の計算
+  async readTile(source, bbox, resolution, signal, sceneFrame = source.frame) {
+    if (source.offline) {
+      throw new Error('サーバーに接続できないため、キャッシュにないタイルは読み込めません');
+    }
+
+    const { frame, overviews, noDataValue } = source;
+    const fullWidth = frame.width;
+    const fullHeight = frame.height;
+
+    // 各頂点の位置をフル解像度のグリッド座標（ピクセル中心が整数）に変換
+    const gridPoints = new Float64Array(resolution * resolution * 2);
+    let minCol = Infinity;
+    let maxCol = -Infinity;
+    let minRow = Infinity;
+    let maxRow = -Infinity;
+
+    for (let y = 0; y < resolution; y++) {
+      for (let x = 0; x < resolution; x++) {
+        const localX = bbox.minX + (x / (resolution - 1)) * (bbox.maxX - bbox.minX);
+        const localZ = bbox.minZ + (y / (resolution - 1)) * (bbox.maxZ - bbox.minZ);
+        const sourcePoint = sceneFrame.localToSource(localX, localZ);
+        const { col, row } = frame.sourceToGrid(sourcePoint.x, sourcePoint.y);
+        const index = (y * resolution + x) * 2;
+        gridPoints[index] = col;
+        gridPoints[index + 1] = row;
+
+        if (col < minCol) minCol = col;
+        if (col > maxCol) maxCol = col;
+        if (row < minRow) minRow = row;
+        if (row > maxRow) maxRow = row;
+      }
+    }
+
+    // 頂点間隔（フル解像度ピクセル数）を下回らない最も粗いオーバービューを選択
+    const spacing = Math.max(1, (maxCol - minCol) / (resolution - 1));
+    const overview = this.geotiffLoader.selectOverview(
+      overviews,
+      Math.ceil(fullWidth / spacing),
+      Math.ceil(fullHeight / spacing)
+    );
+    const scaleX = overview.width / fullWidth;
+    const scaleY = overview.height / fullHeight;
+
+    // オーバービュー上のピクセル範囲（補間用に1ピクセル余分に、画像内にクリップ）
+    const window = [
+      Math.max(0, Math.floor((minCol + 0.5) * scaleX - 0.5) - 1),
+      Math.max(0, Math.floor((minRow + 0.5) * scaleY - 0.5) - 1),
+      Math.min(overview.width, Math.ceil((maxCol + 0.5) * scaleX - 0.5) + 2),
+      Math.min(overview.height, Math.ceil((maxRow + 0.5) * scaleY - 0.5) + 2)
+    ];
+
+    const elevationData = new Float32Array(resolution * resolution).fill(NaN);
+    let validCount = 0;
+
+    if (window[0] < window[2] && window[1] < window[3]) {
+      // 範囲内の内部タイルだけがRangeリクエストで取得される
+      const rasters = await overview.image.readRasters({
+        window,
+        samples: [0],
+        pool: this.geotiffLoader.getDecoderPool(),
+        signal
+      });
+      const raster = rasters[0];
+      const windowWidth = window[2] - window[0];
+      const windowHeight = window[3] - window[1];
+
+      const sample = (col, row) => {
+        if (col < 0 || row < 0 || col >= windowWidth || row >= windowHeight) return NaN;
+        const value = raster[row * windowWidth + col];
+        return this.geotiffLoader.isNoDataValue(value, noDataValue) ? NaN : value;
+      };
+
+      for (let i = 0; i < elevationData.length; i++) {
+        // オーバービューのピクセル中心を基準にしたウィンドウ内座標
+        const col = (gridPoints[i * 2] + 0.5) * scaleX - 0.5 - window[0];
+        const row = (gridPoints[i * 2 + 1] + 0.5) * scaleY - 0.5 - window[1];
+        const value = this.bilinear(sample, col, row);
+        if (!isNaN(value)) {
+          elevationData[i] = value;
+          validCount++;
+        }
+      }
+    }
+
+    return {
+      elevationData,
+      bbox,
+      width: resolution,
+      height: resolution,
+      metadata: {
+        resolution,
+        overviewLevel: overview.level,
+        window,
+        validCount,
+        crs: source.crs,
+        timestamp: Date.now()
+      }
+    };
   }
 
   /**
-   * キャッシュサイズを管理
+   * 双線形補間（近傍にNoDataがある場合は有効な画素のみで重み付け）
    */
-  manageCacheSize() {
-    if (this.cache.size > this.maxCacheSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-      console.log('COG Loader: キャッシュから古いエントリを削除', firstKey);
+  bilinear(sample, col, row) {
+    const col0 = Math.floor(col);
+    const row0 = Math.floor(row);
+    const fx = col - col0;
+    const fy = row - row0;
+
+    const neighbors = [
+      [sample(col0, row0), (1 - fx) * (1 - fy)],
+      [sample(col0 + 1, row0), fx * (1 - fy)],
+      [sample(col0, row0 + 1), (1 - fx) * fy],
+      [sample(col0 + 1, row0 + 1), fx * fy]
+    ];
+
+    let sum = 0;
+    let weight = 0;
+    for (const [value, w] of neighbors) {
+      if (isNaN(value) || w === 0) continue;
+      sum += value * w;
+      weight += w;
     }
+    return weight > 0 ? sum / weight : NaN;
   }
 
   /**
-   * キャッシュをクリア
+   * キャッシュをクリア（URLを指定した場合はそのソースのみ、メモリとIndexedDBの両方）
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache(cogUrl = null) {
+    if (cogUrl) {
+      this.sources.delete(cogUrl);
+      await this.tileCache.clearSource(cogUrl);
+      console.log('COG Loader: キャッシュをクリア', cogUrl);
+      return;
+    }
+    this.sources.clear();
+    await this.tileCache.clear();
     console.log('COG Loader: キャッシュをクリア');
   }
 
   /**
-   * キャッシュ統計を取得
+   * キャッシュ統計を取得（ヒット率・各段の使用量）
    */
   getCacheStats() {
     return {
-      size: this.cache.size,
-      maxSize: this.maxCacheSize,
-      keys: Array.from(this.cache.keys())
+      ...this.tileCache.getStats(),
+      sources: this.sources.size
     };
   }
 }
@@ -0,0 +1,271 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { COGLoader } from './COGLoader';
+import { startFixtureServer } from '../testing/fixtureServer';
+import { buildTIFF } from '../testing/tiffFixture';
+
+const PIXEL_SIZE = 10;
+const FULL_SIZE = 16;
+const NODATA = -9999;
+
+// 標高 = 列 + 10 × 行（双線形補間で正確に再現される一次関数）
+const elevationAt = (col, row) => col + 10 * row;
+
+const createGrid = (size, valueAt) => {
+  const data = new Float32Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      data[row * size + col] = valueAt(col, row);
+    }
+  }
+  return data;
+};
+
+/**
+ * フル解像度（16×16）と1/2の内部オーバービュー（8×8、NewSubfileType = 1）を持つCOG
+ * オーバービューの画素はフル解像度の2×2画素の平均（中心はフル解像度のグリッド座標で 2c + 0.5）
+ */
+const createCOG = ({ noDataAt = [], offset = 0 } = {}) => {
+  const full = createGrid(FULL_SIZE, (col, row) => (
+    noDataAt.some(([c, r]) => c === col && r === row) ? NODATA : elevationAt(col, row) + offset
+  ));
+  const half = FULL_SIZE / 2;
+  const overview = createGrid(half, (col, row) => elevationAt(2 * col + 0.5, 2 * row + 0.5) + offset);
+
+  return buildTIFF([
+    {
+      size: FULL_SIZE,
+      data: full,
+      tags: [
+        [33550, 'double', [PIXEL_SIZE, PIXEL_SIZE, 0]],
+        [33922, 'double', [0, 0, 0, 0, FULL_SIZE * PIXEL_SIZE, 0]],
+        // GTModelType = 投影座標系、GTRasterType = PixelIsArea、ProjectedCSType = EPSG:3857
+        [34735, 'short', [1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 1, 3072, 0, 1, 3857]],
+        [42113, 'ascii', String(NODATA)]
+      ]
+    },
+    { size: half, data: overview, tags: [[254, 'long', [1]]] }
+  ]);
+};
+
+// フル解像度のグリッド座標の範囲を覆うタイルの範囲（シーンのローカル座標）
+const bboxForGrid = (frame, minCol, minRow, maxCol, maxRow) => {
+  const topLeft = frame.gridToLocal(minCol, minRow);
+  const bottomRight = frame.gridToLocal(maxCol, maxRow);
+  return { minX: topLeft.x, minZ: topLeft.z, maxX: bottomRight.x, maxZ: bottomRight.z };
+};
+
+const vertex = (tile, x, y) => tile.elevationData[y * tile.width + x];
+
+const NODATA_PIXELS = [[5, 5], [9, 9], [10, 9], [9, 10], [10, 10]];
+
+let server;
+let loader;
+let cogUrl;
+
+beforeAll(async () => {
+  server = await startFixtureServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.files['/dem.tif'] = { body: createCOG({ noDataAt: NODATA_PIXELS }), etag: '"v1"', contentType: 'image/tiff' };
+  server.requests.length = 0;
+  cogUrl = `${server.url}/dem.tif`;
+  loader = new COGLoader();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('openCOG', () => {
+  test('HTTPのRangeリクエストでヘッダーとIFDだけを読み、内部オーバービューを検出する', async () => {
+    const source = await loader.openCOG(cogUrl);
+
+    expect(source.name).toBe('dem.tif');
+    expect(source.version).toBe('"v1"');
+    expect(source.bounds).toEqual({ minX: 0, minY: 0, maxX: 160, maxY: 160 });
+    expect(source.crs.code).toBe('EPSG:3857');
+    expect(source.noDataValue).toBe(NODATA);
+    expect(source.frame.gridToSource(0, 0)).toEqual({ x: 5, y: 155 });
+    expect(source.overviews.map(({ width, height, level }) => ({ width, height, level }))).toEqual([
+      { width: 16, height: 16, level: 0 },
+      { width: 8, height: 8, level: 1 }
+    ]);
+
+    // 最初のリクエストは2バイトのRangeリクエストによる事前確認、以降もファイル全体は取得しない
+    expect(server.requests[0]).toMatchObject({ path: '/dem.tif', range: 'bytes=0-1' });
+    expect(server.requests.length).toBeGreaterThan(1);
+    expect(server.requests.every(request => request.range)).toBe(true);
+  });
+
+  test('同じURLは1回だけ解析する', async () => {
+    const [first, second] = await Promise.all([loader.openCOG(cogUrl), loader.openCOG(cogUrl)]);
+    expect(second).toBe(first);
+    const count = server.requests.length;
+    await loader.openCOG(cogUrl);
+    expect(server.requests).toHaveLength(count);
+  });
+
+  test('存在しないファイルはエラーにし、次回は再試行する', async () => {
+    const missingUrl = `${server.url}/missing.tif`;
+    await expect(loader.openCOG(missingUrl)).rejects.toThrow('ファイルが見つかりません (404)');
+    expect(loader.sources.has(missingUrl)).toBe(false);
+
+    server.files['/missing.tif'] = { body: createCOG(), etag: '"v1"' };
+    await expect(loader.openCOG(missingUrl)).resolves.toMatchObject({ version: '"v1"' });
+  });
+});
+
+describe('loadTileFromCOG', () => {
+  test('頂点間隔がフル解像度の画素ならフル解像度を読み、画素の中心の値を返す', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    const tile = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 0, 0, 7, 7), 8);
+
+    expect(tile.metadata.overviewLevel).toBe(0);
+    expect(vertex(tile, 0, 0)).toBe(elevationAt(0, 0));
+    expect(vertex(tile, 7, 0)).toBe(elevationAt(7, 0));
+    expect(vertex(tile, 3, 2)).toBe(elevationAt(3, 2));
+    expect(tile.metadata.validCount).toBe(63);
+  });
+
+  test('頂点間隔が粗い場合はそれを下回らない最も粗いオーバービューを読む', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    // 16画素を8頂点で覆うと頂点間隔は約2.1画素 → 8×8のオーバービュー
+    const coarse = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 0, 0, 15, 15), 8);
+    expect(coarse.metadata.overviewLevel).toBe(1);
+
+    // 内側の頂点はオーバービューの双線形補間で元の一次関数を再現する
+    const col = 15 * 3 / 7;
+    const row = 15 * 1 / 7;
+    expect(vertex(coarse, 3, 1)).toBeCloseTo(elevationAt(col, row), 3);
+
+    // 頂点間隔が1画素未満ならフル解像度
+    const fine = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 2, 2, 6, 6), 8);
+    expect(fine.metadata.overviewLevel).toBe(0);
+  });
+
+  test('読み込むウィンドウは補間用の余白を含み、画像内に収める', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+
+    // 列・行 4〜11 → 前後に1画素ずつ広げた [3, 3, 13, 13)（終わりは含まない）
+    const inner = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 4, 4, 11, 11), 8);
+    expect(inner.metadata.window).toEqual([3, 3, 13, 13]);
+
+    // 端のタイルは画像の範囲で切り詰める
+    const corner = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 8, 8, 15, 15), 8);
+    expect(corner.metadata.window).toEqual([7, 7, 16, 16]);
+
+    // 画素の間の位置は両側の画素を含むウィンドウ
+    const between = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 0.5, 0.5, 2.5, 2.5), 3);
+    expect(between.metadata.window).toEqual([0, 0, 5, 5]);
+    expect(vertex(between, 0, 0)).toBeCloseTo(elevationAt(0.5, 0.5), 4);
+  });
+
+  test('画像の外の頂点はNaN、全体が画像の外のタイルは画素を読み込まない', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    const edge = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 12, 12, 19, 19), 8);
+    expect(vertex(edge, 0, 0)).toBe(elevationAt(12, 12));
+    expect(vertex(edge, 7, 7)).toBeNaN();
+    expect(vertex(edge, 5, 0)).toBeNaN();
+    expect(edge.metadata.validCount).toBe(16);
+
+    const count = server.requests.length;
+    const outside = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 30, 30, 37, 37), 8);
+    expect(server.requests).toHaveLength(count);
+    expect(outside.metadata.validCount).toBe(0);
+    expect(Array.from(outside.elevationData).every(Number.isNaN)).toBe(true);
+  });
+
+  test('GDAL_NODATAの画素を除いた有効な近傍だけで補間する', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    // 頂点は 4.5, 5.5, …, 9.5（頂点間隔1画素でフル解像度を読む）
+    const tile = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 4.5, 4.5, 9.5, 9.5), 6);
+    expect(tile.metadata.overviewLevel).toBe(0);
+
+    // (4.5, 4.5) の近傍のうち (5, 5) がNoData → 残りの3画素を重み0.25ずつで平均
+    const expected = (elevationAt(4, 4) + elevationAt(5, 4) + elevationAt(4, 5)) / 3;
+    expect(vertex(tile, 0, 0)).toBeCloseTo(expected, 4);
+    // 近傍が全てNoData → NaN
+    expect(vertex(tile, 5, 5)).toBeNaN();
+
+    // NoDataの画素の中心ちょうどはNaN、隣の画素の中心はその画素の値（重み0の近傍は使わない）
+    const centers = await loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 5, 5, 9, 9), 5);
+    expect(vertex(centers, 0, 0)).toBeNaN();
+    expect(vertex(centers, 1, 0)).toBe(elevationAt(6, 5));
+  });
+
+  test('同じタイルはキャッシュから返し、サーバーに再度リクエストしない', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    const bbox = bboxForGrid(frame, 0, 0, 7, 7);
+    const first = await loader.loadTileFromCOG(cogUrl, bbox, 8);
+    const count = server.requests.length;
+
+    const second = await loader.loadTileFromCOG(cogUrl, bbox, 8);
+    expect(second).toBe(first);
+    expect(server.requests).toHaveLength(count);
+    expect(loader.getCacheStats().memory.hits).toBe(1);
+  });
+
+  test('ETagが変わったファイルは以前のバージョンのキャッシュを使わない', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    const bbox = bboxForGrid(frame, 0, 0, 7, 7);
+    const before = await loader.loadTileFromCOG(cogUrl, bbox, 8);
+    expect(vertex(before, 1, 1)).toBe(elevationAt(1, 1));
+
+    // ファイルを更新し、タイルキャッシュを共有する別のローダーで開き直す
+    server.files['/dem.tif'] = { body: createCOG({ offset: 100 }), etag: '"v2"' };
+    const reopened = new COGLoader();
+    reopened.tileCache = loader.tileCache;
+
+    const source = await reopened.openCOG(cogUrl);
+    expect(source.version).toBe('"v2"');
+    const after = await reopened.loadTileFromCOG(cogUrl, bbox, 8);
+    expect(vertex(after, 1, 1)).toBe(elevationAt(1, 1) + 100);
+
+    // 以前のバージョンのタイルは別のキーのまま
+    await expect(loader.loadTileFromCOG(cogUrl, bbox, 8)).resolves.toBe(before);
+  });
+
+  test('中断されたタイルは画素を読み込まない', async () => {
+    const { frame } = await loader.openCOG(cogUrl);
+    const controller = new AbortController();
+    controller.abort();
+    const count = server.requests.length;
+
+    await expect(loader.loadTileFromCOG(cogUrl, bboxForGrid(frame, 8, 0, 15, 7), 8, controller.signal))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(server.requests).toHaveLength(count);
+  });
+
+  test('オフラインのソースは読み込めない', async () => {
+    const source = await loader.openCOG(cogUrl);
+    await expect(loader.readTile({ ...source, offline: true }, bboxForGrid(source.frame, 0, 0, 7, 7), 8, null))
+      .rejects.toThrow('キャッシュにないタイルは読み込めません');
+  });
+});
+
+describe('bilinear', () => {
+  const grid = [[1, 2], [3, NaN]];
+  const sample = (col, row) => (grid[row] && grid[row][col] !== undefined ? grid[row][col] : NaN);
+
+  test('画素の中心ちょうどはその画素の値（重み0の近傍は無視する）', () => {
+    expect(loader.bilinear(sample, 0, 0)).toBe(1);
+    expect(loader.bilinear(sample, 1, 0)).toBe(2);
+    expect(loader.bilinear(sample, 1, 1)).toBeNaN();
+  });
+
+  test('NoDataの近傍を除いて重みを正規化する', () => {
+    // 重み: (0,0) 0.25, (1,0) 0.25, (0,1) 0.25, (1,1) NaN
+    expect(loader.bilinear(sample, 0.5, 0.5)).toBeCloseTo(2, 9);
+    // 重み: (0,0) 0.75×0.5, (1,0) 0.25×0.5, (0,1) 0.75×0.5
+    expect(loader.bilinear(sample, 0.25, 0.5)).toBeCloseTo((0.375 * 1 + 0.125 * 2 + 0.375 * 3) / 0.875, 9);
+  });
+});
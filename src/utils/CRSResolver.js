@@ -0,0 +1,257 @@
+/**
+ * CRS Resolver
+ * GeoTIFFのGeoKeysから座標系を解決し、proj4定義を生成
+ */
+
+import proj4 from 'proj4';
+import {
+  EPSG_DEFINITIONS,
+  GEOGRAPHIC_DATUMS,
+  ELLIPSOIDS,
+  LINEAR_UNITS,
+  getProjectionConversion
+} from './epsgDefinitions';
+
+// GeoTIFF仕様の定数
+const USER_DEFINED = 32767;
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+
+// ProjCoordTransGeoKey の値
+const COORD_TRANSFORMATIONS = {
+  1: 'tmerc',   // TransverseMercator
+  7: 'merc',    // Mercator
+  8: 'lcc',     // LambertConfConic_2SP
+  9: 'lcc',     // LambertConfConic_Helmert (1SP)
+  10: 'laea',   // LambertAzimEqualArea
+  11: 'aea',    // AlbersEqualArea
+  14: 'stere',  // Stereographic
+  15: 'stere',  // PolarStereographic
+  17: 'eqc'     // Equirectangular
+};
+
+export class CRSResolver {
+  constructor() {
+    this.definitions = { ...EPSG_DEFINITIONS };
+  }
+
+  /**
+   * GeoKeysから座標系を解決
+   * 解決できない場合は resolved: false と理由を返す
+   */
+  resolve(geoKeys) {
+    if (!geoKeys) {
+      return this.unresolved(null, 'GeoKeysが存在しません');
+    }
+
+    const modelType = geoKeys.GTModelTypeGeoKey;
+    const projectedCode = geoKeys.ProjectedCSTypeGeoKey;
+    const geographicCode = geoKeys.GeographicTypeGeoKey;
+
+    try {
+      if (modelType === MODEL_TYPE_PROJECTED || (projectedCode && modelType !== MODEL_TYPE_GEOGRAPHIC)) {
+        if (projectedCode && projectedCode !== USER_DEFINED) {
+          return this.resolveEPSG(projectedCode);
+        }
+        return this.resolveUserDefinedProjection(geoKeys);
+      }
+
+      if (geographicCode && geographicCode !== USER_DEFINED) {
+        return this.resolveEPSG(geographicCode);
+      }
+      if (geographicCode === USER_DEFINED || geoKeys.GeogEllipsoidGeoKey || geoKeys.GeogSemiMajorAxisGeoKey) {
+        return this.resolveUserDefinedGeographic(geoKeys);
+      }
+    } catch (error) {
+      return this.unresolved(null, error.message);
+    }
+
+    return this.unresolved(null, `対応していないモデルタイプです (GTModelTypeGeoKey=${modelType})`);
+  }
+
+  /**
+   * 同梱のEPSG定義から解決
+   */
+  resolveEPSG(code) {
+    const key = `EPSG:${code}`;
+    const definition = this.definitions[key];
+    if (!definition) {
+      return this.unresolved(key, `EPSG:${code} は同梱の定義に含まれていません`);
+    }
+    return this.createCRS(key, definition.name, definition.proj4, definition.isGeographic, 'epsg');
+  }
+
+  /**
+   * ユーザー定義の投影法（ProjectedCSTypeGeoKey = 32767）を解決
+   */
+  resolveUserDefinedProjection(geoKeys) {
+    const datum = this.getDatumParams(geoKeys);
+    const units = this.getLinearUnits(geoKeys);
+
+    // 投影法がEPSGの変換コードで指定されている場合
+    const projectionCode = geoKeys.ProjectionGeoKey;
+    if (projectionCode && projectionCode !== USER_DEFINED) {
+      const conversion = getProjectionConversion(projectionCode);
+      if (!conversion) {
+        return this.unresolved(null, `投影法コード ${projectionCode} (ProjectionGeoKey) に対応していません`);
+      }
+      const definition = `${conversion.params} ${datum.params} +units=${units.proj4} +no_defs`;
+      return this.createCRS(null, `${datum.name} / ${conversion.name}`, definition, false, 'user-defined', units);
+    }
+
+    // 投影パラメータが個別に指定されている場合
+    const transformation = COORD_TRANSFORMATIONS[geoKeys.ProjCoordTransGeoKey];
+    if (!transformation) {
+      return this.unresolved(null, `座標変換方式 ${geoKeys.ProjCoordTransGeoKey} (ProjCoordTransGeoKey) に対応していません`);
+    }
+
+    const value = (...names) => {
+      for (const name of names) {
+        if (geoKeys[name] !== undefined) return geoKeys[name];
+      }
+      return 0;
+    };
+    const unitFactor = units.toMeters;
+    const params = [`+proj=${transformation}`];
+
+    params.push(`+lat_0=${value('ProjNatOriginLatGeoKey', 'ProjFalseOriginLatGeoKey', 'ProjCenterLatGeoKey')}`);
+    params.push(`+lon_0=${value('ProjNatOriginLongGeoKey', 'ProjFalseOriginLongGeoKey', 'ProjCenterLongGeoKey', 'ProjStraightVertPoleLongGeoKey')}`);
+
+    if (geoKeys.ProjStdParallel1GeoKey !== undefined) {
+      params.push(`+lat_1=${geoKeys.ProjStdParallel1GeoKey}`);
+      if (transformation === 'merc' || transformation === 'eqc' || transformation === 'stere') {
+        params.push(`+lat_ts=${geoKeys.ProjStdParallel1GeoKey}`);
+      }
+    }
+    if (geoKeys.ProjStdParallel2GeoKey !== undefined) {
+      params.push(`+lat_2=${geoKeys.ProjStdParallel2GeoKey}`);
+    }
+
+    const scale = value('ProjScaleAtNatOriginGeoKey', 'ProjScaleAtCenterGeoKey');
+    if (scale) {
+      params.push(`+k=${scale}`);
+    }
+
+    // 偽東距・偽北距はGeoKeysでは投影単位なので、proj4の+x_0/+y_0（メートル）に換算
+    params.push(`+x_0=${value('ProjFalseEastingGeoKey', 'ProjFalseOriginEastingGeoKey', 'ProjCenterEastingGeoKey') * unitFactor}`);
+    params.push(`+y_0=${value('ProjFalseNorthingGeoKey', 'ProjFalseOriginNorthingGeoKey', 'ProjCenterNorthingGeoKey') * unitFactor}`);
+
+    const definition = `${params.join(' ')} ${datum.params} +units=${units.proj4} +no_defs`;
+    return this.createCRS(null, `${datum.name} / ユーザー定義 (${transformation})`, definition, false, 'user-defined', units);
+  }
+
+  /**
+   * ユーザー定義の地理座標系を解決
+   */
+  resolveUserDefinedGeographic(geoKeys) {
+    const datum = this.getDatumParams(geoKeys);
+    const definition = `+proj=longlat ${datum.params} +no_defs`;
+    return this.createCRS(null, `${datum.name} (ユーザー定義)`, definition, true, 'user-defined');
+  }
+
+  /**
+   * 測地系・楕円体のproj4パラメータを取得
+   */
+  getDatumParams(geoKeys) {
+    const geographicCode = geoKeys.GeographicTypeGeoKey;
+    if (geographicCode && geographicCode !== USER_DEFINED) {
+      const datum = GEOGRAPHIC_DATUMS[geographicCode];
+      if (!datum) {
+        throw new Error(`測地系 EPSG:${geographicCode} (GeographicTypeGeoKey) は同梱の定義に含まれていません`);
+      }
+      return { name: datum.name, params: datum.datum };
+    }
+
+    const ellipsoidCode = geoKeys.GeogEllipsoidGeoKey;
+    if (ellipsoidCode && ellipsoidCode !== USER_DEFINED) {
+      const ellipsoid = ELLIPSOIDS[ellipsoidCode];
+      if (!ellipsoid) {
+        throw new Error(`楕円体 EPSG:${ellipsoidCode} (GeogEllipsoidGeoKey) は同梱の定義に含まれていません`);
+      }
+      return { name: ellipsoid.name, params: ellipsoid.ellps };
+    }
+
+    const semiMajor = geoKeys.GeogSemiMajorAxisGeoKey;
+    if (semiMajor) {
+      if (geoKeys.GeogSemiMinorAxisGeoKey) {
+        return { name: 'ユーザー定義楕円体', params: `+a=${semiMajor} +b=${geoKeys.GeogSemiMinorAxisGeoKey}` };
+      }
+      if (geoKeys.GeogInvFlatteningGeoKey) {
+        return { name: 'ユーザー定義楕円体', params: `+a=${semiMajor} +rf=${geoKeys.GeogInvFlatteningGeoKey}` };
+      }
+    }
+
+    throw new Error('測地系を特定できません（GeographicTypeGeoKey/GeogEllipsoidGeoKeyがありません）');
+  }
+
+  /**
+   * 投影座標の長さの単位を取得
+   */
+  getLinearUnits(geoKeys) {
+    const code = geoKeys.ProjLinearUnitsGeoKey;
+    if (!code) {
+      return LINEAR_UNITS[9001];
+    }
+    const units = LINEAR_UNITS[code];
+    if (!units) {
+      throw new Error(`長さの単位 ${code} (ProjLinearUnitsGeoKey) に対応していません`);
+    }
+    return units;
+  }
+
+  /**
+   * 解決済みの座標系オブジェクトを作成し、proj4に登録
+   */
+  createCRS(code, name, definition, isGeographic, source, units = null) {
+    const key = code || `USER:${this.hashDefinition(definition)}`;
+    proj4.defs(key, definition);
+    this.definitions[key] = { name, proj4: definition, isGeographic };
+
+    return {
+      resolved: true,
+      code: key,
+      name,
+      proj4: definition,
+      isGeographic,
+      units: isGeographic ? 'degree' : (units ? units.proj4 : 'm'),
+      toMeters: isGeographic ? null : (units ? units.toMeters : 1),
+      source
+    };
+  }
+
+  /**
+   * 解決できなかった場合の座標系オブジェクトを作成
+   */
+  unresolved(code, reason) {
+    return {
+      resolved: false,
+      code,
+      name: null,
+      proj4: null,
+      isGeographic: false,
+      units: null,
+      toMeters: null,
+      source: null,
+      reason
+    };
+  }
+
+  /**
+   * 座標系コードからproj4定義を取得
+   */
+  getDefinition(code) {
+    const definition = this.definitions[code];
+    return definition ? definition.proj4 : null;
+  }
+
+  /**
+   * proj4定義文字列から簡易ハッシュを生成（ユーザー定義CRSのキー用）
+   */
+  hashDefinition(definition) {
+    let hash = 0;
+    for (let i = 0; i < definition.length; i++) {
+      hash = ((hash << 5) - hash + definition.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
@@ -0,0 +1,154 @@
+import proj4 from 'proj4';
+import { CRSResolver } from './CRSResolver';
+
+const USER_DEFINED = 32767;
+
+// proj4で緯度経度に変換した結果（座標系を登録済みのキーで指定）
+const toLonLat = (crs, x, y) => proj4(crs.code, 'EPSG:4326', [x, y]);
+
+let resolver;
+
+beforeEach(() => {
+  resolver = new CRSResolver();
+});
+
+describe('EPSGコード', () => {
+  test('投影座標系（WGS 84 / UTM 54N）', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 32654 });
+    expect(crs).toMatchObject({
+      resolved: true,
+      code: 'EPSG:32654',
+      name: 'WGS 84 / UTM zone 54N',
+      isGeographic: false,
+      units: 'm',
+      toMeters: 1,
+      source: 'epsg'
+    });
+    // 中央子午線（141°E）上の点は偽東距 500000m
+    const [x] = proj4('EPSG:4326', crs.code, [141, 35]);
+    expect(x).toBeCloseTo(500000, 3);
+  });
+
+  test('地理座標系（WGS 84）', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+    expect(crs).toMatchObject({ resolved: true, code: 'EPSG:4326', isGeographic: true, units: 'degree', toMeters: null });
+  });
+
+  test('平面直角座標系（JGD2011 IX系）の原点', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 6677 });
+    expect(crs.name).toBe('JGD2011 / Japan Plane Rectangular CS IX');
+    const [lon, lat] = toLonLat(crs, 0, 0);
+    expect(lon).toBeCloseTo(139 + 50 / 60, 9);
+    expect(lat).toBeCloseTo(36, 9);
+  });
+
+  test('GTModelTypeGeoKeyがなくてもProjectedCSTypeGeoKeyがあれば投影座標系', () => {
+    expect(resolver.resolve({ ProjectedCSTypeGeoKey: 3857 }).code).toBe('EPSG:3857');
+  });
+
+  test('同梱の定義にないコードは理由とともに未解決', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2154 });
+    expect(crs).toMatchObject({ resolved: false, code: 'EPSG:2154', proj4: null });
+    expect(crs.reason).toContain('EPSG:2154 は同梱の定義に含まれていません');
+  });
+});
+
+describe('ユーザー定義の投影法', () => {
+  test('ProjectionGeoKeyの投影法と測地系を組み合わせる', () => {
+    const crs = resolver.resolve({
+      GTModelTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: USER_DEFINED,
+      ProjectionGeoKey: 16054,
+      GeographicTypeGeoKey: 4326
+    });
+    expect(crs).toMatchObject({ resolved: true, name: 'WGS 84 / UTM zone 54N', source: 'user-defined' });
+    expect(crs.code).toMatch(/^USER:/);
+
+    const epsg = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 32654 });
+    const [lon, lat] = toLonLat(crs, 400000, 3900000);
+    const [epsgLon, epsgLat] = toLonLat(epsg, 400000, 3900000);
+    expect(lon).toBeCloseTo(epsgLon, 9);
+    expect(lat).toBeCloseTo(epsgLat, 9);
+  });
+
+  test('個別の投影パラメータ（偽東距はフィートからメートルに換算）', () => {
+    const crs = resolver.resolve({
+      GTModelTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: USER_DEFINED,
+      ProjCoordTransGeoKey: 1,
+      ProjNatOriginLatGeoKey: 0,
+      ProjNatOriginLongGeoKey: -117,
+      ProjScaleAtNatOriginGeoKey: 0.9996,
+      ProjFalseEastingGeoKey: 1000000,
+      ProjFalseNorthingGeoKey: 0,
+      ProjLinearUnitsGeoKey: 9002,
+      GeogEllipsoidGeoKey: 7030
+    });
+    expect(crs).toMatchObject({ resolved: true, units: 'ft', toMeters: 0.3048 });
+    expect(crs.proj4).toContain('+proj=tmerc');
+    expect(crs.proj4).toContain('+x_0=304800');
+
+    // 原点（偽東距の位置）は中央子午線上
+    const [lon, lat] = toLonLat(crs, 1000000, 0);
+    expect(lon).toBeCloseTo(-117, 6);
+    expect(lat).toBeCloseTo(0, 6);
+  });
+
+  test('同じ定義は同じキーになる', () => {
+    const geoKeys = { GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: USER_DEFINED, ProjectionGeoKey: 17809, GeographicTypeGeoKey: 6668 };
+    expect(resolver.resolve(geoKeys).code).toBe(new CRSResolver().resolve(geoKeys).code);
+  });
+
+  test('対応していない座標変換方式・投影法は未解決', () => {
+    const base = { GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: USER_DEFINED, GeographicTypeGeoKey: 4326 };
+    expect(resolver.resolve({ ...base, ProjCoordTransGeoKey: 99 }).reason).toContain('座標変換方式 99');
+    expect(resolver.resolve({ ...base, ProjectionGeoKey: 12345 }).reason).toContain('投影法コード 12345');
+  });
+
+  test('測地系を特定できない場合は未解決', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: USER_DEFINED, ProjectionGeoKey: 16054 });
+    expect(crs.resolved).toBe(false);
+    expect(crs.reason).toContain('測地系を特定できません');
+  });
+
+  test('対応していない長さの単位は未解決', () => {
+    const crs = resolver.resolve({
+      GTModelTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: USER_DEFINED,
+      ProjectionGeoKey: 16054,
+      GeographicTypeGeoKey: 4326,
+      ProjLinearUnitsGeoKey: 9030
+    });
+    expect(crs.reason).toContain('長さの単位 9030');
+  });
+});
+
+describe('ユーザー定義の地理座標系', () => {
+  test('楕円体のコードから', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: USER_DEFINED, GeogEllipsoidGeoKey: 7019 });
+    expect(crs).toMatchObject({ resolved: true, isGeographic: true, name: 'GRS 1980 (ユーザー定義)' });
+    expect(crs.proj4).toBe('+proj=longlat +ellps=GRS80 +no_defs');
+  });
+
+  test('長半径と逆扁平率から', () => {
+    const crs = resolver.resolve({ GTModelTypeGeoKey: 2, GeogSemiMajorAxisGeoKey: 6378137, GeogInvFlatteningGeoKey: 298.257223563 });
+    expect(crs.proj4).toBe('+proj=longlat +a=6378137 +rf=298.257223563 +no_defs');
+  });
+});
+
+describe('解決できないGeoKeys', () => {
+  test('GeoKeysがない', () => {
+    expect(resolver.resolve(null)).toMatchObject({ resolved: false, reason: 'GeoKeysが存在しません' });
+  });
+
+  test('モデルタイプに対応していない', () => {
+    expect(resolver.resolve({ GTModelTypeGeoKey: 3 }).reason).toContain('GTModelTypeGeoKey=3');
+  });
+});
+
+test('解決した座標系の定義を取得できる', () => {
+  const crs = resolver.resolve({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: USER_DEFINED, ProjectionGeoKey: 16054, GeographicTypeGeoKey: 4326 });
+  expect(resolver.getDefinition(crs.code)).toBe(crs.proj4);
+  expect(resolver.getDefinition('EPSG:32654')).toContain('+zone=54');
+  expect(resolver.getDefinition('EPSG:0')).toBeNull();
+});
@@ -0,0 +1,217 @@
+/**
+ * Color Ramps
+ * 標高の色分け（カラーランプ）の定義・読み込み・色の計算
+ *
+ * ランプは色の停止点の一覧で、停止点はpositionでストレッチの範囲内の相対位置（0〜1）、
+ * またはvalueで標高（メートル）を指定する。色は0〜1のRGB。
+ * 停止点の間は線形補間し、範囲外は端の色にする。
+ */
+
+const hex = (value) => [
+  parseInt(value.slice(1, 3), 16) / 255,
+  parseInt(value.slice(3, 5), 16) / 255,
+  parseInt(value.slice(5, 7), 16) / 255
+];
+
+const evenStops = (colors) => colors.map((color, i) => ({
+  position: i / (colors.length - 1),
+  color: hex(color)
+}));
+
+// NoDataの色（グレー）
+export const NODATA_COLOR = [0.5, 0.5, 0.5];
+
+// 差分（変化）の発散型のカラーランプ（低下は赤、0は白、上昇は青。ColorBrewerのRdBu）
+// 標高の色分けでは選択できず、±rangeの対称な範囲で使う
+export const DIFFERENCE_RAMP = {
+  label: '差分（赤−白−青）',
+  stops: evenStops(['#b2182b', '#ef8a62', '#fddbc7', '#f7f7f7', '#d1e5f0', '#67a9cf', '#2166ac'])
+};
+
+export const COLOR_RAMPS = {
+  terrain: {
+    label: '地形（terrain）',
+    stops: [
+      { position: 0, color: [0.2, 0.2, 0.6] },
+      { position: 0.15, color: [0, 0.6, 1] },
+      { position: 0.25, color: [0, 0.8, 0.4] },
+      { position: 0.5, color: [1, 1, 0.6] },
+      { position: 0.75, color: [0.5, 0.36, 0.33] },
+      { position: 1, color: [1, 1, 1] }
+    ]
+  },
+  viridis: {
+    label: 'viridis',
+    stops: evenStops(['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'])
+  },
+  hypsometric: {
+    label: '段彩（ハイプソメトリック）',
+    stops: [
+      { position: 0, color: hex('#4a8c4a') },
+      { position: 0.2, color: hex('#9cc47a') },
+      { position: 0.4, color: hex('#e8e0a0') },
+      { position: 0.6, color: hex('#d7b070') },
+      { position: 0.8, color: hex('#a8744a') },
+      { position: 0.9, color: hex('#8a6a5a') },
+      { position: 1, color: hex('#f5f5f5') }
+    ]
+  },
+  grayscale: {
+    label: 'グレースケール',
+    stops: [
+      { position: 0, color: [0, 0, 0] },
+      { position: 1, color: [1, 1, 1] }
+    ]
+  }
+};
+
+/**
+ * 色の文字列（#rrggbb・#rgb）または配列（0〜255）を0〜1のRGBに変換
+ */
+const parseColor = (value) => {
+  if (Array.isArray(value) && value.length >= 3 && value.slice(0, 3).every(v => isFinite(v))) {
+    return value.slice(0, 3).map(v => Math.min(255, Math.max(0, Number(v))) / 255);
+  }
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (/^#[0-9a-f]{6}$/i.test(text)) {
+      return hex(text);
+    }
+    if (/^#[0-9a-f]{3}$/i.test(text)) {
+      return hex(`#${text[1]}${text[1]}${text[2]}${text[2]}${text[3]}${text[3]}`);
+    }
+  }
+  throw new Error(`色を解釈できません: ${JSON.stringify(value)}`);
+};
+
+/**
+ * JSONのカラーランプ
+ * [{ value: 標高, color: '#rrggbb' }, ...] または { stops: [...], nodata: 色 }
+ * valueの代わりにposition（0〜1、ストレッチの範囲内の相対位置）も指定できる
+ */
+const parseJSONRamp = (json) => {
+  const stops = Array.isArray(json) ? json : json.stops;
+  if (!Array.isArray(stops)) {
+    throw new Error('JSONのカラーランプには停止点の配列（stops）が必要です');
+  }
+
+  return {
+    stops: stops.map((stop) => {
+      const color = parseColor(stop.color);
+      if (isFinite(stop.value) && stop.value !== null) {
+        return { value: Number(stop.value), color };
+      }
+      if (isFinite(stop.position) && stop.position !== null) {
+        return { position: Number(stop.position), color };
+      }
+      throw new Error('停止点にはvalue（標高）またはposition（0〜1）を指定してください');
+    }),
+    nodata: json.nodata !== undefined && !Array.isArray(json) ? parseColor(json.nodata) : null
+  };
+};
+
+/**
+ * GDAL color-relief形式（gdaldem color-relief のカラーテキスト）
+ * 1行に「標高 R G B [A]」（区切りは空白・タブ・カンマ・コロン）、標高は「50%」のような百分率や
+ * NoDataを表す「nv」も指定できる。#で始まる行はコメント。
+ */
+const parseColorReliefText = (text) => {
+  const stops = [];
+  let nodata = null;
+
+  text.split(/\r?\n/).forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const fields = trimmed.split(/[\s,:]+/);
+    if (fields.length < 4) {
+      throw new Error(`${lineIndex + 1}行目: 「標高 R G B」の形式で指定してください`);
+    }
+    const color = parseColor(fields.slice(1, 4).map(Number));
+
+    const key = fields[0].toLowerCase();
+    if (key === 'nv') {
+      nodata = color;
+    } else if (key.endsWith('%') && isFinite(parseFloat(key))) {
+      stops.push({ position: parseFloat(key) / 100, color });
+    } else if (isFinite(parseFloat(key))) {
+      stops.push({ value: parseFloat(key), color });
+    } else {
+      throw new Error(`${lineIndex + 1}行目: 標高を解釈できません: ${fields[0]}`);
+    }
+  });
+
+  return { stops, nodata };
+};
+
+/**
+ * カスタムのカラーランプ（JSONまたはGDAL color-reliefのテキスト）を解析
+ * @returns {Object} { stops, nodata }
+ */
+export const parseColorRamp = (text) => {
+  const trimmed = text.trim();
+  let ramp;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`JSONを解析できません: ${error.message}`);
+    }
+    ramp = parseJSONRamp(json);
+  } else {
+    ramp = parseColorReliefText(trimmed);
+  }
+
+  if (ramp.stops.length < 2) {
+    throw new Error('カラーランプには2つ以上の停止点が必要です');
+  }
+  return ramp;
+};
+
+/**
+ * ストレッチの範囲（min〜max、メートル）に対する色の計算
+ * @returns {Object} { min, max, stops（標高順、valueはメートル）, nodata, colorAt(elevation, out, offset) }
+ */
+export const createColorScale = (ramp, min, max) => {
+  const span = max - min;
+  const stops = ramp.stops
+    .map(stop => ({
+      value: stop.value !== undefined ? stop.value : min + stop.position * span,
+      color: stop.color
+    }))
+    .sort((a, b) => a.value - b.value);
+  const last = stops.length - 1;
+
+  // outのoffsetの位置にRGBを書き込む（頂点色の配列に直接書き込むため）
+  const colorAt = (elevation, out = [0, 0, 0], offset = 0) => {
+    let color;
+    if (elevation <= stops[0].value) {
+      color = stops[0].color;
+    } else if (elevation >= stops[last].value) {
+      color = stops[last].color;
+    } else {
+      let i = 1;
+      while (stops[i].value < elevation) i++;
+      const lower = stops[i - 1];
+      const upper = stops[i];
+      const t = (elevation - lower.value) / ((upper.value - lower.value) || 1);
+      out[offset] = lower.color[0] + (upper.color[0] - lower.color[0]) * t;
+      out[offset + 1] = lower.color[1] + (upper.color[1] - lower.color[1]) * t;
+      out[offset + 2] = lower.color[2] + (upper.color[2] - lower.color[2]) * t;
+      return out;
+    }
+    out[offset] = color[0];
+    out[offset + 1] = color[1];
+    out[offset + 2] = color[2];
+    return out;
+  };
+
+  return {
+    min,
+    max,
+    stops,
+    nodata: ramp.nodata || NODATA_COLOR,
+    colorAt
+  };
+};
@@ -0,0 +1,247 @@
+/**
+ * Contour Overlay
+ * 等高線（Contours）を地形の上に線メッシュとラベルで表示
+ *
+ * 線の頂点のYは等高線の標高そのもので、地形と同じく標高スケールはscalingで適用する。
+ * 地形の面に埋もれないよう、線は画素間隔に比例した高さだけ持ち上げる（標高スケールに合わせて伸縮）。
+ * 計曲線は主曲線と別のメッシュにして濃い色で表示し、標高のラベルを計曲線に沿って配置する。
+ */
+
+import { Mesh, LinesMesh, VertexData, StandardMaterial, DynamicTexture, MeshBuilder, Color3 } from '@babylonjs/core';
+import { TerrainFrame } from './TerrainFrame';
+import { generateContours, isIndexContour, placeContourLabels, contoursToGeoJSON } from './Contours';
+
+// 線を地形の面から持ち上げる高さ（画素間隔に対する比）
+const LINE_OFFSET_FACTOR = 0.5;
+// ラベルの間隔と、ラベルを付ける折れ線の最小の長さ（画素）
+const LABEL_SPACING = 150;
+const LABEL_MIN_LENGTH = 40;
+// ラベルの最大数（多すぎる場合は描画が重くなるため打ち切る）
+const MAX_LABELS = 300;
+
+const MINOR_COLOR = new Color3(0.25, 0.18, 0.1);
+const INDEX_COLOR = new Color3(0.05, 0.03, 0);
+
+export class ContourOverlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.lineMeshes = [];
+    this.labels = []; // { mesh, elevation, size }
+    this.labelTemplates = []; // 標高ごとのラベルの板（非表示、複製して配置）
+    this.labelMaterials = [];
+    this.contourSets = []; // グリッドごとの { frame, contours }
+    this.options = null;
+    this.crs = null;
+    this.heightScale = 1;
+    this.baseElevation = 0;
+    this.offset = 0;
+  }
+
+  /**
+   * 等高線を生成して表示（既存の等高線は破棄）
+   * @param {Object} terrainData - meshTiles（グリッド）, sceneFrame, minElevation, crs
+   * @param {Object} options - interval（メートル）, indexEvery（計曲線の間隔の本数）, showLabels, heightScale
+   * @returns {Object} { levelCount, lineCount }
+   */
+  build(terrainData, options) {
+    this.clear();
+    this.options = options;
+    this.crs = terrainData.crs;
+    this.heightScale = options.heightScale;
+    this.baseElevation = terrainData.minElevation;
+
+    const { meshTiles, sceneFrame } = terrainData;
+    const sceneTerrainFrame = sceneFrame ? new TerrainFrame(sceneFrame) : null;
+    this.contourSets = meshTiles.map(tile => ({
+      frame: new TerrainFrame(tile),
+      contours: generateContours(tile, options.interval)
+    }));
+
+    // 持ち上げる高さは最も細かいグリッドの画素間隔から
+    const pixelSize = Math.min(...this.contourSets.map(({ frame }) =>
+      Math.min(frame.groundResolution.x, frame.groundResolution.y)));
+    this.offset = pixelSize * LINE_OFFSET_FACTOR;
+    const labelSize = pixelSize * 12;
+
+    const levels = new Set();
+    let lineCount = 0;
+    const labelPositions = [];
+
+    this.contourSets.forEach(({ frame, contours }, index) => {
+      const toLocal = (col, row) => {
+        const source = frame.gridToSource(col, row);
+        return (sceneTerrainFrame || frame).sourceToLocal(source.x, source.y);
+      };
+
+      const minor = [];
+      const major = [];
+      for (const { level, lines } of contours) {
+        levels.add(level);
+        lineCount += lines.length;
+        const isIndex = isIndexContour(level, options.interval, options.indexEvery);
+        (isIndex ? major : minor).push({ level, lines });
+
+        if (isIndex && options.showLabels) {
+          for (const line of lines) {
+            for (const { col, row } of placeContourLabels(line, LABEL_SPACING, LABEL_MIN_LENGTH)) {
+              labelPositions.push({ ...toLocal(col, row), elevation: level });
+            }
+          }
+        }
+      }
+
+      this.addLineMesh(`contours-${index}`, minor, toLocal, MINOR_COLOR, 0.6);
+      this.addLineMesh(`contours-index-${index}`, major, toLocal, INDEX_COLOR, 0.9);
+    });
+
+    this.addLabels(labelPositions.slice(0, MAX_LABELS), labelSize);
+    this.setHeightScale(this.heightScale);
+
+    return { levelCount: levels.size, lineCount };
+  }
+
+  /**
+   * 折れ線を1つの線メッシュにまとめる（頂点を共有する線分のインデックス）
+   */
+  addLineMesh(name, contours, toLocal, color, alpha) {
+    let pointCount = 0;
+    let segmentCount = 0;
+    for (const { lines } of contours) {
+      for (const line of lines) {
+        pointCount += line.length / 2;
+        segmentCount += line.length / 2 - 1;
+      }
+    }
+    if (segmentCount === 0) return;
+
+    const positions = new Float32Array(pointCount * 3);
+    const indices = new Uint32Array(segmentCount * 2);
+    let vertex = 0;
+    let index = 0;
+
+    for (const { level, lines } of contours) {
+      for (const line of lines) {
+        const start = vertex;
+        for (let i = 0; i < line.length; i += 2) {
+          const local = toLocal(line[i], line[i + 1]);
+          positions[vertex * 3] = local.x;
+          positions[vertex * 3 + 1] = level + this.offset;
+          positions[vertex * 3 + 2] = local.z;
+          vertex++;
+        }
+        for (let i = start; i < vertex - 1; i++) {
+          indices[index++] = i;
+          indices[index++] = i + 1;
+        }
+      }
+    }
+
+    const vertexData = new VertexData();
+    vertexData.positions = positions;
+    vertexData.indices = indices;
+
+    const mesh = new LinesMesh(name, this.scene);
+    vertexData.applyToMesh(mesh);
+    mesh.color = color;
+    mesh.alpha = alpha;
+    mesh.isPickable = false;
+    this.lineMeshes.push(mesh);
+  }
+
+  /**
+   * 標高のラベル（カメラに向く板、標高ごとにテクスチャと頂点を共有）
+   */
+  addLabels(positions, size) {
+    const templates = new Map();
+    const getTemplate = (elevation) => {
+      if (templates.has(elevation)) {
+        return templates.get(elevation);
+      }
+
+      const texture = new DynamicTexture(`contour-label-texture-${elevation}`, { width: 256, height: 64 }, this.scene, true);
+      const context = texture.getContext();
+      context.clearRect(0, 0, 256, 64);
+      context.font = 'bold 40px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.lineWidth = 8;
+      context.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+      context.strokeText(`${elevation}`, 128, 32);
+      context.fillStyle = '#1a1208';
+      context.fillText(`${elevation}`, 128, 32);
+      texture.hasAlpha = true;
+      texture.update();
+
+      const material = new StandardMaterial(`contour-label-material-${elevation}`, this.scene);
+      material.diffuseTexture = texture;
+      material.useAlphaFromDiffuseTexture = true;
+      material.emissiveColor = new Color3(1, 1, 1);
+      material.disableLighting = true;
+      material.backFaceCulling = false;
+      this.labelMaterials.push(material);
+
+      const template = MeshBuilder.CreatePlane(`contour-label-${elevation}`, { width: size * 4, height: size }, this.scene);
+      template.material = material;
+      template.billboardMode = Mesh.BILLBOARDMODE_ALL;
+      template.isPickable = false;
+      template.setEnabled(false);
+      templates.set(elevation, template);
+      this.labelTemplates.push(template);
+      return template;
+    };
+
+    positions.forEach(({ x, z, elevation }, i) => {
+      const label = getTemplate(elevation).clone(`contour-label-${elevation}-${i}`);
+      label.position.x = x;
+      label.position.z = z;
+      label.setEnabled(true);
+      this.labels.push({ mesh: label, elevation, size });
+    });
+  }
+
+  /**
+   * 標高スケールを適用（地形のメッシュと同じく、最低標高が高さ0になるよう下げる）
+   */
+  setHeightScale(heightScale) {
+    this.heightScale = heightScale;
+    for (const mesh of this.lineMeshes) {
+      mesh.scaling.y = heightScale;
+      mesh.position.y = -this.baseElevation * heightScale;
+    }
+    for (const { mesh, elevation, size } of this.labels) {
+      // ラベルの下端が線に接するよう、板の高さの半分だけ上げる
+      mesh.position.y = (elevation - this.baseElevation + this.offset) * heightScale + size / 2;
+    }
+  }
+
+  /**
+   * 表示中の等高線をGeoJSON（元の座標系）に変換
+   */
+  toGeoJSON() {
+    return contoursToGeoJSON(this.contourSets, this.crs, this.options.interval, this.options.indexEvery);
+  }
+
+  clear() {
+    for (const mesh of this.lineMeshes) {
+      mesh.dispose();
+    }
+    for (const { mesh } of this.labels) {
+      mesh.dispose();
+    }
+    for (const template of this.labelTemplates) {
+      template.dispose();
+    }
+    for (const material of this.labelMaterials) {
+      material.dispose(false, true);
+    }
+    this.lineMeshes = [];
+    this.labels = [];
+    this.labelTemplates = [];
+    this.labelMaterials = [];
+    this.contourSets = [];
+  }
+
+  dispose() {
+    this.clear();
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Contours
+ * 標高グリッドから等高線を生成（マーチングスクエア、Babylon.jsに依存しない）
+ *
+ * 頂点は画素中心（グリッド座標の整数位置）で、4つの画素中心で囲まれたセルごとに等高線が横切る辺を求め、
+ * 隣接するセルの線分を辺でつないで折れ線にする。NoDataの画素を含むセルには線を引かない。
+ * 鞍点（対角の2画素だけが高い）はセル中心の平均値で分け方を決める。
+ * 座標はグリッド座標（列・行）のまま返し、表示・書き出し時に各座標系へ変換する。
+ */
+
+// 1つのグリッドで生成する等高線の高さの最大数（間隔が細かすぎる場合に止める）
+export const MAX_CONTOUR_LEVELS = 1000;
+
+// セルの辺: 0: 上（行r、列c〜c+1）, 1: 右（列c+1）, 2: 下（行r+1）, 3: 左（列c）
+// ケース番号のビット: 左上8・右上4・右下2・左下1（等高線の高さ以上の画素）
+const SEGMENTS = {
+  1: [[3, 2]],
+  2: [[2, 1]],
+  3: [[3, 1]],
+  4: [[0, 1]],
+  6: [[0, 2]],
+  7: [[3, 0]],
+  8: [[3, 0]],
+  9: [[0, 2]],
+  11: [[0, 1]],
+  12: [[3, 1]],
+  13: [[2, 1]],
+  14: [[3, 2]]
+};
+
+// 鞍点: セル中心が等高線の高さ以上の場合と未満の場合の線分
+const SADDLE_SEGMENTS = {
+  5: { above: [[3, 0], [2, 1]], below: [[0, 1], [3, 2]] },
+  10: { above: [[0, 1], [3, 2]], below: [[3, 0], [2, 1]] }
+};
+
+/**
+ * 最低〜最高標高の範囲で、間隔の倍数になる等高線の高さの一覧
+ */
+export const getContourLevels = (minElevation, maxElevation, interval) => {
+  if (!(interval > 0)) {
+    throw new Error('等高線の間隔は0より大きい値を指定してください');
+  }
+  const first = Math.ceil(minElevation / interval);
+  const last = Math.floor(maxElevation / interval);
+  if (last - first + 1 > MAX_CONTOUR_LEVELS) {
+    throw new Error(`等高線の本数が多すぎます（${last - first + 1}段階）。間隔を広げてください`);
+  }
+  const levels = [];
+  for (let i = first; i <= last; i++) {
+    levels.push(i * interval);
+  }
+  return levels;
+};
+
+/**
+ * 等高線を生成
+ * @param {Object} grid - elevationData, validMask, width, height
+ * @param {number} interval - 等高線の間隔（メートル）
+ * @returns {Array} 高さごとの { level, lines }（linesは折れ線の配列、折れ線は [col0, row0, col1, row1, ...]）
+ */
+export const generateContours = (grid, interval) => {
+  const { elevationData, validMask, width, height } = grid;
+  const isValid = (index) => (!validMask || validMask[index] === 1) && isFinite(elevationData[index]);
+
+  // 有効な画素の標高範囲
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  for (let i = 0; i < elevationData.length; i++) {
+    if (!isValid(i)) continue;
+    minElevation = Math.min(minElevation, elevationData[i]);
+    maxElevation = Math.max(maxElevation, elevationData[i]);
+  }
+  if (minElevation > maxElevation) {
+    return [];
+  }
+
+  const levels = getContourLevels(minElevation, maxElevation, interval);
+  const firstLevelIndex = Math.round(levels[0] / interval);
+  // 高さごとの線分（端点は辺のキーとグリッド座標）
+  const segmentsByLevel = levels.map(() => []);
+
+  for (let row = 0; row < height - 1; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      const topLeft = row * width + col;
+      const topRight = topLeft + 1;
+      const bottomLeft = topLeft + width;
+      const bottomRight = bottomLeft + 1;
+      if (!isValid(topLeft) || !isValid(topRight) || !isValid(bottomLeft) || !isValid(bottomRight)) continue;
+
+      const tl = elevationData[topLeft];
+      const tr = elevationData[topRight];
+      const br = elevationData[bottomRight];
+      const bl = elevationData[bottomLeft];
+      const cellMin = Math.min(tl, tr, br, bl);
+      const cellMax = Math.max(tl, tr, br, bl);
+
+      for (let k = Math.ceil(cellMin / interval); k * interval <= cellMax; k++) {
+        const level = k * interval;
+        const caseIndex = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+        if (caseIndex === 0 || caseIndex === 15) continue;
+
+        let segments = SEGMENTS[caseIndex];
+        if (!segments) {
+          const center = (tl + tr + br + bl) / 4;
+          segments = center >= level ? SADDLE_SEGMENTS[caseIndex].above : SADDLE_SEGMENTS[caseIndex].below;
+        }
+
+        // 辺と等高線の交点（辺の両端の標高で線形補間）
+        const crossing = (edge) => {
+          const along = (a, b) => (a === b ? 0.5 : (level - a) / (b - a));
+          switch (edge) {
+            case 0: return { key: `h${row}_${col}`, col: col + along(tl, tr), row };
+            case 1: return { key: `v${row}_${col + 1}`, col: col + 1, row: row + along(tr, br) };
+            case 2: return { key: `h${row + 1}_${col}`, col: col + along(bl, br), row: row + 1 };
+            default: return { key: `v${row}_${col}`, col, row: row + along(tl, bl) };
+          }
+        };
+
+        const levelSegments = segmentsByLevel[k - firstLevelIndex];
+        for (const [from, to] of segments) {
+          levelSegments.push([crossing(from), crossing(to)]);
+        }
+      }
+    }
+  }
+
+  return levels
+    .map((level, i) => ({ level, lines: joinSegments(segmentsByLevel[i]) }))
+    .filter(contour => contour.lines.length > 0);
+};
+
+/**
+ * 線分を共有する辺でつないで折れ線にする
+ */
+const joinSegments = (segments) => {
+  const byKey = new Map();
+  segments.forEach((segment, i) => {
+    for (const point of segment) {
+      const list = byKey.get(point.key);
+      if (list) {
+        list.push(i);
+      } else {
+        byKey.set(point.key, [i]);
+      }
+    }
+  });
+
+  const used = new Uint8Array(segments.length);
+  // pointの辺を共有する未使用の線分の、反対側の端点
+  const nextPoint = (point) => {
+    for (const i of byKey.get(point.key)) {
+      if (used[i]) continue;
+      used[i] = 1;
+      const [a, b] = segments[i];
+      return a.key === point.key ? b : a;
+    }
+    return null;
+  };
+
+  const lines = [];
+  segments.forEach((segment, i) => {
+    if (used[i]) return;
+    used[i] = 1;
+
+    const forward = [segment[1]];
+    for (let point = nextPoint(segment[1]); point; point = nextPoint(point)) {
+      forward.push(point);
+    }
+    const backward = [];
+    for (let point = nextPoint(segment[0]); point; point = nextPoint(point)) {
+      backward.push(point);
+    }
+
+    const points = [...backward.reverse(), segment[0], ...forward];
+    // 頂点の標高が等高線の高さちょうどの場合にできる、長さのない線は除く
+    if (points.every(point => point.col === points[0].col && point.row === points[0].row)) return;
+
+    const line = new Array(points.length * 2);
+    points.forEach((point, j) => {
+      line[j * 2] = point.col;
+      line[j * 2 + 1] = point.row;
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * 計曲線（index番目ごとの太い等高線）か
+ */
+export const isIndexContour = (level, interval, indexEvery) =>
+  indexEvery > 0 && Math.round(level / interval) % indexEvery === 0;
+
+/**
+ * 折れ線に沿ったラベルの位置（グリッド座標）
+ * 長さがminLength以上の折れ線に、spacingごと（短い折れ線は中央に1つ）に配置する
+ */
+export const placeContourLabels = (line, spacing, minLength) => {
+  const pointCount = line.length / 2;
+  const cumulative = new Float64Array(pointCount);
+  for (let i = 1; i < pointCount; i++) {
+    const dx = line[i * 2] - line[i * 2 - 2];
+    const dy = line[i * 2 + 1] - line[i * 2 - 1];
+    cumulative[i] = cumulative[i - 1] + Math.sqrt(dx * dx + dy * dy);
+  }
+  const length = cumulative[pointCount - 1];
+  if (length < minLength) {
+    return [];
+  }
+
+  const count = Math.max(1, Math.floor(length / spacing));
+  const positions = [];
+  let segment = 1;
+  for (let n = 0; n < count; n++) {
+    const distance = (n + 0.5) * length / count;
+    while (segment < pointCount - 1 && cumulative[segment] < distance) segment++;
+    const start = cumulative[segment - 1];
+    const t = (distance - start) / ((cumulative[segment] - start) || 1);
+    positions.push({
+      col: line[segment * 2 - 2] + (line[segment * 2] - line[segment * 2 - 2]) * t,
+      row: line[segment * 2 - 1] + (line[segment * 2 + 1] - line[segment * 2 - 1]) * t
+    });
+  }
+  return positions;
+};
+
+/**
+ * 等高線をGeoJSON（LineString）に変換。座標は元の座標系
+ * @param {Array} contourSets - グリッドごとの { frame（TerrainFrame）, contours（generateContoursの戻り値） }
+ * @param {Object} crs - 座標系（EPSGコードがあればcrsメンバーに記録）
+ */
+export const contoursToGeoJSON = (contourSets, crs, interval, indexEvery) => {
+  const features = [];
+  for (const { frame, contours } of contourSets) {
+    for (const { level, lines } of contours) {
+      for (const line of lines) {
+        const coordinates = [];
+        for (let i = 0; i < line.length; i += 2) {
+          const point = frame.gridToSource(line[i], line[i + 1]);
+          coordinates.push([point.x, point.y]);
+        }
+        features.push({
+          type: 'Feature',
+          properties: {
+            elevation: level,
+            index: isIndexContour(level, interval, indexEvery)
+          },
+          geometry: { type: 'LineString', coordinates }
+        });
+      }
+    }
+  }
+
+  const geoJSON = { type: 'FeatureCollection', features };
+  // RFC 7946ではWGS84のみだが、元の座標系で書き出すため旧仕様のcrsメンバーで座標系を示す
+  const epsg = crs && crs.code && /^EPSG:(\d+)$/.exec(crs.code);
+  if (epsg) {
+    geoJSON.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg[1]}` } };
+  }
+  return geoJSON;
+};
@@ -0,0 +1,190 @@
+import {
+  generateContours,
+  getContourLevels,
+  isIndexContour,
+  placeContourLabels,
+  contoursToGeoJSON,
+  MAX_CONTOUR_LEVELS
+} from './Contours';
+import { TerrainFrame } from './TerrainFrame';
+
+const createGrid = (rows, validMask = null) => ({
+  elevationData: new Float32Array(rows.flat()),
+  validMask,
+  width: rows[0].length,
+  height: rows.length
+});
+
+// 2×2画素（1セル）のグリッド。ケース番号のビットが立つ角を high、それ以外を low にする
+const cellGrid = (caseIndex, high = 8, low = 2) => {
+  const value = (bit) => (caseIndex & bit ? high : low);
+  return createGrid([[value(8), value(4)], [value(1), value(2)]]);
+};
+
+// セルの辺の中点（グリッド座標）: 0: 上, 1: 右, 2: 下, 3: 左
+const EDGE_MIDPOINTS = [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]];
+// 辺の両端の角のビット
+const EDGE_CORNERS = [[8, 4], [4, 2], [1, 2], [8, 1]];
+
+const endpoints = (line) => [[line[0], line[1]], [line[line.length - 2], line[line.length - 1]]];
+const sortPoints = (points) => [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+describe('マーチングスクエアのケース表', () => {
+  // 鞍点（5・10）以外の全ケース: 両端の角の高さが異なる2つの辺を1本の線分で結ぶ
+  const cases = [1, 2, 3, 4, 6, 7, 8, 9, 11, 12, 13, 14];
+
+  test.each(cases)('ケース%i', (caseIndex) => {
+    const contours = generateContours(cellGrid(caseIndex), 5);
+    expect(contours).toHaveLength(1);
+    expect(contours[0].level).toBe(5);
+    expect(contours[0].lines).toHaveLength(1);
+
+    const crossedEdges = [0, 1, 2, 3].filter((edge) => {
+      const [a, b] = EDGE_CORNERS[edge];
+      return Boolean(caseIndex & a) !== Boolean(caseIndex & b);
+    });
+    expect(crossedEdges).toHaveLength(2);
+
+    const line = contours[0].lines[0];
+    expect(line).toHaveLength(4);
+    expect(sortPoints(endpoints(line))).toEqual(sortPoints(crossedEdges.map(edge => EDGE_MIDPOINTS[edge])));
+  });
+
+  test('全ての角が等高線の高さ以上・未満のセルには線を引かない', () => {
+    expect(generateContours(createGrid([[8, 8], [8, 8]]), 5)).toEqual([]);
+    expect(generateContours(createGrid([[6, 9], [7, 8]]), 5)).toEqual([]);
+  });
+
+  describe('鞍点はセル中心の平均値で分け方を決める', () => {
+    // 線分ごとの両端の辺の番号（1セルのグリッドで、端点がどの辺の上にあるか）
+    const edgeOf = ([col, row]) => {
+      if (row === 0) return 0;
+      if (col === 1) return 1;
+      if (row === 1) return 2;
+      return 3;
+    };
+    const segmentEdges = (grid) => generateContours(grid, 5)[0].lines
+      .map(line => endpoints(line).map(edgeOf).sort())
+      .sort();
+
+    test('ケース5（右上・左下が高い）で中心が高い場合は、低い左上・右下の角を切り離す', () => {
+      expect(segmentEdges(cellGrid(5, 9, 2))).toEqual([[0, 3], [1, 2]]);
+    });
+
+    test('ケース5で中心が低い場合は、高い右上・左下の角を切り離す', () => {
+      expect(segmentEdges(cellGrid(5, 8, 1))).toEqual([[0, 1], [2, 3]]);
+    });
+
+    test('ケース10（左上・右下が高い）で中心が高い場合は、低い右上・左下の角を切り離す', () => {
+      expect(segmentEdges(cellGrid(10, 9, 2))).toEqual([[0, 1], [2, 3]]);
+    });
+
+    test('ケース10で中心が低い場合は、高い左上・右下の角を切り離す', () => {
+      expect(segmentEdges(cellGrid(10, 8, 1))).toEqual([[0, 3], [1, 2]]);
+    });
+  });
+
+  test('交点は辺の両端の標高で線形補間する', () => {
+    // 上の辺: 0 → 20 で高さ5は左から0.25、下の辺: 0 → 10 で0.5
+    const [contour] = generateContours(createGrid([[0, 20], [0, 10]]), 5).filter(c => c.level === 5);
+    expect(sortPoints(endpoints(contour.lines[0]))).toEqual([[0.25, 0], [0.5, 1]]);
+  });
+});
+
+describe('generateContours', () => {
+  test('山頂を囲む線分は閉じた1本の折れ線につながる', () => {
+    const contours = generateContours(createGrid([[0, 0, 0], [0, 10, 0], [0, 0, 0]]), 5);
+    const { lines } = contours.find(c => c.level === 5);
+    expect(lines).toHaveLength(1);
+
+    const line = lines[0];
+    // 4つのセルの線分 → 始点に戻る5点
+    expect(line).toHaveLength(10);
+    expect([line[8], line[9]]).toEqual([line[0], line[1]]);
+    const points = [0, 2, 4, 6].map(i => [line[i], line[i + 1]]);
+    expect(sortPoints(points)).toEqual(sortPoints([[1, 0.5], [1.5, 1], [1, 1.5], [0.5, 1]]));
+  });
+
+  test('隣のセルの線分とつないで1本の折れ線にする', () => {
+    const contours = generateContours(createGrid([[0, 0, 0, 0], [10, 10, 10, 10]]), 5);
+    const { lines } = contours.find(c => c.level === 5);
+    expect(lines).toHaveLength(1);
+    expect(sortPoints(endpoints(lines[0]))).toEqual([[0, 0.5], [3, 0.5]]);
+    expect(lines[0]).toHaveLength(8);
+  });
+
+  test('NoDataの画素を含むセルには線を引かない', () => {
+    const rows = [[0, 0, 0], [10, 10, 10]];
+    const withNaN = generateContours(createGrid([[0, NaN, 0], [10, 10, 10]]), 5);
+    expect(withNaN).toEqual([]);
+
+    const validMask = new Uint8Array([1, 1, 1, 1, 1, 0]);
+    const [masked] = generateContours(createGrid(rows, validMask), 5).filter(c => c.level === 5);
+    expect(masked.lines).toHaveLength(1);
+    expect(sortPoints(endpoints(masked.lines[0]))).toEqual([[0, 0.5], [1, 0.5]]);
+  });
+
+  test('有効な画素がない場合は空', () => {
+    expect(generateContours(createGrid([[NaN, NaN], [NaN, NaN]]), 5)).toEqual([]);
+  });
+
+  test('等高線の高さちょうどの頂点でできる長さのない線は除く', () => {
+    const contours = generateContours(createGrid([[5, 0], [0, 0]]), 5);
+    expect(contours).toEqual([]);
+  });
+});
+
+describe('getContourLevels', () => {
+  test('範囲内の間隔の倍数', () => {
+    expect(getContourLevels(3, 27, 10)).toEqual([10, 20]);
+    expect(getContourLevels(-12, 12, 10)).toEqual([-10, 0, 10]);
+    expect(getContourLevels(10, 20, 10)).toEqual([10, 20]);
+  });
+
+  test('間隔が0以下・本数が多すぎる場合はエラー', () => {
+    expect(() => getContourLevels(0, 10, 0)).toThrow('等高線の間隔は0より大きい値を指定してください');
+    expect(() => getContourLevels(0, MAX_CONTOUR_LEVELS, 0.5)).toThrow('等高線の本数が多すぎます');
+  });
+});
+
+test('計曲線の判定', () => {
+  expect(isIndexContour(50, 10, 5)).toBe(true);
+  expect(isIndexContour(-100, 10, 5)).toBe(true);
+  expect(isIndexContour(30, 10, 5)).toBe(false);
+  expect(isIndexContour(50, 10, 0)).toBe(false);
+});
+
+describe('placeContourLabels', () => {
+  test('間隔ごとに区間の中央へ配置する', () => {
+    const positions = placeContourLabels([0, 0, 10, 0, 10, 10], 10, 5);
+    expect(positions).toEqual([{ col: 5, row: 0 }, { col: 10, row: 5 }]);
+  });
+
+  test('短い折れ線は中央に1つ、最小の長さ未満は配置しない', () => {
+    expect(placeContourLabels([0, 0, 4, 0], 10, 2)).toEqual([{ col: 2, row: 0 }]);
+    expect(placeContourLabels([0, 0, 1, 0], 10, 2)).toEqual([]);
+  });
+});
+
+test('GeoJSONは元の座標系の座標とEPSGコードで書き出す', () => {
+  const frame = new TerrainFrame({
+    bounds: { minX: 1000, minY: 2000, maxX: 1030, maxY: 2020 },
+    width: 3,
+    height: 2,
+    crs: { resolved: true, code: 'EPSG:6677', isGeographic: false, toMeters: 1 }
+  });
+  const contours = generateContours(createGrid([[0, 0, 0], [10, 10, 10]]), 5);
+  const geoJSON = contoursToGeoJSON([{ frame, contours }], frame.crs, 5, 2);
+
+  expect(geoJSON.crs.properties.name).toBe('urn:ogc:def:crs:EPSG::6677');
+  const feature = geoJSON.features.find(f => f.properties.elevation === 5);
+  expect(feature.properties.index).toBe(false);
+  expect(feature.geometry.type).toBe('LineString');
+  // グリッド座標 (0, 0.5)・(2, 0.5) → 画素中心の間（y = 2010）
+  const xs = feature.geometry.coordinates.map(([x]) => x).sort((a, b) => a - b);
+  expect(xs[0]).toBe(1005);
+  expect(xs[xs.length - 1]).toBe(1025);
+  expect(feature.geometry.coordinates.every(([, y]) => y === 2010)).toBe(true);
+
+  expect(contoursToGeoJSON([], { code: 'USER:abc' }, 5, 2).crs).toBeUndefined();
+});
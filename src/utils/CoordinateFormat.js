@@ -0,0 +1,96 @@
+/**
+ * Coordinate Format
+ * カーソル位置の座標（シーンのローカル座標 → 元の座標系 → 緯度経度）の変換と、表示・コピー用の書式
+ *
+ * 緯度経度は元の座標系の定義（proj4）からWGS84に変換する（地理座標系の場合もデータムの違いを変換）。
+ */
+
+import proj4 from 'proj4';
+
+export const COORDINATE_FORMATS = {
+  decimal: '緯度経度（10進数）',
+  dms: '緯度経度（度分秒）',
+  projected: '元の座標系'
+};
+
+const WGS84 = '+proj=longlat +datum=WGS84 +no_defs';
+
+// 座標系の定義ごとの変換（マウスの移動ごとに作り直さない）
+const converters = new Map();
+
+/**
+ * 元の座標系の座標を緯度経度（WGS84）に変換。座標系を解決できない場合はnull
+ */
+export const toLonLat = (crs, x, y) => {
+  if (!crs || !crs.proj4) {
+    return null;
+  }
+  try {
+    let converter = converters.get(crs.proj4);
+    if (!converter) {
+      converter = proj4(crs.proj4, WGS84);
+      converters.set(crs.proj4, converter);
+    }
+    const [lon, lat] = converter.forward([x, y]);
+    return isFinite(lon) && isFinite(lat) ? { lon, lat } : null;
+  } catch (error) {
+    console.warn('緯度経度に変換できません:', error);
+    return null;
+  }
+};
+
+/**
+ * 地点の情報
+ * @param {TerrainFrame|null} frame - 元の座標系とローカル座標の変換（元の座標系がない場合はnull）
+ * @param {number} x - ローカル座標（東、メートル）
+ * @param {number} z - ローカル座標（南、メートル）
+ * @param {number|null} elevation - 標高（メートル、標高スケールを掛けない値）
+ * @returns {Object} { local, source, crs, lonLat, elevation }
+ */
+export const createPointInfo = (frame, x, z, elevation) => {
+  const source = frame ? frame.localToSource(x, z) : null;
+  const crs = frame ? frame.crs : null;
+  return {
+    local: { x, z },
+    source,
+    crs,
+    lonLat: source ? toLonLat(crs, source.x, source.y) : null,
+    elevation
+  };
+};
+
+// 度分秒（秒は小数2桁、四捨五入で60秒にならないよう1/100秒単位で分解）
+const toDMS = (value, positive, negative) => {
+  const hundredths = Math.round(Math.abs(value) * 360000);
+  const degrees = Math.floor(hundredths / 360000);
+  const minutes = Math.floor((hundredths % 360000) / 6000);
+  const seconds = (hundredths % 6000) / 100;
+  const hemisphere = value < 0 ? negative : positive;
+  return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(2).padStart(5, '0')}″${hemisphere}`;
+};
+
+export const formatDecimalDegrees = ({ lon, lat }) => `${lat.toFixed(6)}, ${lon.toFixed(6)}`;
+
+export const formatDMS = ({ lon, lat }) => `${toDMS(lat, 'N', 'S')} ${toDMS(lon, 'E', 'W')}`;
+
+/**
+ * 元の座標系の座標（X, Yの順。地理座標系は経度, 緯度）
+ */
+export const formatSourceCoordinates = ({ x, y }, crs) => {
+  const decimals = crs && crs.isGeographic ? 8 : 2;
+  return `${x.toFixed(decimals)}, ${y.toFixed(decimals)}`;
+};
+
+/**
+ * 指定した書式の座標の文字列
+ * 緯度経度に変換できない場合は元の座標系、元の座標系がない場合（テスト地形）はローカル座標（メートル）
+ */
+export const formatPoint = (point, format) => {
+  if ((format === 'decimal' || format === 'dms') && point.lonLat) {
+    return format === 'dms' ? formatDMS(point.lonLat) : formatDecimalDegrees(point.lonLat);
+  }
+  if (point.source) {
+    return formatSourceCoordinates(point.source, point.crs);
+  }
+  return `${point.local.x.toFixed(2)}, ${point.local.z.toFixed(2)}`;
+};
@@ -0,0 +1,185 @@
+/**
+ * DEM Difference
+ * 2つのDEMの差分（変化の検出）の計算（Babylon.jsに依存しない）
+ *
+ * 比較するDEMは、表示中の地形の各画素の中心で双線形補間して表示中のグリッドにそろえる
+ * （座標系が異なる場合はproj4で変換、RasterSampling.createGridSampler）。
+ * 差分の統計の面積は、土量と同じく画素の地上の面積（Volume.createPixelAreaModel）で求める。
+ */
+
+import { createGridSampler } from './RasterSampling';
+import { createPixelAreaModel } from './Volume';
+
+export const DIFFERENCE_DIRECTIONS = {
+  currentMinusReference: '表示中 − 比較（比較が変化前）',
+  referenceMinusCurrent: '比較 − 表示中（比較が変化後）'
+};
+
+// 色の範囲を決める差分の絶対値のパーセンタイル（外れ値で色が薄くならないように）
+const RANGE_PERCENTILE = 0.98;
+// パーセンタイルの計算に使う標本の最大数
+const MAX_RANGE_SAMPLES = 100000;
+
+/**
+ * 比較するDEMを表示中のファイルのグリッドにそろえた差分
+ * @param {Object} params
+ * @param {Array} params.tiles - 表示中の標高グリッド（elevationData, validMask, width, height）
+ * @param {Array} params.tileFrames - ファイルごとのTerrainFrame
+ * @param {Object} params.crs - 表示中の地形の座標系
+ * @param {Object} params.reference - 比較するDEM { grid, frame }
+ * @param {string} params.direction - DIFFERENCE_DIRECTIONSのキー
+ * @returns {Array<Float32Array>} ファイルごとの差分（どちらかがNoData・範囲外の画素はNaN）
+ */
+export const computeDEMDifference = ({ tiles, tileFrames, crs, reference, direction }) => {
+  const sampleReference = createGridSampler(reference.grid, reference.frame, crs);
+  const sign = direction === 'referenceMinusCurrent' ? -1 : 1;
+
+  return tiles.map((tile, index) => {
+    const { elevationData, validMask, width, height } = tile;
+    const tileFrame = tileFrames[index];
+    const differences = new Float32Array(width * height).fill(NaN);
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const i = row * width + col;
+        const elevation = elevationData[i];
+        if ((validMask && validMask[i] !== 1) || !isFinite(elevation)) continue;
+
+        const source = tileFrame.gridToSource(col, row);
+        const referenceElevation = sampleReference(source.x, source.y);
+        if (referenceElevation !== null) {
+          differences[i] = sign * (elevation - referenceElevation);
+        }
+      }
+    }
+    return differences;
+  });
+};
+
+/**
+ * 色分けの対称な範囲（±range）
+ * 差分の絶対値のパーセンタイルで決め、全ての差分が0の場合は1m
+ */
+export const symmetricRange = (grids) => {
+  const total = grids.reduce((sum, grid) => sum + grid.length, 0);
+  const stride = Math.max(1, Math.ceil(total / MAX_RANGE_SAMPLES));
+  const samples = [];
+  for (const grid of grids) {
+    for (let i = 0; i < grid.length; i += stride) {
+      if (!isNaN(grid[i])) samples.push(Math.abs(grid[i]));
+    }
+  }
+  if (samples.length === 0) return 1;
+
+  samples.sort((a, b) => a - b);
+  const range = samples[Math.min(samples.length - 1, Math.floor(samples.length * RANGE_PERCENTILE))];
+  return range > 0 ? range : (samples[samples.length - 1] || 1);
+};
+
+/**
+ * 差分の統計
+ * @param {Array<Float32Array>} grids - computeDEMDifferenceの結果
+ * @param {Array} tileFrames
+ * @param {number} threshold - 変化とみなす差分の絶対値（メートル）
+ * @returns {Object} { count, mean, rmse, std, min, max, area, changedArea, raisedArea, loweredArea, threshold }（countが0の場合はmean〜maxがnull）
+ */
+export const summarizeDifference = (grids, tileFrames, threshold) => {
+  let count = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let area = 0;
+  let raisedArea = 0;
+  let loweredArea = 0;
+
+  grids.forEach((grid, index) => {
+    const tileFrame = tileFrames[index];
+    const { width } = tileFrame;
+    const pixelArea = createPixelAreaModel(tileFrame, (width - 1) / 2);
+    for (let i = 0; i < grid.length; i++) {
+      const difference = grid[i];
+      if (isNaN(difference)) continue;
+
+      const cellArea = pixelArea(Math.floor(i / width));
+      count++;
+      sum += difference;
+      sumSquares += difference * difference;
+      min = Math.min(min, difference);
+      max = Math.max(max, difference);
+      area += cellArea;
+      if (difference > threshold) raisedArea += cellArea;
+      else if (difference < -threshold) loweredArea += cellArea;
+    }
+  });
+
+  if (count === 0) {
+    return { count, mean: null, rmse: null, std: null, min: null, max: null, area, changedArea: 0, raisedArea, loweredArea, threshold };
+  }
+  const mean = sum / count;
+  return {
+    count,
+    mean,
+    rmse: Math.sqrt(sumSquares / count),
+    std: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+    min,
+    max,
+    area,
+    changedArea: raisedArea + loweredArea,
+    raisedArea,
+    loweredArea,
+    threshold
+  };
+};
+
+/**
+ * ファイルごとの差分を1つのグリッドにまとめる（複数ファイルの書き出し用）
+ * 全ファイルの範囲のグリッド（frame）の各画素に、中心を含むファイルの最も近い画素の値を入れる
+ * @param {Array<Float32Array>} grids
+ * @param {Array} tileFrames
+ * @param {TerrainFrame} frame - まとめたグリッド
+ * @returns {Float32Array}
+ */
+export const mergeDifferenceGrids = (grids, tileFrames, frame) => {
+  if (grids.length === 1 && tileFrames[0] === frame) {
+    return grids[0];
+  }
+
+  const merged = new Float32Array(frame.width * frame.height).fill(NaN);
+  for (let row = 0; row < frame.height; row++) {
+    for (let col = 0; col < frame.width; col++) {
+      const source = frame.gridToSource(col, row);
+      for (const [index, grid] of grids.entries()) {
+        const tileFrame = tileFrames[index];
+        const position = tileFrame.sourceToGrid(source.x, source.y);
+        const c = Math.round(position.col);
+        const r = Math.round(position.row);
+        if (c < 0 || r < 0 || c >= tileFrame.width || r >= tileFrame.height) continue;
+
+        const value = grid[r * tileFrame.width + c];
+        if (!isNaN(value)) {
+          merged[row * frame.width + col] = value;
+          break;
+        }
+      }
+    }
+  }
+  return merged;
+};
+
+// 差分の色を重ねる割合（陰影起伏が少し透けるように）
+const DIFFERENCE_OVERLAY_ALPHA = 0.85;
+
+/**
+ * 差分を発散型のカラーランプの色にする関数（VertexOverlay.createVertexOverlayのcolorAt）
+ * @param {Float32Array} differences - 1ファイル分の差分（NoDataはNaN）
+ * @param {Object} colorScale - ±rangeのcreateColorScale
+ */
+export const createDifferenceColorizer = (differences, colorScale) => (index, out, offset) => {
+  const difference = differences[index];
+  if (isNaN(difference)) return false;
+
+  colorScale.colorAt(difference, out, offset);
+  out[offset + 3] = DIFFERENCE_OVERLAY_ALPHA;
+  return true;
+};
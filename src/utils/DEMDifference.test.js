@@ -0,0 +1,181 @@
+import {
+  computeDEMDifference,
+  symmetricRange,
+  summarizeDifference,
+  mergeDifferenceGrids,
+  createDifferenceColorizer
+} from './DEMDifference';
+import { TerrainFrame } from './TerrainFrame';
+import { createColorScale, DIFFERENCE_RAMP } from './ColorRamps';
+
+// proj4定義のない座標系（画素の面積は地上解像度の積）
+const LOCAL_CRS = { resolved: true, code: 'LOCAL', proj4: null, isGeographic: false, toMeters: 1 };
+const UTM54 = {
+  resolved: true,
+  code: 'EPSG:32654',
+  proj4: '+proj=utm +zone=54 +datum=WGS84 +units=m +no_defs',
+  isGeographic: false,
+  toMeters: 1
+};
+const WGS84 = { resolved: true, code: 'EPSG:4326', proj4: '+proj=longlat +datum=WGS84 +no_defs', isGeographic: true };
+
+const createFrame = (bounds, width, height, crs = LOCAL_CRS) => new TerrainFrame({ bounds, width, height, crs });
+
+const createGrid = (width, height, valueAt, validMask = null) => {
+  const elevationData = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      elevationData[row * width + col] = valueAt(col, row);
+    }
+  }
+  return { elevationData, validMask, width, height };
+};
+
+// 10m画素・10×10（x: 0〜100、y: 0〜100）
+const frame = createFrame({ minX: 0, minY: 0, maxX: 100, maxY: 100 }, 10, 10);
+
+describe('computeDEMDifference', () => {
+  // 比較するDEMは左半分（x: 0〜50）だけを覆い、表示中より2m低い
+  const current = createGrid(10, 10, (col, row) => 100 + col + row);
+  const reference = {
+    grid: createGrid(5, 10, (col, row) => 98 + col + row),
+    frame: createFrame({ minX: 0, minY: 0, maxX: 50, maxY: 100 }, 5, 10)
+  };
+
+  test('表示中 − 比較の差分を表示中のグリッドにそろえる', () => {
+    const [differences] = computeDEMDifference({
+      tiles: [current],
+      tileFrames: [frame],
+      crs: LOCAL_CRS,
+      reference,
+      direction: 'currentMinusReference'
+    });
+    expect(differences).toHaveLength(100);
+    expect(differences[0]).toBe(2);
+    expect(differences[9 * 10 + 4]).toBe(2);
+    // 比較するDEMの範囲外
+    expect(differences[5]).toBeNaN();
+    expect(differences[9 * 10 + 9]).toBeNaN();
+  });
+
+  test('比較 − 表示中は符号が逆', () => {
+    const [differences] = computeDEMDifference({
+      tiles: [current],
+      tileFrames: [frame],
+      crs: LOCAL_CRS,
+      reference,
+      direction: 'referenceMinusCurrent'
+    });
+    expect(differences[0]).toBe(-2);
+  });
+
+  test('どちらかがNoDataの画素はNaN', () => {
+    const validMask = new Uint8Array(100).fill(1);
+    validMask[1] = 0;
+    const referenceGrid = createGrid(5, 10, (col, row) => (col === 2 && row === 0 ? NaN : 98 + col + row));
+    const [differences] = computeDEMDifference({
+      tiles: [{ ...current, validMask }],
+      tileFrames: [frame],
+      crs: LOCAL_CRS,
+      reference: { grid: referenceGrid, frame: reference.frame },
+      direction: 'currentMinusReference'
+    });
+    expect(differences[1]).toBeNaN();
+    expect(differences[2]).toBeNaN();
+    expect(differences[10]).toBe(2);
+  });
+
+  test('座標系が異なる場合は比較するDEMの座標系に変換して標本化する', () => {
+    // UTM 54N の中央子午線付近の表示中のDEMと、その西半分を覆う緯度経度のDEM
+    const utmFrame = createFrame({ minX: 499900, minY: 3900000, maxX: 500100, maxY: 3900200 }, 20, 20, UTM54);
+    const tile = createGrid(20, 20, () => 150);
+    const referenceFrame = createFrame({ minX: 140.99, minY: 35.2, maxX: 141, maxY: 35.25 }, 10, 50, WGS84);
+
+    const [differences] = computeDEMDifference({
+      tiles: [tile],
+      tileFrames: [utmFrame],
+      crs: UTM54,
+      reference: { grid: createGrid(10, 50, () => 120), frame: referenceFrame },
+      direction: 'currentMinusReference'
+    });
+    // 西側（中央子午線 141°E より西）は差分30m、東側は範囲外
+    expect(differences[10 * 20 + 2]).toBeCloseTo(30, 4);
+    expect(differences[10 * 20 + 17]).toBeNaN();
+  });
+});
+
+describe('symmetricRange', () => {
+  test('差分の絶対値の98パーセンタイル', () => {
+    const grid = new Float32Array(100).map((_, i) => (i % 2 === 0 ? 1 : -1) * (i + 1));
+    expect(symmetricRange([grid])).toBe(99);
+  });
+
+  test('NaNは除き、全て0または有効な差分がない場合は1m', () => {
+    expect(symmetricRange([new Float32Array([NaN, 0, 0, NaN])])).toBe(1);
+    expect(symmetricRange([new Float32Array([NaN, NaN])])).toBe(1);
+    expect(symmetricRange([])).toBe(1);
+  });
+
+  test('大部分が0でも最大値があればそれを範囲にする', () => {
+    const grid = new Float32Array(100);
+    grid[10] = -4;
+    expect(symmetricRange([grid])).toBe(4);
+  });
+});
+
+describe('summarizeDifference', () => {
+  test('統計と変化した面積（閾値を超える上昇・低下）', () => {
+    const grid = new Float32Array(100).fill(NaN);
+    grid.set([1, -1, 3, -3, 0.2], 0);
+    const summary = summarizeDifference([grid], [frame], 0.5);
+
+    expect(summary.count).toBe(5);
+    expect(summary.mean).toBeCloseTo(0.04, 6);
+    expect(summary.min).toBe(-3);
+    expect(summary.max).toBe(3);
+    expect(summary.rmse).toBeCloseTo(Math.sqrt((1 + 1 + 9 + 9 + 0.04) / 5), 6);
+    expect(summary.std).toBeCloseTo(Math.sqrt((1 + 1 + 9 + 9 + 0.04) / 5 - 0.04 * 0.04), 6);
+    expect(summary.area).toBeCloseTo(500, 6);
+    expect(summary.raisedArea).toBeCloseTo(200, 6);
+    expect(summary.loweredArea).toBeCloseTo(200, 6);
+    expect(summary.changedArea).toBeCloseTo(400, 6);
+    expect(summary.threshold).toBe(0.5);
+  });
+
+  test('有効な差分がない場合は統計がnull', () => {
+    const summary = summarizeDifference([new Float32Array(100).fill(NaN)], [frame], 0.5);
+    expect(summary).toMatchObject({ count: 0, mean: null, rmse: null, min: null, max: null, area: 0, changedArea: 0 });
+  });
+});
+
+describe('mergeDifferenceGrids', () => {
+  test('1ファイルで同じグリッドの場合はそのまま', () => {
+    const grid = new Float32Array(100);
+    expect(mergeDifferenceGrids([grid], [frame], frame)).toBe(grid);
+  });
+
+  test('並んだファイルの差分を全体のグリッドにまとめる', () => {
+    const west = createFrame({ minX: 0, minY: 0, maxX: 20, maxY: 10 }, 2, 1);
+    const east = createFrame({ minX: 20, minY: 0, maxX: 40, maxY: 10 }, 2, 1);
+    const merged = mergeDifferenceGrids(
+      [new Float32Array([1, 2]), new Float32Array([NaN, 4])],
+      [west, east],
+      createFrame({ minX: 0, minY: 0, maxX: 40, maxY: 10 }, 4, 1)
+    );
+    expect(Array.from(merged)).toEqual([1, 2, NaN, 4]);
+  });
+});
+
+test('差分の色は発散型のカラーランプで、NoDataは重ねない', () => {
+  const colorScale = createColorScale(DIFFERENCE_RAMP, -2, 2);
+  const colorAt = createDifferenceColorizer(new Float32Array([-2, 0, 2, NaN]), colorScale);
+  const out = new Float32Array(16);
+
+  expect(colorAt(0, out, 0)).toBe(true);
+  expect(colorAt(2, out, 8)).toBe(true);
+  expect(Array.from(out.slice(0, 3))).toEqual(Array.from(new Float32Array(colorScale.colorAt(-2))));
+  expect(Array.from(out.slice(8, 11))).toEqual(Array.from(new Float32Array(colorScale.colorAt(2))));
+  expect(out[3]).toBeGreaterThan(0);
+  expect(out[3]).toBeLessThan(1);
+  expect(colorAt(3, out, 12)).toBe(false);
+});
@@ -0,0 +1,13 @@
+/**
+ * Download
+ * 作成したデータをファイルとして保存（ダウンロード）
+ */
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -1,114 +1,296 @@
 /**
  * Dynamic Terrain Manager
  * カメラの位置に基づいて地形タイルを動的に読み込み・管理
+ *
+ * タイルは四分木で管理し、スクリーンスペース誤差が閾値を超えたノードを4分割して詳細化する。
+ * 子タイルが揃うまでは読み込み済みの親タイルを表示し続ける。
+ * タイル境界の継ぎ目はスカートとエプロン付きの法線で隠す（TerrainTileMeshBuilder）。
+ * タイルのデータはTerrainTileSourceの実装（テスト地形・COG・ローカルファイルなど）から読み込む。
+ * 三角形分割済みのタイル（quantized-mesh）はグリッドに再分割せず、そのままメッシュにする。
+ * 陰影起伏（Hillshade）は頂点カラーに掛け合わせ、標高スケールや太陽の向きの変更時に頂点カラーだけ更新する。
  */
 
-import { Vector3, Mesh, StandardMaterial, Color3, VertexData } from '@babylonjs/core';
-import { COGLoader } from './COGLoader';
+import { Vector3, Mesh, StandardMaterial, Color3, VertexData, VertexBuffer, Frustum, BoundingBox, Ray } from '@babylonjs/core';
+import { TerrainTileMeshBuilder } from './TerrainTileMeshBuilder';
+import { TileLoadQueue } from './TileLoadQueue';
+import { createHillshade, applyHillshade } from './Hillshade';
+import { sampleBilinear } from './RasterSampling';
+import { ProceduralTileSource } from './tileSources/ProceduralTileSource';
+
+// 同時に実行するタイル読み込みの最大数（ブラウザの同一ホストへの同時接続数に合わせる）
+const MAX_CONCURRENT_LOADS = 6;
+// 読み込み優先度の区分ごとの幅（区分内はカメラからの距離（メートル）で並べる）
+const LOAD_PRIORITY_TIER = 1e9;
+// 読み込みに失敗したタイルを再試行するまでの時間（ミリ秒）
+const RETRY_DELAY = 5000;
+// 頂点色のないタイルの色
+const DEFAULT_TILE_COLOR = [0.4, 0.6, 0.3];
+// 三角形分割済みのタイルの標本化の間隔を決める、タイルの一辺あたりの標本数
+const MESH_TILE_SAMPLES = 64;
 
 export class DynamicTerrainManager {
-  constructor(scene, camera) {
+  /**
+   * @param {TerrainTileSource} source - 解析済み（open()の完了した）タイルソース。省略時はテスト地形
+   */
+  constructor(scene, camera, source = new ProceduralTileSource()) {
     this.scene = scene;
     this.camera = camera;
-    this.terrainTiles = new Map();
-    this.loadingTiles = new Set();
-    this.tileSize = 256; // タイルサイズ（小さくしてテスト用）
-    this.loadRadius = 2; // 読み込み半径
-    this.unloadRadius = 4; // アンロード半径
-    this.tileSpacing = 1000; // タイル間の距離
+    this.terrainTiles = new Map(); // key -> { node, mesh, minElevation, maxElevation, baseColors, gradients, grid }
+    this.loadQueue = new TileLoadQueue((node, signal) => this.loadTile(node, signal), MAX_CONCURRENT_LOADS);
+    this.visibleTiles = new Set();
+    this.failedTiles = new Map(); // key -> 失敗した時刻
+    this.retryTimer = null; // 失敗したタイルを再試行するための選び直しのタイマー
+    // 詳細化の閾値（ピクセル）。幾何誤差を頂点間隔で近似しているため、実際の誤差より大きめに見積もられる
+    this.maxScreenSpaceError = 8;
+    this.heightScale = 1.0;
+    // 陰影起伏（mode: 'off' | 'single' | 'multi'、方位・高度は度）
+    this.shading = { mode: 'off', azimuth: 315, altitude: 45, strength: 0.7 };
+    this.skirtDepth = null; // タイル境界のスカートの深さ（メートル、nullは境界の起伏から自動計算）
+    this.meshBuilder = new TerrainTileMeshBuilder();
+    // 全タイルで共有するマテリアル（色は頂点色で塗るため、タイルごとのマテリアルは不要）
+    this.material = null;
     this.lastCameraPosition = new Vector3();
-    this.updateThreshold = 100; // カメラ移動の閾値
-    
-    // COGローダーの初期化
-    this.cogLoader = new COGLoader();
-    
+    this.lastCameraDirection = new Vector3();
+    this.updateThreshold = 10; // カメラ移動の閾値（メートル）
+    this.rotationThreshold = Math.cos(5 * Math.PI / 180); // カメラ回転の閾値（5度）
+    this.frustumPlanes = null;
+    this.updateScheduled = false;
+
+    // タイルソース（タイルのアドレスはソースの四分木）
+    this.source = source;
+    this.quadtree = source.getQuadtree();
+
     // デバッグ用
     this.debugMode = true;
   }
 
   /**
    * カメラの位置に基づいて地形を更新
+   * force: タイルの読み込み完了時など、カメラが動いていなくても表示タイルを選び直す
    */
-  async updateTerrain() {
+  async updateTerrain(force = false) {
     const cameraPosition = this.camera.position;
-    
-    // カメラが十分移動したかチェック
-    if (Vector3.Distance(cameraPosition, this.lastCameraPosition) < this.updateThreshold) {
+    const cameraDirection = this.camera.getDirection(Vector3.Forward());
+
+    // カメラが十分移動・回転したかチェック（視錐台外のタイルは読み込まないため回転も考慮）
+    const moved = Vector3.Distance(cameraPosition, this.lastCameraPosition) >= this.updateThreshold;
+    const rotated = Vector3.Dot(cameraDirection, this.lastCameraDirection) < this.rotationThreshold;
+    if (!force && !moved && !rotated) {
       return;
     }
-    
+
     this.lastCameraPosition = cameraPosition.clone();
-    
-    if (this.debugMode) {
-      console.log('Dynamic Terrain: カメラ位置更新', cameraPosition);
-    }
-    
-    // 現在のタイル座標を計算
-    const currentTile = this.getTileCoordinate(cameraPosition);
-    
-    // 必要なタイルを計算
-    const requiredTiles = this.calculateRequiredTiles(currentTile);
-    
-    if (this.debugMode) {
-      console.log('Dynamic Terrain: 必要なタイル数', requiredTiles.length);
+    this.lastCameraDirection = cameraDirection;
+    this.frustumPlanes = Frustum.GetPlanes(this.camera.getTransformationMatrix());
+
+    // 四分木をたどり、表示するタイルと読み込みが必要なタイルを選択
+    const selection = { visible: [], required: new Map() }; // required: key -> { node, heightRange }
+    for (const root of this.quadtree.getRoots()) {
+      const result = this.selectTiles(root, this.getHeightRange(root.key, null), selection);
+      selection.visible.push(...result.nodes);
+    }
+
+    if (this.debugMode && !force) {
+      console.log('Dynamic Terrain: カメラ位置更新', cameraPosition, '表示タイル数', selection.visible.length);
     }
-    
+
+    this.applyVisibility(selection.visible);
+
     // 不要なタイルをアンロード
-    this.unloadUnusedTiles(requiredTiles);
-    
-    // 新しいタイルを読み込み
-    for (const tileCoord of requiredTiles) {
-      if (!this.terrainTiles.has(tileCoord.key) && !this.loadingTiles.has(tileCoord.key)) {
-        this.loadTile(tileCoord);
+    this.unloadUnusedTiles(selection);
+
+    // 未読み込みのタイルを優先度順にキューへ（不要になったタイルの読み込みは中断される）
+    const requests = [];
+    const now = Date.now();
+    for (const { node, heightRange } of selection.required.values()) {
+      const failedAt = this.failedTiles.get(node.key);
+      if (failedAt !== undefined && now - failedAt < RETRY_DELAY) continue;
+      if (!this.terrainTiles.has(node.key)) {
+        requests.push({ node, priority: this.getLoadPriority(node, heightRange) });
+      }
+    }
+    this.loadQueue.update(requests);
+  }
+
+  /**
+   * タイル読み込みの優先度（小さいほど先に読み込む）
+   * 1. 表示中のタイルで覆われていない範囲（新たに見えるようになった範囲）のタイル
+   * 2. 視錐台内のタイル（ルートなど視錐台の判定をせずに必要になったタイルは後回し）
+   * 3. カメラに近いタイル
+   */
+  getLoadPriority(node, heightRange) {
+    const covered = this.isNodeCovered(node);
+    const inFrustum = this.isNodeInFrustum(node, heightRange);
+    const tier = (covered ? 1 : 0) + (inFrustum ? 0 : 2);
+    const distance = this.quadtree.distanceToNode(node, this.camera.position, heightRange);
+    return tier * LOAD_PRIORITY_TIER + Math.min(distance, LOAD_PRIORITY_TIER - 1);
+  }
+
+  /**
+   * ノードの範囲が表示中のタイル（祖先または子孫）で既に覆われているか
+   */
+  isNodeCovered(node) {
+    for (let ancestor = this.quadtree.getParent(node); ancestor; ancestor = this.quadtree.getParent(ancestor)) {
+      if (this.visibleTiles.has(ancestor.key)) {
+        return true;
+      }
+    }
+    return this.getVisibleDescendants(node).length > 0;
+  }
+
+  /**
+   * 表示するタイルを選択
+   * 戻り値のcompleteは、ノードの範囲全体が読み込み済みのタイルで覆われているかどうか
+   */
+  selectTiles(node, heightRange, selection) {
+    // 視錐台外のノードは表示も読み込みもしない（親の表示を妨げないよう完了扱い）
+    if (node.level > this.quadtree.rootLevel && !this.isNodeInFrustum(node, heightRange)) {
+      return { nodes: [], complete: true };
+    }
+    // データが存在しない範囲も同様（複数ファイルの隙間など）
+    if (!this.source.hasTile(node.level, node.x, node.z)) {
+      return { nodes: [], complete: true };
+    }
+
+    const viewport = this.getViewport();
+    const error = this.quadtree.computeScreenSpaceError(node, this.camera.position, heightRange, viewport);
+    const refine = error > this.maxScreenSpaceError && node.level < this.quadtree.maxLevel;
+
+    if (!refine) {
+      selection.required.set(node.key, { node, heightRange });
+      if (this.terrainTiles.has(node.key)) {
+        return { nodes: [node], complete: true };
+      }
+      // 縮小時は、このタイルが読み込まれるまで表示中の子孫タイルを残す
+      return { nodes: this.getVisibleDescendants(node), complete: false };
+    }
+
+    const children = this.quadtree.getChildren(node).map(child =>
+      this.selectTiles(child, this.getHeightRange(child.key, heightRange), selection)
+    );
+
+    if (children.every(child => child.complete)) {
+      return { nodes: children.flatMap(child => child.nodes), complete: true };
+    }
+
+    // 子タイルが揃うまでは親タイルを表示（未読み込みなら読み込む）
+    selection.required.set(node.key, { node, heightRange });
+    if (this.terrainTiles.has(node.key)) {
+      return { nodes: [node], complete: true };
+    }
+    return { nodes: children.flatMap(child => child.nodes), complete: false };
+  }
+
+  /**
+   * 前回の選択で表示していたタイルのうち、ノードの子孫にあたるもの
+   */
+  getVisibleDescendants(node) {
+    const descendants = [];
+    for (const key of this.visibleTiles) {
+      const tile = this.terrainTiles.get(key);
+      if (tile && this.quadtree.isDescendant(tile.node, node)) {
+        descendants.push(tile.node);
       }
     }
+    return descendants;
+  }
+
+  /**
+   * ノードのバウンディングボックスが視錐台と交差するか
+   */
+  isNodeInFrustum(node, heightRange) {
+    const { bbox } = node;
+    const corners = [];
+    for (const x of [bbox.minX, bbox.maxX]) {
+      for (const y of [heightRange.min, heightRange.max]) {
+        for (const z of [bbox.minZ, bbox.maxZ]) {
+          corners.push(new Vector3(x, y, z));
+        }
+      }
+    }
+    return BoundingBox.IsInFrustum(corners, this.frustumPlanes);
+  }
+
+  /**
+   * タイルの読み込み完了が続く場合に、表示タイルの選び直しを1回にまとめる
+   */
+  scheduleUpdate() {
+    if (this.updateScheduled) return;
+    this.updateScheduled = true;
+    setTimeout(() => {
+      this.updateScheduled = false;
+      this.updateTerrain(true);
+    }, 0);
+  }
+
+  /**
+   * 読み込みに失敗したタイルを再試行できるようになった時点で、表示タイルを選び直す
+   * （カメラが止まっていても再試行されるようにする。失敗が続く場合は最後の失敗から待ち、1回にまとめる）
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.updateTerrain(true);
+    }, RETRY_DELAY);
+  }
+
+  /**
+   * ノードの標高範囲（シーン座標）。未読み込みの場合は親の範囲を使用
+   */
+  getHeightRange(key, parentRange) {
+    const tile = this.terrainTiles.get(key);
+    if (tile && tile.mesh) {
+      return {
+        min: tile.minElevation * this.heightScale,
+        max: tile.maxElevation * this.heightScale
+      };
+    }
+    return parentRange || { min: 0, max: 0 };
   }
 
   /**
-   * ワールド座標からタイル座標を計算
+   * スクリーンスペース誤差の計算に使う描画領域の高さと垂直画角
    */
-  getTileCoordinate(worldPosition) {
-    const x = Math.floor(worldPosition.x / this.tileSpacing);
-    const z = Math.floor(worldPosition.z / this.tileSpacing);
-    return { x, z, key: `${x}_${z}` };
+  getViewport() {
+    return {
+      height: this.scene.getEngine().getRenderHeight(),
+      fov: this.camera.fov
+    };
   }
 
   /**
-   * 必要なタイルのリストを計算
+   * 選択したタイルだけを表示（子タイルの読み込み待ちで親を表示している間、子は非表示）
    */
-  calculateRequiredTiles(centerTile) {
-    const tiles = [];
-    
-    for (let x = centerTile.x - this.loadRadius; x <= centerTile.x + this.loadRadius; x++) {
-      for (let z = centerTile.z - this.loadRadius; z <= centerTile.z + this.loadRadius; z++) {
-        const key = `${x}_${z}`;
-        tiles.push({ x, z, key });
+  applyVisibility(visibleNodes) {
+    this.visibleTiles = new Set(visibleNodes.map(node => node.key));
+
+    for (const [key, tile] of this.terrainTiles) {
+      if (tile.mesh) {
+        tile.mesh.setEnabled(this.visibleTiles.has(key));
       }
     }
-    
-    return tiles;
   }
 
   /**
-   * 不要なタイルをアンロード
+   * 不要なタイルをアンロード（表示中・読み込み待ちの詳細化先のタイルは保持）
    */
-  unloadUnusedTiles(requiredTiles) {
-    const requiredKeys = new Set(requiredTiles.map(tile => tile.key));
+  unloadUnusedTiles(selection) {
     const tilesToRemove = [];
-    
-    for (const [key, mesh] of this.terrainTiles) {
-      if (!requiredKeys.has(key)) {
+
+    for (const key of this.terrainTiles.keys()) {
+      if (!selection.required.has(key) && !this.visibleTiles.has(key)) {
         tilesToRemove.push(key);
       }
     }
-    
+
     for (const key of tilesToRemove) {
-      const mesh = this.terrainTiles.get(key);
-      if (mesh) {
-        this.scene.removeMesh(mesh);
-        mesh.dispose();
-        this.terrainTiles.delete(key);
-        
+      const tile = this.terrainTiles.get(key);
+      this.terrainTiles.delete(key);
+      if (tile.mesh) {
+        this.scene.removeMesh(tile.mesh);
+        tile.mesh.dispose();
+
         if (this.debugMode) {
           console.log('Dynamic Terrain: タイルアンロード', key);
         }
@@ -117,226 +299,313 @@ export class DynamicTerrainManager {
   }
 
   /**
-   * タイルを読み込み
+   * タイルを読み込み（読み込みキューから呼ばれる）
+   * signalは、タイルが不要になった場合やCOGが切り替わった場合に中断される
    */
-  async loadTile(tileCoord) {
-    this.loadingTiles.add(tileCoord.key);
-    
+  async loadTile(node, signal) {
     if (this.debugMode) {
-      console.log('Dynamic Terrain: タイル読み込み開始', tileCoord.key);
+      console.log('Dynamic Terrain: タイル読み込み開始', node.key);
     }
-    
+
     try {
-      // タイルの境界ボックスを計算
-      const bbox = this.getTileBoundingBox(tileCoord);
-      
-      // テスト用のダミーデータを生成（実際のCOGローダーに置き換え）
-      const tileData = await this.generateTestTileData(bbox, tileCoord);
-      
-      // 地形メッシュを作成
-      const terrainMesh = this.createTerrainMesh(tileData, tileCoord);
-      
-      this.terrainTiles.set(tileCoord.key, terrainMesh);
-      this.scene.addMesh(terrainMesh);
-      
-      if (this.debugMode) {
-        console.log('Dynamic Terrain: タイル読み込み完了', tileCoord.key);
+      // タイルデータを取得（境界の法線を計算するため、タイルの外側1サンプル分（エプロン）を含む）
+      const tileData = await this.source.getTile(node.level, node.x, node.z, signal);
+
+      // 読み込み中に不要になった場合は破棄
+      if (signal.aborted) {
+        return;
       }
-      
+
+      // データの範囲外のタイルはメッシュを作成せず、読み込み済みとして記録
+      if (tileData.metadata.validCount === 0) {
+        this.terrainTiles.set(node.key, { node, mesh: null });
+      } else {
+        // 地形メッシュを作成（表示は次の選択で決定）
+        const tile = this.createTerrainMesh(tileData, node);
+        tile.mesh.setEnabled(false);
+        this.terrainTiles.set(node.key, tile);
+
+        if (this.debugMode) {
+          console.log('Dynamic Terrain: タイル読み込み完了', node.key);
+        }
+      }
+      this.failedTiles.delete(node.key);
+
     } catch (error) {
-      console.error('Dynamic Terrain: タイル読み込みエラー', tileCoord.key, error);
+      if (error.name === 'AbortError') {
+        if (this.debugMode) {
+          console.log('Dynamic Terrain: タイル読み込み中断', node.key);
+        }
+        return;
+      }
+      console.error('Dynamic Terrain: タイル読み込みエラー', node.key, error);
+      // 失敗し続けるタイル（オフラインでキャッシュにない場合など）を繰り返し要求しない
+      this.failedTiles.set(node.key, Date.now());
+      this.scheduleRetry();
     } finally {
-      this.loadingTiles.delete(tileCoord.key);
+      // 中断された場合は、中断した側で既に選び直している
+      if (!signal.aborted) {
+        this.scheduleUpdate();
+      }
     }
   }
 
   /**
-   * タイルの境界ボックスを計算
+   * 地形メッシュを作成
+   * 高さ（Y）は標高そのもの（メートル）で、標高スケールはメッシュのscalingで適用する
    */
-  getTileBoundingBox(tileCoord) {
-    const minX = tileCoord.x * this.tileSpacing;
-    const maxX = (tileCoord.x + 1) * this.tileSpacing;
-    const minZ = tileCoord.z * this.tileSpacing;
-    const maxZ = (tileCoord.z + 1) * this.tileSpacing;
-    
-    return {
-      minX,
-      maxX,
-      minZ,
-      maxZ,
-      centerX: (minX + maxX) / 2,
-      centerZ: (minZ + maxZ) / 2
+  createTerrainMesh(tileData, node) {
+    // 三角形分割済みのメッシュ（quantized-mesh）はそのまま使い、標高グリッドは格子に分割する
+    const geometry = tileData.mesh
+      ? this.meshBuilder.buildFromMesh(tileData.mesh, { skirtDepth: this.skirtDepth })
+      : this.meshBuilder.build(tileData, { skirtDepth: this.skirtDepth });
+
+    // VertexDataを作成（法線はエプロンまたはタイルの頂点法線から計算済み）
+    const vertexData = new VertexData();
+    vertexData.positions = geometry.positions;
+    vertexData.indices = geometry.indices;
+    vertexData.normals = geometry.normals;
+    vertexData.uvs = geometry.uvs;
+
+    // メッシュを作成
+    const meshKey = `${node.level}_${node.x}_${node.z}`;
+    const mesh = new Mesh(`terrain_${meshKey}`, this.scene);
+    vertexData.applyToMesh(mesh);
+    mesh.scaling.y = this.heightScale;
+
+    mesh.material = this.getMaterial();
+
+    const tile = {
+      node,
+      mesh,
+      minElevation: geometry.minElevation,
+      maxElevation: geometry.maxElevation,
+      // 陰影を掛ける前の頂点色（水域マスクなどの頂点色がなければ既定の色）
+      baseColors: geometry.colors || this.createDefaultColors(geometry.positions.length / 3),
+      gradients: geometry.gradients,
+      // 地点の標高を補間するための標高グリッド（エプロンを含む、三角形分割済みのタイルはnull）
+      grid: tileData.mesh ? null : {
+        elevationData: tileData.elevationData,
+        width: tileData.width,
+        height: tileData.height,
+        bbox: tileData.bbox
+      }
     };
+    this.applyShading(tile, createHillshade({ ...this.shading, heightScale: this.heightScale }));
+    return tile;
   }
 
   /**
-   * テスト用のダミータイルデータを生成
+   * 共有のマテリアルを取得（未作成またはdisposeで破棄した場合は作成）
    */
-  async generateTestTileData(bbox, tileCoord) {
-    // 実際の実装では、COGローダーを使用
-    // const tileData = await this.cogLoader.loadTileFromCOG(this.cogUrl, bbox, this.tileSize);
-    
-    // テスト用のノイズベースの地形データを生成
-    const width = this.tileSize;
-    const height = this.tileSize;
-    const elevationData = new Float32Array(width * height);
-    
-    // パーリンノイズ風の地形を生成
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const index = y * width + x;
-        
-        // タイル座標に基づくオフセット
-        const worldX = bbox.minX + (x / width) * (bbox.maxX - bbox.minX);
-        const worldZ = bbox.minZ + (y / height) * (bbox.maxZ - bbox.minZ);
-        
-        // 複数のノイズレイヤーを組み合わせ
-        const noise1 = this.simplexNoise(worldX * 0.01, worldZ * 0.01) * 100;
-        const noise2 = this.simplexNoise(worldX * 0.02, worldZ * 0.02) * 50;
-        const noise3 = this.simplexNoise(worldX * 0.04, worldZ * 0.04) * 25;
-        
-        elevationData[index] = noise1 + noise2 + noise3;
-      }
+  getMaterial() {
+    if (!this.material) {
+      this.material = new StandardMaterial('terrain_material', this.scene);
+      this.material.specularColor = new Color3(0.1, 0.1, 0.1);
+      this.material.wireframe = !!this.wireframe;
     }
-    
-    return {
-      elevationData,
-      bbox,
-      width,
-      height,
-      metadata: {
-        tileCoord,
-        generated: true
-      }
-    };
+    return this.material;
+  }
+
+  createDefaultColors(vertexCount) {
+    const colors = new Float32Array(vertexCount * 4);
+    for (let i = 0; i < vertexCount; i++) {
+      colors.set(DEFAULT_TILE_COLOR, i * 4);
+      colors[i * 4 + 3] = 1;
+    }
+    return colors;
   }
 
   /**
-   * 簡易ノイズ関数（実際の実装では専用ライブラリを使用）
+   * 陰影起伏を頂点色に掛け合わせる（hillshadeがnullの場合は陰影なしで、ライトで照らす）
+   * 陰影を表示する場合は頂点色をそのまま表示するため、ライティングを無効にする
    */
-  simplexNoise(x, z) {
-    // 簡易的なノイズ関数（実際の実装ではSimplexNoiseライブラリを使用）
-    const n1 = Math.sin(x) * Math.cos(z);
-    const n2 = Math.sin(x * 2.1) * Math.cos(z * 2.1) * 0.5;
-    const n3 = Math.sin(x * 4.1) * Math.cos(z * 4.1) * 0.25;
-    return n1 + n2 + n3;
+  applyShading(tile, hillshade) {
+    const { mesh } = tile;
+    const colors = hillshade
+      ? applyHillshade(tile.baseColors, tile.gradients, hillshade, this.shading.strength)
+      : tile.baseColors;
+
+    const colorBuffer = mesh.getVertexBuffer(VertexBuffer.ColorKind);
+    if (colorBuffer && colorBuffer.isUpdatable()) {
+      mesh.updateVerticesData(VertexBuffer.ColorKind, colors);
+    } else {
+      mesh.setVerticesData(VertexBuffer.ColorKind, colors, true);
+    }
+
+    mesh.material.disableLighting = Boolean(hillshade);
+    mesh.material.emissiveColor = hillshade ? new Color3(1, 1, 1) : new Color3(0, 0, 0);
   }
 
   /**
-   * 地形メッシュを作成
+   * ピッキングしたタイルのメッシュ上の地点の標高（メートル、標高スケールを掛けない値）
+   * グリッドのタイルはサンプルから双線形補間し、三角形分割済みのタイルは三角形上の交点の高さを使う
+   * @param {Mesh} mesh - ピッキングしたメッシュ
+   * @param {Vector3} point - 交点（ワールド座標）
    */
-  createTerrainMesh(tileData, tileCoord) {
-    const { elevationData, bbox, width, height } = tileData;
-    
-    // 標高データの正規化
-    let minElevation = elevationData[0];
-    let maxElevation = elevationData[0];
-    
-    for (let i = 1; i < elevationData.length; i++) {
-      const value = elevationData[i];
-      if (value < minElevation) minElevation = value;
-      if (value > maxElevation) maxElevation = value;
-    }
-    
-    const elevationRange = maxElevation - minElevation;
-    
-    // 頂点データの作成
-    const positions = [];
-    const indices = [];
-    const uvs = [];
-    
-    // 頂点の生成
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const index = y * width + x;
-        const elevation = elevationData[index] || 0;
-        
-        // 正規化された標高を実際の標高に変換
-        const normalizedElevation = elevationRange > 0 ? 
-          (elevation - minElevation) / elevationRange : 0;
-        
-        const actualElevation = minElevation + (normalizedElevation * elevationRange);
-        
-        // ワールド座標を計算
-        const xPos = bbox.minX + (x / (width - 1)) * (bbox.maxX - bbox.minX);
-        const zPos = bbox.minZ + (y / (height - 1)) * (bbox.maxZ - bbox.minZ);
-        const yPos = actualElevation * 0.1; // スケール調整
-        
-        positions.push(xPos, yPos, zPos);
-        uvs.push(x / (width - 1), y / (height - 1));
-      }
+  getElevationAt(mesh, point) {
+    const tile = Array.from(this.terrainTiles.values()).find(entry => entry.mesh === mesh);
+    if (!tile) {
+      return null;
     }
-    
-    // インデックスの生成
-    for (let y = 0; y < height - 1; y++) {
-      for (let x = 0; x < width - 1; x++) {
-        const topLeft = y * width + x;
-        const topRight = topLeft + 1;
-        const bottomLeft = (y + 1) * width + x;
-        const bottomRight = bottomLeft + 1;
-        
-        // 最初の三角形
-        indices.push(topLeft, topRight, bottomLeft);
-        // 2番目の三角形
-        indices.push(topRight, bottomRight, bottomLeft);
+    if (!tile.grid) {
+      return point.y / this.heightScale;
+    }
+    return this.sampleGrid(tile.grid, point.x, point.z);
+  }
+
+  /**
+   * ローカル座標の地点の標高（メートル、標高スケールを掛けない値）
+   * 地点を含む読み込み済みのタイルのうち最も詳細なタイルから求めるため、読み込まれている詳細レベルで値が変わる。
+   * グリッドのタイルは双線形補間、三角形分割済みのタイルは鉛直な光線とメッシュの交点の高さ。
+   * @returns {number|null} 読み込み済みのタイルがない場合・NoDataの場合はnull
+   */
+  sampleElevation(x, z) {
+    let finest = null;
+    for (const tile of this.terrainTiles.values()) {
+      if (!tile.mesh) continue;
+      const { bbox, level } = tile.node;
+      if (x < bbox.minX || x > bbox.maxX || z < bbox.minZ || z > bbox.maxZ) continue;
+      if (!finest || level > finest.node.level) {
+        finest = tile;
       }
     }
-    
-    // VertexDataを作成
-    const vertexData = new VertexData();
-    vertexData.positions = positions;
-    vertexData.indices = indices;
-    vertexData.uvs = uvs;
-    
-    // 法線を計算
-    vertexData.normals = [];
-    VertexData.ComputeNormals(positions, indices, vertexData.normals);
-    
-    // メッシュを作成
-    const mesh = new Mesh(`terrain_${tileCoord.key}`, this.scene);
-    vertexData.applyToMesh(mesh);
-    
-    // マテリアルを設定
-    const material = new StandardMaterial(`terrain_material_${tileCoord.key}`, this.scene);
-    material.diffuseColor = new Color3(0.4, 0.6, 0.3);
-    material.specularColor = new Color3(0.1, 0.1, 0.1);
-    mesh.material = material;
-    
-    return mesh;
+    if (!finest) {
+      return null;
+    }
+    if (finest.grid) {
+      return this.sampleGrid(finest.grid, x, z);
+    }
+
+    const top = (finest.maxElevation + 1) * this.heightScale;
+    const ray = new Ray(new Vector3(x, top, z), new Vector3(0, -1, 0), top - (finest.minElevation - 1) * this.heightScale);
+    const pickInfo = finest.mesh.intersects(ray);
+    return pickInfo.hit ? pickInfo.pickedPoint.y / this.heightScale : null;
+  }
+
+  // エプロンを含むグリッドのサンプルから双線形補間
+  sampleGrid(grid, x, z) {
+    const { bbox, width, height } = grid;
+    const col = (x - bbox.minX) / (bbox.maxX - bbox.minX) * (width - 1);
+    const row = (z - bbox.minZ) / (bbox.maxZ - bbox.minZ) * (height - 1);
+    return sampleBilinear(grid, col, row);
+  }
+
+  /**
+   * 読み込み済みのタイルの最も細かいサンプルの間隔（メートル、断面図などの標本化の間隔）
+   */
+  getSampleSpacing() {
+    let spacing = Infinity;
+    for (const tile of this.terrainTiles.values()) {
+      if (!tile.mesh) continue;
+      const spacingX = tile.grid
+        ? (tile.grid.bbox.maxX - tile.grid.bbox.minX) / (tile.grid.width - 1)
+        : (tile.node.bbox.maxX - tile.node.bbox.minX) / MESH_TILE_SAMPLES;
+      spacing = Math.min(spacing, spacingX);
+    }
+    return isFinite(spacing) ? spacing : this.quadtree.size / MESH_TILE_SAMPLES;
+  }
+
+  /**
+   * タイルソースを切り替え（読み込み済み・読み込み中のタイルは破棄）
+   * ワールド座標の原点はソースが決める（GeoTIFFの場合はデータの中心、x: 東、z: 南、メートル）
+   */
+  setSource(source) {
+    this.dispose();
+    this.source = source;
+    this.quadtree = source.getQuadtree();
+
+    if (this.debugMode) {
+      console.log('Dynamic Terrain: タイルソース', source.getName(), { size: this.quadtree.size, maxLevel: this.quadtree.maxLevel });
+    }
   }
 
   /**
    * 設定を更新
    */
   updateSettings(settings) {
+    this.wireframe = settings.wireframe;
+    const heightScaleChanged = settings.heightScale !== undefined && settings.heightScale !== this.heightScale;
+    if (settings.heightScale !== undefined) {
+      this.heightScale = settings.heightScale;
+    }
+
+    // 陰影起伏は標高スケールで勾配が変わるため、陰影の表示中は標高スケールの変更時も頂点色を更新
+    const shading = {
+      mode: settings.hillshadeMode || 'off',
+      azimuth: settings.sunAzimuth,
+      altitude: settings.sunAltitude,
+      strength: settings.hillshadeStrength
+    };
+    const shadingChanged = Object.keys(shading).some(key => shading[key] !== this.shading[key]) ||
+      (heightScaleChanged && shading.mode !== 'off');
+    this.shading = shading;
+    const hillshade = shadingChanged
+      ? createHillshade({ ...shading, heightScale: this.heightScale })
+      : null;
+
     // 設定に基づいて地形を更新
-    for (const [key, mesh] of this.terrainTiles) {
-      if (mesh.material) {
-        mesh.material.wireframe = settings.wireframe;
+    if (this.material) {
+      this.material.wireframe = !!settings.wireframe;
+    }
+    for (const tile of this.terrainTiles.values()) {
+      if (!tile.mesh) continue;
+      tile.mesh.scaling.y = this.heightScale;
+      if (shadingChanged) {
+        this.applyShading(tile, hillshade);
       }
     }
+
+    // 標高スケールはスクリーンスペース誤差に影響するため選び直す
+    if (heightScaleChanged) {
+      this.scheduleUpdate();
+    }
   }
 
   /**
    * デバッグ情報を取得
    */
   getDebugInfo() {
+    const visibleLevels = Array.from(this.visibleTiles, key => parseInt(key, 10));
+    const queueStats = this.loadQueue.getStats();
     return {
       loadedTiles: this.terrainTiles.size,
-      loadingTiles: this.loadingTiles.size,
-      tileKeys: Array.from(this.terrainTiles.keys())
+      loadingTiles: queueStats.active,
+      queuedTiles: queueStats.queued,
+      visibleTiles: this.visibleTiles.size,
+      maxVisibleLevel: visibleLevels.length > 0 ? Math.max(...visibleLevels) : null,
+      maxLevel: this.quadtree.maxLevel,
+      tileKeys: Array.from(this.terrainTiles.keys()),
+      sourceName: this.source.getName(),
+      cache: this.source.getCacheStats()
     };
   }
 
+  /**
+   * 表示中のタイルソースのキャッシュを削除（メモリとIndexedDB）
+   */
+  async clearTileCache() {
+    await this.source.clearCache();
+  }
+
   /**
    * リソースをクリーンアップ
    */
   dispose() {
-    for (const [key, mesh] of this.terrainTiles) {
-      this.scene.removeMesh(mesh);
-      mesh.dispose();
+    for (const tile of this.terrainTiles.values()) {
+      if (!tile.mesh) continue;
+      this.scene.removeMesh(tile.mesh);
+      tile.mesh.dispose();
     }
+    this.loadQueue.clear();
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
     this.terrainTiles.clear();
-    this.loadingTiles.clear();
+    this.failedTiles.clear();
+    this.visibleTiles.clear();
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
   }
 }
@@ -0,0 +1,175 @@
+import { NullEngine, Scene, FreeCamera, Vector3, Logger } from '@babylonjs/core';
+import { DynamicTerrainManager } from './DynamicTerrainManager';
+
+// テスト地形の四分木: 一辺65536m・タイルの一辺65頂点 → ルートの幾何誤差1024m、レベル1は512m
+const ROOT_KEY = '0/0/0';
+const CHILD_KEYS = ['1/0/0', '1/1/0', '1/0/1', '1/1/1'];
+
+let engine;
+let scene;
+let camera;
+let manager;
+
+beforeAll(() => {
+  // NullEngineの起動ログを抑制
+  Logger.LogLevels = Logger.WarningLogLevel | Logger.ErrorLogLevel;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  engine = new NullEngine();
+  scene = new Scene(engine);
+  camera = new FreeCamera('camera', new Vector3(0, 1000, 0), scene);
+  camera.minZ = 1;
+  camera.maxZ = 1e6;
+  manager = new DynamicTerrainManager(scene, camera);
+  // 読み込みは完了させず、要求されたタイルだけを記録する（読み込み済みはterrainTilesに直接登録）
+  jest.spyOn(manager, 'loadTile').mockImplementation(() => new Promise(() => {}));
+});
+
+afterEach(() => {
+  scene.dispose();
+  engine.dispose();
+  jest.restoreAllMocks();
+});
+
+/**
+ * 地形の中心の真上から見下ろし、ルートのスクリーンスペース誤差がrootErrorピクセルになる高さにカメラを置く
+ * （標高0の地形の真上なので、誤差は高さに反比例し、レベルが1上がるごとに半分になる）
+ */
+const lookDownWithRootError = (rootError) => {
+  const { height, fov } = manager.getViewport();
+  const rootGeometricError = manager.quadtree.getGeometricError(manager.quadtree.getRoot());
+  const altitude = rootGeometricError * height / (2 * Math.tan(fov / 2) * rootError);
+  camera.position = new Vector3(0, altitude, 0);
+  camera.setTarget(new Vector3(0, 0, 1));
+};
+
+const markLoaded = (...keys) => {
+  for (const key of keys) {
+    const [level, x, z] = key.split('/').map(Number);
+    manager.terrainTiles.set(key, { node: manager.quadtree.createNode(level, x, z), mesh: null });
+  }
+};
+
+const requestedKeys = () => manager.loadTile.mock.calls.map(([node]) => node.key);
+
+describe('スクリーンスペース誤差による詳細化', () => {
+  test('誤差が閾値以下のルートは詳細化せず、ルートだけを読み込む', async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 0.9);
+    await manager.updateTerrain(true);
+
+    expect(requestedKeys()).toEqual([ROOT_KEY]);
+    // 読み込み前は何も表示しない
+    expect([...manager.visibleTiles]).toEqual([]);
+
+    markLoaded(ROOT_KEY);
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles]).toEqual([ROOT_KEY]);
+  });
+
+  test('誤差が閾値を超えると子に詳細化し、子の誤差が閾値以下ならそこで止める', async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 1.5);
+    await manager.updateTerrain(true);
+
+    // 子が揃うまで表示するルートと、4つの子
+    expect(requestedKeys().sort()).toEqual([ROOT_KEY, ...CHILD_KEYS].sort());
+  });
+
+  test('閾値を下げると、同じ位置から更に細かいレベルまで詳細化する', async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 1.5);
+    manager.maxScreenSpaceError /= 2;
+    await manager.updateTerrain(true);
+
+    // 同時読み込み数の上限があるため、要求された中で最も細かいレベルを確認する
+    const levels = requestedKeys().map(key => Number(key.split('/')[0]));
+    expect(Math.max(...levels)).toBe(2);
+  });
+});
+
+describe('読み込み待ちの間の表示', () => {
+  test('子が全て読み込まれるまで親を表示し、揃ったら子に切り替えて親をアンロードする', async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 1.5);
+    markLoaded(ROOT_KEY);
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles]).toEqual([ROOT_KEY]);
+    expect(requestedKeys().sort()).toEqual([...CHILD_KEYS].sort());
+
+    markLoaded(...CHILD_KEYS.slice(0, 3));
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles]).toEqual([ROOT_KEY]);
+
+    markLoaded(CHILD_KEYS[3]);
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles].sort()).toEqual([...CHILD_KEYS].sort());
+    expect(manager.terrainTiles.has(ROOT_KEY)).toBe(false);
+  });
+
+  test('縮小時は親が読み込まれるまで子を表示し続ける', async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 1.5);
+    markLoaded(...CHILD_KEYS);
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles].sort()).toEqual([...CHILD_KEYS].sort());
+
+    lookDownWithRootError(manager.maxScreenSpaceError * 0.5);
+    await manager.updateTerrain(true);
+    expect(requestedKeys()).toEqual([ROOT_KEY]);
+    expect([...manager.visibleTiles].sort()).toEqual([...CHILD_KEYS].sort());
+
+    markLoaded(ROOT_KEY);
+    await manager.updateTerrain(true);
+    expect([...manager.visibleTiles]).toEqual([ROOT_KEY]);
+    expect(CHILD_KEYS.some(key => manager.terrainTiles.has(key))).toBe(false);
+  });
+});
+
+describe('読み込みに失敗したタイルの再試行', () => {
+  // 偽のタイマーの影響を受けないsetImmediateで、保留中のPromiseの処理を進める
+  const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+  const fetchedKeys = () => manager.source.getTile.mock.calls.map(([level, x, z]) => `${level}/${x}/${z}`);
+
+  // ルートだけが必要な位置で、ルートの読み込みを1回失敗させる
+  const failRoot = async () => {
+    lookDownWithRootError(manager.maxScreenSpaceError * 0.9);
+    await manager.updateTerrain(true);
+    await flushPromises();
+    // 失敗直後の選び直しでは、まだ再試行しない
+    jest.advanceTimersByTime(0);
+    await flushPromises();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager.loadTile.mockRestore();
+    jest.spyOn(manager.source, 'getTile').mockRejectedValue(new Error('オフライン'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('カメラが動かなくても、再試行までの時間が経ったら読み込み直す', async () => {
+    await failRoot();
+    expect(fetchedKeys()).toEqual([ROOT_KEY]);
+    expect(manager.failedTiles.has(ROOT_KEY)).toBe(true);
+
+    jest.advanceTimersByTime(4999);
+    await flushPromises();
+    expect(fetchedKeys()).toEqual([ROOT_KEY]);
+
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(fetchedKeys()).toEqual([ROOT_KEY, ROOT_KEY]);
+  });
+
+  test('破棄した後は再試行しない', async () => {
+    await failRoot();
+    manager.dispose();
+    expect(jest.getTimerCount()).toBe(0);
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(fetchedKeys()).toEqual([ROOT_KEY]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Elevation Profile
+ * 折れ線に沿った標高の断面（プロファイル）の標本化・統計・CSV（Babylon.jsに依存しない）
+ *
+ * 標高は標本化の関数（sampleElevation）から求める。静的ビューアーは読み込んだグリッド、
+ * 動的地形は読み込み済みのタイルから双線形補間し、間隔はラスターの解像度に合わせる。
+ */
+
+import { toLonLat } from './CoordinateFormat';
+
+// 1本の断面の標本の最大数（長い線は間隔を広げる）
+const MAX_PROFILE_SAMPLES = 10000;
+
+const horizontalDistance = (a, b) => Math.hypot(b.x - a.x, b.z - a.z);
+
+/**
+ * 折れ線に沿って標高を標本化
+ * @param {Array} points - { x, z }（ローカル座標、メートル）
+ * @param {Function} sampleElevation - (x, z) → 標高（NoData・範囲外はnull）
+ * @param {number} step - 標本化の間隔（メートル、通常はラスターの解像度）
+ * @returns {Array} { x, z, distance（始点からの水平距離）, elevation（nullはNoData） }
+ */
+export const samplePath = (points, sampleElevation, step) => {
+  let totalLength = 0;
+  for (let i = 1; i < points.length; i++) {
+    totalLength += horizontalDistance(points[i - 1], points[i]);
+  }
+  const spacing = Math.max(step, totalLength / MAX_PROFILE_SAMPLES);
+
+  const samples = [];
+  let distance = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const length = horizontalDistance(a, b);
+    const count = Math.max(1, Math.ceil(length / spacing));
+    // 2本目以降の区間の始点は前の区間の終点と同じ
+    for (let n = i === 0 ? 0 : 1; n <= count; n++) {
+      const t = n / count;
+      const x = a.x + (b.x - a.x) * t;
+      const z = a.z + (b.z - a.z) * t;
+      samples.push({ x, z, distance: distance + length * t, elevation: sampleElevation(x, z) });
+    }
+    distance += length;
+  }
+  return samples;
+};
+
+/**
+ * 断面の統計（NoDataの標本は除き、累積標高はNoDataをはさんだ前後の標本で比べる）
+ * @returns {Object} { length, min, max, gain, loss, start, end, validCount }（有効な標本がない場合はmin〜endがnull）
+ */
+export const summarizeProfile = (samples) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let gain = 0;
+  let loss = 0;
+  let start = null;
+  let previous = null;
+  let validCount = 0;
+
+  for (const { elevation } of samples) {
+    if (elevation === null) continue;
+    validCount++;
+    min = Math.min(min, elevation);
+    max = Math.max(max, elevation);
+    if (previous === null) {
+      start = elevation;
+    } else if (elevation > previous) {
+      gain += elevation - previous;
+    } else {
+      loss += previous - elevation;
+    }
+    previous = elevation;
+  }
+
+  return {
+    length: samples.length > 0 ? samples[samples.length - 1].distance : 0,
+    min: validCount > 0 ? min : null,
+    max: validCount > 0 ? max : null,
+    gain,
+    loss,
+    start,
+    end: previous,
+    validCount
+  };
+};
+
+/**
+ * 水平距離に最も近い標本（標本は距離の昇順）
+ */
+export const findProfileSample = (samples, distance) => {
+  let low = 0;
+  let high = samples.length - 1;
+  while (high - low > 1) {
+    const middle = (low + high) >> 1;
+    if (samples[middle].distance < distance) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return Math.abs(samples[low].distance - distance) <= Math.abs(samples[high].distance - distance)
+    ? samples[low]
+    : samples[high];
+};
+
+/**
+ * 断面をCSVに変換
+ * 座標は元の座標系（frameがない場合はローカル座標）、緯度経度に変換できる場合は経度・緯度の列を追加
+ * @param {Array} samples - samplePathの戻り値
+ * @param {TerrainFrame|null} frame - 元の座標系とローカル座標の変換
+ */
+export const profileToCSV = (samples, frame) => {
+  const crs = frame ? frame.crs : null;
+  const withLonLat = Boolean(crs && crs.proj4);
+  // ローカル座標はx: 東, z: 南
+  const header = ['distance_m', 'x', frame ? 'y' : 'z', ...(withLonLat ? ['lon', 'lat'] : []), 'elevation_m'];
+  const decimals = crs && crs.isGeographic ? 8 : 3;
+
+  const rows = samples.map(({ x, z, distance, elevation }) => {
+    const source = frame ? frame.localToSource(x, z) : { x, y: z };
+    const columns = [distance.toFixed(3), source.x.toFixed(decimals), source.y.toFixed(decimals)];
+    if (withLonLat) {
+      const lonLat = toLonLat(crs, source.x, source.y);
+      columns.push(lonLat ? lonLat.lon.toFixed(8) : '', lonLat ? lonLat.lat.toFixed(8) : '');
+    }
+    columns.push(elevation === null ? '' : elevation.toFixed(3));
+    return columns.join(',');
+  });
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+};
@@ -0,0 +1,93 @@
+/**
+ * Elevation Stretch
+ * 色分けに使う標高の範囲（ストレッチ）の決定
+ *
+ * - full: データの最低〜最高標高
+ * - percentile: 有効な画素の下位・上位の百分位数で外れ値を除く
+ * - manual: 指定した最低・最高標高
+ */
+
+export const STRETCH_MODES = {
+  full: '全範囲（最低〜最高）',
+  percentile: 'パーセンタイルでクリップ',
+  manual: '手動で指定'
+};
+
+const HISTOGRAM_BINS = 4096;
+
+/**
+ * 全ファイルの有効な画素の標高のヒストグラム
+ * @param {Array} tiles - elevationData, validMask
+ */
+export const computeElevationHistogram = (tiles, minElevation, maxElevation, binCount = HISTOGRAM_BINS) => {
+  const counts = new Uint32Array(binCount);
+  const span = maxElevation - minElevation;
+  let total = 0;
+
+  for (const { elevationData, validMask } of tiles) {
+    for (let i = 0; i < elevationData.length; i++) {
+      if (validMask && validMask[i] !== 1) continue;
+      const value = elevationData[i];
+      if (!isFinite(value)) continue;
+      const bin = span > 0
+        ? Math.min(binCount - 1, Math.max(0, Math.floor((value - minElevation) / span * binCount)))
+        : 0;
+      counts[bin]++;
+      total++;
+    }
+  }
+
+  return { counts, total, min: minElevation, max: maxElevation };
+};
+
+/**
+ * ヒストグラムから百分位数（0〜100）の標高を求める（ビンの中は線形補間）
+ */
+export const percentileFromHistogram = (histogram, percent) => {
+  const { counts, total, min, max } = histogram;
+  if (total === 0) return min;
+
+  const target = Math.min(100, Math.max(0, percent)) / 100 * total;
+  const binSize = (max - min) / counts.length;
+  let accumulated = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] > 0 && accumulated + counts[i] >= target) {
+      return min + (i + (target - accumulated) / counts[i]) * binSize;
+    }
+    accumulated += counts[i];
+  }
+  return max;
+};
+
+/**
+ * 設定に応じた色分けの標高の範囲 { min, max }
+ * パーセンタイルのヒストグラムはterrainDataに保持して再利用する
+ * @param {Object} settings - stretchMode, stretchPercentLow, stretchPercentHigh, stretchMin, stretchMax
+ * @param {Object} terrainData - tiles, minElevation, maxElevation
+ */
+export const resolveStretch = (settings, terrainData) => {
+  const { minElevation, maxElevation } = terrainData;
+  let min = minElevation;
+  let max = maxElevation;
+
+  if (settings.stretchMode === 'percentile') {
+    if (!terrainData.histogram) {
+      terrainData.histogram = computeElevationHistogram(terrainData.tiles, minElevation, maxElevation);
+    }
+    min = percentileFromHistogram(terrainData.histogram, Number(settings.stretchPercentLow));
+    max = percentileFromHistogram(terrainData.histogram, Number(settings.stretchPercentHigh));
+  } else if (settings.stretchMode === 'manual') {
+    // 未入力の側はデータの範囲を使う
+    const manualMin = parseFloat(settings.stretchMin);
+    const manualMax = parseFloat(settings.stretchMax);
+    if (isFinite(manualMin)) min = manualMin;
+    if (isFinite(manualMax)) max = manualMax;
+  }
+
+  if (!(max > min)) {
+    // 範囲が逆転・ゼロ幅の場合はデータの範囲に戻す（全域が同じ標高の場合は1mの幅）
+    min = minElevation;
+    max = maxElevation > minElevation ? maxElevation : minElevation + 1;
+  }
+  return { min, max };
+};
@@ -1,45 +1,49 @@
-import { fromArrayBuffer } from 'geotiff';
+import { fromArrayBuffer, fromBlob, fromUrl, Pool } from 'geotiff';
 import proj4 from 'proj4';
+import { CRSResolver } from './CRSResolver';
+import { createProgressEvent } from './LoadProgress';
 
 class GeoTIFFLoader {
   constructor() {
-    // 一般的な投影法の定義
-    this.proj4Definitions = {
-      'EPSG:4326': '+proj=longlat +datum=WGS84 +no_defs',
-      'EPSG:3857': '+proj=merc +a=6378137 +b=6378137 +lat_ts=0.0 +lon_0=0.0 +x_0=0.0 +y_0=0 +k=1.0 +units=m +nadgrids=@null +wktext +no_defs',
-      'EPSG:32633': '+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs',
-      'EPSG:32634': '+proj=utm +zone=34 +datum=WGS84 +units=m +no_defs',
-    };
+    // GeoKeysから座標系を解決（同梱のEPSG定義を使用）
+    this.crsResolver = new CRSResolver();
     
     // 大規模データ対応の設定
     this.maxFileSize = 500 * 1024 * 1024; // 500MB
     this.chunkSize = 1024 * 1024; // 1MB chunks
     this.maxResolution = 2048; // 最大解像度を増加
     this.progressiveLoading = true;
-    this.useWebWorker = false; // Web Worker使用フラグ
+    this.useWebWorker = true; // Web Worker使用フラグ（geotiffのPoolでデコード）
+    this.pool = null;
   }
 
-  async loadGeoTIFF(arrayBuffer, options = {}) {
+  // sourceはArrayBuffer、またはRangeリクエストに対応したサーバー上のGeoTIFFのURL
+  async loadGeoTIFF(source, options = {}) {
     try {
       console.log('GeoTIFFファイルの読み込みを開始...');
       
-      const fileSize = arrayBuffer.byteLength;
+      const fileSize = this.getSourceSize(source, options);
       console.log(`ファイルサイズ: ${(fileSize / (1024 * 1024)).toFixed(2)}MB`);
       
       // より高い閾値で大規模データ処理を適用（200MB以上）
       const largeFileThreshold = 200 * 1024 * 1024; // 200MB
       if (fileSize > largeFileThreshold) {
         console.log('大規模ファイルとして処理します');
-        return await this.loadLargeGeoTIFF(arrayBuffer, options);
+        return await this.loadLargeGeoTIFF(source, options);
       }
       
       // GeoTIFFファイルの読み込み
       let tiff = null;
       let image = null;
+      let overviews = null;
+      let overview = null;
 
       try {
-        tiff = await fromArrayBuffer(arrayBuffer);
+        this.reportProgress(options, 'parse', 0);
+        tiff = await this.openTiff(source);
         image = await tiff.getImage();
+        overviews = await this.getOverviews(tiff);
+        this.reportProgress(options, 'parse', 100);
       } catch (e) {
         console.error('GeoTIFFファイルの解析に失敗:', e);
         throw new Error(`GeoTIFFファイルの解析に失敗しました: ${e.message}`);
@@ -138,13 +142,12 @@ class GeoTIFFLoader {
           const targetWidth = Math.floor(width * scaleFactor);
           const targetHeight = Math.floor(height * scaleFactor);
           
-          rasters = await image.readRasters({
-            width: targetWidth,
-            height: targetHeight,
-            resampleMethod: 'nearest'
-          });
+          // 内部オーバービューがあれば目標解像度に最も近いものから読み込む
+          overview = this.selectOverview(overviews, targetWidth, targetHeight);
+          rasters = await this.readRastersWithProgress(overview.image, targetWidth, targetHeight, options);
         } else {
-          rasters = await image.readRasters();
+          overview = overviews[0];
+          rasters = await this.readRastersWithProgress(image, width, height, options);
         }
         
         if (rasters && rasters.length > 0) {
@@ -153,6 +156,7 @@ class GeoTIFFLoader {
           throw new Error('ラスターデータが取得できませんでした');
         }
       } catch (e) {
+        if (e.name === 'AbortError') throw e;
         console.error('ラスターデータの読み込みに失敗:', e);
         
         // スタックオーバーフローの場合は、さらに解像度を下げて再試行
@@ -161,17 +165,14 @@ class GeoTIFFLoader {
           
           try {
             const emergencyResolution = 256; // 緊急時の解像度
-            const scaleFactor = emergencyResolution / Math.max(width, height);
-            const emergencyWidth = Math.floor(width * scaleFactor);
-            const emergencyHeight = Math.floor(height * scaleFactor);
+            const scaleFactor = emergencyResolution / Math.max(image.getWidth(), image.getHeight());
+            const emergencyWidth = Math.floor(image.getWidth() * scaleFactor);
+            const emergencyHeight = Math.floor(image.getHeight() * scaleFactor);
             
             console.log(`緊急モード: 解像度を${emergencyWidth}x${emergencyHeight}に下げます`);
             
-            rasters = await image.readRasters({
-              width: emergencyWidth,
-              height: emergencyHeight,
-              resampleMethod: 'nearest'
-            });
+            overview = this.selectOverview(overviews, emergencyWidth, emergencyHeight);
+            rasters = await this.readRastersWithProgress(overview.image, emergencyWidth, emergencyHeight, options);
             
             if (rasters && rasters.length > 0) {
               elevationData = rasters[0];
@@ -188,33 +189,61 @@ class GeoTIFFLoader {
         }
       }
 
-      // バウンディングボックスの計算
+      // バウンディングボックスと座標系の計算
       const bounds = this.calculateBounds(bbox, geoKeys);
+      const crs = this.resolveCRS(geoKeys);
+      
+      // NoData値の決定と有効データマスクの作成
+      const noDataValue = this.resolveNoDataValue(image, options.noDataValue);
+      this.reportProgress(options, 'normalize', 0);
+      const validMask = this.createValidMask(elevationData, noDataValue);
+      this.reportProgress(options, 'normalize', 30);
+      const statistics = this.getElevationStatistics(elevationData, validMask);
+      this.reportProgress(options, 'normalize', 60);
       
       // データの正規化
-      const normalizedData = this.normalizeElevationData(elevationData);
+      const normalizedData = this.normalizeElevationData(elevationData, validMask);
+      this.reportProgress(options, 'normalize', 100);
+
+      // 3バンド以上の場合は色情報として保持
+      const colorData = rasters.length >= 3
+        ? { red: rasters[0], green: rasters[1], blue: rasters[2] }
+        : null;
 
       console.log('GeoTIFFデータの読み込み完了:', {
-        width: image.getWidth(),
-        height: image.getHeight(),
+        width: rasters.width,
+        height: rasters.height,
+        overviewLevel: overview.level,
         bounds,
+        noDataValue,
+        validCount: statistics.count,
         elevationRange: {
-          min: Math.min(...normalizedData),
-          max: Math.max(...normalizedData)
+          min: statistics.min,
+          max: statistics.max
         }
       });
 
       return {
         elevationData: normalizedData,
-        width: image.getWidth(),
-        height: image.getHeight(),
+        width: rasters.width,
+        height: rasters.height,
+        originalWidth: image.getWidth(),
+        originalHeight: image.getHeight(),
         bounds,
         geoKeys,
+        crs,
         originalData: elevationData,
+        validMask,
+        noDataValue,
+        minElevation: statistics.min,
+        maxElevation: statistics.max,
+        colorData,
+        overview: this.describeOverview(overview, overviews),
         isLargeFile: false
       };
 
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('GeoTIFF読み込みエラー:', error);
       
       // より詳細なエラーメッセージを提供
@@ -234,6 +263,26 @@ class GeoTIFFLoader {
     }
   }
 
+  // ArrayBuffer・URL・Blob（File）からGeoTIFFを開く
+  // URLとBlobの場合は必要なIFD・タイルだけを取得（Blobはsliceで部分的に読み込む）
+  async openTiff(source) {
+    if (typeof source === 'string') {
+      return fromUrl(source, { allowFullFile: false });
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return fromBlob(source);
+    }
+    return fromArrayBuffer(source);
+  }
+
+  // ファイルサイズ（URLの場合は事前に取得したサイズをoptions.fileSizeで指定）
+  getSourceSize(source, options) {
+    if (typeof source === 'string') {
+      return options.fileSize || 0;
+    }
+    return source.byteLength;
+  }
+
   calculateBounds(bbox, geoKeys) {
     if (bbox && bbox.length >= 4) {
       return {
@@ -253,34 +302,186 @@ class GeoTIFFLoader {
     };
   }
 
-  normalizeElevationData(data) {
-    if (!data || data.length === 0) {
-      return [];
+  // 全IFDからフル解像度画像と縮小画像（オーバービュー）を解像度の高い順に列挙
+  // マスク画像（NewSubfileTypeのbit 2）や別画像のページは除外する
+  async getOverviews(tiff) {
+    const imageCount = await tiff.getImageCount();
+    const fullImage = await tiff.getImage(0);
+    const overviews = [{ image: fullImage, index: 0, width: fullImage.getWidth(), height: fullImage.getHeight() }];
+
+    for (let index = 1; index < imageCount; index++) {
+      const image = await tiff.getImage(index);
+      const subfileType = image.fileDirectory.NewSubfileType || 0;
+      const isReducedResolution = (subfileType & 1) === 1;
+      const isMask = (subfileType & 4) === 4;
+      if (!isReducedResolution || isMask) continue;
+
+      overviews.push({ image, index, width: image.getWidth(), height: image.getHeight() });
     }
 
-    // NoData値の処理（一般的な値: -9999, -32768, 0）
-    const noDataValues = [-9999, -32768, 0];
-    const validData = data.filter(value => 
-      value !== null && 
-      value !== undefined && 
-      !noDataValues.includes(value) &&
-      !isNaN(value)
-    );
+    overviews.sort((a, b) => b.width - a.width);
+    overviews.forEach((overview, level) => {
+      overview.level = level;
+    });
 
-    if (validData.length === 0) {
-      console.warn('有効な標高データが見つかりません');
-      return new Array(data.length).fill(0);
+    if (overviews.length > 1) {
+      console.log('内部オーバービュー:', overviews.map(o => `L${o.level}: ${o.width}x${o.height}`).join(', '));
+    }
+    return overviews;
+  }
+
+  // 目標解像度を下回らない最小のオーバービューを選択（拡大して読み込むことはしない）
+  selectOverview(overviews, targetWidth, targetHeight) {
+    let selected = overviews[0];
+    for (const overview of overviews) {
+      if (overview.width >= targetWidth && overview.height >= targetHeight) {
+        selected = overview;
+      }
+    }
+    return selected;
+  }
+
+  // 読み込みに使用したオーバービューの情報（画像オブジェクトはWorkerから転送できないため除外）
+  describeOverview(overview, overviews) {
+    return {
+      level: overview.level,
+      count: overviews.length,
+      width: overview.width,
+      height: overview.height
+    };
+  }
+
+  // 進捗を通知（options.onProgress、なければthis.onProgressを使用）
+  reportProgress(options, stage, stagePercent) {
+    const onProgress = options.onProgress || this.onProgress;
+    if (onProgress) {
+      onProgress(createProgressEvent(stage, stagePercent));
+    }
+  }
+
+  // ストリップ/タイルの行単位でラスターを読み込み、デコードの進捗を通知
+  async readRastersWithProgress(image, targetWidth, targetHeight, options = {}) {
+    const width = image.getWidth();
+    const height = image.getHeight();
+
+    // ストリップ（RowsPerStrip）またはタイルの高さを単位に、最大50回程度に分割して読み込む
+    const blockHeight = image.getTileHeight() || height;
+    const blocksPerChunk = Math.max(1, Math.ceil(height / blockHeight / 50));
+    const chunkHeight = blockHeight * blocksPerChunk;
+    const totalBlocks = Math.ceil(height / blockHeight);
+
+    let bands = null;
+    let decodedBlocks = 0;
+    this.reportProgress(options, 'decode', 0);
+
+    for (let sourceTop = 0; sourceTop < height; sourceTop += chunkHeight) {
+      const sourceBottom = Math.min(sourceTop + chunkHeight, height);
+      const targetTop = Math.round(sourceTop * targetHeight / height);
+      const targetBottom = Math.round(sourceBottom * targetHeight / height);
+
+      if (targetBottom > targetTop) {
+        const chunk = await image.readRasters({
+          window: [0, sourceTop, width, sourceBottom],
+          width: targetWidth,
+          height: targetBottom - targetTop,
+          resampleMethod: 'nearest',
+          pool: this.getDecoderPool(),
+          signal: options.signal
+        });
+
+        if (!bands) {
+          bands = chunk.map(band => new band.constructor(targetWidth * targetHeight));
+        }
+        const offset = targetTop * targetWidth;
+        for (let i = 0; i < chunk.length; i++) {
+          bands[i].set(chunk[i], offset);
+        }
+      }
+
+      decodedBlocks += Math.ceil((sourceBottom - sourceTop) / blockHeight);
+      this.reportProgress(options, 'decode', decodedBlocks / totalBlocks * 100);
+    }
+
+    const rasters = bands || [];
+    rasters.width = targetWidth;
+    rasters.height = targetHeight;
+    return rasters;
+  }
+
+  // デコード用のWorkerプールを取得（Workerが使えない環境ではメインスレッドでデコード）
+  getDecoderPool() {
+    if (!this.useWebWorker || typeof Worker === 'undefined') {
+      return null;
+    }
+    if (!this.pool) {
+      this.pool = new Pool();
+    }
+    return this.pool;
+  }
+
+  // NoData値を決定（ユーザー指定 > GDAL_NODATAタグ(42113) > なし）
+  resolveNoDataValue(image, override) {
+    if (override !== undefined && override !== null) {
+      return override;
+    }
+
+    try {
+      if (typeof image.getGDALNoData === 'function') {
+        return image.getGDALNoData();
+      }
+    } catch (e) {
+      console.warn('GDAL_NODATAタグの取得に失敗:', e);
+    }
+    return null;
+  }
+
+  // 値がNoDataかどうか判定（Float32に格納された値との比較も考慮）
+  isNoDataValue(value, noDataValue) {
+    if (value === null || value === undefined || isNaN(value) || !isFinite(value)) {
+      return true;
+    }
+    if (noDataValue === null || noDataValue === undefined) {
+      return false;
+    }
+    if (isNaN(noDataValue)) {
+      return false;
+    }
+    return value === noDataValue || value === Math.fround(noDataValue);
+  }
+
+  // 有効データマスクを作成（1: 有効, 0: NoData）
+  createValidMask(data, noDataValue) {
+    const mask = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      mask[i] = this.isNoDataValue(data[i], noDataValue) ? 0 : 1;
+    }
+    return mask;
+  }
+
+  normalizeElevationData(data, validMask) {
+    if (!data || data.length === 0) {
+      return new Float32Array(0);
+    }
+
+    if (!validMask) {
+      validMask = this.createValidMask(data, null);
     }
 
     // スタックオーバーフローを防ぐため、ループでmin/maxを計算
-    let min = validData[0];
-    let max = validData[0];
+    let min = Infinity;
+    let max = -Infinity;
     
-    for (let i = 1; i < validData.length; i++) {
-      const value = validData[i];
+    for (let i = 0; i < data.length; i++) {
+      if (!validMask[i]) continue;
+      const value = data[i];
       if (value < min) min = value;
       if (value > max) max = value;
     }
+
+    if (min === Infinity) {
+      console.warn('有効な標高データが見つかりません');
+      return new Float32Array(data.length);
+    }
     
     console.log(`標高データの正規化: min=${min}, max=${max}`);
 
@@ -288,15 +489,15 @@ class GeoTIFFLoader {
     const range = max - min;
     if (range === 0) {
       // 全ての値が同じ場合
-      return this.normalizeDataSync(data, noDataValues, () => 0.5);
+      return this.normalizeDataSync(data, validMask, () => 0.5);
     }
 
-    return this.normalizeDataSync(data, noDataValues, (value) => (value - min) / range);
+    return this.normalizeDataSync(data, validMask, (value) => (value - min) / range);
   }
 
   // データの同期的正規化（スタックオーバーフロー対策）
-  normalizeDataSync(data, noDataValues, transformFn) {
-    const result = new Array(data.length);
+  normalizeDataSync(data, validMask, transformFn) {
+    const result = new Float32Array(data.length);
     
     // 小さなバッチで処理してスタックオーバーフローを防ぐ
     const batchSize = 5000; // バッチサイズを小さくする
@@ -305,12 +506,7 @@ class GeoTIFFLoader {
       const end = Math.min(i + batchSize, data.length);
       
       for (let j = i; j < end; j++) {
-        const value = data[j];
-        if (noDataValues.includes(value) || value === null || value === undefined || isNaN(value)) {
-          result[j] = 0;
-        } else {
-          result[j] = transformFn(value);
-        }
+        result[j] = validMask[j] ? transformFn(data[j]) : 0;
       }
     }
     
@@ -318,20 +514,15 @@ class GeoTIFFLoader {
   }
 
   // データのバッチ正規化（メモリ効率を向上）
-  async normalizeDataBatch(data, noDataValues, transformFn) {
-    const result = new Array(data.length);
+  async normalizeDataBatch(data, validMask, transformFn) {
+    const result = new Float32Array(data.length);
     const batchSize = 10000; // バッチサイズ
     
     for (let i = 0; i < data.length; i += batchSize) {
       const end = Math.min(i + batchSize, data.length);
       
       for (let j = i; j < end; j++) {
-        const value = data[j];
-        if (noDataValues.includes(value) || value === null || value === undefined || isNaN(value)) {
-          result[j] = 0;
-        } else {
-          result[j] = transformFn(value);
-        }
+        result[j] = validMask[j] ? transformFn(data[j]) : 0;
       }
       
       // メモリ圧迫を防ぐため、バッチ間で少し待機
@@ -344,36 +535,57 @@ class GeoTIFFLoader {
     return result;
   }
 
-  // 投影変換のヘルパーメソッド
-  transformCoordinates(x, y, fromEPSG, toEPSG = 'EPSG:4326') {
-    try {
-      const fromProj = this.proj4Definitions[fromEPSG];
-      const toProj = this.proj4Definitions[toEPSG];
-      
-      if (!fromProj || !toProj) {
-        console.warn(`投影法の定義が見つかりません: ${fromEPSG} -> ${toEPSG}`);
-        return { x, y };
+  // GeoKeysから座標系を解決（解決できない場合は理由を警告）
+  resolveCRS(geoKeys) {
+    const crs = this.crsResolver.resolve(geoKeys);
+    if (crs.resolved) {
+      console.log(`座標系: ${crs.name} (${crs.code})`);
+    } else {
+      console.warn(`座標系を解決できません: ${crs.reason}`);
+    }
+    return crs;
+  }
+
+  // 投影変換のヘルパーメソッド（座標系コードまたは解決済みの座標系オブジェクトを指定）
+  transformCoordinates(x, y, fromCRS, toCRS = 'EPSG:4326') {
+    const fromProj = this.getProj4Definition(fromCRS);
+    const toProj = this.getProj4Definition(toCRS);
+
+    const result = proj4(fromProj, toProj, [x, y]);
+    return { x: result[0], y: result[1] };
+  }
+
+  // proj4定義を取得（見つからない場合はエラー）
+  getProj4Definition(crs) {
+    if (crs && typeof crs === 'object') {
+      if (!crs.resolved) {
+        throw new Error(`座標系が解決されていないため変換できません: ${crs.reason}`);
       }
+      return crs.proj4;
+    }
 
-      const result = proj4(fromProj, toProj, [x, y]);
-      return { x: result[0], y: result[1] };
-    } catch (error) {
-      console.error('座標変換エラー:', error);
-      return { x, y };
+    const definition = this.crsResolver.getDefinition(crs);
+    if (!definition) {
+      throw new Error(`投影法の定義が見つかりません: ${crs}`);
     }
+    return definition;
   }
 
   // 大規模GeoTIFFファイルのプログレッシブローディング
-  async loadLargeGeoTIFF(arrayBuffer, options = {}) {
+  async loadLargeGeoTIFF(source, options = {}) {
     console.log('大規模ファイルのプログレッシブローディングを開始...');
     
     try {
       let tiff = null;
       let image = null;
+      let overviews = null;
 
       try {
-        tiff = await fromArrayBuffer(arrayBuffer);
+        this.reportProgress(options, 'parse', 0);
+        tiff = await this.openTiff(source);
         image = await tiff.getImage();
+        overviews = await this.getOverviews(tiff);
+        this.reportProgress(options, 'parse', 100);
       } catch (e) {
         console.error('大規模GeoTIFFファイルの解析に失敗:', e);
         throw new Error(`大規模GeoTIFFファイルの解析に失敗しました: ${e.message}`);
@@ -387,7 +599,10 @@ class GeoTIFFLoader {
       const targetWidth = Math.floor(originalWidth * scaleFactor);
       const targetHeight = Math.floor(originalHeight * scaleFactor);
       
-      console.log(`解像度を ${originalWidth}x${originalHeight} から ${targetWidth}x${targetHeight} に縮小`);
+      // フル解像度のタイルを読まないよう、目標解像度に最も近いオーバービューを使用
+      const overview = this.selectOverview(overviews, targetWidth, targetHeight);
+      
+      console.log(`解像度を ${originalWidth}x${originalHeight} から ${targetWidth}x${targetHeight} に縮小（オーバービュー レベル${overview.level}: ${overview.width}x${overview.height}）`);
       
       // 地理参照情報の安全な取得
       let geoKeys = null;
@@ -406,17 +621,14 @@ class GeoTIFFLoader {
       }
 
       const bounds = this.calculateBounds(bbox, geoKeys);
+      const crs = this.resolveCRS(geoKeys);
       
       // 低解像度でのデータ読み込み
       let rasters = null;
       let elevationData = null;
 
       try {
-        rasters = await image.readRasters({
-          width: targetWidth,
-          height: targetHeight,
-          resampleMethod: 'nearest'
-        });
+        rasters = await this.readRastersWithProgress(overview.image, targetWidth, targetHeight, options);
         
         if (rasters && rasters.length > 0) {
           elevationData = rasters[0];
@@ -424,17 +636,27 @@ class GeoTIFFLoader {
           throw new Error('ラスターデータが取得できませんでした');
         }
       } catch (e) {
+        if (e.name === 'AbortError') throw e;
         console.error('低解像度ラスターデータの読み込みに失敗:', e);
         throw new Error(`低解像度ラスターデータの読み込みに失敗しました: ${e.message}`);
       }
       
-      const normalizedData = this.normalizeElevationData(elevationData);
+      const noDataValue = this.resolveNoDataValue(image, options.noDataValue);
+      this.reportProgress(options, 'normalize', 0);
+      const validMask = this.createValidMask(elevationData, noDataValue);
+      this.reportProgress(options, 'normalize', 30);
+      const statistics = this.getElevationStatistics(elevationData, validMask);
+      this.reportProgress(options, 'normalize', 60);
+      const normalizedData = this.normalizeElevationData(elevationData, validMask);
+      this.reportProgress(options, 'normalize', 100);
       
       console.log('大規模ファイルの読み込み完了:', {
         originalSize: `${originalWidth}x${originalHeight}`,
         loadedSize: `${targetWidth}x${targetHeight}`,
         scaleFactor,
-        bounds
+        overviewLevel: overview.level,
+        bounds,
+        noDataValue
       });
       
       return {
@@ -445,11 +667,20 @@ class GeoTIFFLoader {
         originalHeight,
         bounds,
         geoKeys,
+        crs,
+        originalData: elevationData,
+        validMask,
+        noDataValue,
+        minElevation: statistics.min,
+        maxElevation: statistics.max,
+        colorData: null,
+        overview: this.describeOverview(overview, overviews),
         isLargeFile: true,
         scaleFactor
       };
       
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('大規模ファイル読み込みエラー:', error);
       
       // より詳細なエラーメッセージを提供
@@ -564,6 +795,14 @@ class GeoTIFFLoader {
     return null;
   }
   
+  // デコード用のWorkerプールを破棄
+  destroyPool() {
+    if (this.pool) {
+      this.pool.destroy();
+      this.pool = null;
+    }
+  }
+
   // メモリクリーンアップ
   cleanupMemory() {
     if (global.gc) {
@@ -571,16 +810,27 @@ class GeoTIFFLoader {
     }
   }
 
-  // 標高データの統計情報を取得
-  getElevationStatistics(elevationData) {
-    const validData = elevationData.filter(value => 
-      value !== null && 
-      value !== undefined && 
-      !isNaN(value) && 
-      value !== 0
-    );
+  // 標高データの統計情報を取得（validMaskがない場合は有限値のみを有効とする）
+  getElevationStatistics(elevationData, validMask = null) {
+    let count = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < elevationData.length; i++) {
+      const value = elevationData[i];
+      const isValid = validMask
+        ? validMask[i] === 1
+        : !this.isNoDataValue(value, null);
+      if (!isValid) continue;
+
+      sum += value;
+      count++;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
 
-    if (validData.length === 0) {
+    if (count === 0) {
       return {
         min: 0,
         max: 0,
@@ -590,27 +840,24 @@ class GeoTIFFLoader {
       };
     }
 
-    const sum = validData.reduce((acc, val) => acc + val, 0);
-    const mean = sum / validData.length;
-    const variance = validData.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / validData.length;
-    const std = Math.sqrt(variance);
-
-    // スタックオーバーフローを防ぐため、ループでmin/maxを計算
-    let min = validData[0];
-    let max = validData[0];
-    
-    for (let i = 1; i < validData.length; i++) {
-      const value = validData[i];
-      if (value < min) min = value;
-      if (value > max) max = value;
+    const mean = sum / count;
+    let squaredSum = 0;
+    for (let i = 0; i < elevationData.length; i++) {
+      const value = elevationData[i];
+      const isValid = validMask
+        ? validMask[i] === 1
+        : !this.isNoDataValue(value, null);
+      if (!isValid) continue;
+      squaredSum += Math.pow(value - mean, 2);
     }
+    const std = Math.sqrt(squaredSum / count);
 
     return {
       min,
       max,
       mean,
       std,
-      count: validData.length
+      count
     };
   }
 }
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import { fromArrayBuffer } from 'geotiff';
+import { GeoTIFFLoader } from './GeoTIFFLoader';
+import { buildTIFF } from '../testing/tiffFixture';
+
+// Float32の最小値を15桁で表した文字列（GDALのFloat32のNoDataによくある値。倍精度のままでは格納値と一致しない）
+const FLOAT32_LOWEST = '-3.40282346638529e+38';
+
+/**
+ * GDAL_NODATAタグ（42113）を持つ8×8のGeoTIFFを開く（gdalNoDataがnullならタグなし）
+ */
+const openImage = async (gdalNoData) => {
+  const tags = gdalNoData === null ? [] : [[42113, 'ascii', gdalNoData]];
+  const tiff = await fromArrayBuffer(buildTIFF([{ size: 8, data: new Float32Array(64), tags }]).buffer);
+  return tiff.getImage();
+};
+
+let loader;
+
+beforeEach(() => {
+  loader = new GeoTIFFLoader();
+});
+
+describe('resolveNoDataValue', () => {
+  test('GDAL_NODATAタグの値', async () => {
+    expect(loader.resolveNoDataValue(await openImage('-9999'), undefined)).toBe(-9999);
+    expect(loader.resolveNoDataValue(await openImage('0'), null)).toBe(0);
+  });
+
+  test('ユーザー指定の値はタグより優先する（0も指定とみなす）', async () => {
+    const image = await openImage('-9999');
+    expect(loader.resolveNoDataValue(image, -32768)).toBe(-32768);
+    expect(loader.resolveNoDataValue(image, 0)).toBe(0);
+  });
+
+  test('タグも指定もなければnull', async () => {
+    expect(loader.resolveNoDataValue(await openImage(null), undefined)).toBeNull();
+  });
+
+  test('タグの取得に失敗した場合もnull', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const image = { getGDALNoData: () => { throw new Error('broken'); } };
+    expect(loader.resolveNoDataValue(image, undefined)).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
+
+describe('isNoDataValue', () => {
+  test('NaN・無限大・null・undefinedはNoData値の指定がなくても常にNoData', () => {
+    for (const value of [NaN, Infinity, -Infinity, null, undefined]) {
+      expect(loader.isNoDataValue(value, null)).toBe(true);
+      expect(loader.isNoDataValue(value, -9999)).toBe(true);
+    }
+    expect(loader.isNoDataValue(-9999, null)).toBe(false);
+  });
+
+  test('NoData値と一致する値', () => {
+    expect(loader.isNoDataValue(-9999, -9999)).toBe(true);
+    expect(loader.isNoDataValue(-9998.5, -9999)).toBe(false);
+    expect(loader.isNoDataValue(0, 0)).toBe(true);
+  });
+
+  test('Float32に格納された値は、NoData値をFloat32に丸めて比較する', () => {
+    const stored = new Float32Array([Number(FLOAT32_LOWEST), -9999.1, 0.1]);
+    expect(stored[0]).not.toBe(Number(FLOAT32_LOWEST));
+    expect(loader.isNoDataValue(stored[0], Number(FLOAT32_LOWEST))).toBe(true);
+    expect(stored[1]).not.toBe(-9999.1);
+    expect(loader.isNoDataValue(stored[1], -9999.1)).toBe(true);
+    expect(loader.isNoDataValue(stored[2], 0.1)).toBe(true);
+    // 倍精度の値はそのまま比較
+    expect(loader.isNoDataValue(-9999.1, -9999.1)).toBe(true);
+  });
+
+  test('NoData値がNaNの場合は、NaN以外の値をNoDataにしない', () => {
+    expect(loader.isNoDataValue(0, NaN)).toBe(false);
+    expect(loader.isNoDataValue(NaN, NaN)).toBe(true);
+  });
+});
+
+describe('createValidMask', () => {
+  test('NoDataの画素は0、それ以外は1', () => {
+    const data = new Float32Array([1, -9999, NaN, Infinity, 250.5, Number(FLOAT32_LOWEST)]);
+    expect(Array.from(loader.createValidMask(data, -9999))).toEqual([1, 0, 0, 0, 1, 1]);
+    expect(Array.from(loader.createValidMask(data, Number(FLOAT32_LOWEST)))).toEqual([1, 1, 0, 0, 1, 0]);
+    expect(Array.from(loader.createValidMask(data, null))).toEqual([1, 1, 0, 0, 1, 1]);
+  });
+
+  test('GDAL_NODATAタグのFloat32の最小値で、読み込んだ画素を判定する', async () => {
+    const data = new Float32Array(64).fill(100);
+    data[10] = Number(FLOAT32_LOWEST);
+    const tiff = await fromArrayBuffer(buildTIFF([{ size: 8, data, tags: [[42113, 'ascii', FLOAT32_LOWEST]] }]).buffer);
+    const image = await tiff.getImage();
+    const [raster] = await image.readRasters();
+
+    const mask = loader.createValidMask(raster, loader.resolveNoDataValue(image, undefined));
+    expect(mask[10]).toBe(0);
+    expect(mask.reduce((sum, value) => sum + value, 0)).toBe(63);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * GeoTIFF Writer
+ * 1バンドのFloat32ラスター（標高差など）をGeoTIFFとして書き出す（Babylon.jsに依存しない）
+ *
+ * geotiff.jsのwriteArrayBufferは8bitの画素しか書き込めないため、非圧縮・1ストリップのTIFFを直接組み立てる。
+ * 位置はModelPixelScale・ModelTiepoint（左上の画素の角、PixelIsArea）、座標系は元のファイルのGeoKeyをそのまま書き込み、
+ * NoDataはGDAL_NODATAタグ（NaN）で示す。
+ */
+
+import { globals } from 'geotiff';
+
+// TIFFのフィールドの型
+const SHORT = 3;
+const LONG = 4;
+const ASCII = 2;
+const DOUBLE = 12;
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+const GT_MODEL_TYPE = 1024;
+const GT_RASTER_TYPE = 1025;
+const RASTER_PIXEL_IS_AREA = 1;
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const PROJECTED_CS_TYPE = 3072;
+const GEOGRAPHIC_TYPE = 2048;
+
+// GeoDoubleParamsに格納するGeoKey（楕円体・投影法のパラメータなど、GeoTIFF仕様の2.7節）
+const isDoubleGeoKey = (code) => (
+  code === 2053 || code === 2055 || (code >= 2057 && code <= 2059) || code === 2061 || (code >= 3077 && code <= 3095)
+);
+
+const geoKeyCodes = Object.fromEntries(
+  Object.entries(globals.geoKeyNames).map(([code, name]) => [name, Number(code)])
+);
+
+/**
+ * GeoKeyDirectory・GeoDoubleParams・GeoAsciiParamsの内容
+ * 元のファイルのGeoKeyがない場合は座標系のEPSGコードから作成する
+ */
+const buildGeoKeyDirectory = (geoKeys, crs) => {
+  const keys = new Map();
+  for (const [name, value] of Object.entries(geoKeys || {})) {
+    const code = geoKeyCodes[name];
+    if (code !== undefined && value !== null && value !== undefined) {
+      keys.set(code, value);
+    }
+  }
+  if (!keys.has(PROJECTED_CS_TYPE) && !keys.has(GEOGRAPHIC_TYPE) && crs && crs.resolved && crs.code) {
+    const epsg = Number(String(crs.code).replace(/^EPSG:/i, ''));
+    if (Number.isInteger(epsg)) {
+      keys.set(crs.isGeographic ? GEOGRAPHIC_TYPE : PROJECTED_CS_TYPE, epsg);
+      keys.set(GT_MODEL_TYPE, crs.isGeographic ? MODEL_TYPE_GEOGRAPHIC : MODEL_TYPE_PROJECTED);
+    }
+  }
+  // 位置は画素の角で書き込む
+  keys.set(GT_RASTER_TYPE, RASTER_PIXEL_IS_AREA);
+
+  const directory = [1, 1, 0, 0];
+  const doubles = [];
+  let ascii = '';
+  for (const code of [...keys.keys()].sort((a, b) => a - b)) {
+    const value = keys.get(code);
+    if (typeof value === 'string') {
+      const text = `${value}|`;
+      directory.push(code, 34737, text.length, ascii.length);
+      ascii += text;
+    } else if (isDoubleGeoKey(code) || Array.isArray(value)) {
+      const values = Array.isArray(value) ? value : [value];
+      directory.push(code, 34736, values.length, doubles.length);
+      doubles.push(...values);
+    } else {
+      directory.push(code, 0, 1, value);
+    }
+  }
+  directory[3] = (directory.length - 4) / 4;
+  return { directory, doubles, ascii };
+};
+
+/**
+ * @param {Float32Array} data - 画素値（行優先、NoDataはNaN）
+ * @param {Object} georeference - { width, height, bounds（元の座標系）, crs, geoKeys }
+ * @returns {ArrayBuffer} GeoTIFFファイルの内容
+ */
+export const writeFloat32GeoTIFF = (data, { width, height, bounds, crs, geoKeys }) => {
+  const { directory, doubles, ascii } = buildGeoKeyDirectory(geoKeys, crs);
+  const pixelSizeX = (bounds.maxX - bounds.minX) / width;
+  const pixelSizeY = (bounds.maxY - bounds.minY) / height;
+  const imageBytes = width * height * 4;
+
+  // [タグ, 型, 値]（タグの昇順）
+  const entries = [
+    [256, LONG, [width]],
+    [257, LONG, [height]],
+    [258, SHORT, [32]],
+    [259, SHORT, [1]],
+    [262, SHORT, [1]],
+    [273, LONG, [0]],
+    [277, SHORT, [1]],
+    [278, LONG, [height]],
+    [279, LONG, [imageBytes]],
+    [284, SHORT, [1]],
+    [339, SHORT, [3]],
+    [33550, DOUBLE, [pixelSizeX, pixelSizeY, 0]],
+    [33922, DOUBLE, [0, 0, 0, bounds.minX, bounds.maxY, 0]],
+    [34735, SHORT, directory],
+    ...(doubles.length > 0 ? [[34736, DOUBLE, doubles]] : []),
+    ...(ascii.length > 0 ? [[34737, ASCII, ascii]] : []),
+    [42113, ASCII, 'nan']
+  ].map(([tag, type, value]) => ({
+    tag,
+    type,
+    values: type === ASCII ? Array.from(`${value}\0`, c => c.charCodeAt(0)) : value
+  }));
+
+  // ヘッダー（8バイト）、IFD、4バイトに収まらない値、画素の順に配置する
+  const ifdSize = 2 + entries.length * 12 + 4;
+  let valueOffset = 8 + ifdSize;
+  for (const entry of entries) {
+    const size = entry.values.length * TYPE_SIZES[entry.type];
+    if (size > 4) {
+      entry.offset = valueOffset;
+      valueOffset += size + (size % 2);
+    }
+  }
+  const imageOffset = valueOffset + ((8 - (valueOffset % 8)) % 8);
+  entries.find(entry => entry.tag === 273).values = [imageOffset];
+
+  const buffer = new ArrayBuffer(imageOffset + imageBytes);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, entries.length, true);
+
+  const writeValues = (offset, { type, values }) => {
+    values.forEach((value, i) => {
+      switch (type) {
+        case ASCII: view.setUint8(offset + i, value); break;
+        case SHORT: view.setUint16(offset + i * 2, value, true); break;
+        case LONG: view.setUint32(offset + i * 4, value, true); break;
+        default: view.setFloat64(offset + i * 8, value, true);
+      }
+    });
+  };
+  entries.forEach((entry, i) => {
+    const offset = 10 + i * 12;
+    view.setUint16(offset, entry.tag, true);
+    view.setUint16(offset + 2, entry.type, true);
+    view.setUint32(offset + 4, entry.values.length, true);
+    writeValues(entry.offset !== undefined ? entry.offset : offset + 8, entry);
+    if (entry.offset !== undefined) {
+      view.setUint32(offset + 8, entry.offset, true);
+    }
+  });
+  view.setUint32(10 + entries.length * 12, 0, true);
+
+  new Float32Array(buffer, imageOffset, width * height).set(data);
+  return buffer;
+};
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { fromArrayBuffer } from 'geotiff';
+import { writeFloat32GeoTIFF } from './GeoTIFFWriter';
+
+const readBack = async (buffer) => {
+  const tiff = await fromArrayBuffer(buffer);
+  const image = await tiff.getImage();
+  const [raster] = await image.readRasters();
+  return { image, raster };
+};
+
+const bounds = { minX: 500000, minY: 3900000, maxX: 500040, maxY: 3900030 };
+
+describe('writeFloat32GeoTIFF', () => {
+  test('画素値・大きさ・位置をgeotiff.jsで読み戻せる', async () => {
+    const data = new Float32Array([
+      1.5, -2.25, 3, 4,
+      NaN, 100.125, -0.5, 7,
+      8, 9, NaN, 1e6
+    ]);
+    const { image, raster } = await readBack(writeFloat32GeoTIFF(data, {
+      width: 4,
+      height: 3,
+      bounds,
+      geoKeys: { GTModelTypeGeoKey: 1, GTRasterTypeGeoKey: 2, ProjectedCSTypeGeoKey: 32654 }
+    }));
+
+    expect(image.getWidth()).toBe(4);
+    expect(image.getHeight()).toBe(3);
+    expect(image.getSampleFormat()).toBe(3);
+    expect(image.getBitsPerSample()).toBe(32);
+    expect(raster).toBeInstanceOf(Float32Array);
+    expect(Array.from(raster)).toEqual(Array.from(data));
+
+    expect(image.getBoundingBox()).toEqual([bounds.minX, bounds.minY, bounds.maxX, bounds.maxY]);
+    expect(image.getResolution()).toEqual([10, -10, 0]);
+    expect(image.getGDALNoData()).toBeNaN();
+  });
+
+  test('GeoKeyを書き込み、位置は画素の角（PixelIsArea）にそろえる', async () => {
+    const { image } = await readBack(writeFloat32GeoTIFF(new Float32Array(4), {
+      width: 2,
+      height: 2,
+      bounds,
+      geoKeys: {
+        GTModelTypeGeoKey: 1,
+        GTRasterTypeGeoKey: 2,
+        ProjectedCSTypeGeoKey: 32767,
+        GTCitationGeoKey: 'WGS 84 / UTM zone 54N',
+        GeographicTypeGeoKey: 4326,
+        ProjectionGeoKey: 16054,
+        ProjLinearUnitsGeoKey: 9001,
+        GeogSemiMajorAxisGeoKey: 6378137,
+        GeogInvFlatteningGeoKey: 298.257223563
+      }
+    }));
+
+    expect(image.getGeoKeys()).toEqual({
+      GTModelTypeGeoKey: 1,
+      GTRasterTypeGeoKey: 1,
+      GTCitationGeoKey: 'WGS 84 / UTM zone 54N',
+      GeographicTypeGeoKey: 4326,
+      GeogSemiMajorAxisGeoKey: 6378137,
+      GeogInvFlatteningGeoKey: 298.257223563,
+      ProjectedCSTypeGeoKey: 32767,
+      ProjectionGeoKey: 16054,
+      ProjLinearUnitsGeoKey: 9001
+    });
+  });
+
+  test('元のGeoKeyがない場合は座標系のEPSGコードから作成する', async () => {
+    const projected = await readBack(writeFloat32GeoTIFF(new Float32Array(1), {
+      width: 1,
+      height: 1,
+      bounds,
+      crs: { resolved: true, code: 'EPSG:6677', isGeographic: false }
+    }));
+    expect(projected.image.getGeoKeys()).toEqual({
+      GTModelTypeGeoKey: 1,
+      GTRasterTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: 6677
+    });
+
+    const geographic = await readBack(writeFloat32GeoTIFF(new Float32Array(1), {
+      width: 1,
+      height: 1,
+      bounds: { minX: 139, minY: 35, maxX: 140, maxY: 36 },
+      crs: { resolved: true, code: 'EPSG:4326', isGeographic: true }
+    }));
+    expect(geographic.image.getGeoKeys()).toEqual({
+      GTModelTypeGeoKey: 2,
+      GTRasterTypeGeoKey: 1,
+      GeographicTypeGeoKey: 4326
+    });
+  });
+
+  test('解決できない座標系はGTRasterTypeGeoKeyのみ', async () => {
+    const { image } = await readBack(writeFloat32GeoTIFF(new Float32Array(1), {
+      width: 1,
+      height: 1,
+      bounds,
+      crs: { resolved: true, code: 'USER:1a2b', isGeographic: false }
+    }));
+    expect(image.getGeoKeys()).toEqual({ GTRasterTypeGeoKey: 1 });
+  });
+});
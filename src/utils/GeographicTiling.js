@@ -0,0 +1,181 @@
+/**
+ * Geographic Tiling
+ * quantized-meshのタイル分割（TMS）に合わせた四分木
+ *
+ * - EPSG:4326: レベルzで東西2^(z+1)×南北2^z枚、1枚は180/2^z度四方
+ * - EPSG:3857: レベルzで2^z×2^z枚（Web Mercator）
+ * タイルのyはTMSと同じく南から北に数える（ノードのzにyを入れる）。
+ *
+ * ルートは表示範囲を覆うrootLevelのタイル（複数）で、ノードの範囲はタイルの経緯度の四隅を
+ * シーンのローカル座標（TerrainFrameの接平面）に変換した外接矩形。
+ */
+
+import { TerrainQuadtree } from './TerrainQuadtree';
+import { lonToPixelX, latToPixelY, pixelXToLon, pixelYToLat } from './WebMercator';
+
+export const TILING_PROJECTIONS = ['EPSG:4326', 'EPSG:3857'];
+
+export class GeographicTiling extends TerrainQuadtree {
+  /**
+   * @param {Object} options
+   * @param {TerrainFrame} options.frame - 表示範囲の中心を原点とするフレーム（地理座標系）
+   * @param {Object} options.bounds - 表示範囲 { west, south, east, north }（度）
+   * @param {string} options.projection - 'EPSG:4326' または 'EPSG:3857'
+   * @param {number} options.rootLevel - ルートのタイルのレベル
+   * @param {number} options.maxLevel - 最大レベル
+   * @param {number} options.tileSize - 幾何誤差の計算に使うタイルの一辺の頂点数
+   */
+  constructor({ frame, bounds, projection = 'EPSG:4326', rootLevel, maxLevel, tileSize }) {
+    super({
+      extent: frame.getLocalExtent({
+        minX: bounds.west,
+        minY: bounds.south,
+        maxX: bounds.east,
+        maxY: bounds.north
+      }),
+      maxLevel,
+      tileSize
+    });
+    this.frame = frame;
+    this.bounds = bounds;
+    this.projection = projection;
+    this.rootLevel = rootLevel;
+  }
+
+  /**
+   * 経緯度の範囲全体が1枚のタイルの半分より大きくなる最も細かいレベル（ルートは最大3×3枚）
+   */
+  static levelForBounds(projection, bounds) {
+    const span = Math.max(bounds.east - bounds.west, bounds.north - bounds.south);
+    const worldSpan = projection === 'EPSG:3857' ? 360 : 180;
+    return Math.max(0, Math.floor(Math.log2(worldSpan / span)) + 1);
+  }
+
+  getTileCount(level) {
+    const count = Math.pow(2, level);
+    return this.projection === 'EPSG:3857'
+      ? { x: count, y: count }
+      : { x: count * 2, y: count };
+  }
+
+  /**
+   * タイルの経緯度の範囲 { west, south, east, north }
+   */
+  getTileRectangle(level, x, y) {
+    if (this.projection === 'EPSG:3857') {
+      // XYZ（北から数える）の行に変換
+      const row = Math.pow(2, level) - 1 - y;
+      return {
+        west: pixelXToLon(x, level, 1),
+        east: pixelXToLon(x + 1, level, 1),
+        north: pixelYToLat(row, level, 1),
+        south: pixelYToLat(row + 1, level, 1)
+      };
+    }
+
+    const tileDegrees = 180 / Math.pow(2, level);
+    return {
+      west: -180 + x * tileDegrees,
+      east: -180 + (x + 1) * tileDegrees,
+      south: -90 + y * tileDegrees,
+      north: -90 + (y + 1) * tileDegrees
+    };
+  }
+
+  /**
+   * タイル内の相対位置（u: 西0〜東1、v: 南0〜北1）の経緯度
+   * EPSG:3857のタイルではvはメルカトル座標で線形
+   */
+  getTileLonLat(level, x, y, u, v) {
+    if (this.projection === 'EPSG:3857') {
+      const row = Math.pow(2, level) - 1 - y;
+      return {
+        lon: pixelXToLon(x + u, level, 1),
+        lat: pixelYToLat(row + 1 - v, level, 1)
+      };
+    }
+
+    const rectangle = this.getTileRectangle(level, x, y);
+    return {
+      lon: rectangle.west + u * (rectangle.east - rectangle.west),
+      lat: rectangle.south + v * (rectangle.north - rectangle.south)
+    };
+  }
+
+  /**
+   * 経緯度を含むタイルの列・行
+   */
+  getTileAt(level, lon, lat) {
+    const count = this.getTileCount(level);
+    const clamp = (value, max) => Math.max(0, Math.min(max - 1, value));
+
+    if (this.projection === 'EPSG:3857') {
+      const row = Math.floor(latToPixelY(lat, level, 1));
+      return {
+        x: clamp(Math.floor(lonToPixelX(lon, level, 1)), count.x),
+        y: clamp(count.y - 1 - row, count.y)
+      };
+    }
+
+    const tileDegrees = 180 / Math.pow(2, level);
+    return {
+      x: clamp(Math.floor((lon + 180) / tileDegrees), count.x),
+      y: clamp(Math.floor((lat + 90) / tileDegrees), count.y)
+    };
+  }
+
+  /**
+   * 表示範囲を覆うルートのタイル
+   */
+  getRoots() {
+    const { bounds, rootLevel } = this;
+    // 東端・北端ちょうどの場合に隣のタイルを含めないよう、わずかに内側で判定
+    const epsilon = 1e-9;
+    const southWest = this.getTileAt(rootLevel, bounds.west, bounds.south);
+    const northEast = this.getTileAt(rootLevel, bounds.east - epsilon, bounds.north - epsilon);
+
+    const roots = [];
+    for (let y = southWest.y; y <= northEast.y; y++) {
+      for (let x = southWest.x; x <= northEast.x; x++) {
+        roots.push(this.createNode(rootLevel, x, y));
+      }
+    }
+    return roots;
+  }
+
+  getRoot() {
+    return this.getRoots()[0];
+  }
+
+  createNode(level, x, y) {
+    const rectangle = this.getTileRectangle(level, x, y);
+    const extent = this.frame.getLocalExtent({
+      minX: rectangle.west,
+      minY: rectangle.south,
+      maxX: rectangle.east,
+      maxY: rectangle.north
+    });
+
+    return {
+      level,
+      x,
+      z: y,
+      key: `${level}/${x}/${y}`,
+      rectangle,
+      bbox: {
+        ...extent,
+        centerX: (extent.minX + extent.maxX) / 2,
+        centerZ: (extent.minZ + extent.maxZ) / 2
+      }
+    };
+  }
+
+  /**
+   * タイルの経緯度の範囲が表示範囲と重なるか
+   */
+  intersectsBounds(rectangle) {
+    const { bounds } = this;
+    return rectangle.west < bounds.east && rectangle.east > bounds.west &&
+      rectangle.south < bounds.north && rectangle.north > bounds.south;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Hillshade
+ * 標高データから陰影起伏（ヒルシェード）を計算（Babylon.jsに依存しないため、Web Worker内でも使用可能）
+ *
+ * 勾配は頂点ごとに1度だけ計算しておき（東向き・北向きの dz/dx, dz/dy、メートル/メートル）、
+ * 陰影は標高スケールを掛けた勾配から計算する。標高スケールや太陽の向きを変えても勾配の再計算は不要。
+ * - single: 指定した方位・高度の太陽による陰影（Horn法の勾配、gdaldem hillshadeと同じ）
+ * - multi: 方位225°・270°・315°・360°の陰影を斜面の向きで重み付けして合成
+ *   （Mark (1992) の斜め方向の重み付け、gdaldem hillshade -multidirectionalと同じ）
+ */
+
+export const HILLSHADE_MODES = {
+  off: 'なし（ライトのみ）',
+  single: '単方向（太陽の方位・高度）',
+  multi: '多方向（斜め方向の重み付け）'
+};
+
+const MULTI_DIRECTIONAL_AZIMUTHS = [225, 270, 315, 360];
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Horn法の3×3の勾配
+ * sample(col, row) はNoDataやグリッド外でNaNを返す関数（行は南向きに増える）。
+ * NaNの近傍は反対側の近傍から線形に外挿し（反対側もNaNの場合は中心の値）、端でも平面の勾配を保つ。
+ * @returns {Object} { dzdx（東向き）, dzdy（北向き） }
+ */
+export const hornGradient = (sample, col, row, spacingX, spacingY) => {
+  const center = sample(col, row);
+  if (isNaN(center)) {
+    return { dzdx: 0, dzdy: 0 };
+  }
+  const at = (dx, dy) => {
+    const value = sample(col + dx, row + dy);
+    if (!isNaN(value)) return value;
+    const opposite = sample(col - dx, row - dy);
+    return isNaN(opposite) ? center : 2 * center - opposite;
+  };
+
+  const a = at(-1, -1), b = at(0, -1), c = at(1, -1);
+  const d = at(-1, 0), f = at(1, 0);
+  const g = at(-1, 1), h = at(0, 1), i = at(1, 1);
+
+  return {
+    dzdx: ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * spacingX),
+    dzdy: ((a + 2 * b + c) - (g + 2 * h + i)) / (8 * spacingY)
+  };
+};
+
+/**
+ * グリッドの全頂点のHorn法の勾配
+ * @returns {Float32Array} 頂点ごとに [dzdx, dzdy]
+ */
+export const computeHornGradients = (sample, width, height, spacingX, spacingY) => {
+  const gradients = new Float32Array(width * height * 2);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const { dzdx, dzdy } = hornGradient(sample, col, row, spacingX, spacingY);
+      const index = (row * width + col) * 2;
+      gradients[index] = dzdx;
+      gradients[index + 1] = dzdy;
+    }
+  }
+  return gradients;
+};
+
+/**
+ * 頂点法線（シーンのローカル座標 x: 東, y: 上, z: 南）からの勾配
+ * 三角形分割済みのメッシュ（quantized-mesh）など、グリッドでない頂点に使う
+ */
+export const gradientsFromNormals = (normals) => {
+  const vertexCount = normals.length / 3;
+  const gradients = new Float32Array(vertexCount * 2);
+  for (let i = 0; i < vertexCount; i++) {
+    const ny = normals[i * 3 + 1];
+    if (ny <= 1e-6) continue;
+    gradients[i * 2] = -normals[i * 3] / ny;
+    gradients[i * 2 + 1] = normals[i * 3 + 2] / ny;
+  }
+  return gradients;
+};
+
+/**
+ * 勾配から陰影（0〜1）を求める関数。modeが'off'の場合はnull
+ * @param {Object} options - mode, azimuth（度、北から時計回り）, altitude（度）, heightScale
+ */
+export const createHillshade = ({ mode, azimuth = 315, altitude = 45, heightScale = 1 }) => {
+  if (mode !== 'single' && mode !== 'multi') {
+    return null;
+  }
+
+  const altitudeRad = altitude * DEG_TO_RAD;
+  const sinAltitude = Math.sin(altitudeRad);
+  const cosAltitude = Math.cos(altitudeRad);
+  const sunVector = (azimuthDeg) => ({
+    east: Math.sin(azimuthDeg * DEG_TO_RAD) * cosAltitude,
+    north: Math.cos(azimuthDeg * DEG_TO_RAD) * cosAltitude
+  });
+
+  // 法線 (-p, -q, 1) / √(1 + p² + q²) と太陽の向きの内積
+  const shade = (p, q, sun, length) => Math.max(0, (sinAltitude - p * sun.east - q * sun.north) / length);
+
+  if (mode === 'single') {
+    const sun = sunVector(azimuth);
+    return (dzdx, dzdy) => {
+      const p = dzdx * heightScale;
+      const q = dzdy * heightScale;
+      return shade(p, q, sun, Math.sqrt(1 + p * p + q * q));
+    };
+  }
+
+  const suns = MULTI_DIRECTIONAL_AZIMUTHS.map(sunAzimuth => ({
+    ...sunVector(sunAzimuth),
+    azimuth: sunAzimuth * DEG_TO_RAD
+  }));
+  return (dzdx, dzdy) => {
+    const p = dzdx * heightScale;
+    const q = dzdy * heightScale;
+    const length = Math.sqrt(1 + p * p + q * q);
+    // 斜面の向き（下り方向の方位、北から時計回り）。光が斜面に斜めに当たる方向ほど重みが大きい
+    const aspect = Math.atan2(-p, -q);
+    let total = 0;
+    for (const sun of suns) {
+      const weight = Math.sin(aspect - sun.azimuth);
+      total += weight * weight * shade(p, q, sun, length);
+    }
+    // 4方向の重みの合計は常に2
+    return total / 2;
+  };
+};
+
+/**
+ * 頂点カラー（RGBA）に陰影を掛け合わせる
+ * strength: 0で元の色、1で陰影をそのまま掛ける
+ */
+export const applyHillshade = (baseColors, gradients, hillshade, strength, out = new Float32Array(baseColors.length)) => {
+  const vertexCount = Math.min(baseColors.length / 4, gradients.length / 2);
+  for (let i = 0; i < vertexCount; i++) {
+    const factor = 1 - strength + strength * hillshade(gradients[i * 2], gradients[i * 2 + 1]);
+    out[i * 4] = baseColors[i * 4] * factor;
+    out[i * 4 + 1] = baseColors[i * 4 + 1] * factor;
+    out[i * 4 + 2] = baseColors[i * 4 + 2] * factor;
+    out[i * 4 + 3] = baseColors[i * 4 + 3];
+  }
+  return out;
+};
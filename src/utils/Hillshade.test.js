@@ -0,0 +1,150 @@
+import { hornGradient, computeHornGradients, gradientsFromNormals, createHillshade, applyHillshade } from './Hillshade';
+
+// 10m間隔の平面: 東へ0.5m/m上り、南へ0.25m/m上る（北向きの勾配は-0.25）
+const SPACING = 10;
+const plane = (col, row) => 0.5 * col * SPACING + 0.25 * row * SPACING;
+const gridSample = (fn, width, height) => (col, row) =>
+  (col < 0 || row < 0 || col >= width || row >= height ? NaN : fn(col, row));
+
+// 単位法線 (-p, -q, 1) と太陽の向きの内積（負は影で0）
+const expectedShade = (p, q, azimuth, altitude) => {
+  const az = azimuth * Math.PI / 180;
+  const alt = altitude * Math.PI / 180;
+  const length = Math.sqrt(1 + p * p + q * q);
+  const dot = (-p * Math.sin(az) * Math.cos(alt) - q * Math.cos(az) * Math.cos(alt) + Math.sin(alt)) / length;
+  return Math.max(0, dot);
+};
+
+describe('Horn法の勾配', () => {
+  test('平面の勾配（東向き・北向き、メートル/メートル）', () => {
+    const sample = gridSample(plane, 5, 5);
+    const { dzdx, dzdy } = hornGradient(sample, 2, 2, SPACING, SPACING);
+    expect(dzdx).toBeCloseTo(0.5, 12);
+    expect(dzdy).toBeCloseTo(-0.25, 12);
+  });
+
+  test('中心の3×3の重みは1:2:1', () => {
+    // 東隣の列の中央だけを1m高くすると、dzdx = 2 / (8 × 間隔)
+    const bump = (col, row) => (col === 3 && row === 2 ? 1 : 0);
+    expect(hornGradient(gridSample(bump, 5, 5), 2, 2, SPACING, SPACING).dzdx).toBeCloseTo(2 / 80, 12);
+    // 北東の角は1
+    const corner = (col, row) => (col === 3 && row === 1 ? 1 : 0);
+    const gradient = hornGradient(gridSample(corner, 5, 5), 2, 2, SPACING, SPACING);
+    expect(gradient.dzdx).toBeCloseTo(1 / 80, 12);
+    expect(gradient.dzdy).toBeCloseTo(1 / 80, 12);
+  });
+
+  test('グリッドの辺やNoDataの近傍は反対側から外挿し、平面の勾配を保つ', () => {
+    const width = 5;
+    const height = 4;
+    const gradients = computeHornGradients(gridSample(plane, width, height), width, height, SPACING, SPACING);
+    // 角を除く辺の頂点（角は斜めの近傍の両側がないため中心の値で補う）
+    for (const [col, row] of [[2, 0], [0, 1], [4, 2], [1, 3]]) {
+      const index = (row * width + col) * 2;
+      expect(gradients[index]).toBeCloseTo(0.5, 6);
+      expect(gradients[index + 1]).toBeCloseTo(-0.25, 6);
+    }
+
+    const sample = gridSample(plane, 5, 5);
+    const withHole = (col, row) => (col === 3 && row === 2 ? NaN : sample(col, row));
+    const { dzdx, dzdy } = hornGradient(withHole, 2, 2, SPACING, SPACING);
+    expect(dzdx).toBeCloseTo(0.5, 12);
+    expect(dzdy).toBeCloseTo(-0.25, 12);
+  });
+
+  test('中心がNoDataなら勾配0、反対側の近傍もなければ中心の値で補う', () => {
+    const sample = gridSample(plane, 5, 5);
+    expect(hornGradient((col, row) => (col === 2 && row === 2 ? NaN : sample(col, row)), 2, 2, SPACING, SPACING))
+      .toEqual({ dzdx: 0, dzdy: 0 });
+    // 1列だけのグリッドでは東西の近傍がないため東向きの勾配は0
+    const column = gridSample((col, row) => plane(0, row), 1, 5);
+    expect(hornGradient(column, 0, 2, SPACING, SPACING).dzdx).toBe(0);
+  });
+
+  test('頂点法線（x: 東、y: 上、z: 南）から同じ勾配を求める', () => {
+    const p = 0.5;
+    const q = -0.25;
+    const length = Math.sqrt(1 + p * p + q * q);
+    const gradients = gradientsFromNormals(new Float32Array([-p / length, 1 / length, q / length, 1, 0, 0]));
+    expect(gradients[0]).toBeCloseTo(p, 6);
+    expect(gradients[1]).toBeCloseTo(q, 6);
+    // 垂直な面は勾配を求められないため0
+    expect(gradients[2]).toBe(0);
+    expect(gradients[3]).toBe(0);
+  });
+});
+
+describe('単方向の陰影', () => {
+  test('平坦な地形は太陽高度の正弦', () => {
+    expect(createHillshade({ mode: 'single', azimuth: 315, altitude: 45 })(0, 0)).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(createHillshade({ mode: 'single', azimuth: 90, altitude: 30 })(0, 0)).toBeCloseTo(0.5, 12);
+  });
+
+  test('太陽に正対する斜面は1、背を向けた急斜面は影で0', () => {
+    // 西の太陽（高度45°）に向かって45°で上る斜面（東向きの勾配1）
+    const shade = createHillshade({ mode: 'single', azimuth: 270, altitude: 45 });
+    expect(shade(1, 0)).toBeCloseTo(1, 12);
+    expect(shade(-2, 0)).toBe(0);
+  });
+
+  test('法線と太陽の向きの内積に一致する', () => {
+    const shade = createHillshade({ mode: 'single', azimuth: 135, altitude: 30 });
+    for (const [p, q] of [[0.5, -0.25], [-0.3, 0.8], [1.2, 1.2], [0, -0.6]]) {
+      expect(shade(p, q)).toBeCloseTo(expectedShade(p, q, 135, 30), 12);
+    }
+  });
+
+  test('標高スケールは勾配に掛かる', () => {
+    const scaled = createHillshade({ mode: 'single', azimuth: 315, altitude: 45, heightScale: 3 });
+    const unscaled = createHillshade({ mode: 'single', azimuth: 315, altitude: 45 });
+    expect(scaled(0.2, -0.1)).toBeCloseTo(unscaled(0.6, -0.3), 12);
+  });
+
+  test('offでは陰影なし', () => {
+    expect(createHillshade({ mode: 'off' })).toBeNull();
+  });
+});
+
+describe('多方向の陰影', () => {
+  const multi = createHillshade({ mode: 'multi', altitude: 45 });
+  // 方位225°・270°・315°・360°の単方向の陰影を、斜面の向き（下り方向の方位）との差の正弦の2乗で重み付け
+  const weightedShade = (p, q, weights) => Object.entries(weights)
+    .reduce((total, [azimuth, weight]) => total + weight * expectedShade(p, q, Number(azimuth), 45), 0) / 2;
+
+  test('平坦な地形は単方向と同じ（重みの合計は2）', () => {
+    expect(multi(0, 0)).toBeCloseTo(Math.SQRT1_2, 12);
+  });
+
+  test('北向きの斜面は西（270°）の重みが最大で、北（360°）の重みは0', () => {
+    const q = -0.5; // 北へ下る
+    expect(multi(0, q)).toBeCloseTo(weightedShade(0, q, { 225: 0.5, 270: 1, 315: 0.5, 360: 0 }), 12);
+  });
+
+  test('西向きの斜面は北（360°）の重みが最大で、西（270°）の重みは0', () => {
+    const p = 0.7; // 西へ下る
+    expect(multi(p, 0)).toBeCloseTo(weightedShade(p, 0, { 225: 0.5, 270: 0, 315: 0.5, 360: 1 }), 12);
+  });
+
+  test('北西向きの斜面は南西（225°）の重みが最大で、北西（315°）の重みは0', () => {
+    const p = 0.4;
+    const q = -0.4; // 北西へ下る
+    expect(multi(p, q)).toBeCloseTo(weightedShade(p, q, { 225: 1, 270: 0.5, 315: 0, 360: 0.5 }), 12);
+  });
+});
+
+test('頂点色に陰影を強さの割合で掛け合わせ、不透明度は変えない', () => {
+  const baseColors = new Float32Array([0.8, 0.6, 0.4, 1, 0.5, 0.5, 0.5, 0.5]);
+  const gradients = new Float32Array([0, 0, 1, 0]);
+  const shade = createHillshade({ mode: 'single', azimuth: 270, altitude: 30 });
+
+  expect(Array.from(applyHillshade(baseColors, gradients, shade, 0))).toEqual(Array.from(baseColors));
+
+  const shaded = applyHillshade(baseColors, gradients, shade, 1);
+  expect(shaded[0]).toBeCloseTo(0.8 * 0.5, 6);
+  expect(shaded[3]).toBe(1);
+  expect(shaded[4]).toBeCloseTo(0.5 * shade(1, 0), 6);
+  expect(shaded[7]).toBe(0.5);
+
+  const half = applyHillshade(baseColors, gradients, shade, 0.5);
+  expect(half[0]).toBeCloseTo(0.8 * 0.75, 6);
+});
@@ -0,0 +1,199 @@
+/**
+ * IndexedDB Tile Store
+ * タイルデータの永続キャッシュ（再読み込み後・オフラインでも再利用）
+ *
+ * tiles: タイルデータ（key: ソースURL + バージョン + タイルアドレス）
+ * sources: COGのIFD解析結果の要約（オフラインでもタイルの配置を復元するため）
+ */
+
+const DB_NAME = 'geotiff-viewer-tile-cache';
+const DB_VERSION = 1;
+const TILE_STORE = 'tiles';
+const SOURCE_STORE = 'sources';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export class IndexedDBTileStore {
+  /**
+   * @param {number} maxBytes - 永続キャッシュの上限（バイト）。超えた場合は最後に使われた日時が古い順に削除
+   */
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.count = 0;
+    this.dbPromise = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * データベースを開く（失敗した場合はnullを返し、永続キャッシュを使わない）
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const tiles = db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+          tiles.createIndex('url', 'url');
+          tiles.createIndex('accessed', 'accessed');
+          tiles.createIndex('bytes', 'bytes');
+          db.createObjectStore(SOURCE_STORE, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('他のタブがデータベースを使用中です'));
+      })
+        .then(async (db) => {
+          await this.measureUsage(db);
+          return db;
+        })
+        .catch((error) => {
+          console.warn('Tile Store: IndexedDBを開けないため永続キャッシュを無効化', error);
+          return null;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 保存済みのタイル数と合計サイズを集計（値は読み込まず、bytesのインデックスのキーだけを走査）
+   */
+  measureUsage(db) {
+    return new Promise((resolve, reject) => {
+      let bytes = 0;
+      let count = 0;
+      const request = db.transaction(TILE_STORE).objectStore(TILE_STORE).index('bytes').openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          bytes += cursor.key;
+          count++;
+          cursor.continue();
+        } else {
+          this.bytes = bytes;
+          this.count = count;
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getTile(key) {
+    const db = await this.open();
+    if (!db) return null;
+
+    const transaction = db.transaction(TILE_STORE, 'readwrite');
+    const store = transaction.objectStore(TILE_STORE);
+    const record = await requestToPromise(store.get(key));
+    if (record) {
+      // 削除の順序に使う最終使用日時を更新
+      record.accessed = Date.now();
+      store.put(record);
+    }
+    await transactionDone(transaction);
+    return record ? record.value : null;
+  }
+
+  async putTile(key, url, value, bytes) {
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction(TILE_STORE, 'readwrite');
+    const store = transaction.objectStore(TILE_STORE);
+    const existing = await requestToPromise(store.getKey(key));
+    store.put({ key, url, bytes, accessed: Date.now(), value });
+    await transactionDone(transaction);
+
+    if (existing === undefined) {
+      this.bytes += bytes;
+      this.count++;
+    }
+    if (this.bytes > this.maxBytes) {
+      await this.evict(db, this.maxBytes * 0.9);
+    }
+  }
+
+  /**
+   * 最終使用日時が古いタイルから、合計サイズが目標以下になるまで削除
+   */
+  evict(db, targetBytes) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(TILE_STORE, 'readwrite');
+      const request = transaction.objectStore(TILE_STORE).index('accessed').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && this.bytes > targetBytes) {
+          this.bytes -= cursor.value.bytes;
+          this.count--;
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * ソースURLのタイルと解析結果をすべて削除
+   */
+  async deleteSource(url) {
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction([TILE_STORE, SOURCE_STORE], 'readwrite');
+    const request = transaction.objectStore(TILE_STORE).index('url').openCursor(IDBKeyRange.only(url));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        this.bytes -= cursor.value.bytes;
+        this.count--;
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    transaction.objectStore(SOURCE_STORE).delete(url);
+    await transactionDone(transaction);
+  }
+
+  async clear() {
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction([TILE_STORE, SOURCE_STORE], 'readwrite');
+    transaction.objectStore(TILE_STORE).clear();
+    transaction.objectStore(SOURCE_STORE).clear();
+    await transactionDone(transaction);
+    this.bytes = 0;
+    this.count = 0;
+  }
+
+  async getSource(url) {
+    const db = await this.open();
+    if (!db) return null;
+    const record = await requestToPromise(db.transaction(SOURCE_STORE).objectStore(SOURCE_STORE).get(url));
+    return record || null;
+  }
+
+  async putSource(record) {
+    const db = await this.open();
+    if (!db) return;
+    const transaction = db.transaction(SOURCE_STORE, 'readwrite');
+    transaction.objectStore(SOURCE_STORE).put(record);
+    await transactionDone(transaction);
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Load Progress
+ * GeoTIFF読み込みの各段階の進捗を全体の進捗率に変換
+ */
+
+// 読み込みの段階と全体に占める範囲（%）
+export const LOAD_STAGES = {
+  read: { label: 'ファイル読み込み', start: 0, end: 20 },
+  parse: { label: 'IFD解析', start: 20, end: 25 },
+  decode: { label: 'ラスターデコード', start: 25, end: 75 },
+  normalize: { label: '標高データの正規化', start: 75, end: 85 },
+  mesh: { label: 'メッシュ作成', start: 85, end: 100 }
+};
+
+/**
+ * 段階内の進捗率から進捗イベントを作成
+ */
+export const createProgressEvent = (stage, stagePercent) => {
+  const definition = LOAD_STAGES[stage];
+  const clamped = Math.min(100, Math.max(0, stagePercent));
+
+  return {
+    stage,
+    label: definition.label,
+    stagePercent: clamped,
+    percent: definition.start + (definition.end - definition.start) * clamped / 100
+  };
+};
+
+// 複数ファイルを読み込む場合は、ファイルごとの読み込みとデコード→全ファイルのメッシュ作成の順に行う
+const FILE_PHASES = [
+  { stages: ['read', 'parse', 'decode', 'normalize'], start: LOAD_STAGES.read.start, end: LOAD_STAGES.normalize.end },
+  { stages: ['mesh'], start: LOAD_STAGES.mesh.start, end: LOAD_STAGES.mesh.end }
+];
+
+/**
+ * 複数ファイルを順に読み込む場合の、count個中index番目のファイルの進捗イベント
+ * 各段階の範囲をファイル数で分割し、全体の進捗率が戻らないようにする
+ */
+export const createFileProgressEvent = (event, index, count) => {
+  if (count <= 1) return event;
+
+  const phase = FILE_PHASES.find(({ stages }) => stages.includes(event.stage));
+  const phasePercent = (event.percent - phase.start) / (phase.end - phase.start);
+
+  return {
+    ...event,
+    label: `${event.label}（${index + 1}/${count}ファイル）`,
+    percent: phase.start + (phase.end - phase.start) * (index + phasePercent) / count
+  };
+};
+
+/**
+ * 読み込んだバイト数を通知しながらファイルを読み込む
+ * Blob.stream() が使えない環境では FileReader の progress イベントを使用
+ */
+export const readFileWithProgress = async (file, onProgress, signal = null) => {
+  const total = file.size || 1;
+
+  if (typeof file.stream !== 'function') {
+    return readFileWithFileReader(file, onProgress, signal);
+  }
+
+  const buffer = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+
+  onProgress(createProgressEvent('read', 0));
+
+  while (true) {
+    if (signal && signal.aborted) {
+      await reader.cancel();
+      const error = new Error('読み込みをキャンセルしました');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer.set(value, loaded);
+    loaded += value.byteLength;
+    onProgress(createProgressEvent('read', loaded / total * 100));
+  }
+
+  return buffer.buffer;
+};
+
+const readFileWithFileReader = (file, onProgress, signal) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+
+  reader.onprogress = (event) => {
+    if (event.lengthComputable) {
+      onProgress(createProgressEvent('read', event.loaded / event.total * 100));
+    }
+  };
+  reader.onload = () => {
+    onProgress(createProgressEvent('read', 100));
+    resolve(reader.result);
+  };
+  reader.onerror = () => reject(reader.error);
+  reader.onabort = () => {
+    const error = new Error('読み込みをキャンセルしました');
+    error.name = 'AbortError';
+    reject(error);
+  };
+
+  if (signal) {
+    signal.addEventListener('abort', () => reader.abort(), { once: true });
+  }
+  reader.readAsArrayBuffer(file);
+});
+
+/**
+ * 受信したバイト数を通知しながらURLの内容を全てダウンロード
+ * Rangeリクエストに対応していないサーバーから読み込む場合に使用
+ */
+export const fetchWithProgress = async (url, onProgress, signal = null, expectedSize = null) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`ダウンロードに失敗しました (${response.status} ${response.statusText})`);
+  }
+
+  const contentLength = response.headers.get('Content-Length');
+  const total = contentLength ? parseInt(contentLength, 10) : expectedSize;
+
+  onProgress(createProgressEvent('read', 0));
+
+  if (!response.body || !total) {
+    const buffer = await response.arrayBuffer();
+    onProgress(createProgressEvent('read', 100));
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(createProgressEvent('read', loaded / total * 100));
+  }
+
+  const buffer = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return buffer.buffer;
+};
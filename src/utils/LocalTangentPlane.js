@@ -0,0 +1,131 @@
+/**
+ * Local Tangent Plane (ENU)
+ * 原点の緯度経度を中心とした東・北・上（ENU）座標系への変換
+ * WGS84楕円体を使用
+ */
+
+const WGS84_A = 6378137.0;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+export class LocalTangentPlane {
+  constructor(originLon, originLat, originHeight = 0) {
+    this.originLon = originLon;
+    this.originLat = originLat;
+    this.originHeight = originHeight;
+
+    const lambda = originLon * DEG_TO_RAD;
+    const phi = originLat * DEG_TO_RAD;
+    this.sinLambda = Math.sin(lambda);
+    this.cosLambda = Math.cos(lambda);
+    this.sinPhi = Math.sin(phi);
+    this.cosPhi = Math.cos(phi);
+
+    this.origin = LocalTangentPlane.geodeticToECEF(originLon, originLat, originHeight);
+  }
+
+  /**
+   * 緯度経度・楕円体高を地心直交座標（ECEF）に変換
+   */
+  static geodeticToECEF(lon, lat, height = 0) {
+    const lambda = lon * DEG_TO_RAD;
+    const phi = lat * DEG_TO_RAD;
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+
+    return {
+      x: (n + height) * cosPhi * Math.cos(lambda),
+      y: (n + height) * cosPhi * Math.sin(lambda),
+      z: (n * (1 - WGS84_E2) + height) * sinPhi
+    };
+  }
+
+  /**
+   * 地心直交座標（ECEF）を緯度経度・楕円体高に変換（反復法）
+   */
+  static ecefToGeodetic(x, y, z) {
+    const lon = Math.atan2(y, x);
+    const p = Math.sqrt(x * x + y * y);
+    let lat = Math.atan2(z, p * (1 - WGS84_E2));
+    let height = 0;
+
+    for (let i = 0; i < 5; i++) {
+      const sinLat = Math.sin(lat);
+      const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+      height = p / Math.cos(lat) - n;
+      lat = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + height)));
+    }
+
+    return {
+      lon: lon * RAD_TO_DEG,
+      lat: lat * RAD_TO_DEG,
+      height
+    };
+  }
+
+  /**
+   * 地心直交座標（ECEF）の方向ベクトルを、緯度経度の地点での東・北・上の成分に分解
+   */
+  static rotateToENU(lon, lat, x, y, z) {
+    const lambda = lon * DEG_TO_RAD;
+    const phi = lat * DEG_TO_RAD;
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+
+    return {
+      east: -sinLambda * x + cosLambda * y,
+      north: -sinPhi * cosLambda * x - sinPhi * sinLambda * y + cosPhi * z,
+      up: cosPhi * cosLambda * x + cosPhi * sinLambda * y + sinPhi * z
+    };
+  }
+
+  /**
+   * 緯度経度をENU座標（メートル）に変換
+   */
+  forward(lon, lat, height = 0) {
+    const ecef = LocalTangentPlane.geodeticToECEF(lon, lat, height);
+    const dx = ecef.x - this.origin.x;
+    const dy = ecef.y - this.origin.y;
+    const dz = ecef.z - this.origin.z;
+
+    return {
+      east: -this.sinLambda * dx + this.cosLambda * dy,
+      north: -this.sinPhi * this.cosLambda * dx - this.sinPhi * this.sinLambda * dy + this.cosPhi * dz,
+      up: this.cosPhi * this.cosLambda * dx + this.cosPhi * this.sinLambda * dy + this.sinPhi * dz
+    };
+  }
+
+  /**
+   * ENU座標（メートル）を緯度経度に変換
+   */
+  inverse(east, north, up = 0) {
+    const dx = -this.sinLambda * east - this.sinPhi * this.cosLambda * north + this.cosPhi * this.cosLambda * up;
+    const dy = this.cosLambda * east - this.sinPhi * this.sinLambda * north + this.cosPhi * this.sinLambda * up;
+    const dz = this.cosPhi * north + this.sinPhi * up;
+
+    return LocalTangentPlane.ecefToGeodetic(
+      this.origin.x + dx,
+      this.origin.y + dy,
+      this.origin.z + dz
+    );
+  }
+
+  /**
+   * 接平面上の東・北座標に対応する楕円体面上の緯度経度を求める
+   * （上成分を無視したforwardの逆変換）
+   */
+  inverseHorizontal(east, north) {
+    let result = this.inverse(east, north, 0);
+    for (let i = 0; i < 3; i++) {
+      const up = this.forward(result.lon, result.lat, 0).up;
+      result = this.inverse(east, north, up);
+    }
+    return { lon: result.lon, lat: result.lat };
+  }
+}
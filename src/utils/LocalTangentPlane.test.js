@@ -0,0 +1,93 @@
+import { LocalTangentPlane } from './LocalTangentPlane';
+
+// WGS84の長半径・短半径
+const A = 6378137;
+const B = 6356752.314245;
+
+describe('地心直交座標（ECEF）', () => {
+  test('赤道・本初子午線・極の既知の点', () => {
+    const origin = LocalTangentPlane.geodeticToECEF(0, 0, 0);
+    expect(origin.x).toBeCloseTo(A, 6);
+    expect(origin.y).toBeCloseTo(0, 6);
+    expect(origin.z).toBeCloseTo(0, 6);
+
+    const east = LocalTangentPlane.geodeticToECEF(90, 0, 100);
+    expect(east.x).toBeCloseTo(0, 6);
+    expect(east.y).toBeCloseTo(A + 100, 6);
+
+    const pole = LocalTangentPlane.geodeticToECEF(0, 90, 0);
+    expect(pole.x).toBeCloseTo(0, 6);
+    expect(pole.z).toBeCloseTo(B, 5);
+  });
+
+  test('緯度経度・楕円体高に戻る', () => {
+    for (const [lon, lat, height] of [[139.7671, 35.6812, 40], [-70.5, -33.4, 3000], [10, 80, -50]]) {
+      const { x, y, z } = LocalTangentPlane.geodeticToECEF(lon, lat, height);
+      const result = LocalTangentPlane.ecefToGeodetic(x, y, z);
+      expect(result.lon).toBeCloseTo(lon, 10);
+      expect(result.lat).toBeCloseTo(lat, 10);
+      expect(result.height).toBeCloseTo(height, 5);
+    }
+  });
+});
+
+describe('ENU座標', () => {
+  test('原点は (0, 0, 0)、原点の真上は上方向', () => {
+    const plane = new LocalTangentPlane(139.7671, 35.6812, 40);
+    const origin = plane.forward(139.7671, 35.6812, 40);
+    expect(origin.east).toBeCloseTo(0, 6);
+    expect(origin.north).toBeCloseTo(0, 6);
+    expect(origin.up).toBeCloseTo(0, 6);
+
+    const above = plane.forward(139.7671, 35.6812, 1040);
+    expect(above.east).toBeCloseTo(0, 6);
+    expect(above.north).toBeCloseTo(0, 6);
+    expect(above.up).toBeCloseTo(1000, 6);
+  });
+
+  test('赤道上の0.01度は子午線曲率半径・卯酉線曲率半径の弧長で、接平面から地球の丸みの分だけ下がる', () => {
+    const plane = new LocalTangentPlane(0, 0);
+
+    // 子午線曲率半径 a(1 - e²) × 0.01°
+    const north = plane.forward(0, 0.01);
+    expect(north.east).toBeCloseTo(0, 6);
+    expect(north.north).toBeCloseTo(1105.7428, 3);
+    expect(north.up).toBeCloseTo(-(1105.7428 ** 2) / (2 * A), 2);
+
+    // 赤道半径 × 0.01°
+    const east = plane.forward(0.01, 0);
+    expect(east.east).toBeCloseTo(1113.1949, 3);
+    expect(east.north).toBeCloseTo(0, 6);
+    expect(east.up).toBeCloseTo(-(1113.1949 ** 2) / (2 * A), 2);
+  });
+
+  test('北緯60度の経度0.01度は赤道の約半分', () => {
+    const plane = new LocalTangentPlane(10, 60);
+    // 卯酉線曲率半径 × cos60° × 0.01°
+    expect(plane.forward(10.01, 60).east).toBeCloseTo(558.0000, 2);
+    // 子午線曲率半径 × 0.01°
+    expect(plane.forward(10, 60.01).north).toBeCloseTo(1114.1229, 2);
+  });
+
+  test('逆変換で緯度経度に戻る', () => {
+    const plane = new LocalTangentPlane(139.7671, 35.6812);
+    for (const [lon, lat, height] of [[139.8, 35.7, 0], [139.5, 35.4, 2000], [140.2, 36.1, -10]]) {
+      const { east, north, up } = plane.forward(lon, lat, height);
+      const result = plane.inverse(east, north, up);
+      expect(result.lon).toBeCloseTo(lon, 10);
+      expect(result.lat).toBeCloseTo(lat, 10);
+      expect(result.height).toBeCloseTo(height, 5);
+    }
+  });
+
+  test('上成分を無視した逆変換は、楕円体面上の点の東・北座標から緯度経度を求める', () => {
+    const plane = new LocalTangentPlane(139.7671, 35.6812);
+    // 原点から約50km離れ、楕円体面が接平面から約200m下がる地点
+    const { east, north, up } = plane.forward(140.3, 35.4, 0);
+    expect(up).toBeLessThan(-100);
+
+    const result = plane.inverseHorizontal(east, north);
+    expect(result.lon).toBeCloseTo(140.3, 9);
+    expect(result.lat).toBeCloseTo(35.4, 9);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Measurement
+ * 地形上の計測（距離・高低差・地表に沿った距離・面積・断面・土量の範囲）の計算（Babylon.jsに依存しない）
+ *
+ * 頂点はシーンのローカル座標（x: 東, z: 南、メートル）と標高（メートル、標高スケールを掛けない値）。
+ * 地理座標系のデータは接平面に投影したローカル座標で計算するため、結果は常に実際のメートル単位になる。
+ * 地表に沿った距離・表面積・断面は、標高グリッドをラスターの解像度で標本化して求める（sampleElevation）。
+ */
+
+import { samplePath, summarizeProfile } from './ElevationProfile';
+
+export const MEASUREMENT_MODES = {
+  distance: '直線距離（3D）',
+  horizontal: '水平距離',
+  height: '高低差',
+  surface: '地表に沿った距離',
+  area: '面積（投影面積・表面積）',
+  profile: '断面図（標高プロファイル）',
+  volume: '土量（切土・盛土）'
+};
+
+// 計測に必要な頂点の数
+export const MIN_MEASUREMENT_POINTS = {
+  distance: 2,
+  horizontal: 2,
+  height: 2,
+  surface: 2,
+  area: 3,
+  profile: 2,
+  volume: 3
+};
+
+// 表面積の計算で標本化するセルの最大数（範囲が広い場合は間隔を広げる）
+const MAX_AREA_CELLS = 100000;
+
+const horizontalDistance = (a, b) => Math.hypot(b.x - a.x, b.z - a.z);
+
+/**
+ * 標本化した経路の地表に沿った長さ。NoDataを含む区間は水平距離で数える（gapLength）
+ */
+export const surfacePathLength = (samples) => {
+  let length = 0;
+  let gapLength = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const run = b.distance - a.distance;
+    if (a.elevation === null || b.elevation === null) {
+      length += run;
+      gapLength += run;
+    } else {
+      length += Math.hypot(run, b.elevation - a.elevation);
+    }
+  }
+  return { length, gapLength };
+};
+
+/**
+ * 多角形の投影面積（水平面に投影した面積、靴ひも公式）
+ */
+export const polygonArea = (points) => {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    sum += a.x * b.z - b.x * a.z;
+  }
+  return Math.abs(sum) / 2;
+};
+
+/**
+ * 点が多角形の内側か（交差数による判定）
+ */
+export const isInsidePolygon = (x, z, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// 3頂点の三角形の面積（3D）
+const triangleArea = (ax, ay, az, bx, by, bz, cx, cy, cz) => {
+  const ux = bx - ax, uy = by - ay, uz = bz - az;
+  const vx = cx - ax, vy = cy - ay, vz = cz - az;
+  return Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+};
+
+// 頂点の標高だけで求めた多角形の面積（3D、ニューウェル法）。範囲が画素より狭い場合に使う
+const polygonArea3D = (points) => {
+  let nx = 0, ny = 0, nz = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    nx += (a.elevation - b.elevation) * (a.z + b.z);
+    ny += (a.z - b.z) * (a.x + b.x);
+    nz += (a.x - b.x) * (a.elevation + b.elevation);
+  }
+  return Math.hypot(nx, ny, nz) / 2;
+};
+
+/**
+ * 多角形の表面積（地形の起伏に沿った面積）
+ * 多角形の範囲を標本化の間隔のセルに分け、内側のセルの地表の面積（2つの三角形）と水平面の面積の比を
+ * 投影面積に掛ける。NoDataを含むセルは比の計算から除く。
+ */
+export const surfaceArea = (points, sampleElevation, step) => {
+  const planimetric = polygonArea(points);
+  const minX = Math.min(...points.map(p => p.x));
+  const maxX = Math.max(...points.map(p => p.x));
+  const minZ = Math.min(...points.map(p => p.z));
+  const maxZ = Math.max(...points.map(p => p.z));
+  const cellSize = Math.max(step, Math.sqrt((maxX - minX) * (maxZ - minZ) / MAX_AREA_CELLS));
+  const columns = Math.floor((maxX - minX) / cellSize);
+  const rows = Math.floor((maxZ - minZ) / cellSize);
+
+  if (columns < 1 || rows < 1) {
+    return planimetric > 0 ? polygonArea3D(points) : 0;
+  }
+
+  // セルの角の標高（NoDataはNaN）
+  const corners = new Float64Array((columns + 1) * (rows + 1));
+  for (let row = 0; row <= rows; row++) {
+    for (let col = 0; col <= columns; col++) {
+      const elevation = sampleElevation(minX + col * cellSize, minZ + row * cellSize);
+      corners[row * (columns + 1) + col] = elevation === null ? NaN : elevation;
+    }
+  }
+
+  let surface = 0;
+  let planar = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const x0 = minX + col * cellSize;
+      const z0 = minZ + row * cellSize;
+      if (!isInsidePolygon(x0 + cellSize / 2, z0 + cellSize / 2, points)) continue;
+
+      const index = row * (columns + 1) + col;
+      const e00 = corners[index];
+      const e10 = corners[index + 1];
+      const e01 = corners[index + columns + 1];
+      const e11 = corners[index + columns + 2];
+      if (isNaN(e00) || isNaN(e10) || isNaN(e01) || isNaN(e11)) continue;
+
+      const x1 = x0 + cellSize;
+      const z1 = z0 + cellSize;
+      surface += triangleArea(x0, e00, z0, x1, e10, z0, x0, e01, z1) +
+        triangleArea(x1, e11, z1, x0, e01, z1, x1, e10, z0);
+      planar += cellSize * cellSize;
+    }
+  }
+
+  if (planar === 0) {
+    return polygonArea3D(points);
+  }
+  return planimetric * surface / planar;
+};
+
+/**
+ * 計測モードの結果
+ * @param {string} mode - MEASUREMENT_MODESのキー
+ * @param {Array} points - { x, z, elevation }
+ * @param {Object} terrain - sampleElevation（(x, z) → 標高）, resolution（標本化の間隔、メートル）
+ * @returns {Object|null} 頂点が足りない場合はnull
+ */
+export const measure = (mode, points, { sampleElevation, resolution }) => {
+  if (points.length < MIN_MEASUREMENT_POINTS[mode]) {
+    return null;
+  }
+
+  let horizontal = 0;
+  let length3D = 0;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i < points.length; i++) {
+    const run = horizontalDistance(points[i - 1], points[i]);
+    const rise = points[i].elevation - points[i - 1].elevation;
+    horizontal += run;
+    length3D += Math.hypot(run, rise);
+    if (rise > 0) gain += rise;
+    else loss -= rise;
+  }
+
+  switch (mode) {
+    case 'distance':
+      return { mode, length: length3D, horizontal };
+    case 'horizontal':
+      return { mode, length: horizontal };
+    case 'height':
+      return { mode, difference: points[points.length - 1].elevation - points[0].elevation, gain, loss, horizontal };
+    case 'surface': {
+      const path = samplePath(points, sampleElevation, resolution);
+      const { length, gapLength } = surfacePathLength(path);
+      return { mode, length, horizontal, gapLength, path };
+    }
+    case 'profile': {
+      const path = samplePath(points, sampleElevation, resolution);
+      return { mode, path, ...summarizeProfile(path) };
+    }
+    case 'area': {
+      const closing = horizontalDistance(points[points.length - 1], points[0]);
+      return {
+        mode,
+        planimetric: polygonArea(points),
+        surface: surfaceArea(points, sampleElevation, resolution),
+        perimeter: horizontal + closing
+      };
+    }
+    case 'volume': {
+      // 土量は基準面の指定が必要なため、ここでは範囲だけを返す（Volume.computeCutFill）
+      const closing = horizontalDistance(points[points.length - 1], points[0]);
+      return {
+        mode,
+        planimetric: polygonArea(points),
+        perimeter: horizontal + closing,
+        polygon: points.map(({ x, z }) => ({ x, z }))
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+export const formatLength = (meters) => (
+  Math.abs(meters) >= 1000 ? `${(meters / 1000).toFixed(3)} km` : `${meters.toFixed(2)} m`
+);
+
+export const formatArea = (squareMeters) => {
+  if (squareMeters >= 1e6) return `${(squareMeters / 1e6).toFixed(3)} km²`;
+  if (squareMeters >= 1e4) return `${(squareMeters / 1e4).toFixed(2)} ha`;
+  return `${squareMeters.toFixed(1)} m²`;
+};
@@ -0,0 +1,293 @@
+/**
+ * Measurement Tool
+ * 地形上に頂点を置いて計測する（頂点のマーカー・計測線の表示、マーカーのドラッグ、元に戻す）
+ *
+ * 頂点はピッキングした地点（ローカル座標と、グリッドから補間した標高）で、計算はMeasurement.jsで行う。
+ * 頂点の標高は標高スケールを掛けない値のまま保持し、表示する高さだけ標高スケールに合わせる。
+ * マーカーと線は地形に隠れないよう、地形より後の描画グループで描く。
+ * 断面図のグラフでカーソルを合わせた地点は、強調表示のマーカー（setHighlight）で示す。
+ */
+
+import { MeshBuilder, StandardMaterial, Color3, Vector3, PointerEventTypes } from '@babylonjs/core';
+import { measure } from './Measurement';
+
+const MARKER_COLOR = new Color3(1, 0.35, 0.2);
+const LINE_COLOR = new Color3(1, 0.85, 0.2);
+const HIGHLIGHT_COLOR = new Color3(0.2, 0.85, 1);
+// マーカーの直径（地形の範囲に対する比）
+const MARKER_SIZE_FACTOR = 0.008;
+const RENDERING_GROUP = 1;
+
+export class MeasurementTool {
+  /**
+   * @param {Scene} scene
+   * @param {Object} options
+   * @param {Camera} options.camera - マーカーのドラッグ中はカメラの操作を止める
+   * @param {Function} options.terrainPredicate - 地形のメッシュか
+   * @param {Function} options.resolvePoint - (pickInfo) → 地点（createPointInfo、求められない場合はnull）
+   * @param {Function} options.onChange - ({ mode, active, pointCount, canUndo, result }) 頂点・モードの変更時
+   */
+  constructor(scene, { camera, terrainPredicate, resolvePoint, onChange }) {
+    this.scene = scene;
+    this.camera = camera;
+    this.terrainPredicate = terrainPredicate;
+    this.resolvePoint = resolvePoint;
+    this.onChange = onChange;
+
+    this.mode = 'distance';
+    this.active = false;
+    this.points = []; // { x, z, elevation }
+    this.history = []; // 元に戻すための頂点の一覧
+    this.terrain = null; // { sampleElevation, resolution, baseElevation, size }
+    this.heightScale = 1;
+    this.result = null;
+
+    this.markers = [];
+    this.line = null;
+    this.highlight = null; // { mesh, point }
+    this.dragIndex = -1;
+    this.dragMoved = false;
+    this.suppressTap = false;
+    this.updateRequest = null;
+
+    this.material = new StandardMaterial('measurement-marker-material', scene);
+    this.material.emissiveColor = MARKER_COLOR;
+    this.material.disableLighting = true;
+    this.highlightMaterial = new StandardMaterial('measurement-highlight-material', scene);
+    this.highlightMaterial.emissiveColor = HIGHLIGHT_COLOR;
+    this.highlightMaterial.disableLighting = true;
+
+    this.observer = scene.onPointerObservable.add(
+      (pointerInfo) => this.handlePointer(pointerInfo),
+      PointerEventTypes.POINTERDOWN | PointerEventTypes.POINTERMOVE | PointerEventTypes.POINTERUP
+    );
+  }
+
+  /**
+   * 計測する地形（読み込み・メッシュの再作成時）
+   * @param {Object} terrain - sampleElevation（(x, z) → 標高）, resolution（メートル）, baseElevation（最低標高）, size（範囲の一辺、メートル）
+   */
+  setTerrain(terrain) {
+    this.terrain = terrain;
+    this.update();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.update();
+  }
+
+  /**
+   * 計測中はクリックで頂点を追加し、マーカーをドラッグで動かせる
+   */
+  setActive(active) {
+    this.active = active;
+    this.update();
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  setHeightScale(heightScale) {
+    if (heightScale === this.heightScale) return;
+    this.heightScale = heightScale;
+    this.draw();
+  }
+
+  /**
+   * 地点を強調表示（nullで非表示）
+   * @param {Object|null} point - { x, z, elevation }
+   */
+  setHighlight(point) {
+    if (!point || point.elevation === null || !this.terrain) {
+      if (this.highlight) {
+        this.highlight.mesh.dispose();
+        this.highlight = null;
+      }
+      return;
+    }
+
+    if (!this.highlight) {
+      const mesh = MeshBuilder.CreateSphere('measurement-highlight', {
+        diameter: this.terrain.size * MARKER_SIZE_FACTOR * 1.5,
+        segments: 8
+      }, this.scene);
+      mesh.material = this.highlightMaterial;
+      mesh.isPickable = false;
+      mesh.renderingGroupId = RENDERING_GROUP;
+      this.highlight = { mesh, point };
+    }
+    this.highlight.point = point;
+    this.highlight.mesh.position.set(point.x, this.toSceneY(point.elevation), point.z);
+  }
+
+  /**
+   * 地形をクリックした地点を頂点に追加（マーカーのクリック・ドラッグの終了時は追加しない）
+   */
+  addPoint(point) {
+    if (!this.active || this.suppressTap || point.elevation === null) return;
+    this.pushHistory();
+    this.points = [...this.points, { x: point.local.x, z: point.local.z, elevation: point.elevation }];
+    this.update();
+  }
+
+  undo() {
+    if (this.history.length === 0) return;
+    this.points = this.history.pop();
+    this.update();
+  }
+
+  /**
+   * 頂点を全て削除（元に戻せる）
+   */
+  clear() {
+    if (this.points.length === 0) return;
+    this.pushHistory();
+    this.points = [];
+    this.update();
+  }
+
+  /**
+   * 頂点と履歴を破棄（別のファイルを読み込んだ場合）
+   */
+  reset() {
+    this.points = [];
+    this.history = [];
+    this.setHighlight(null);
+    this.terrain = null;
+    this.update();
+  }
+
+  pushHistory() {
+    this.history.push(this.points);
+  }
+
+  handlePointer(pointerInfo) {
+    const { scene } = this;
+    switch (pointerInfo.type) {
+      case PointerEventTypes.POINTERDOWN: {
+        const pickInfo = this.active && this.markers.length > 0
+          ? scene.pick(scene.pointerX, scene.pointerY, mesh => this.markers.includes(mesh))
+          : null;
+        this.suppressTap = Boolean(pickInfo && pickInfo.hit);
+        if (this.suppressTap) {
+          this.dragIndex = this.markers.indexOf(pickInfo.pickedMesh);
+          this.dragMoved = false;
+          this.camera.detachControl();
+        }
+        break;
+      }
+      case PointerEventTypes.POINTERMOVE: {
+        if (this.dragIndex < 0) return;
+        const pickInfo = scene.pick(scene.pointerX, scene.pointerY, this.terrainPredicate);
+        const point = pickInfo && pickInfo.hit ? this.resolvePoint(pickInfo) : null;
+        if (!point || point.elevation === null) return;
+        // 動かした場合だけ元に戻せるよう履歴に残す
+        if (!this.dragMoved) {
+          this.dragMoved = true;
+          this.pushHistory();
+        }
+        this.points = this.points.map((vertex, i) => (i === this.dragIndex
+          ? { x: point.local.x, z: point.local.z, elevation: point.elevation }
+          : vertex));
+        this.scheduleUpdate();
+        break;
+      }
+      case PointerEventTypes.POINTERUP:
+        if (this.dragIndex >= 0) {
+          this.dragIndex = -1;
+          this.camera.attachControl(true);
+          this.update();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // ドラッグ中の再計算（表面積の計算は重いため、描画フレームごとに1回）
+  scheduleUpdate() {
+    if (this.updateRequest !== null) return;
+    this.updateRequest = requestAnimationFrame(() => {
+      this.updateRequest = null;
+      this.update();
+    });
+  }
+
+  /**
+   * 計測結果を再計算して表示を更新し、変更を通知
+   */
+  update() {
+    this.result = this.terrain ? measure(this.mode, this.points, this.terrain) : null;
+    this.draw();
+    this.onChange({
+      mode: this.mode,
+      active: this.active,
+      pointCount: this.points.length,
+      canUndo: this.history.length > 0,
+      result: this.result
+    });
+  }
+
+  // 表示する高さ（地形のメッシュと同じく、最低標高が高さ0）
+  toSceneY(elevation) {
+    return (elevation - this.terrain.baseElevation) * this.heightScale;
+  }
+
+  draw() {
+    this.clearMeshes();
+    if (!this.terrain) return;
+
+    if (this.highlight) {
+      this.setHighlight(this.highlight.point);
+    }
+
+    const markerSize = this.terrain.size * MARKER_SIZE_FACTOR;
+    this.markers = this.points.map((point, i) => {
+      const marker = MeshBuilder.CreateSphere(`measurement-marker-${i}`, { diameter: markerSize, segments: 8 }, this.scene);
+      marker.position.set(point.x, this.toSceneY(point.elevation), point.z);
+      marker.material = this.material;
+      marker.renderingGroupId = RENDERING_GROUP;
+      return marker;
+    });
+
+    // 地表に沿った距離は標本化した経路、面積・土量は閉じた多角形
+    let linePoints = this.points;
+    if (this.result && this.result.path) {
+      linePoints = this.result.path.filter(sample => sample.elevation !== null);
+    } else if ((this.mode === 'area' || this.mode === 'volume') && this.points.length >= 3) {
+      linePoints = [...this.points, this.points[0]];
+    }
+    if (linePoints.length < 2) return;
+
+    this.line = MeshBuilder.CreateLines('measurement-line', {
+      points: linePoints.map(point => new Vector3(point.x, this.toSceneY(point.elevation), point.z))
+    }, this.scene);
+    this.line.color = LINE_COLOR;
+    this.line.isPickable = false;
+    this.line.renderingGroupId = RENDERING_GROUP;
+  }
+
+  clearMeshes() {
+    for (const marker of this.markers) {
+      marker.dispose();
+    }
+    this.markers = [];
+    if (this.line) {
+      this.line.dispose();
+      this.line = null;
+    }
+  }
+
+  dispose() {
+    if (this.updateRequest !== null) {
+      cancelAnimationFrame(this.updateRequest);
+    }
+    this.scene.onPointerObservable.remove(this.observer);
+    this.clearMeshes();
+    this.setHighlight(null);
+    this.material.dispose();
+    this.highlightMaterial.dispose();
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Mosaic
+ * 範囲を分割した複数のGeoTIFFを1つの地形として並べるための共通処理
+ *
+ * 全ファイルの範囲を合わせた範囲の中心をシーンの原点とし、各ファイルの頂点はこのフレームで
+ * シーンのローカル座標に変換する（ファイルごとの中心を原点にしない）。
+ */
+
+import { TerrainFrame } from './TerrainFrame';
+
+/**
+ * 座標系が異なるファイルが含まれていればエラー（同じ座標で並べられない）
+ * @param {Array} items - { name, crs }
+ */
+export const assertSameCRS = (items) => {
+  const [first] = items;
+  const crsCode = first.crs ? first.crs.code : null;
+  const mismatched = items.find(item => (item.crs ? item.crs.code : null) !== crsCode);
+  if (mismatched) {
+    throw new Error(
+      `座標系が異なるファイルが含まれています: ${first.name} (${crsCode || '不明'}), ` +
+      `${mismatched.name} (${(mismatched.crs && mismatched.crs.code) || '不明'})。` +
+      '同じ座標系のファイルだけを選択してください'
+    );
+  }
+};
+
+/**
+ * 全ファイルを覆う範囲と、最も細かいファイルの画素サイズのフレーム
+ * @param {TerrainFrame[]} frames - 各ファイルのフレーム（座標系は同じであること）
+ */
+export const createMosaicFrame = (frames) => {
+  const bounds = {
+    minX: Math.min(...frames.map(frame => frame.bounds.minX)),
+    minY: Math.min(...frames.map(frame => frame.bounds.minY)),
+    maxX: Math.max(...frames.map(frame => frame.bounds.maxX)),
+    maxY: Math.max(...frames.map(frame => frame.bounds.maxY))
+  };
+  const pixelSizeX = Math.min(...frames.map(frame => frame.pixelSizeX));
+  const pixelSizeY = Math.min(...frames.map(frame => frame.pixelSizeY));
+  const [first] = frames;
+
+  return new TerrainFrame({
+    bounds,
+    width: Math.max(1, Math.round((bounds.maxX - bounds.minX) / pixelSizeX)),
+    height: Math.max(1, Math.round((bounds.maxY - bounds.minY) / pixelSizeY)),
+    crs: first.crs,
+    geoKeys: first.geoKeys
+  });
+};
+
+/**
+ * 隣接するファイルとの継ぎ目を埋めるため、東と南に1画素ずつ隣のファイルの値を追加したグリッドを作成
+ * 頂点は画素中心に置くため、そのままでは隣接するファイルの間に1画素分の隙間ができる。
+ * 追加する画素は、その画素中心を含む隣のファイルの画素の値（NoDataの画素は使わない）。
+ * 隣にファイルがない辺は追加しない。
+ *
+ * @param {Array} tiles - elevationData, validMask, colorData, width, height, bounds, crs, geoKeys
+ * @returns {Array} 継ぎ目を埋めたグリッド（追加がないファイルは元のオブジェクト）
+ */
+export const extendTilesToNeighbors = (tiles) => {
+  const frames = tiles.map(tile => new TerrainFrame(tile));
+
+  // 元の座標系の点を含む、exclude以外のファイルの有効な画素
+  const findPixel = (x, y, exclude) => {
+    for (let i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      const { bounds } = tile;
+      if (i === exclude || x < bounds.minX || x >= bounds.maxX || y <= bounds.minY || y > bounds.maxY) continue;
+
+      const grid = frames[i].sourceToGrid(x, y);
+      const col = Math.min(tile.width - 1, Math.max(0, Math.round(grid.col)));
+      const row = Math.min(tile.height - 1, Math.max(0, Math.round(grid.row)));
+      const index = row * tile.width + col;
+      if (tile.validMask && tile.validMask[index] !== 1) continue;
+      return { tile, index };
+    }
+    return null;
+  };
+
+  return tiles.map((tile, i) => {
+    const frame = frames[i];
+    const { width, height } = tile;
+    const sampleAt = (col, row) => {
+      const point = frame.gridToSource(col, row);
+      return findPixel(point.x, point.y, i);
+    };
+
+    // 東の列（南東の角を含む）と南の行
+    const east = Array.from({ length: height + 1 }, (_, row) => sampleAt(width, row));
+    const south = Array.from({ length: width }, (_, col) => sampleAt(col, height));
+    const hasEast = east.slice(0, height).some(Boolean);
+    const hasSouth = south.some(Boolean);
+    if (!hasEast && !hasSouth) {
+      return tile;
+    }
+
+    const newWidth = width + (hasEast ? 1 : 0);
+    const newHeight = height + (hasSouth ? 1 : 0);
+    const elevationData = new Float32Array(newWidth * newHeight);
+    const validMask = new Uint8Array(newWidth * newHeight);
+    const colorData = tile.colorData
+      ? {
+        red: new Uint8Array(newWidth * newHeight).fill(128),
+        green: new Uint8Array(newWidth * newHeight).fill(128),
+        blue: new Uint8Array(newWidth * newHeight).fill(128)
+      }
+      : null;
+
+    const setPixel = (index, source, sourceIndex) => {
+      elevationData[index] = source.elevationData[sourceIndex];
+      validMask[index] = !source.validMask || source.validMask[sourceIndex] === 1 ? 1 : 0;
+      if (colorData && source.colorData) {
+        colorData.red[index] = source.colorData.red[sourceIndex];
+        colorData.green[index] = source.colorData.green[sourceIndex];
+        colorData.blue[index] = source.colorData.blue[sourceIndex];
+      }
+    };
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        setPixel(row * newWidth + col, tile, row * width + col);
+      }
+    }
+
+    const setSample = (col, row, sample) => {
+      if (sample) {
+        setPixel(row * newWidth + col, sample.tile, sample.index);
+      }
+    };
+    if (hasEast) {
+      east.slice(0, newHeight).forEach((sample, row) => setSample(width, row, sample));
+    }
+    if (hasSouth) {
+      south.forEach((sample, col) => setSample(col, height, sample));
+    }
+
+    return {
+      ...tile,
+      elevationData,
+      validMask,
+      colorData,
+      width: newWidth,
+      height: newHeight,
+      bounds: {
+        ...tile.bounds,
+        maxX: hasEast ? tile.bounds.maxX + frame.pixelSizeX : tile.bounds.maxX,
+        minY: hasSouth ? tile.bounds.minY - frame.pixelSizeY : tile.bounds.minY
+      }
+    };
+  });
+};
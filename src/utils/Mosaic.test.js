@@ -0,0 +1,129 @@
+import { assertSameCRS, createMosaicFrame, extendTilesToNeighbors } from './Mosaic';
+import { TerrainFrame } from './TerrainFrame';
+
+const CRS_A = { resolved: true, isGeographic: false, toMeters: 1, code: 'EPSG:6677' };
+const CRS_B = { resolved: true, isGeographic: false, toMeters: 1, code: 'EPSG:6678' };
+
+// 10m間隔・4×4ピクセルのタイル（標高 = base + 10 × 行 + 列）
+const SIZE = 4;
+const createTile = (minX, maxY, base, { crs = CRS_A, invalid = [] } = {}) => {
+  const elevationData = new Float32Array(SIZE * SIZE);
+  const validMask = new Uint8Array(SIZE * SIZE).fill(1);
+  for (let row = 0; row < SIZE; row++) {
+    for (let col = 0; col < SIZE; col++) {
+      elevationData[row * SIZE + col] = base + 10 * row + col;
+    }
+  }
+  for (const [col, row] of invalid) {
+    validMask[row * SIZE + col] = 0;
+  }
+  return {
+    elevationData,
+    validMask,
+    colorData: null,
+    width: SIZE,
+    height: SIZE,
+    bounds: { minX, maxX: minX + SIZE * 10, minY: maxY - SIZE * 10, maxY },
+    crs,
+    geoKeys: null
+  };
+};
+
+const at = (tile, col, row) => tile.elevationData[row * tile.width + col];
+const validAt = (tile, col, row) => tile.validMask[row * tile.width + col];
+
+describe('assertSameCRS', () => {
+  test('座標系が同じならエラーにしない（不明どうしも同じとみなす）', () => {
+    expect(() => assertSameCRS([{ name: 'a.tif', crs: CRS_A }, { name: 'b.tif', crs: { ...CRS_A } }])).not.toThrow();
+    expect(() => assertSameCRS([{ name: 'a.tif', crs: null }, { name: 'b.tif', crs: null }])).not.toThrow();
+  });
+
+  test('座標系の異なるファイルがあればエラー', () => {
+    expect(() => assertSameCRS([
+      { name: 'a.tif', crs: CRS_A },
+      { name: 'b.tif', crs: CRS_A },
+      { name: 'c.tif', crs: CRS_B }
+    ])).toThrow('座標系が異なるファイルが含まれています: a.tif (EPSG:6677), c.tif (EPSG:6678)');
+    expect(() => assertSameCRS([{ name: 'a.tif', crs: CRS_A }, { name: 'b.tif', crs: null }]))
+      .toThrow('a.tif (EPSG:6677), b.tif (不明)');
+  });
+});
+
+test('モザイクのフレームは全ファイルを覆う範囲と最も細かい画素サイズ', () => {
+  const coarse = new TerrainFrame({ bounds: { minX: 0, maxX: 40, minY: 0, maxY: 40 }, width: 4, height: 4, crs: CRS_A });
+  const fine = new TerrainFrame({ bounds: { minX: 40, maxX: 80, minY: 20, maxY: 40 }, width: 8, height: 4, crs: CRS_A });
+
+  const frame = createMosaicFrame([coarse, fine]);
+  expect(frame.bounds).toEqual({ minX: 0, minY: 0, maxX: 80, maxY: 40 });
+  expect(frame.width).toBe(16);
+  expect(frame.height).toBe(8);
+  expect(frame.crs).toBe(CRS_A);
+  // ファイルの中心ではなく全体の中心が原点
+  expect(frame.centerX).toBe(40);
+  expect(frame.centerY).toBe(20);
+  expect(frame.sourceToLocal(60, 30)).toEqual({ x: 20, z: -10 });
+});
+
+describe('extendTilesToNeighbors', () => {
+  test('辺を共有する2つのタイルは、西のタイルに東のタイルの最初の列を追加する', () => {
+    const west = createTile(0, 40, 100);
+    const east = createTile(40, 40, 200);
+
+    const [extendedWest, extendedEast] = extendTilesToNeighbors([west, east]);
+    expect(extendedWest.width).toBe(SIZE + 1);
+    expect(extendedWest.height).toBe(SIZE);
+    expect(extendedWest.bounds).toEqual({ minX: 0, maxX: 50, minY: 0, maxY: 40 });
+    for (let row = 0; row < SIZE; row++) {
+      // 元の画素はそのまま、追加した列は東のタイルの0列目
+      expect(at(extendedWest, SIZE - 1, row)).toBe(at(west, SIZE - 1, row));
+      expect(at(extendedWest, SIZE, row)).toBe(at(east, 0, row));
+      expect(validAt(extendedWest, SIZE, row)).toBe(1);
+    }
+    // 東と南に隣がないタイルは元のまま
+    expect(extendedEast).toBe(east);
+  });
+
+  test('南北に並ぶタイルは、北のタイルに南のタイルの最初の行を追加する', () => {
+    const north = createTile(0, 80, 100);
+    const south = createTile(0, 40, 200);
+
+    const [extendedNorth, extendedSouth] = extendTilesToNeighbors([north, south]);
+    expect(extendedNorth.width).toBe(SIZE);
+    expect(extendedNorth.height).toBe(SIZE + 1);
+    expect(extendedNorth.bounds).toEqual({ minX: 0, maxX: 40, minY: 30, maxY: 80 });
+    for (let col = 0; col < SIZE; col++) {
+      expect(at(extendedNorth, col, SIZE)).toBe(at(south, col, 0));
+    }
+    expect(extendedSouth).toBe(south);
+  });
+
+  test('南東の角は、その位置にタイルがなければ無効な画素', () => {
+    const northWest = createTile(0, 80, 100);
+    const northEast = createTile(40, 80, 200);
+    const southWest = createTile(0, 40, 300);
+
+    const [extended] = extendTilesToNeighbors([northWest, northEast, southWest]);
+    expect(extended.width).toBe(SIZE + 1);
+    expect(extended.height).toBe(SIZE + 1);
+    expect(at(extended, SIZE, 0)).toBe(at(northEast, 0, 0));
+    expect(at(extended, 0, SIZE)).toBe(at(southWest, 0, 0));
+    expect(validAt(extended, SIZE, SIZE)).toBe(0);
+  });
+
+  test('隣のタイルのNoDataの画素は使わない', () => {
+    const west = createTile(0, 40, 100);
+    const east = createTile(40, 40, 200, { invalid: [[0, 2]] });
+
+    const [extended] = extendTilesToNeighbors([west, east]);
+    expect(validAt(extended, SIZE, 1)).toBe(1);
+    expect(validAt(extended, SIZE, 2)).toBe(0);
+  });
+
+  test('離れたタイルには追加しない', () => {
+    const a = createTile(0, 40, 100);
+    const b = createTile(100, 40, 200);
+    const result = extendTilesToNeighbors([a, b]);
+    expect(result[0]).toBe(a);
+    expect(result[1]).toBe(b);
+  });
+});
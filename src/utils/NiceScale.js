@@ -0,0 +1,28 @@
+/**
+ * Nice Scale
+ * 凡例・グラフの目盛りの切りのよい間隔と位置
+ */
+
+/**
+ * 範囲をおよそcount等分する切りのよい間隔（1・2・5×10^n）
+ */
+export const niceStep = (span, count) => {
+  const rough = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const normalized = rough / magnitude;
+  const nice = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+  return nice * magnitude;
+};
+
+/**
+ * min〜maxの範囲の目盛り { value, label }（ラベルは間隔に合わせた小数の桁数）
+ */
+export const niceTicks = (min, max, count) => {
+  const step = niceStep(max - min, count);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-6; value += step) {
+    ticks.push({ value, label: value.toFixed(decimals) });
+  }
+  return ticks;
+};
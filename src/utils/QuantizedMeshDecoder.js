@@ -0,0 +1,188 @@
+/**
+ * Quantized Mesh Decoder
+ * quantized-mesh-1.0（Cesiumの.terrainタイル）の復号
+ *
+ * タイルは三角形分割済みのメッシュで、頂点はタイルの範囲内で0〜32767に量子化された
+ * u（西→東）・v（南→北）・高さ（最小〜最大標高）をジグザグ符号化の差分で格納する。
+ * 三角形のインデックスはハイウォーターマーク符号化、境界の頂点は東西南北の辺ごとの一覧。
+ * 拡張: 1 = 頂点法線（oct符号化、地心直交座標）、2 = 水域マスク、4 = メタデータ（JSON）
+ *
+ * 仕様: https://github.com/CesiumGS/quantized-mesh
+ */
+
+const HEADER_SIZE = 88;
+export const QUANTIZED_MAX = 32767;
+
+export const EXTENSION_OCT_NORMALS = 1;
+export const EXTENSION_WATER_MASK = 2;
+export const EXTENSION_METADATA = 4;
+
+// 水域マスクの格子の一辺（北西の隅から行優先、北→南）
+export const WATER_MASK_SIZE = 256;
+
+const zigZagDecode = (value) => (value >> 1) ^ (-(value & 1));
+
+/**
+ * gzip圧縮されたタイルを展開（サーバーがContent-Encodingを付けずに返す場合がある）
+ */
+export const decompressIfGzipped = async (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+    return buffer;
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('gzip圧縮されたタイルを展開できません（DecompressionStreamに未対応のブラウザです）');
+  }
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+};
+
+/**
+ * oct符号化された法線（各8ビット）を単位ベクトルに復号
+ */
+export const decodeOctNormal = (encodedX, encodedY) => {
+  let x = encodedX / 255 * 2 - 1;
+  let y = encodedY / 255 * 2 - 1;
+  const z = 1 - Math.abs(x) - Math.abs(y);
+
+  if (z < 0) {
+    const oldX = x;
+    x = (1 - Math.abs(y)) * (oldX < 0 ? -1 : 1);
+    y = (1 - Math.abs(oldX)) * (y < 0 ? -1 : 1);
+  }
+
+  const length = Math.sqrt(x * x + y * y + z * z);
+  return { x: x / length, y: y / length, z: z / length };
+};
+
+/**
+ * .terrainタイルを復号
+ * @param {ArrayBuffer} buffer - 展開済みのタイル
+ * @returns {Object} { header, vertexCount, u, v, height, indices, westIndices, southIndices,
+ *   eastIndices, northIndices, octNormals, waterMask, metadata }
+ *   u・v・heightは0〜32767の量子化値、octNormalsは頂点ごとに2バイト、
+ *   waterMaskは1バイト（タイル全体が陸0・水域1）または256×256バイト（0: 陸〜255: 水域）
+ */
+export const decodeQuantizedMesh = (buffer) => {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < HEADER_SIZE + 4) {
+    throw new Error('quantized-meshのタイルが短すぎます');
+  }
+
+  const header = {
+    center: [view.getFloat64(0, true), view.getFloat64(8, true), view.getFloat64(16, true)],
+    minimumHeight: view.getFloat32(24, true),
+    maximumHeight: view.getFloat32(28, true),
+    boundingSphere: {
+      center: [view.getFloat64(32, true), view.getFloat64(40, true), view.getFloat64(48, true)],
+      radius: view.getFloat64(56, true)
+    },
+    horizonOcclusionPoint: [view.getFloat64(64, true), view.getFloat64(72, true), view.getFloat64(80, true)]
+  };
+
+  let offset = HEADER_SIZE;
+  const vertexCount = view.getUint32(offset, true);
+  offset += 4;
+
+  // 頂点: u・v・高さの配列がそれぞれジグザグ符号化の差分で続く
+  const decodeVertexArray = () => {
+    const values = new Uint16Array(vertexCount);
+    let value = 0;
+    for (let i = 0; i < vertexCount; i++) {
+      value += zigZagDecode(view.getUint16(offset + i * 2, true));
+      values[i] = value;
+    }
+    offset += vertexCount * 2;
+    return values;
+  };
+  const u = decodeVertexArray();
+  const v = decodeVertexArray();
+  const height = decodeVertexArray();
+
+  // インデックス: 頂点数が65536を超える場合は32ビット（インデックスの大きさに揃えてパディング）
+  const use32 = vertexCount > 65536;
+  const bytesPerIndex = use32 ? 4 : 2;
+  if (offset % bytesPerIndex !== 0) {
+    offset += bytesPerIndex - (offset % bytesPerIndex);
+  }
+
+  const readIndices = (count) => {
+    const values = use32 ? new Uint32Array(count) : new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = use32
+        ? view.getUint32(offset + i * 4, true)
+        : view.getUint16(offset + i * 2, true);
+    }
+    offset += count * bytesPerIndex;
+    return values;
+  };
+
+  const triangleCount = view.getUint32(offset, true);
+  offset += 4;
+  const indices = readIndices(triangleCount * 3);
+
+  // ハイウォーターマーク符号化の復号
+  let highest = 0;
+  for (let i = 0; i < indices.length; i++) {
+    const code = indices[i];
+    indices[i] = highest - code;
+    if (code === 0) {
+      highest++;
+    }
+  }
+
+  const readEdge = () => {
+    const count = view.getUint32(offset, true);
+    offset += 4;
+    return readIndices(count);
+  };
+  const westIndices = readEdge();
+  const southIndices = readEdge();
+  const eastIndices = readEdge();
+  const northIndices = readEdge();
+
+  // 拡張
+  let octNormals = null;
+  let waterMask = null;
+  let metadata = null;
+
+  while (offset + 5 <= buffer.byteLength) {
+    const extensionId = view.getUint8(offset);
+    const extensionLength = view.getUint32(offset + 1, true);
+    offset += 5;
+    if (offset + extensionLength > buffer.byteLength) {
+      throw new Error('quantized-meshの拡張データが途中で途切れています');
+    }
+
+    if (extensionId === EXTENSION_OCT_NORMALS) {
+      octNormals = new Uint8Array(buffer.slice(offset, offset + vertexCount * 2));
+    } else if (extensionId === EXTENSION_WATER_MASK) {
+      waterMask = new Uint8Array(buffer.slice(offset, offset + extensionLength));
+    } else if (extensionId === EXTENSION_METADATA) {
+      const jsonLength = view.getUint32(offset, true);
+      const json = new TextDecoder().decode(new Uint8Array(buffer, offset + 4, jsonLength));
+      try {
+        metadata = JSON.parse(json);
+      } catch (error) {
+        console.warn('quantized-meshのメタデータを解析できません:', error);
+      }
+    }
+    offset += extensionLength;
+  }
+
+  return {
+    header,
+    vertexCount,
+    u,
+    v,
+    height,
+    indices,
+    westIndices,
+    southIndices,
+    eastIndices,
+    northIndices,
+    octNormals,
+    waterMask,
+    metadata
+  };
+};
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+import {
+  decodeQuantizedMesh,
+  decodeOctNormal,
+  EXTENSION_OCT_NORMALS,
+  EXTENSION_WATER_MASK,
+  WATER_MASK_SIZE
+} from './QuantizedMeshDecoder';
+import { HEADER_SIZE, buildTerrainTile, QUAD, metadataExtension } from '../testing/quantizedMeshFixture';
+
+describe('decodeQuantizedMesh', () => {
+  test('ヘッダーを読む', () => {
+    const { header } = decodeQuantizedMesh(buildTerrainTile(QUAD));
+    expect(header.center).toEqual([1, 2, 3]);
+    expect(header.minimumHeight).toBe(100);
+    expect(header.maximumHeight).toBe(500);
+    expect(header.boundingSphere.radius).toBe(1000);
+  });
+
+  test('ジグザグ符号化の差分から頂点を復元する（負の差分を含む）', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile(QUAD));
+    expect(tile.vertexCount).toBe(4);
+    expect(Array.from(tile.u)).toEqual([0, 32767, 32767, 0]);
+    expect(Array.from(tile.v)).toEqual([0, 0, 32767, 32767]);
+    expect(Array.from(tile.height)).toEqual([0, 16000, 32767, 8000]);
+  });
+
+  test('ハイウォーターマーク符号化のインデックスを復元する', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile(QUAD));
+    expect(tile.indices).toBeInstanceOf(Uint16Array);
+    expect(Array.from(tile.indices)).toEqual(QUAD.triangles);
+  });
+
+  test('東西南北の辺の頂点の一覧を読む', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile(QUAD));
+    expect(Array.from(tile.westIndices)).toEqual([0, 3]);
+    expect(Array.from(tile.southIndices)).toEqual([0, 1]);
+    expect(Array.from(tile.eastIndices)).toEqual([1, 2]);
+    expect(Array.from(tile.northIndices)).toEqual([3, 2]);
+  });
+
+  test('頂点数が65536を超える場合は4バイトに揃えるパディングの後の32ビットのインデックスを読む', () => {
+    const vertexCount = 65537;
+    const vertices = Array.from({ length: vertexCount }, (_, i) => [i % 32768, Math.floor(i / 32768), i % 1000]);
+    // 頂点データの終わり（88 + 4 + 6 × 65537）は4の倍数でないため、2バイトのパディングが入る
+    expect((HEADER_SIZE + 4 + vertexCount * 6) % 4).toBe(2);
+    const triangles = [0, 1, 2, 65534, 65535, 65536, 2, 65536, 0];
+    const tile = decodeQuantizedMesh(buildTerrainTile({
+      vertices,
+      triangles,
+      edges: { west: [0], south: [65536], east: [1, 2], north: [] }
+    }));
+
+    expect(tile.vertexCount).toBe(vertexCount);
+    expect(tile.u[65536]).toBe(65536 % 32768);
+    expect(tile.height[65535]).toBe(65535 % 1000);
+    expect(tile.indices).toBeInstanceOf(Uint32Array);
+    expect(Array.from(tile.indices)).toEqual(triangles);
+    expect(Array.from(tile.southIndices)).toEqual([65536]);
+    expect(Array.from(tile.eastIndices)).toEqual([1, 2]);
+    expect(tile.northIndices.length).toBe(0);
+  });
+
+  test('拡張がない場合はnull', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile(QUAD));
+    expect(tile.octNormals).toBeNull();
+    expect(tile.waterMask).toBeNull();
+    expect(tile.metadata).toBeNull();
+  });
+
+  test('頂点法線・水域マスク・メタデータの拡張を読む', () => {
+    const normals = new Uint8Array([128, 128, 255, 128, 0, 128, 128, 255]);
+    const waterMask = new Uint8Array(WATER_MASK_SIZE * WATER_MASK_SIZE).map((_, i) => i % 256);
+    const metadata = { available: [[{ startX: 0, startY: 0, endX: 1, endY: 1 }]] };
+    const tile = decodeQuantizedMesh(buildTerrainTile({
+      ...QUAD,
+      extensions: [
+        { id: EXTENSION_OCT_NORMALS, bytes: normals },
+        { id: EXTENSION_WATER_MASK, bytes: waterMask },
+        metadataExtension(metadata)
+      ]
+    }));
+
+    expect(Array.from(tile.octNormals)).toEqual(Array.from(normals));
+    expect(tile.waterMask.length).toBe(WATER_MASK_SIZE * WATER_MASK_SIZE);
+    expect(tile.waterMask[300]).toBe(300 % 256);
+    expect(tile.metadata).toEqual(metadata);
+  });
+
+  test('タイル全体の水域マスクは1バイト', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile({
+      ...QUAD,
+      extensions: [{ id: EXTENSION_WATER_MASK, bytes: new Uint8Array([1]) }]
+    }));
+    expect(Array.from(tile.waterMask)).toEqual([1]);
+  });
+
+  test('未知の拡張は読み飛ばす', () => {
+    const tile = decodeQuantizedMesh(buildTerrainTile({
+      ...QUAD,
+      extensions: [{ id: 8, bytes: new Uint8Array([1, 2, 3]) }, metadataExtension({ ok: true })]
+    }));
+    expect(tile.metadata).toEqual({ ok: true });
+  });
+
+  test('途切れた拡張と短すぎるタイルはエラー', () => {
+    const buffer = buildTerrainTile({ ...QUAD, extensions: [{ id: EXTENSION_WATER_MASK, bytes: new Uint8Array([1]) }] });
+    const truncated = new Uint8Array(buffer);
+    new DataView(truncated.buffer).setUint32(truncated.length - 5, 10, true);
+    expect(() => decodeQuantizedMesh(truncated.buffer)).toThrow();
+    expect(() => decodeQuantizedMesh(new ArrayBuffer(40))).toThrow();
+  });
+});
+
+describe('decodeOctNormal', () => {
+  const expectVector = (normal, [x, y, z]) => {
+    expect(normal.x).toBeCloseTo(x, 2);
+    expect(normal.y).toBeCloseTo(y, 2);
+    expect(normal.z).toBeCloseTo(z, 2);
+  };
+
+  test('八面体の中心は+Z、端は±X・±Y', () => {
+    expectVector(decodeOctNormal(127.5, 127.5), [0, 0, 1]);
+    expectVector(decodeOctNormal(255, 127.5), [1, 0, 0]);
+    expectVector(decodeOctNormal(0, 127.5), [-1, 0, 0]);
+    expectVector(decodeOctNormal(127.5, 255), [0, 1, 0]);
+  });
+
+  test('隅は-Z（折り返した半分）', () => {
+    expectVector(decodeOctNormal(255, 255), [0, 0, -1]);
+    expectVector(decodeOctNormal(0, 0), [0, 0, -1]);
+  });
+
+  test('単位ベクトルを返す', () => {
+    const { x, y, z } = decodeOctNormal(200, 30);
+    expect(Math.hypot(x, y, z)).toBeCloseTo(1, 6);
+    expect(z).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Raster Sampling
+ * 標高グリッドの任意の位置の標高を、画素の値から双線形補間で求める（Babylon.jsに依存しない）
+ *
+ * メッシュの三角形で補間すると対角線の向きで値が変わるため、地点の標高はグリッドから直接求める。
+ * NoDataの画素は補間から除き、残りの画素の重みで正規化する。
+ * 別のラスター（比較・基準のDEM）は、座標系が異なる場合もproj4で変換して同じ地点を標本化できる（createGridSampler）。
+ */
+
+import proj4 from 'proj4';
+
+/**
+ * @param {Object} grid - elevationData, validMask（省略可、NoDataはNaNでも可）, width, height
+ * @param {number} col - グリッド座標（列、画素中心が整数）
+ * @param {number} row - グリッド座標（行）
+ * @returns {number|null} 標高。グリッドの外側（画素の端から外）や周囲が全てNoDataの場合はnull
+ */
+export const sampleBilinear = (grid, col, row) => {
+  const { elevationData, validMask, width, height } = grid;
+  if (!(col >= -0.5 && row >= -0.5 && col <= width - 0.5 && row <= height - 0.5)) {
+    return null;
+  }
+
+  // 端の画素の外側半分は端の画素の値
+  const c = Math.min(Math.max(col, 0), width - 1);
+  const r = Math.min(Math.max(row, 0), height - 1);
+  const c0 = Math.floor(c);
+  const r0 = Math.floor(r);
+  const c1 = Math.min(c0 + 1, width - 1);
+  const r1 = Math.min(r0 + 1, height - 1);
+  const tx = c - c0;
+  const ty = r - r0;
+
+  let sum = 0;
+  let weightSum = 0;
+  const add = (cc, rr, weight) => {
+    if (weight <= 0) return;
+    const index = rr * width + cc;
+    const value = elevationData[index];
+    if ((validMask && validMask[index] !== 1) || !isFinite(value)) return;
+    sum += value * weight;
+    weightSum += weight;
+  };
+  add(c0, r0, (1 - tx) * (1 - ty));
+  add(c1, r0, tx * (1 - ty));
+  add(c0, r1, (1 - tx) * ty);
+  add(c1, r1, tx * ty);
+
+  return weightSum > 0 ? sum / weightSum : null;
+};
+
+/**
+ * 別のラスターを、指定した座標系の座標で標本化する関数
+ * 座標系が異なる場合はproj4で変換する（どちらかの座標系を解決できない場合は同じ座標系とみなす）
+ * @param {Object} grid - 標高グリッド（elevationData, validMask, width, height）
+ * @param {TerrainFrame} frame - gridの元の座標系とグリッド座標の変換
+ * @param {Object} crs - 標本化する座標の座標系
+ * @returns {Function} (x, y) → 標高（グリッドの外・NoDataはnull）
+ */
+export const createGridSampler = (grid, frame, crs) => {
+  const gridCRS = frame.crs;
+  const converter = crs && gridCRS && crs.proj4 && gridCRS.proj4 && crs.proj4 !== gridCRS.proj4
+    ? proj4(crs.proj4, gridCRS.proj4)
+    : null;
+
+  return (x, y) => {
+    const [gridX, gridY] = converter ? converter.forward([x, y]) : [x, y];
+    const { col, row } = frame.sourceToGrid(gridX, gridY);
+    return sampleBilinear(grid, col, row);
+  };
+};
+
+/**
+ * createGridSamplerで座標を変換できない組み合わせの注意（変換できる・同じ座標系の場合はnull）
+ */
+export const describeCRSMismatch = (crs, gridCRS) => {
+  if (crs && gridCRS && crs.proj4 && gridCRS.proj4) return null;
+  if (crs && gridCRS && crs.resolved && gridCRS.resolved && crs.code === gridCRS.code) return null;
+  return '座標系を変換できないため、同じ座標系とみなして比較しています';
+};
@@ -0,0 +1,88 @@
+/**
+ * Remote GeoTIFF
+ * URLで指定されたGeoTIFF/COGの事前確認（到達性・CORS・Rangeリクエスト対応）
+ */
+
+// http(s)のURLかどうかを検証し、正規化したURLを返す
+export const normalizeRemoteUrl = (input) => {
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch (e) {
+    throw new Error('URLの形式が正しくありません');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('http または https のURLを指定してください');
+  }
+  return url.href;
+};
+
+// URLからファイル名を取得（表示用）
+export const getRemoteFileName = (url) => {
+  const path = new URL(url).pathname;
+  const name = decodeURIComponent(path.substring(path.lastIndexOf('/') + 1));
+  return name || url;
+};
+
+// ファイルのバージョン（ETag、なければLast-Modified）。CORSでヘッダーが公開されていない場合はnull
+export const getRemoteVersion = (response) => {
+  return response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+};
+
+/**
+ * 先頭2バイトをRangeリクエストで取得し、サーバーの対応状況を確認
+ * 206が返ればRange対応、200の場合は全体のダウンロードが必要
+ */
+export const probeRemoteGeoTIFF = async (url, signal = null) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Range: 'bytes=0-1' },
+      signal
+    });
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    // fetchはCORSエラーとネットワークエラーを区別できない
+    const error = new Error(
+      'サーバーに接続できません。URLが正しいか、サーバーがCORS（Access-Control-Allow-Origin）を許可しているか確認してください'
+    );
+    error.name = 'NetworkError';
+    throw error;
+  }
+
+  // 本文は不要なので読み込みを中断
+  if (response.body && typeof response.body.cancel === 'function') {
+    response.body.cancel().catch(() => {});
+  }
+
+  if (response.status === 404) {
+    throw new Error(`ファイルが見つかりません (404): ${url}`);
+  }
+  if (response.status === 403) {
+    throw new Error(`ファイルへのアクセスが拒否されました (403): ${url}`);
+  }
+  if (!response.ok) {
+    throw new Error(`サーバーがエラーを返しました (${response.status} ${response.statusText})`);
+  }
+
+  const rangeSupported = response.status === 206;
+  let size = null;
+
+  if (rangeSupported) {
+    // Content-Range: bytes 0-1/12345（CORSでヘッダーが公開されていない場合はnull）
+    const contentRange = response.headers.get('Content-Range');
+    const match = contentRange && /\/(\d+)$/.exec(contentRange);
+    size = match ? parseInt(match[1], 10) : null;
+  } else {
+    const contentLength = response.headers.get('Content-Length');
+    size = contentLength ? parseInt(contentLength, 10) : null;
+  }
+
+  return {
+    url,
+    name: getRemoteFileName(url),
+    rangeSupported,
+    size,
+    version: getRemoteVersion(response)
+  };
+};
@@ -0,0 +1,172 @@
+/**
+ * Terrain Analysis
+ * 標高グリッドから派生するラスター（傾斜・斜面方位）の計算と分類
+ *
+ * 傾斜・斜面方位は頂点ごとのHorn法の勾配（Hillshade.computeHornGradients、地上の画素間隔で計算し、
+ * NoDataの近傍は反対側から外挿）から求める。標高スケールは掛けない（実際の地形の値）。
+ */
+
+export const TERRAIN_LAYERS = {
+  elevation: '標高',
+  slope: '傾斜',
+  aspect: '斜面方位'
+};
+
+export const SLOPE_UNITS = {
+  degrees: '度（°）',
+  percent: 'パーセント（%）'
+};
+
+// 斜面方位を「平坦」とする傾斜（度）。これより緩い斜面は方位が安定しない
+export const FLAT_SLOPE_DEGREES = 1;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// 傾斜の分類（下限以上・上限未満、最後の区分は上限なし）
+export const SLOPE_CLASSES = {
+  degrees: [
+    { min: 0, max: 5, label: '0〜5°', color: [0.22, 0.66, 0.31] },
+    { min: 5, max: 15, label: '5〜15°', color: [0.96, 0.87, 0.26] },
+    { min: 15, max: 30, label: '15〜30°', color: [0.96, 0.55, 0.16] },
+    { min: 30, max: Infinity, label: '30°以上', color: [0.84, 0.15, 0.16] }
+  ],
+  percent: [
+    { min: 0, max: 5, label: '0〜5%', color: [0.22, 0.66, 0.31] },
+    { min: 5, max: 15, label: '5〜15%', color: [0.65, 0.85, 0.42] },
+    { min: 15, max: 30, label: '15〜30%', color: [0.96, 0.87, 0.26] },
+    { min: 30, max: 100, label: '30〜100%', color: [0.96, 0.55, 0.16] },
+    { min: 100, max: Infinity, label: '100%以上', color: [0.84, 0.15, 0.16] }
+  ]
+};
+
+// 斜面方位の分類（平坦と8方位、下り方向の方位）
+export const ASPECT_CLASSES = [
+  { label: '平坦', color: [0.6, 0.6, 0.6] },
+  { label: '北', color: [1, 0, 0] },
+  { label: '北東', color: [1, 0.65, 0] },
+  { label: '東', color: [1, 1, 0] },
+  { label: '南東', color: [0, 1, 0] },
+  { label: '南', color: [0, 1, 1] },
+  { label: '南西', color: [0, 0.65, 1] },
+  { label: '西', color: [0, 0, 1] },
+  { label: '北西', color: [1, 0, 1] }
+];
+
+// 傾斜のヒストグラムの階級の幅と範囲（範囲を超える値は最後の階級に含める）
+const SLOPE_HISTOGRAM = {
+  degrees: { binWidth: 2, range: 90 },
+  percent: { binWidth: 5, range: 100 }
+};
+
+/**
+ * 勾配（東向き・北向き、メートル/メートル）から傾斜
+ */
+export const slopeFromGradient = (dzdx, dzdy, unit = 'degrees') => {
+  const rise = Math.sqrt(dzdx * dzdx + dzdy * dzdy);
+  return unit === 'percent' ? rise * 100 : Math.atan(rise) * RAD_TO_DEG;
+};
+
+/**
+ * 勾配から斜面方位（下り方向の方位、北から時計回り0〜360°）。平坦な場合は-1
+ */
+export const aspectFromGradient = (dzdx, dzdy) => {
+  if (slopeFromGradient(dzdx, dzdy) < FLAT_SLOPE_DEGREES) {
+    return -1;
+  }
+  const aspect = Math.atan2(-dzdx, -dzdy) * RAD_TO_DEG;
+  return aspect < 0 ? aspect + 360 : aspect;
+};
+
+export const classifySlope = (slope, unit = 'degrees') => {
+  const classes = SLOPE_CLASSES[unit];
+  const index = classes.findIndex(slopeClass => slope < slopeClass.max);
+  return index === -1 ? classes.length - 1 : index;
+};
+
+export const classifyAspect = (aspect) => {
+  if (aspect < 0) return 0;
+  // 北は337.5°〜22.5°
+  return 1 + Math.floor(((aspect + 22.5) % 360) / 45);
+};
+
+/**
+ * 表示レイヤーの分類
+ * @returns {Object|null} { title, unit, classes, classify(dzdx, dzdy) → 分類の番号 }。標高レイヤーはnull
+ */
+export const createTerrainClassifier = (layer, slopeUnit = 'degrees') => {
+  if (layer === 'slope') {
+    const unit = SLOPE_CLASSES[slopeUnit] ? slopeUnit : 'degrees';
+    return {
+      layer,
+      title: '傾斜',
+      unit,
+      classes: SLOPE_CLASSES[unit],
+      classify: (dzdx, dzdy) => classifySlope(slopeFromGradient(dzdx, dzdy, unit), unit)
+    };
+  }
+  if (layer === 'aspect') {
+    return {
+      layer,
+      title: '斜面方位',
+      unit: null,
+      classes: ASPECT_CLASSES,
+      classify: (dzdx, dzdy) => classifyAspect(aspectFromGradient(dzdx, dzdy))
+    };
+  }
+  return null;
+};
+
+/**
+ * 分類ごとの画素数の割合と、傾斜レイヤーの場合は傾斜のヒストグラム・平均・最大
+ * @param {Object} classifier - createTerrainClassifierの戻り値
+ * @param {Array} grids - { gradients, validMask, width（勾配のグリッドの列数）, countWidth, countHeight（集計する範囲） }
+ */
+export const summarizeTerrainClasses = (classifier, grids) => {
+  const classCounts = new Array(classifier.classes.length).fill(0);
+  const histogramSettings = classifier.layer === 'slope' ? SLOPE_HISTOGRAM[classifier.unit] : null;
+  const histogram = histogramSettings
+    ? new Array(Math.ceil(histogramSettings.range / histogramSettings.binWidth)).fill(0)
+    : null;
+  let total = 0;
+  let slopeSum = 0;
+  let slopeMax = 0;
+
+  for (const { gradients, validMask, width, countWidth, countHeight } of grids) {
+    for (let row = 0; row < countHeight; row++) {
+      for (let col = 0; col < countWidth; col++) {
+        const index = row * width + col;
+        if (validMask && validMask[index] !== 1) continue;
+
+        const dzdx = gradients[index * 2];
+        const dzdy = gradients[index * 2 + 1];
+        classCounts[classifier.classify(dzdx, dzdy)]++;
+        total++;
+
+        if (histogram) {
+          const slope = slopeFromGradient(dzdx, dzdy, classifier.unit);
+          const bin = Math.min(histogram.length - 1, Math.floor(slope / histogramSettings.binWidth));
+          histogram[bin]++;
+          slopeSum += slope;
+          slopeMax = Math.max(slopeMax, slope);
+        }
+      }
+    }
+  }
+
+  return {
+    title: classifier.title,
+    unit: classifier.unit,
+    total,
+    classes: classifier.classes.map((terrainClass, i) => ({
+      ...terrainClass,
+      fraction: total > 0 ? classCounts[i] / total : 0
+    })),
+    histogram: histogram && {
+      counts: histogram,
+      binWidth: histogramSettings.binWidth,
+      range: histogramSettings.range,
+      mean: total > 0 ? slopeSum / total : 0,
+      max: slopeMax
+    }
+  };
+};
@@ -0,0 +1,140 @@
+import {
+  slopeFromGradient,
+  aspectFromGradient,
+  classifySlope,
+  classifyAspect,
+  createTerrainClassifier,
+  summarizeTerrainClasses,
+  SLOPE_CLASSES,
+  ASPECT_CLASSES
+} from './TerrainAnalysis';
+import { computeHornGradients } from './Hillshade';
+
+const DEG_TO_RAD = Math.PI / 180;
+const SPACING = 10;
+
+/**
+ * 傾斜slope（度）で、方位aspect（度、北から時計回り）へ下る平面のHorn法の勾配グリッド
+ * （グリッドの外側も同じ平面が続く、隣接タイルのある範囲）
+ */
+const planeGrid = (slope, aspect, width = 6, height = 5) => {
+  const rise = Math.tan(slope * DEG_TO_RAD);
+  // 下り方向の単位ベクトル（東・北）
+  const downEast = Math.sin(aspect * DEG_TO_RAD);
+  const downNorth = Math.cos(aspect * DEG_TO_RAD);
+  const elevation = (col, row) => -rise * (downEast * col * SPACING - downNorth * row * SPACING);
+  return {
+    gradients: computeHornGradients(elevation, width, height, SPACING, SPACING),
+    validMask: null,
+    width,
+    countWidth: width,
+    countHeight: height
+  };
+};
+
+const classLabel = (classifier, grid, index) =>
+  classifier.classes[classifier.classify(grid.gradients[index * 2], grid.gradients[index * 2 + 1])].label;
+
+describe('傾斜', () => {
+  test('勾配から度・パーセント', () => {
+    expect(slopeFromGradient(1, 0)).toBeCloseTo(45, 12);
+    expect(slopeFromGradient(0, -1, 'percent')).toBeCloseTo(100, 12);
+    expect(slopeFromGradient(0.3, 0.4, 'percent')).toBeCloseTo(50, 12);
+    expect(slopeFromGradient(0, 0)).toBe(0);
+  });
+
+  test('区分は下限以上・上限未満で、最後の区分は上限なし', () => {
+    expect(classifySlope(0)).toBe(0);
+    expect(classifySlope(4.99)).toBe(0);
+    expect(classifySlope(5)).toBe(1);
+    expect(classifySlope(29.99)).toBe(2);
+    expect(classifySlope(30)).toBe(3);
+    expect(classifySlope(89)).toBe(3);
+    expect(classifySlope(99.9, 'percent')).toBe(3);
+    expect(classifySlope(250, 'percent')).toBe(SLOPE_CLASSES.percent.length - 1);
+  });
+
+  test('既知の傾斜の平面は全頂点が同じ区分', () => {
+    const classifier = createTerrainClassifier('slope');
+    for (const [slope, label] of [[3, '0〜5°'], [10, '5〜15°'], [20, '15〜30°'], [40, '30°以上']]) {
+      const grid = planeGrid(slope, 135);
+      for (let i = 0; i < grid.width * grid.countHeight; i++) {
+        expect(classLabel(classifier, grid, i)).toBe(label);
+      }
+    }
+    // 傾斜20°はtan(20°) ≈ 36%
+    expect(classLabel(createTerrainClassifier('slope', 'percent'), planeGrid(20, 135), 0)).toBe('30〜100%');
+  });
+});
+
+describe('斜面方位', () => {
+  test('下り方向の方位（北から時計回り）', () => {
+    expect(aspectFromGradient(0, -1)).toBeCloseTo(0, 12);
+    expect(aspectFromGradient(-1, 0)).toBeCloseTo(90, 12);
+    expect(aspectFromGradient(0, 1)).toBeCloseTo(180, 12);
+    expect(aspectFromGradient(1, 0)).toBeCloseTo(270, 12);
+    expect(aspectFromGradient(1, -1)).toBeCloseTo(315, 12);
+  });
+
+  test('傾斜1°未満は平坦', () => {
+    const justBelow = Math.tan(0.99 * DEG_TO_RAD);
+    const justAbove = Math.tan(1.01 * DEG_TO_RAD);
+    expect(aspectFromGradient(-justBelow, 0)).toBe(-1);
+    expect(aspectFromGradient(-justAbove, 0)).toBeCloseTo(90, 12);
+    expect(classifyAspect(-1)).toBe(0);
+  });
+
+  test('8方位の区分は各方位の±22.5°', () => {
+    expect(ASPECT_CLASSES[classifyAspect(0)].label).toBe('北');
+    expect(ASPECT_CLASSES[classifyAspect(22.4)].label).toBe('北');
+    expect(ASPECT_CLASSES[classifyAspect(22.5)].label).toBe('北東');
+    expect(ASPECT_CLASSES[classifyAspect(337.4)].label).toBe('北西');
+    expect(ASPECT_CLASSES[classifyAspect(337.5)].label).toBe('北');
+    expect(ASPECT_CLASSES[classifyAspect(359.9)].label).toBe('北');
+    expect(ASPECT_CLASSES[classifyAspect(180)].label).toBe('南');
+  });
+
+  test('既知の方位へ下る平面は全頂点が同じ区分', () => {
+    const classifier = createTerrainClassifier('aspect');
+    const directions = [[0, '北'], [45, '北東'], [90, '東'], [135, '南東'], [180, '南'], [225, '南西'], [270, '西'], [315, '北西']];
+    for (const [aspect, label] of directions) {
+      const grid = planeGrid(10, aspect);
+      for (let i = 0; i < grid.width * grid.countHeight; i++) {
+        expect(classLabel(classifier, grid, i)).toBe(label);
+      }
+    }
+    expect(classLabel(classifier, planeGrid(0.5, 90), 0)).toBe('平坦');
+  });
+});
+
+describe('集計', () => {
+  test('傾斜の区分の割合とヒストグラム・平均・最大', () => {
+    const classifier = createTerrainClassifier('slope');
+    const summary = summarizeTerrainClasses(classifier, [planeGrid(21, 90), planeGrid(3, 270, 4, 5)]);
+
+    expect(summary.total).toBe(30 + 20);
+    expect(summary.classes.map(c => c.fraction)).toEqual([20 / 50, 0, 30 / 50, 0]);
+    // 2°ごとの階級
+    expect(summary.histogram.counts[1]).toBe(20);
+    expect(summary.histogram.counts[10]).toBe(30);
+    expect(summary.histogram.mean).toBeCloseTo((20 * 3 + 30 * 21) / 50, 5);
+    expect(summary.histogram.max).toBeCloseTo(21, 5);
+  });
+
+  test('NoDataの頂点とエプロンの範囲は数えない', () => {
+    const classifier = createTerrainClassifier('aspect');
+    const grid = planeGrid(10, 180);
+    const validMask = new Uint8Array(30).fill(1);
+    validMask[0] = 0;
+    const summary = summarizeTerrainClasses(classifier, [{ ...grid, validMask, countWidth: 5, countHeight: 4 }]);
+
+    expect(summary.total).toBe(5 * 4 - 1);
+    expect(summary.classes.find(c => c.label === '南').fraction).toBe(1);
+    // 斜面方位レイヤーにはヒストグラムはない
+    expect(summary.histogram).toBeNull();
+  });
+
+  test('標高レイヤーは分類しない', () => {
+    expect(createTerrainClassifier('elevation')).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Terrain Frame
+ * ラスターのグリッド座標・元の座標系（CRS）・シーンのローカル座標（メートル）の相互変換
+ *
+ * ローカル座標はデータセット中心を原点とし、x: 東、z: 南（ラスターの行方向）、単位はメートル。
+ * 地理座標系（緯度経度）の場合はデータセット中心の接平面（ENU）に投影する。
+ */
+
+import { LocalTangentPlane } from './LocalTangentPlane';
+
+const GEOGRAPHIC_MODEL_TYPE = 2;
+
+export class TerrainFrame {
+  constructor({ bounds, width, height, crs = null, geoKeys = null }) {
+    this.bounds = bounds;
+    this.width = width;
+    this.height = height;
+    this.crs = crs;
+    this.geoKeys = geoKeys;
+
+    // ピクセルサイズ（元の座標系の単位、ピクセル中心に頂点を置く）
+    this.pixelSizeX = (bounds.maxX - bounds.minX) / width;
+    this.pixelSizeY = (bounds.maxY - bounds.minY) / height;
+
+    this.centerX = (bounds.minX + bounds.maxX) / 2;
+    this.centerY = (bounds.minY + bounds.maxY) / 2;
+
+    // 座標系が解決できない場合もGTModelTypeGeoKeyで地理座標系を判定
+    this.isGeographic = crs && crs.resolved
+      ? crs.isGeographic
+      : !!(geoKeys && geoKeys.GTModelTypeGeoKey === GEOGRAPHIC_MODEL_TYPE);
+
+    this.toMeters = crs && crs.toMeters ? crs.toMeters : 1;
+    this.tangentPlane = this.isGeographic
+      ? new LocalTangentPlane(this.centerX, this.centerY)
+      : null;
+
+    this.groundResolution = this.computeGroundResolution();
+  }
+
+  /**
+   * グリッド座標（列・行、ピクセル中心が整数）を元の座標系に変換
+   */
+  gridToSource(col, row) {
+    return {
+      x: this.bounds.minX + (col + 0.5) * this.pixelSizeX,
+      y: this.bounds.maxY - (row + 0.5) * this.pixelSizeY
+    };
+  }
+
+  /**
+   * 元の座標系をグリッド座標に変換
+   */
+  sourceToGrid(x, y) {
+    return {
+      col: (x - this.bounds.minX) / this.pixelSizeX - 0.5,
+      row: (this.bounds.maxY - y) / this.pixelSizeY - 0.5
+    };
+  }
+
+  /**
+   * 元の座標系をシーンのローカル座標（メートル）に変換
+   */
+  sourceToLocal(x, y) {
+    if (this.tangentPlane) {
+      const enu = this.tangentPlane.forward(x, y, 0);
+      return { x: enu.east, z: -enu.north };
+    }
+    return {
+      x: (x - this.centerX) * this.toMeters,
+      z: -(y - this.centerY) * this.toMeters
+    };
+  }
+
+  /**
+   * シーンのローカル座標（メートル）を元の座標系に変換
+   */
+  localToSource(x, z) {
+    if (this.tangentPlane) {
+      const { lon, lat } = this.tangentPlane.inverseHorizontal(x, -z);
+      return { x: lon, y: lat };
+    }
+    return {
+      x: this.centerX + x / this.toMeters,
+      y: this.centerY - z / this.toMeters
+    };
+  }
+
+  /**
+   * グリッド座標をシーンのローカル座標に変換
+   */
+  gridToLocal(col, row) {
+    const source = this.gridToSource(col, row);
+    return this.sourceToLocal(source.x, source.y);
+  }
+
+  /**
+   * シーンのローカル座標をグリッド座標に変換
+   */
+  localToGrid(x, z) {
+    const source = this.localToSource(x, z);
+    return this.sourceToGrid(source.x, source.y);
+  }
+
+  /**
+   * 元の座標系の範囲を覆うシーンのローカル座標の範囲（四隅の変換結果の外接矩形）
+   */
+  getLocalExtent(bounds = this.bounds) {
+    const corners = [
+      this.sourceToLocal(bounds.minX, bounds.minY),
+      this.sourceToLocal(bounds.minX, bounds.maxY),
+      this.sourceToLocal(bounds.maxX, bounds.minY),
+      this.sourceToLocal(bounds.maxX, bounds.maxY)
+    ];
+    return {
+      minX: Math.min(...corners.map(c => c.x)),
+      maxX: Math.max(...corners.map(c => c.x)),
+      minZ: Math.min(...corners.map(c => c.z)),
+      maxZ: Math.max(...corners.map(c => c.z))
+    };
+  }
+
+  /**
+   * データセット中心での地上解像度（メートル/ピクセル）
+   */
+  computeGroundResolution() {
+    const col = (this.width - 1) / 2;
+    const row = (this.height - 1) / 2;
+    const center = this.gridToLocal(col, row);
+    const right = this.gridToLocal(col + 1, row);
+    const below = this.gridToLocal(col, row + 1);
+
+    return {
+      x: Math.hypot(right.x - center.x, right.z - center.z),
+      y: Math.hypot(below.x - center.x, below.z - center.z)
+    };
+  }
+}
@@ -0,0 +1,85 @@
+import { TerrainFrame } from './TerrainFrame';
+
+const PROJECTED_CRS = { resolved: true, isGeographic: false, toMeters: 1 };
+
+describe('投影座標系', () => {
+  // 10m間隔・100×100ピクセル
+  const createFrame = (crs = PROJECTED_CRS) => new TerrainFrame({
+    bounds: { minX: 1000, maxX: 2000, minY: 5000, maxY: 6000 },
+    width: 100,
+    height: 100,
+    crs
+  });
+
+  test('グリッド座標はピクセル中心が整数で、行は北から数える', () => {
+    const frame = createFrame();
+    expect(frame.gridToSource(0, 0)).toEqual({ x: 1005, y: 5995 });
+    expect(frame.gridToSource(99, 99)).toEqual({ x: 1995, y: 5005 });
+    expect(frame.sourceToGrid(1005, 5995)).toEqual({ col: 0, row: 0 });
+    expect(frame.sourceToGrid(1500, 5500)).toEqual({ col: 49.5, row: 49.5 });
+  });
+
+  test('ローカル座標はデータセット中心が原点で、x: 東、z: 南（メートル）', () => {
+    const frame = createFrame();
+    expect(frame.sourceToLocal(1600, 5800)).toEqual({ x: 100, z: -300 });
+    expect(frame.localToSource(100, -300)).toEqual({ x: 1600, y: 5800 });
+    expect(frame.gridToLocal(0, 0)).toEqual({ x: -495, z: -495 });
+    expect(frame.localToGrid(-495, -495)).toEqual({ col: 0, row: 0 });
+    expect(frame.groundResolution).toEqual({ x: 10, y: 10 });
+  });
+
+  test('座標系の単位をメートルに換算する（米国測量フィート）', () => {
+    const frame = createFrame({ ...PROJECTED_CRS, toMeters: 1200 / 3937 });
+    expect(frame.sourceToLocal(1600, 5500).x).toBeCloseTo(30.48006, 5);
+    expect(frame.localToSource(30.48006096, 0).x).toBeCloseTo(1600, 6);
+    expect(frame.groundResolution.x).toBeCloseTo(3.048006, 6);
+  });
+});
+
+describe('地理座標系', () => {
+  // 1秒間隔・東経139〜140度・北緯35〜36度
+  const createFrame = (options = {}) => new TerrainFrame({
+    bounds: { minX: 139, maxX: 140, minY: 35, maxY: 36 },
+    width: 3600,
+    height: 3600,
+    geoKeys: { GTModelTypeGeoKey: 2 },
+    ...options
+  });
+
+  test('GTModelTypeGeoKeyで地理座標系と判定し、データセット中心の接平面に投影する', () => {
+    const frame = createFrame();
+    expect(frame.isGeographic).toBe(true);
+    expect(frame.tangentPlane.originLon).toBe(139.5);
+    expect(frame.tangentPlane.originLat).toBe(35.5);
+
+    const center = frame.sourceToLocal(139.5, 35.5);
+    expect(center.x).toBeCloseTo(0, 6);
+    expect(center.z).toBeCloseTo(0, 6);
+    // 北は-z、東は+x
+    expect(frame.sourceToLocal(139.5, 35.6).z).toBeLessThan(0);
+    expect(frame.sourceToLocal(139.6, 35.5).x).toBeGreaterThan(0);
+  });
+
+  test('解決済みの座標系はGeoKeyより優先する', () => {
+    expect(createFrame({ crs: PROJECTED_CRS }).isGeographic).toBe(false);
+    expect(createFrame({ geoKeys: null, crs: { resolved: true, isGeographic: true } }).isGeographic).toBe(true);
+  });
+
+  test('地上解像度は度ではなくメートル（北緯35.5度の1秒）', () => {
+    const { groundResolution } = createFrame();
+    // 卯酉線曲率半径 × cos35.5° × 1秒
+    expect(groundResolution.x).toBeCloseTo(25.2026, 2);
+    // 子午線曲率半径 × 1秒
+    expect(groundResolution.y).toBeCloseTo(30.8194, 2);
+  });
+
+  test('グリッド座標 → ローカル座標 → グリッド座標で元に戻る', () => {
+    const frame = createFrame();
+    for (const [col, row] of [[0, 0], [3599, 0], [0, 3599], [3599, 3599], [1234.5, 2345.25]]) {
+      const local = frame.gridToLocal(col, row);
+      const result = frame.localToGrid(local.x, local.z);
+      expect(result.col).toBeCloseTo(col, 6);
+      expect(result.row).toBeCloseTo(row, 6);
+    }
+  });
+});
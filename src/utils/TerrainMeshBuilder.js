@@ -0,0 +1,178 @@
+/**
+ * Terrain Mesh Builder
+ * 標高グリッドから地形メッシュの頂点バッファ（型付き配列）を作成
+ * Babylon.jsに依存しないため、Web Worker内でも使用可能
+ */
+
+import { TerrainFrame } from './TerrainFrame';
+import { createProgressEvent } from './LoadProgress';
+import { computeHornGradients } from './Hillshade';
+
+export class TerrainMeshBuilder {
+  /**
+   * 頂点バッファを作成
+   * 高さ（Y）は標高そのもの（メートル）で、標高スケールはメッシュのscalingで適用する
+   *
+   * @param {Object} terrain - elevationData, validMask, width, height, bounds, crs, geoKeys, minElevation
+   * @param {Object} options - noDataMode ('hole' | 'fill'), noDataFillValue, onProgress,
+   *   sceneFrame（複数ファイルを並べる場合の共通フレーム { bounds, width, height, crs, geoKeys }、省略時はファイル自身）
+   */
+  build(terrain, options = {}) {
+    const { elevationData, validMask, width, height, minElevation } = terrain;
+    const frame = new TerrainFrame(terrain);
+    const sceneFrame = options.sceneFrame ? new TerrainFrame(options.sceneFrame) : frame;
+
+    // NoDataセルの表示方法（'hole': 穴として表示, 'fill': 指定標高で埋める）
+    const renderHoles = options.noDataMode !== 'fill';
+    const fillElevation = isFinite(options.noDataFillValue) ? options.noDataFillValue : minElevation;
+    const isValid = (index) => !validMask || validMask[index] === 1;
+
+    const vertexCount = width * height;
+    const positions = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+
+    const reportProgress = (percent) => {
+      if (options.onProgress) {
+        options.onProgress(createProgressEvent('mesh', percent));
+      }
+    };
+    const progressInterval = Math.max(1, Math.floor(height / 20));
+    reportProgress(0);
+
+    // 頂点の生成（GeoTIFFの実際の値を使用）
+    for (let y = 0; y < height; y++) {
+      if (y % progressInterval === 0) {
+        reportProgress(y / height * 70);
+      }
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+
+        // NoDataセルは穴の場合は最小値（三角形を生成しない）、埋める場合は指定標高を使用
+        const elevation = isValid(index)
+          ? elevationData[index]
+          : (renderHoles ? minElevation : fillElevation);
+
+        const source = frame.gridToSource(x, y);
+        const local = sceneFrame.sourceToLocal(source.x, source.y);
+        positions[index * 3] = local.x;
+        positions[index * 3 + 1] = elevation;
+        positions[index * 3 + 2] = local.z;
+
+        uvs[index * 2] = x / (width - 1);
+        uvs[index * 2 + 1] = y / (height - 1);
+      }
+    }
+
+    // インデックスの生成（NoDataを含む三角形は穴の場合に除外）
+    const maxIndexCount = (width - 1) * (height - 1) * 6;
+    const indexBuffer = new Uint32Array(maxIndexCount);
+    let indexCount = 0;
+
+    for (let y = 0; y < height - 1; y++) {
+      for (let x = 0; x < width - 1; x++) {
+        const topLeft = y * width + x;
+        const topRight = topLeft + 1;
+        const bottomLeft = (y + 1) * width + x;
+        const bottomRight = bottomLeft + 1;
+
+        // 最初の三角形（時計回り）
+        if (!renderHoles || (isValid(topLeft) && isValid(topRight) && isValid(bottomLeft))) {
+          indexBuffer[indexCount++] = topLeft;
+          indexBuffer[indexCount++] = topRight;
+          indexBuffer[indexCount++] = bottomLeft;
+        }
+        // 2番目の三角形（時計回り）
+        if (!renderHoles || (isValid(topRight) && isValid(bottomRight) && isValid(bottomLeft))) {
+          indexBuffer[indexCount++] = topRight;
+          indexBuffer[indexCount++] = bottomRight;
+          indexBuffer[indexCount++] = bottomLeft;
+        }
+      }
+    }
+
+    const indices = indexCount === maxIndexCount ? indexBuffer : indexBuffer.slice(0, indexCount);
+    reportProgress(80);
+    const normals = this.computeNormals(positions, indices, vertexCount);
+    reportProgress(90);
+
+    // 陰影起伏用のHorn法の勾配（NoDataの近傍は中心の値で補う）
+    const sample = (x, y) => {
+      if (x < 0 || y < 0 || x >= width || y >= height) return NaN;
+      const index = y * width + x;
+      return isValid(index) ? elevationData[index] : NaN;
+    };
+    const gradients = computeHornGradients(sample, width, height, frame.groundResolution.x, frame.groundResolution.y);
+    reportProgress(100);
+
+    return {
+      positions,
+      indices,
+      normals,
+      uvs,
+      gradients,
+      groundResolution: frame.groundResolution,
+      isGeographic: frame.isGeographic
+    };
+  }
+
+  /**
+   * 面法線を頂点ごとに合算して法線を計算（VertexData.ComputeNormalsと同じ向き）
+   */
+  computeNormals(positions, indices, vertexCount) {
+    const normals = new Float32Array(vertexCount * 3);
+
+    for (let i = 0; i < indices.length; i += 3) {
+      const a = indices[i] * 3;
+      const b = indices[i + 1] * 3;
+      const c = indices[i + 2] * 3;
+
+      // (p0 - p1) × (p2 - p1)
+      const ux = positions[a] - positions[b];
+      const uy = positions[a + 1] - positions[b + 1];
+      const uz = positions[a + 2] - positions[b + 2];
+      const vx = positions[c] - positions[b];
+      const vy = positions[c + 1] - positions[b + 1];
+      const vz = positions[c + 2] - positions[b + 2];
+
+      let nx = uy * vz - uz * vy;
+      let ny = uz * vx - ux * vz;
+      let nz = ux * vy - uy * vx;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+      nx /= length;
+      ny /= length;
+      nz /= length;
+
+      for (const index of [a, b, c]) {
+        normals[index] += nx;
+        normals[index + 1] += ny;
+        normals[index + 2] += nz;
+      }
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+      const length = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+      if (length > 0) {
+        normals[i] /= length;
+        normals[i + 1] /= length;
+        normals[i + 2] /= length;
+      } else {
+        normals[i + 1] = 1;
+      }
+    }
+
+    return normals;
+  }
+
+  /**
+   * Workerから転送する型付き配列のバッファ一覧
+   */
+  static getTransferables(geometry) {
+    return [
+      geometry.positions.buffer,
+      geometry.indices.buffer,
+      geometry.normals.buffer,
+      geometry.uvs.buffer,
+      geometry.gradients.buffer
+    ];
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Terrain Picker
+ * マウスの位置の地形をscene.pickで求め、カーソルの移動時とクリック時に地点の情報を通知
+ *
+ * 大きな地形メッシュのピッキングは重いため、カーソルの移動中は描画フレームごとに1回だけピッキングする。
+ * クリックはドラッグ（カメラの回転）と区別するため、BabylonのPOINTERTAPで判定する。
+ */
+
+import { PointerEventTypes } from '@babylonjs/core';
+
+export class TerrainPicker {
+  /**
+   * @param {Scene} scene
+   * @param {Object} options
+   * @param {Function} options.predicate - ピッキングの対象のメッシュか
+   * @param {Function} options.resolvePoint - (pickInfo) → 地点の情報（createPointInfo、求められない場合はnull）
+   * @param {Function} options.onMove - (point) カーソルの移動時（地形の外ではnull）
+   * @param {Function} options.onPick - (point) 地形をクリックした時
+   */
+  constructor(scene, { predicate, resolvePoint, onMove, onPick }) {
+    this.scene = scene;
+    this.predicate = predicate;
+    this.resolvePoint = resolvePoint;
+    this.onMove = onMove;
+    this.onPick = onPick;
+    this.frameRequest = null;
+
+    this.observer = scene.onPointerObservable.add(
+      (pointerInfo) => this.handlePointer(pointerInfo),
+      PointerEventTypes.POINTERMOVE | PointerEventTypes.POINTERTAP
+    );
+
+    // キャンバスの外に出たら表示を消す
+    this.canvas = scene.getEngine().getRenderingCanvas();
+    this.handleLeave = () => {
+      this.cancelFrame();
+      this.onMove(null);
+    };
+    this.canvas.addEventListener('pointerleave', this.handleLeave);
+  }
+
+  handlePointer(pointerInfo) {
+    if (pointerInfo.type === PointerEventTypes.POINTERTAP) {
+      const point = this.pick();
+      if (point && this.onPick) {
+        this.onPick(point);
+      }
+      return;
+    }
+
+    if (this.frameRequest !== null) return;
+    this.frameRequest = requestAnimationFrame(() => {
+      this.frameRequest = null;
+      this.onMove(this.pick());
+    });
+  }
+
+  /**
+   * 現在のカーソル位置の地点
+   */
+  pick() {
+    const { scene } = this;
+    const pickInfo = scene.pick(scene.pointerX, scene.pointerY, this.predicate);
+    return pickInfo && pickInfo.hit ? this.resolvePoint(pickInfo) : null;
+  }
+
+  cancelFrame() {
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  dispose() {
+    this.cancelFrame();
+    this.scene.onPointerObservable.remove(this.observer);
+    this.canvas.removeEventListener('pointerleave', this.handleLeave);
+  }
+}
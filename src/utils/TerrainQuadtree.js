@@ -0,0 +1,137 @@
+/**
+ * Terrain Quadtree
+ * 地形タイルの四分木タイリング（ノードの範囲・幾何誤差・スクリーンスペース誤差の計算）
+ *
+ * 座標はシーンのローカル座標（メートル、x: 東、z: 南）。
+ * レベル0のルートが全体を覆う正方形で、レベルが1上がるごとに4分割される。
+ * ノードのxは西から東、zは北から南（z座標の小さい方から）に数える。
+ */
+
+export class TerrainQuadtree {
+  /**
+   * @param {Object} options
+   * @param {Object} options.extent - ルートの範囲 { minX, maxX, minZ, maxZ }（正方形でなければ長辺に合わせる）
+   * @param {number} options.maxLevel - 最大レベル
+   * @param {number} options.tileSize - タイルの一辺の頂点数
+   */
+  constructor({ extent, maxLevel, tileSize }) {
+    const size = Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ);
+    const centerX = (extent.minX + extent.maxX) / 2;
+    const centerZ = (extent.minZ + extent.maxZ) / 2;
+
+    this.minX = centerX - size / 2;
+    this.minZ = centerZ - size / 2;
+    this.size = size;
+    this.maxLevel = maxLevel;
+    this.tileSize = tileSize;
+    this.rootLevel = 0;
+  }
+
+  /**
+   * 最も細かいレベルの頂点間隔が目標の地上解像度以下になる最大レベルを計算
+   */
+  static levelForResolution(size, tileSize, resolution) {
+    const rootSpacing = size / (tileSize - 1);
+    return Math.max(0, Math.ceil(Math.log2(rootSpacing / resolution)));
+  }
+
+  getRoot() {
+    return this.createNode(0, 0, 0);
+  }
+
+  /**
+   * 全体を覆うルートノードの一覧（タイル分割によってはルートが複数になる）
+   */
+  getRoots() {
+    return [this.getRoot()];
+  }
+
+  createNode(level, x, z) {
+    const tileExtent = this.size / Math.pow(2, level);
+    const minX = this.minX + x * tileExtent;
+    const minZ = this.minZ + z * tileExtent;
+
+    return {
+      level,
+      x,
+      z,
+      key: `${level}/${x}/${z}`,
+      bbox: {
+        minX,
+        maxX: minX + tileExtent,
+        minZ,
+        maxZ: minZ + tileExtent,
+        centerX: minX + tileExtent / 2,
+        centerZ: minZ + tileExtent / 2
+      }
+    };
+  }
+
+  getChildren(node) {
+    const level = node.level + 1;
+    const x = node.x * 2;
+    const z = node.z * 2;
+
+    return [
+      this.createNode(level, x, z),
+      this.createNode(level, x + 1, z),
+      this.createNode(level, x, z + 1),
+      this.createNode(level, x + 1, z + 1)
+    ];
+  }
+
+  getParent(node) {
+    if (node.level <= this.rootLevel) return null;
+    return this.createNode(node.level - 1, Math.floor(node.x / 2), Math.floor(node.z / 2));
+  }
+
+  /**
+   * nodeがancestorの子孫かどうか
+   */
+  isDescendant(node, ancestor) {
+    const depth = node.level - ancestor.level;
+    if (depth <= 0) return false;
+    return Math.floor(node.x / Math.pow(2, depth)) === ancestor.x
+      && Math.floor(node.z / Math.pow(2, depth)) === ancestor.z;
+  }
+
+  /**
+   * ノードの幾何誤差（メートル）: 頂点間隔で近似
+   * 頂点間の地形の起伏はこの間隔より細かく表現できない
+   */
+  getGeometricError(node) {
+    return (node.bbox.maxX - node.bbox.minX) / (this.tileSize - 1);
+  }
+
+  /**
+   * カメラからノードのバウンディングボックスまでの最短距離（メートル、内側にいる場合は0）
+   * @param {Object} heightRange - ノードの標高範囲 { min, max }（シーン座標、標高スケール適用済み）
+   */
+  distanceToNode(node, cameraPosition, heightRange) {
+    const { bbox } = node;
+    const dx = Math.max(bbox.minX - cameraPosition.x, 0, cameraPosition.x - bbox.maxX);
+    const dy = Math.max(heightRange.min - cameraPosition.y, 0, cameraPosition.y - heightRange.max);
+    const dz = Math.max(bbox.minZ - cameraPosition.z, 0, cameraPosition.z - bbox.maxZ);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * スクリーンスペース誤差（ピクセル）
+   * カメラからノードのバウンディングボックスまでの最短距離、垂直画角、描画領域の高さから計算
+   *
+   * @param {Object} node
+   * @param {Vector3} cameraPosition
+   * @param {Object} heightRange - ノードの標高範囲 { min, max }（シーン座標、標高スケール適用済み）
+   * @param {Object} viewport - { height: 描画領域の高さ（px）, fov: 垂直画角（rad） }
+   */
+  computeScreenSpaceError(node, cameraPosition, heightRange, viewport) {
+    const distance = this.distanceToNode(node, cameraPosition, heightRange);
+
+    if (distance === 0) {
+      return Infinity;
+    }
+
+    const pixelsPerMeter = viewport.height / (2 * distance * Math.tan(viewport.fov / 2));
+    return this.getGeometricError(node) * pixelsPerMeter;
+  }
+}
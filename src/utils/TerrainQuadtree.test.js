@@ -0,0 +1,79 @@
+import { TerrainQuadtree } from './TerrainQuadtree';
+
+// 一辺1024mの正方形、タイルの一辺65頂点（ルートの頂点間隔16m）
+const createQuadtree = (extent = { minX: 0, maxX: 1024, minZ: 0, maxZ: 1024 }) =>
+  new TerrainQuadtree({ extent, maxLevel: 6, tileSize: 65 });
+
+describe('ノードの範囲', () => {
+  test('レベルが1上がるごとに4分割し、xは西から、zは北から数える', () => {
+    const quadtree = createQuadtree();
+    expect(quadtree.getRoot().bbox).toEqual({ minX: 0, maxX: 1024, minZ: 0, maxZ: 1024, centerX: 512, centerZ: 512 });
+
+    const node = quadtree.createNode(2, 1, 3);
+    expect(node.key).toBe('2/1/3');
+    expect(node.bbox).toEqual({ minX: 256, maxX: 512, minZ: 768, maxZ: 1024, centerX: 384, centerZ: 896 });
+  });
+
+  test('正方形でない範囲は長辺に合わせ、中心をそろえる', () => {
+    const quadtree = createQuadtree({ minX: 0, maxX: 2000, minZ: 100, maxZ: 600 });
+    expect(quadtree.getRoot().bbox).toMatchObject({ minX: 0, maxX: 2000, minZ: -650, maxZ: 1350 });
+  });
+
+  test('子・親・子孫', () => {
+    const quadtree = createQuadtree();
+    const node = quadtree.createNode(1, 1, 0);
+    expect(quadtree.getChildren(node).map(child => child.key)).toEqual(['2/2/0', '2/3/0', '2/2/1', '2/3/1']);
+    expect(quadtree.getParent(quadtree.createNode(3, 5, 2)).key).toBe('2/2/1');
+    expect(quadtree.getParent(quadtree.getRoot())).toBeNull();
+
+    expect(quadtree.isDescendant(quadtree.createNode(3, 7, 1), node)).toBe(true);
+    expect(quadtree.isDescendant(quadtree.createNode(3, 3, 1), node)).toBe(false);
+    expect(quadtree.isDescendant(node, node)).toBe(false);
+  });
+});
+
+describe('幾何誤差とスクリーンスペース誤差', () => {
+  // 描画領域の高さ1000px、垂直画角 2·atan(0.5)（距離1000mで1px = 1m）
+  const viewport = { height: 1000, fov: 2 * Math.atan(0.5) };
+  const heightRange = { min: 0, max: 100 };
+
+  test('幾何誤差はノードの頂点間隔', () => {
+    const quadtree = createQuadtree();
+    expect(quadtree.getGeometricError(quadtree.getRoot())).toBe(16);
+    expect(quadtree.getGeometricError(quadtree.createNode(2, 0, 0))).toBe(4);
+  });
+
+  test('既知の距離・画角・描画領域の高さでのスクリーンスペース誤差', () => {
+    const quadtree = createQuadtree();
+    const root = quadtree.getRoot();
+
+    // 距離1000mで1px = 1m → 幾何誤差16mは16px
+    expect(quadtree.computeScreenSpaceError(root, { x: 512, y: 1100, z: 512 }, heightRange, viewport)).toBeCloseTo(16, 9);
+    // 距離が2倍なら半分
+    expect(quadtree.computeScreenSpaceError(root, { x: 512, y: 2100, z: 512 }, heightRange, viewport)).toBeCloseTo(8, 9);
+    // 描画領域が2倍の高さなら2倍
+    expect(quadtree.computeScreenSpaceError(root, { x: 512, y: 1100, z: 512 }, heightRange, { ...viewport, height: 2000 }))
+      .toBeCloseTo(32, 9);
+    // 画角が広いほど小さい（tan(fov/2) = 1 → 半分）
+    expect(quadtree.computeScreenSpaceError(root, { x: 512, y: 1100, z: 512 }, heightRange, { ...viewport, fov: Math.PI / 2 }))
+      .toBeCloseTo(8, 9);
+    // 距離はバウンディングボックスまでの最短距離（東に300m・北に400m離れた、標高範囲内の高さ → 500m）
+    expect(quadtree.computeScreenSpaceError(root, { x: 1324, y: 50, z: -400 }, heightRange, viewport)).toBeCloseTo(32, 9);
+    // 子は頂点間隔が半分なので誤差も半分
+    const child = quadtree.createNode(1, 0, 0);
+    expect(quadtree.computeScreenSpaceError(child, { x: 0, y: 1100, z: 0 }, heightRange, viewport)).toBeCloseTo(8, 9);
+  });
+
+  test('カメラがバウンディングボックスの内側にある場合は無限大（必ず詳細化）', () => {
+    const quadtree = createQuadtree();
+    expect(quadtree.computeScreenSpaceError(quadtree.getRoot(), { x: 10, y: 50, z: 10 }, heightRange, viewport)).toBe(Infinity);
+  });
+});
+
+test('最も細かいレベルの頂点間隔が地上解像度以下になるレベル', () => {
+  // 65536m ÷ 64 = 1024m → 1mには10回の分割
+  expect(TerrainQuadtree.levelForResolution(65536, 65, 1)).toBe(10);
+  expect(TerrainQuadtree.levelForResolution(65536, 65, 1.5)).toBe(10);
+  expect(TerrainQuadtree.levelForResolution(1024, 65, 16)).toBe(0);
+  expect(TerrainQuadtree.levelForResolution(1024, 65, 100)).toBe(0);
+});
@@ -0,0 +1,65 @@
+/**
+ * Terrain RGB
+ * 標高をRGBに符号化したPNGタイル（Mapbox Terrain-RGB・Terrarium）の復号
+ */
+
+export const TERRAIN_ENCODINGS = {
+  // height = -10000 + (R × 256² + G × 256 + B) × 0.1
+  'terrain-rgb': {
+    label: 'Terrain-RGB（Mapbox）',
+    decode: (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1
+  },
+  // height = (R × 256 + G + B / 256) - 32768
+  terrarium: {
+    label: 'Terrarium（Mapzen）',
+    decode: (r, g, b) => r * 256 + g + b / 256 - 32768
+  }
+};
+
+/**
+ * RGBAの画素を標高（Float32、透明な画素はNaN）に変換
+ */
+export const decodeTerrainPixels = (rgba, encoding) => {
+  const definition = TERRAIN_ENCODINGS[encoding];
+  if (!definition) {
+    throw new Error(`対応していない標高タイルの形式です: ${encoding}`);
+  }
+
+  const heights = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < heights.length; i++) {
+    const offset = i * 4;
+    heights[i] = rgba[offset + 3] === 0
+      ? NaN
+      : definition.decode(rgba[offset], rgba[offset + 1], rgba[offset + 2]);
+  }
+  return heights;
+};
+
+/**
+ * PNGを復号して標高に変換
+ * 色空間の変換やアルファの乗算で画素値が変わると標高が壊れるため、どちらも無効にして読み込む
+ */
+export const decodeTerrainImage = async (blob, encoding) => {
+  const bitmap = await createImageBitmap(blob, {
+    premultiplyAlpha: 'none',
+    colorSpaceConversion: 'none'
+  });
+
+  try {
+    const { width, height } = bitmap;
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    return {
+      elevationData: decodeTerrainPixels(data, encoding),
+      width,
+      height
+    };
+  } finally {
+    bitmap.close();
+  }
+};
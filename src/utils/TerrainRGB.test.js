@@ -0,0 +1,46 @@
+import { decodeTerrainPixels, TERRAIN_ENCODINGS } from './TerrainRGB';
+
+const pixels = (...colors) => new Uint8ClampedArray(colors.flat());
+
+describe('decodeTerrainPixels', () => {
+  test('Terrain-RGBの基準の画素', () => {
+    // 0m = (10000 / 0.1) = 100000 = 1 × 65536 + 134 × 256 + 160
+    const heights = decodeTerrainPixels(pixels(
+      [1, 134, 160, 255],
+      [0, 0, 0, 255],
+      [255, 255, 255, 255],
+      [1, 137, 176, 255]
+    ), 'terrain-rgb');
+    expect(heights[0]).toBeCloseTo(0, 3);
+    expect(heights[1]).toBeCloseTo(-10000, 3);
+    expect(heights[2]).toBeCloseTo(1667721.5, 0);
+    // 1 × 65536 + 137 × 256 + 176 = 100784 → 78.4m
+    expect(heights[3]).toBeCloseTo(78.4, 3);
+  });
+
+  test('Terrariumの基準の画素', () => {
+    const heights = decodeTerrainPixels(pixels(
+      [128, 0, 0, 255],
+      [0, 0, 0, 255],
+      [131, 232, 128, 255],
+      [127, 255, 128, 255]
+    ), 'terrarium');
+    expect(heights[0]).toBe(0);
+    expect(heights[1]).toBe(-32768);
+    // 3 × 256 + 232 + 0.5 = 1000.5
+    expect(heights[2]).toBe(1000.5);
+    expect(heights[3]).toBe(-0.5);
+  });
+
+  test('透明な画素はNaN', () => {
+    for (const encoding of Object.keys(TERRAIN_ENCODINGS)) {
+      const heights = decodeTerrainPixels(pixels([128, 0, 0, 0], [128, 0, 0, 1]), encoding);
+      expect(heights[0]).toBeNaN();
+      expect(heights[1]).not.toBeNaN();
+    }
+  });
+
+  test('対応していない形式はエラー', () => {
+    expect(() => decodeTerrainPixels(pixels([0, 0, 0, 255]), 'png')).toThrow('対応していない標高タイルの形式です');
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Terrain Tile Mesh Builder
+ * 動的地形のタイル用の頂点バッファを作成（Babylon.jsに依存しない）
+ *
+ * タイル境界の継ぎ目対策:
+ * - 法線: タイルの外側1サンプル分（エプロン）を含めて中心差分で計算し、隣接タイルと境界の法線を一致させる
+ * - スカート: 境界の頂点から下向きに垂れ下がる面を追加し、詳細レベルの異なる隣接タイル間の
+ *   T字接合部の隙間を隠す
+ * 三角形分割済みのタイル（quantized-mesh）は頂点をそのまま使い、辺の頂点にスカートを追加する（buildFromMesh）。
+ * 陰影起伏用の勾配は、グリッドのタイルはエプロンを含めたHorn法、三角形分割済みのタイルは頂点法線から求める。
+ */
+
+import { hornGradient, gradientsFromNormals } from './Hillshade';
+
+export class TerrainTileMeshBuilder {
+  /**
+   * @param {Object} tileData
+   * @param {Float32Array} tileData.elevationData - エプロンを含むサンプル（NoDataはNaN）
+   * @param {number} tileData.width - エプロンを含む列数
+   * @param {number} tileData.height - エプロンを含む行数
+   * @param {Object} tileData.bbox - エプロンを含むサンプル範囲 { minX, maxX, minZ, maxZ }
+   * @param {number} tileData.apron - エプロンのサンプル数（0または1）
+   * @param {Object} options - skirtDepth（メートル、nullの場合は境界の起伏から自動計算）
+   */
+  build(tileData, options = {}) {
+    const { elevationData, bbox } = tileData;
+    const apron = tileData.apron || 0;
+    const gridWidth = tileData.width;
+    const gridHeight = tileData.height;
+    const width = gridWidth - apron * 2;
+    const height = gridHeight - apron * 2;
+
+    const spacingX = (bbox.maxX - bbox.minX) / (gridWidth - 1);
+    const spacingZ = (bbox.maxZ - bbox.minZ) / (gridHeight - 1);
+
+    // サンプル（エプロンを含むグリッド座標）の取得
+    const sample = (col, row) => {
+      if (col < 0 || row < 0 || col >= gridWidth || row >= gridHeight) return NaN;
+      return elevationData[row * gridWidth + col];
+    };
+    const elevationAt = (x, y) => sample(x + apron, y + apron);
+
+    // 標高範囲（タイル内部のみ、NoDataは除外）
+    let minElevation = Infinity;
+    let maxElevation = -Infinity;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = elevationAt(x, y);
+        if (isNaN(value)) continue;
+        if (value < minElevation) minElevation = value;
+        if (value > maxElevation) maxElevation = value;
+      }
+    }
+
+    const skirtDepth = options.skirtDepth !== null && options.skirtDepth !== undefined
+      ? options.skirtDepth
+      : this.estimateSkirtDepth(elevationAt, width, height, Math.max(spacingX, spacingZ));
+
+    // 境界の頂点ごとにスカートの頂点を1つ追加
+    const vertexCount = width * height;
+    const borderCount = (width + height - 2) * 2;
+    const positions = new Float32Array((vertexCount + borderCount) * 3);
+    const normals = new Float32Array((vertexCount + borderCount) * 3);
+    const uvs = new Float32Array((vertexCount + borderCount) * 2);
+    const gradients = new Float32Array((vertexCount + borderCount) * 2);
+    const indices = [];
+
+    const isValid = (index) => !isNaN(elevationData[
+      (Math.floor(index / width) + apron) * gridWidth + (index % width) + apron
+    ]);
+
+    // 頂点と法線の生成
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const elevation = elevationAt(x, y);
+
+        // ワールド座標（NoDataの頂点は三角形に使わない）
+        positions[index * 3] = bbox.minX + (x + apron) * spacingX;
+        positions[index * 3 + 1] = isNaN(elevation) ? minElevation : elevation;
+        positions[index * 3 + 2] = bbox.minZ + (y + apron) * spacingZ;
+
+        const normal = this.computeNormal(sample, x + apron, y + apron, spacingX, spacingZ);
+        normals[index * 3] = normal.x;
+        normals[index * 3 + 1] = normal.y;
+        normals[index * 3 + 2] = normal.z;
+
+        const gradient = hornGradient(sample, x + apron, y + apron, spacingX, spacingZ);
+        gradients[index * 2] = gradient.dzdx;
+        gradients[index * 2 + 1] = gradient.dzdy;
+
+        uvs[index * 2] = x / (width - 1);
+        uvs[index * 2 + 1] = y / (height - 1);
+      }
+    }
+
+    // インデックスの生成
+    for (let y = 0; y < height - 1; y++) {
+      for (let x = 0; x < width - 1; x++) {
+        const topLeft = y * width + x;
+        const topRight = topLeft + 1;
+        const bottomLeft = (y + 1) * width + x;
+        const bottomRight = bottomLeft + 1;
+
+        // 最初の三角形
+        if (isValid(topLeft) && isValid(topRight) && isValid(bottomLeft)) {
+          indices.push(topLeft, topRight, bottomLeft);
+        }
+        // 2番目の三角形
+        if (isValid(topRight) && isValid(bottomRight) && isValid(bottomLeft)) {
+          indices.push(topRight, bottomRight, bottomLeft);
+        }
+      }
+    }
+
+    // スカートの生成（境界を一周し、外向きの面になるよう向きを揃える）
+    const perimeter = this.getPerimeter(width, height);
+    const skirtStart = vertexCount;
+
+    perimeter.forEach((index, i) => {
+      const skirtIndex = skirtStart + i;
+      positions[skirtIndex * 3] = positions[index * 3];
+      positions[skirtIndex * 3 + 1] = positions[index * 3 + 1] - skirtDepth;
+      positions[skirtIndex * 3 + 2] = positions[index * 3 + 2];
+      normals.set(normals.subarray(index * 3, index * 3 + 3), skirtIndex * 3);
+      uvs.set(uvs.subarray(index * 2, index * 2 + 2), skirtIndex * 2);
+      gradients.set(gradients.subarray(index * 2, index * 2 + 2), skirtIndex * 2);
+    });
+
+    const centerX = (bbox.minX + bbox.maxX) / 2;
+    const centerZ = (bbox.minZ + bbox.maxZ) / 2;
+
+    for (let i = 0; i < perimeter.length; i++) {
+      const next = (i + 1) % perimeter.length;
+      const top0 = perimeter[i];
+      const top1 = perimeter[next];
+      if (!isValid(top0) || !isValid(top1)) continue;
+
+      const bottom0 = skirtStart + i;
+      const bottom1 = skirtStart + next;
+
+      // 境界の辺の中点からタイル中心と反対向きが外側
+      const outwardX = (positions[top0 * 3] + positions[top1 * 3]) / 2 - centerX;
+      const outwardZ = (positions[top0 * 3 + 2] + positions[top1 * 3 + 2]) / 2 - centerZ;
+
+      if (this.faceNormalDot(positions, top0, top1, bottom0, outwardX, outwardZ) >= 0) {
+        indices.push(top0, top1, bottom0, top1, bottom1, bottom0);
+      } else {
+        indices.push(top0, bottom0, top1, top1, bottom0, bottom1);
+      }
+    }
+
+    return {
+      positions,
+      indices: vertexCount + borderCount > 65535 ? new Uint32Array(indices) : new Uint16Array(indices),
+      normals,
+      uvs,
+      gradients,
+      minElevation,
+      maxElevation,
+      skirtDepth
+    };
+  }
+
+  /**
+   * 三角形分割済みのメッシュ（quantized-meshなど）から頂点バッファを作成
+   * 頂点は再分割せず、東西南北の辺の頂点にスカートを追加する
+   *
+   * @param {Object} mesh
+   * @param {Float32Array} mesh.positions - 頂点（シーンのローカル座標 x, 標高, z）
+   * @param {Float32Array|null} mesh.normals - 頂点法線（nullの場合は面法線から計算）
+   * @param {Float32Array} mesh.uvs - テクスチャ座標
+   * @param {Uint16Array|Uint32Array} mesh.indices - 三角形のインデックス
+   * @param {Object} mesh.edges - 辺の頂点インデックス { west, south, east, north }
+   * @param {Float32Array|null} mesh.colors - 頂点色（RGBA、省略可）
+   * @param {number} mesh.skirtDepth - スカートの深さの既定値（メートル）
+   * @param {Object} options - skirtDepth（メートル、nullの場合はmesh.skirtDepth）
+   */
+  buildFromMesh(mesh, options = {}) {
+    const vertexCount = mesh.positions.length / 3;
+    const edges = this.sortEdges(mesh.positions, mesh.edges);
+    const edgeVertexCount = Object.values(edges).reduce((total, edge) => total + edge.length, 0);
+    const totalCount = vertexCount + edgeVertexCount;
+
+    const positions = new Float32Array(totalCount * 3);
+    const uvs = new Float32Array(totalCount * 2);
+    const colors = mesh.colors ? new Float32Array(totalCount * 4) : null;
+    positions.set(mesh.positions);
+    uvs.set(mesh.uvs);
+    if (colors) colors.set(mesh.colors);
+
+    // 三角形の向きをグリッドのタイルと揃える（面法線が上向き）
+    const indices = Array.from(mesh.indices);
+    let upward = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+      upward += this.faceNormal(positions, indices[i], indices[i + 1], indices[i + 2]).y;
+    }
+    if (upward < 0) {
+      for (let i = 0; i < indices.length; i += 3) {
+        const swap = indices[i + 1];
+        indices[i + 1] = indices[i + 2];
+        indices[i + 2] = swap;
+      }
+    }
+
+    const normals = new Float32Array(totalCount * 3);
+    normals.set(mesh.normals || this.computeVertexNormals(positions, indices, vertexCount));
+
+    let minElevation = mesh.minElevation;
+    let maxElevation = mesh.maxElevation;
+    if (minElevation === undefined || maxElevation === undefined) {
+      minElevation = Infinity;
+      maxElevation = -Infinity;
+      for (let i = 0; i < vertexCount; i++) {
+        minElevation = Math.min(minElevation, positions[i * 3 + 1]);
+        maxElevation = Math.max(maxElevation, positions[i * 3 + 1]);
+      }
+    }
+
+    const skirtDepth = options.skirtDepth !== null && options.skirtDepth !== undefined
+      ? options.skirtDepth
+      : mesh.skirtDepth;
+
+    // スカートの生成（辺ごとに外向きの面になるよう向きを揃える）
+    const outwards = {
+      west: [-1, 0],
+      east: [1, 0],
+      south: [0, 1],
+      north: [0, -1]
+    };
+    let skirtIndex = vertexCount;
+
+    for (const [name, edge] of Object.entries(edges)) {
+      const [outwardX, outwardZ] = outwards[name];
+      const start = skirtIndex;
+
+      for (const index of edge) {
+        positions[skirtIndex * 3] = positions[index * 3];
+        positions[skirtIndex * 3 + 1] = positions[index * 3 + 1] - skirtDepth;
+        positions[skirtIndex * 3 + 2] = positions[index * 3 + 2];
+        normals.set(normals.subarray(index * 3, index * 3 + 3), skirtIndex * 3);
+        uvs.set(uvs.subarray(index * 2, index * 2 + 2), skirtIndex * 2);
+        if (colors) colors.set(colors.subarray(index * 4, index * 4 + 4), skirtIndex * 4);
+        skirtIndex++;
+      }
+
+      for (let i = 0; i < edge.length - 1; i++) {
+        const top0 = edge[i];
+        const top1 = edge[i + 1];
+        const bottom0 = start + i;
+        const bottom1 = start + i + 1;
+
+        if (this.faceNormalDot(positions, top0, top1, bottom0, outwardX, outwardZ) >= 0) {
+          indices.push(top0, top1, bottom0, top1, bottom1, bottom0);
+        } else {
+          indices.push(top0, bottom0, top1, top1, bottom0, bottom1);
+        }
+      }
+    }
+
+    return {
+      positions,
+      indices: totalCount > 65535 ? new Uint32Array(indices) : new Uint16Array(indices),
+      normals,
+      uvs,
+      gradients: gradientsFromNormals(normals),
+      colors,
+      minElevation,
+      maxElevation,
+      skirtDepth
+    };
+  }
+
+  /**
+   * 辺の頂点を辺に沿った順に並べる（東西の辺はz、南北の辺はxの順）
+   */
+  sortEdges(positions, edges) {
+    const sortBy = (edge, axis) => Array.from(edge).sort((a, b) => positions[a * 3 + axis] - positions[b * 3 + axis]);
+    return {
+      west: sortBy(edges.west, 2),
+      east: sortBy(edges.east, 2),
+      south: sortBy(edges.south, 0),
+      north: sortBy(edges.north, 0)
+    };
+  }
+
+  /**
+   * 面法線を面積で重み付けして平均した頂点法線
+   */
+  computeVertexNormals(positions, indices, vertexCount) {
+    const normals = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < indices.length; i += 3) {
+      const normal = this.faceNormal(positions, indices[i], indices[i + 1], indices[i + 2]);
+      for (let j = 0; j < 3; j++) {
+        const index = indices[i + j];
+        normals[index * 3] += normal.x;
+        normals[index * 3 + 1] += normal.y;
+        normals[index * 3 + 2] += normal.z;
+      }
+    }
+    for (let i = 0; i < vertexCount; i++) {
+      const x = normals[i * 3];
+      const y = normals[i * 3 + 1];
+      const z = normals[i * 3 + 2];
+      const length = Math.sqrt(x * x + y * y + z * z) || 1;
+      normals[i * 3] = x / length;
+      normals[i * 3 + 1] = y / length;
+      normals[i * 3 + 2] = z / length;
+    }
+    return normals;
+  }
+
+  /**
+   * 三角形(a, b, c)の面法線（(a - b) × (c - b)、長さは面積の2倍）
+   */
+  faceNormal(positions, a, b, c) {
+    const ux = positions[a * 3] - positions[b * 3];
+    const uy = positions[a * 3 + 1] - positions[b * 3 + 1];
+    const uz = positions[a * 3 + 2] - positions[b * 3 + 2];
+    const vx = positions[c * 3] - positions[b * 3];
+    const vy = positions[c * 3 + 1] - positions[b * 3 + 1];
+    const vz = positions[c * 3 + 2] - positions[b * 3 + 2];
+
+    return {
+      x: uy * vz - uz * vy,
+      y: uz * vx - ux * vz,
+      z: ux * vy - uy * vx
+    };
+  }
+
+  /**
+   * 中心差分による法線（隣接サンプルがNoDataの場合は片側差分）
+   */
+  computeNormal(sample, col, row, spacingX, spacingZ) {
+    const center = sample(col, row);
+    const slope = (before, after, spacing) => {
+      const hasBefore = !isNaN(before);
+      const hasAfter = !isNaN(after);
+      if (hasBefore && hasAfter) return (after - before) / (2 * spacing);
+      if (hasAfter && !isNaN(center)) return (after - center) / spacing;
+      if (hasBefore && !isNaN(center)) return (center - before) / spacing;
+      return 0;
+    };
+
+    const dhdx = slope(sample(col - 1, row), sample(col + 1, row), spacingX);
+    const dhdz = slope(sample(col, row - 1), sample(col, row + 1), spacingZ);
+
+    const length = Math.sqrt(dhdx * dhdx + 1 + dhdz * dhdz);
+    return { x: -dhdx / length, y: 1 / length, z: -dhdz / length };
+  }
+
+  /**
+   * スカートの深さを境界の起伏から推定
+   * 2レベル粗いタイル（4サンプルおき）で境界を線形補間した場合とのずれを覆える深さにする
+   */
+  estimateSkirtDepth(elevationAt, width, height, spacing) {
+    const stride = 4;
+    let maxDeviation = 0;
+
+    const checkEdge = (getter, length) => {
+      for (let start = 0; start + stride < length; start += stride) {
+        const first = getter(start);
+        const last = getter(start + stride);
+        if (isNaN(first) || isNaN(last)) continue;
+        for (let i = 1; i < stride; i++) {
+          const value = getter(start + i);
+          if (isNaN(value)) continue;
+          const interpolated = first + (last - first) * i / stride;
+          maxDeviation = Math.max(maxDeviation, Math.abs(value - interpolated));
+        }
+      }
+    };
+
+    checkEdge(x => elevationAt(x, 0), width);
+    checkEdge(x => elevationAt(x, height - 1), width);
+    checkEdge(y => elevationAt(0, y), height);
+    checkEdge(y => elevationAt(width - 1, y), height);
+
+    return Math.max(spacing, maxDeviation * 2);
+  }
+
+  /**
+   * 境界の頂点インデックスを一周分（北辺→東辺→南辺→西辺）
+   */
+  getPerimeter(width, height) {
+    const perimeter = [];
+    for (let x = 0; x < width; x++) perimeter.push(x);
+    for (let y = 1; y < height; y++) perimeter.push(y * width + width - 1);
+    for (let x = width - 2; x >= 0; x--) perimeter.push((height - 1) * width + x);
+    for (let y = height - 2; y > 0; y--) perimeter.push(y * width);
+    return perimeter;
+  }
+
+  /**
+   * 三角形(a, b, c)の面法線（(a - b) × (c - b)）と外向きベクトルの内積
+   * VertexData.ComputeNormalsと同じ向きで、正なら外側から見て表面
+   */
+  faceNormalDot(positions, a, b, c, outwardX, outwardZ) {
+    const ux = positions[a * 3] - positions[b * 3];
+    const uy = positions[a * 3 + 1] - positions[b * 3 + 1];
+    const uz = positions[a * 3 + 2] - positions[b * 3 + 2];
+    const vx = positions[c * 3] - positions[b * 3];
+    const vy = positions[c * 3 + 1] - positions[b * 3 + 1];
+    const vz = positions[c * 3 + 2] - positions[b * 3 + 2];
+
+    const nx = uy * vz - uz * vy;
+    const nz = ux * vy - uy * vx;
+    return nx * outwardX + nz * outwardZ;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Terrain Worker Client
+ * terrain.worker.js へのリクエストを管理し、結果をPromiseで返す
+ * Workerが使えない環境ではメインスレッドで同じ処理を実行
+ */
+
+import { GeoTIFFLoader } from './GeoTIFFLoader';
+import { TerrainMeshBuilder } from './TerrainMeshBuilder';
+import { readFileWithProgress } from './LoadProgress';
+
+const createAbortError = () => {
+  const error = new Error('読み込みをキャンセルしました');
+  error.name = 'AbortError';
+  return error;
+};
+
+export class TerrainWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.requestId = 0;
+    this.pending = new Map();
+    this.useWorker = typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Workerを取得（未作成またはキャンセルで終了した場合は作成）
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/terrain.worker.js', import.meta.url));
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        console.error('Terrain Worker: エラー', event);
+        this.rejectAll(new Error(`Workerでエラーが発生しました: ${event.message}`));
+      };
+    }
+    return this.worker;
+  }
+
+  /**
+   * GeoTIFFを読み込み、標高データと頂点バッファを返す
+   * sourceはBlob（File）またはURL（URLの場合はWorker内でRangeリクエストにより取得）
+   * Blobは送信のたびに読み込み、読み込んだArrayBufferをWorkerに転送する
+   */
+  async load(source, options = {}, signal = null, onProgress = null) {
+    if (!this.useWorker) {
+      return this.loadInline(source, options, signal, onProgress);
+    }
+    return this.request({ type: 'load', source, options }, [], signal, onProgress);
+  }
+
+  /**
+   * 読み込み済みの標高データから頂点バッファを再作成
+   */
+  async build(terrain, options = {}, signal = null, onProgress = null) {
+    if (!this.useWorker) {
+      return { geometry: new TerrainMeshBuilder().build(terrain, { ...options, onProgress }) };
+    }
+    const { elevationData, validMask, width, height, bounds, crs, geoKeys, minElevation } = terrain;
+    return this.request({
+      type: 'build',
+      terrain: { elevationData, validMask, width, height, bounds, crs, geoKeys, minElevation },
+      options
+    }, [], signal, onProgress);
+  }
+
+  /**
+   * Workerにメッセージを送信し、結果を待つ
+   * signalの中断はこのリクエストだけを中断する（完了後の中断は何もしない）
+   */
+  request(message, transferables, signal, onProgress = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const id = ++this.requestId;
+    const worker = this.getWorker();
+
+    return new Promise((resolve, reject) => {
+      const request = { id, message: { ...message, id }, transferables, resolve, reject, onProgress, cleanup: null };
+      if (signal) {
+        const handleAbort = () => this.abortRequest(id);
+        signal.addEventListener('abort', handleAbort, { once: true });
+        request.cleanup = () => signal.removeEventListener('abort', handleAbort);
+      }
+      this.pending.set(id, request);
+
+      this.postRequest(worker, request);
+    });
+  }
+
+  /**
+   * リクエストをWorkerに送信
+   * 入力がBlobの場合は読み込んだArrayBufferを転送する（転送したバッファは使えなくなるため、送り直す場合は読み込み直す）
+   */
+  async postRequest(worker, request) {
+    const { source } = request.message;
+    if (!(source instanceof Blob)) {
+      worker.postMessage(request.message, request.transferables);
+      return;
+    }
+
+    let buffer;
+    try {
+      buffer = await readFileWithProgress(source, request.onProgress || (() => {}));
+    } catch (error) {
+      if (this.takePending(request.id)) {
+        request.reject(error);
+      }
+      return;
+    }
+
+    // 読み込み中に中断された場合や、Workerが作り直されて新しいWorkerに送り直された場合は送信しない
+    if (this.pending.get(request.id) !== request || this.worker !== worker) return;
+    worker.postMessage({ ...request.message, source: buffer }, [buffer]);
+  }
+
+  /**
+   * 実行中のリクエストを取り出す（中断のリスナーを解除）
+   */
+  takePending(id) {
+    const request = this.pending.get(id);
+    if (!request) return null;
+
+    this.pending.delete(id);
+    if (request.cleanup) {
+      request.cleanup();
+    }
+    return request;
+  }
+
+  /**
+   * 1件のリクエストを中断
+   * Workerの処理は途中で止められないためWorkerを終了し、残りのリクエストは新しいWorkerで実行し直す
+   * （入力のBlobは送信のたびに読み込むため、転送済みのバッファがなくても送り直せる）
+   */
+  abortRequest(id) {
+    const request = this.takePending(id);
+    if (!request) return;
+
+    request.reject(createAbortError());
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.pending.size > 0) {
+      const worker = this.getWorker();
+      for (const remaining of this.pending.values()) {
+        this.postRequest(worker, remaining);
+      }
+    }
+  }
+
+  /**
+   * Workerからの応答を処理
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      if (request.onProgress) {
+        request.onProgress(data.progress);
+      }
+    } else if (data.type === 'result') {
+      this.takePending(data.id);
+      request.resolve({ terrain: data.terrain, geometry: data.geometry });
+    } else if (data.type === 'error') {
+      this.takePending(data.id);
+      request.reject(new Error(data.message));
+    }
+  }
+
+  /**
+   * 実行中の全ての処理をキャンセル（Workerを終了し、次回のリクエストで作り直す）
+   */
+  cancel() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(createAbortError());
+  }
+
+  rejectAll(error) {
+    for (const id of [...this.pending.keys()]) {
+      this.takePending(id).reject(error);
+    }
+  }
+
+  /**
+   * Workerを使わずにメインスレッドで読み込み（フォールバック）
+   */
+  async loadInline(source, options, signal, onProgress) {
+    const loader = new GeoTIFFLoader();
+    const input = source instanceof Blob
+      ? await readFileWithProgress(source, onProgress || (() => {}), signal)
+      : source;
+    const result = await loader.loadGeoTIFF(input, { ...options, signal, onProgress });
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    const terrain = {
+      ...result,
+      elevationData: result.originalData
+    };
+    const geometry = options.skipMesh ? null : new TerrainMeshBuilder().build(terrain, { ...options, onProgress });
+    return { terrain, geometry };
+  }
+
+  /**
+   * リソースを解放
+   */
+  dispose() {
+    this.cancel();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Tile Cache
+ * タイルデータの2段キャッシュ
+ * - メモリ: 合計サイズ（バイト）に上限を設けたLRU
+ * - IndexedDB: ソースURL + バージョン（ETag）+ タイルアドレスをキーに永続化
+ *
+ * バージョンが取得できないソース（ETag・Last-Modifiedが公開されていない）は、
+ * ファイルが更新されても検出できないためメモリのみにキャッシュする。
+ */
+
+import { IndexedDBTileStore } from './IndexedDBTileStore';
+
+const DEFAULT_MEMORY_BYTES = 128 * 1024 * 1024;
+const DEFAULT_PERSISTENT_BYTES = 1024 * 1024 * 1024;
+// 標高データ以外（範囲・メタデータ）の概算サイズ
+const ENTRY_OVERHEAD_BYTES = 512;
+
+export class TileCache {
+  constructor({
+    maxBytes = DEFAULT_MEMORY_BYTES,
+    persistentMaxBytes = DEFAULT_PERSISTENT_BYTES,
+    persistent = true
+  } = {}) {
+    this.maxBytes = maxBytes;
+    this.memory = new Map(); // key -> { url, value, bytes }（先頭が最も古い）
+    this.memoryBytes = 0;
+    this.store = persistent && IndexedDBTileStore.isAvailable()
+      ? new IndexedDBTileStore(persistentMaxBytes)
+      : null;
+    if (this.store) {
+      // 保存済みのサイズを統計に反映するため先に開いておく
+      this.store.open();
+    }
+    this.resetStats();
+  }
+
+  static createKey(url, version, address) {
+    return `${url}|${version || ''}|${address}`;
+  }
+
+  static estimateBytes(tileData) {
+    // 標高グリッドのタイルはelevationData、三角形分割済みのタイルはmeshの配列
+    const arrayBytes = (object) => Object.values(object)
+      .reduce((total, value) => total + (ArrayBuffer.isView(value) ? value.byteLength : 0), 0);
+    return arrayBytes(tileData) + (tileData.mesh ? arrayBytes(tileData.mesh) : 0) + ENTRY_OVERHEAD_BYTES;
+  }
+
+  /**
+   * タイルを取得（メモリ→IndexedDBの順に探し、なければnull）
+   */
+  async get(url, version, address) {
+    const key = TileCache.createKey(url, version, address);
+
+    const entry = this.memory.get(key);
+    if (entry) {
+      // 最近使ったものとして末尾に移動
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      this.stats.memoryHits++;
+      return entry.value;
+    }
+
+    if (this.store && version) {
+      try {
+        const value = await this.store.getTile(key);
+        if (value) {
+          this.stats.persistentHits++;
+          this.setMemory(key, url, value);
+          return value;
+        }
+      } catch (error) {
+        console.warn('Tile Cache: 永続キャッシュの読み込みエラー', error);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * タイルを保存（永続キャッシュへの書き込みに失敗してもメモリには残る）
+   */
+  async set(url, version, address, value) {
+    const key = TileCache.createKey(url, version, address);
+    const bytes = TileCache.estimateBytes(value);
+    this.setMemory(key, url, value, bytes);
+
+    if (this.store && version) {
+      try {
+        await this.store.putTile(key, url, value, bytes);
+      } catch (error) {
+        console.warn('Tile Cache: 永続キャッシュの書き込みエラー', error);
+      }
+    }
+  }
+
+  setMemory(key, url, value, bytes = TileCache.estimateBytes(value)) {
+    const existing = this.memory.get(key);
+    if (existing) {
+      this.memory.delete(key);
+      this.memoryBytes -= existing.bytes;
+    }
+    this.memory.set(key, { url, value, bytes });
+    this.memoryBytes += bytes;
+
+    // 上限を超えたら最も長く使われていないものから削除
+    for (const [oldestKey, oldest] of this.memory) {
+      if (this.memoryBytes <= this.maxBytes) break;
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.bytes;
+    }
+  }
+
+  async getSource(url) {
+    if (!this.store) return null;
+    try {
+      return await this.store.getSource(url);
+    } catch (error) {
+      console.warn('Tile Cache: ソース情報の読み込みエラー', error);
+      return null;
+    }
+  }
+
+  async setSource(record) {
+    if (!this.store) return;
+    try {
+      await this.store.putSource(record);
+    } catch (error) {
+      console.warn('Tile Cache: ソース情報の書き込みエラー', error);
+    }
+  }
+
+  /**
+   * ソースURLのタイルを両方の段から削除
+   */
+  async clearSource(url) {
+    for (const [key, entry] of this.memory) {
+      if (entry.url === url) {
+        this.memory.delete(key);
+        this.memoryBytes -= entry.bytes;
+      }
+    }
+    if (this.store) {
+      await this.store.deleteSource(url);
+    }
+  }
+
+  async clear() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+    if (this.store) {
+      await this.store.clear();
+    }
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = { memoryHits: 0, persistentHits: 0, misses: 0 };
+  }
+
+  getStats() {
+    const { memoryHits, persistentHits, misses } = this.stats;
+    const requests = memoryHits + persistentHits + misses;
+    const rate = (count) => (requests > 0 ? count / requests : 0);
+
+    return {
+      requests,
+      hits: memoryHits + persistentHits,
+      misses,
+      hitRate: rate(memoryHits + persistentHits),
+      missRate: rate(misses),
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: this.maxBytes,
+        hits: memoryHits,
+        hitRate: rate(memoryHits)
+      },
+      persistent: {
+        available: !!this.store,
+        entries: this.store ? this.store.count : 0,
+        bytes: this.store ? this.store.bytes : 0,
+        maxBytes: this.store ? this.store.maxBytes : 0,
+        hits: persistentHits,
+        hitRate: rate(persistentHits)
+      }
+    };
+  }
+}
@@ -0,0 +1,110 @@
+import { TileCache } from './TileCache';
+
+const URL_A = 'https://example.com/a.tif';
+const URL_B = 'https://example.com/b.tif';
+
+// 標高データ n 個（Float32）のタイル: 4n + 512 バイトと見積もられる
+const tile = (n) => ({ elevationData: new Float32Array(n), width: n, height: 1, bbox: {} });
+const TILE_BYTES = TileCache.estimateBytes(tile(100));
+
+const createCache = (maxBytes) => new TileCache({ maxBytes, persistent: false });
+
+test('サイズの見積もりは型付き配列のバイト数と一定のオーバーヘッド', () => {
+  expect(TILE_BYTES).toBe(400 + 512);
+  expect(TileCache.estimateBytes({ ...tile(100), mask: new Uint8Array(100) })).toBe(500 + 512);
+});
+
+describe('メモリのLRU', () => {
+  test('合計サイズが上限を超えたら最も長く使われていないタイルから削除する', async () => {
+    const cache = createCache(TILE_BYTES * 3);
+    await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+    await cache.set(URL_A, 'v1', '0/1/0', tile(100));
+    await cache.set(URL_A, 'v1', '0/2/0', tile(100));
+    // 0/0/0を使うと、最も古いのは0/1/0になる
+    expect(await cache.get(URL_A, 'v1', '0/0/0')).not.toBeNull();
+
+    await cache.set(URL_A, 'v1', '0/3/0', tile(100));
+    expect(await cache.get(URL_A, 'v1', '0/1/0')).toBeNull();
+    expect(await cache.get(URL_A, 'v1', '0/0/0')).not.toBeNull();
+    expect(await cache.get(URL_A, 'v1', '0/2/0')).not.toBeNull();
+    expect(await cache.get(URL_A, 'v1', '0/3/0')).not.toBeNull();
+    expect(cache.getStats().memory).toMatchObject({ entries: 3, bytes: TILE_BYTES * 3 });
+  });
+
+  test('大きなタイルは上限に収まるまで複数のタイルを押し出す', async () => {
+    const cache = createCache(TILE_BYTES * 3);
+    await cache.set(URL_A, 'v1', 'small1', tile(100));
+    await cache.set(URL_A, 'v1', 'small2', tile(100));
+    await cache.set(URL_A, 'v1', 'small3', tile(100));
+
+    // 2タイル分より少し大きい
+    const large = tile(250);
+    await cache.set(URL_A, 'v1', 'large', large);
+    expect(await cache.get(URL_A, 'v1', 'small1')).toBeNull();
+    expect(await cache.get(URL_A, 'v1', 'small2')).toBeNull();
+    expect(await cache.get(URL_A, 'v1', 'small3')).not.toBeNull();
+    expect(await cache.get(URL_A, 'v1', 'large')).toBe(large);
+    expect(cache.getStats().memory.bytes).toBe(TILE_BYTES + TileCache.estimateBytes(large));
+  });
+
+  test('同じキーの上書きはサイズを二重に数えない', async () => {
+    const cache = createCache(TILE_BYTES * 3);
+    await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+    await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+    expect(cache.getStats().memory).toMatchObject({ entries: 1, bytes: TILE_BYTES });
+  });
+
+  test('バージョンが異なれば別のタイル', async () => {
+    const cache = createCache(TILE_BYTES * 3);
+    const v1 = tile(100);
+    await cache.set(URL_A, 'v1', '0/0/0', v1);
+    expect(await cache.get(URL_A, 'v2', '0/0/0')).toBeNull();
+    expect(await cache.get(URL_A, 'v1', '0/0/0')).toBe(v1);
+  });
+});
+
+test('clearSourceは指定したソースのタイルだけを削除する', async () => {
+  const cache = createCache(TILE_BYTES * 10);
+  await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+  await cache.set(URL_A, 'v2', '0/1/0', tile(100));
+  await cache.set(URL_B, 'v1', '0/0/0', tile(100));
+
+  await cache.clearSource(URL_A);
+  expect(await cache.get(URL_A, 'v1', '0/0/0')).toBeNull();
+  expect(await cache.get(URL_A, 'v2', '0/1/0')).toBeNull();
+  expect(await cache.get(URL_B, 'v1', '0/0/0')).not.toBeNull();
+  expect(cache.getStats().memory).toMatchObject({ entries: 1, bytes: TILE_BYTES });
+});
+
+describe('統計', () => {
+  test('ヒット・ミスの回数と割合', async () => {
+    const cache = createCache(TILE_BYTES * 10);
+    expect(cache.getStats()).toMatchObject({ requests: 0, hitRate: 0, missRate: 0 });
+
+    await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+    await cache.get(URL_A, 'v1', '0/0/0');
+    await cache.get(URL_A, 'v1', '0/0/0');
+    await cache.get(URL_A, 'v1', '0/0/0');
+    await cache.get(URL_A, 'v1', '9/9/9');
+
+    expect(cache.getStats()).toEqual({
+      requests: 4,
+      hits: 3,
+      misses: 1,
+      hitRate: 0.75,
+      missRate: 0.25,
+      memory: { entries: 1, bytes: TILE_BYTES, maxBytes: TILE_BYTES * 10, hits: 3, hitRate: 0.75 },
+      persistent: { available: false, entries: 0, bytes: 0, maxBytes: 0, hits: 0, hitRate: 0 }
+    });
+  });
+
+  test('clearはタイルと統計をリセットする', async () => {
+    const cache = createCache(TILE_BYTES * 10);
+    await cache.set(URL_A, 'v1', '0/0/0', tile(100));
+    await cache.get(URL_A, 'v1', '0/0/0');
+
+    await cache.clear();
+    expect(cache.getStats()).toMatchObject({ requests: 0, hits: 0, memory: { entries: 0, bytes: 0 } });
+    expect(await cache.get(URL_A, 'v1', '0/0/0')).toBeNull();
+  });
+});
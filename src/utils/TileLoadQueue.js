@@ -0,0 +1,90 @@
+/**
+ * Tile Load Queue
+ * タイル読み込みの優先度付きキュー（同時実行数の制限とキャンセルに対応）
+ *
+ * update()で必要なタイルの一覧を渡すたびに待ち行列を並べ替え、
+ * 一覧から外れた実行中のタイルはAbortControllerで中断する。
+ */
+
+export class TileLoadQueue {
+  /**
+   * @param {Function} loadTile - (node, signal) => Promise。signalが中断されたら結果を破棄すること
+   * @param {number} maxConcurrent - 同時に実行する読み込みの最大数
+   */
+  constructor(loadTile, maxConcurrent = 6) {
+    this.loadTile = loadTile;
+    this.maxConcurrent = maxConcurrent;
+    this.queue = [];
+    this.active = new Map(); // key -> { node, controller }
+  }
+
+  /**
+   * 必要なタイルの一覧で待ち行列を置き換える
+   * @param {Array} requests - { node, priority }（priorityが小さいほど先に読み込む）
+   */
+  update(requests) {
+    const requestedKeys = new Set(requests.map(request => request.node.key));
+
+    // 不要になった実行中のタイルを中断
+    for (const [key, entry] of this.active) {
+      if (!requestedKeys.has(key)) {
+        entry.controller.abort();
+        this.active.delete(key);
+      }
+    }
+
+    this.queue = requests
+      .filter(request => !this.active.has(request.node.key))
+      .sort((a, b) => a.priority - b.priority);
+
+    this.pump();
+  }
+
+  /**
+   * 同時実行数に空きがあれば、優先度の高い順に読み込みを開始
+   */
+  pump() {
+    while (this.active.size < this.maxConcurrent && this.queue.length > 0) {
+      const { node } = this.queue.shift();
+      const controller = new AbortController();
+      this.active.set(node.key, { node, controller });
+
+      Promise.resolve(this.loadTile(node, controller.signal))
+        .catch(error => {
+          console.error('Tile Load Queue: 読み込みエラー', node.key, error);
+        })
+        .finally(() => {
+          const entry = this.active.get(node.key);
+          if (entry && entry.controller === controller) {
+            this.active.delete(node.key);
+          }
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * 読み込み中または待機中かどうか
+   */
+  has(key) {
+    return this.active.has(key) || this.queue.some(request => request.node.key === key);
+  }
+
+  getStats() {
+    return {
+      active: this.active.size,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * 待ち行列を空にし、実行中の読み込みをすべて中断
+   */
+  clear() {
+    for (const entry of this.active.values()) {
+      entry.controller.abort();
+    }
+    this.active.clear();
+    this.queue = [];
+  }
+}
@@ -0,0 +1,138 @@
+import { TileLoadQueue } from './TileLoadQueue';
+
+const node = (key) => ({ key });
+const request = (key, priority) => ({ node: node(key), priority });
+
+/**
+ * 完了を外から制御できる読み込み関数（呼ばれた順に { key, signal, resolve, reject } を記録）
+ */
+const createLoader = () => {
+  const calls = [];
+  const loadTile = jest.fn((tileNode, signal) => new Promise((resolve, reject) => {
+    calls.push({ key: tileNode.key, signal, resolve, reject });
+  }));
+  return { loadTile, calls };
+};
+
+// 完了・失敗後の後処理（finally → pump）を進める
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('優先度', () => {
+  test('priorityの小さい順に読み込みを開始する', () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 2);
+
+    queue.update([request('far', 300), request('near', 100), request('middle', 200)]);
+    expect(calls.map(call => call.key)).toEqual(['near', 'middle']);
+    expect(queue.getStats()).toEqual({ active: 2, queued: 1 });
+  });
+
+  test('更新のたびに待ち行列を新しい優先度で並べ替える', async () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 1);
+
+    queue.update([request('a', 1), request('b', 2), request('c', 3)]);
+    queue.update([request('a', 1), request('b', 3), request('c', 2)]);
+
+    calls[0].resolve();
+    await flush();
+    expect(calls.map(call => call.key)).toEqual(['a', 'c']);
+  });
+});
+
+describe('同時実行数', () => {
+  test('既定の上限は6で、完了するたびに次を開始する', async () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile);
+    const keys = Array.from({ length: 10 }, (_, i) => `tile${i}`);
+
+    queue.update(keys.map((key, i) => request(key, i)));
+    expect(calls).toHaveLength(6);
+    expect(queue.getStats()).toEqual({ active: 6, queued: 4 });
+
+    calls[0].resolve();
+    calls[1].resolve();
+    await flush();
+    expect(calls.map(call => call.key)).toEqual(keys.slice(0, 8));
+    expect(queue.getStats()).toEqual({ active: 6, queued: 2 });
+  });
+
+  test('失敗した読み込みも枠を空ける', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 1);
+
+    queue.update([request('a', 1), request('b', 2)]);
+    calls[0].reject(new Error('network'));
+    await flush();
+    expect(calls.map(call => call.key)).toEqual(['a', 'b']);
+    expect(console.error).toHaveBeenCalledWith('Tile Load Queue: 読み込みエラー', 'a', expect.any(Error));
+    console.error.mockRestore();
+  });
+
+  test('実行中のタイルは再度開始しない', () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 6);
+
+    queue.update([request('a', 1)]);
+    queue.update([request('a', 1), request('b', 2)]);
+    expect(calls.map(call => call.key)).toEqual(['a', 'b']);
+    expect(queue.has('a')).toBe(true);
+  });
+});
+
+describe('キャンセル', () => {
+  test('一覧から外れた実行中のタイルはAbortControllerで中断し、枠を次のタイルに回す', () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 2);
+
+    queue.update([request('a', 1), request('b', 2), request('c', 3)]);
+    const [a, b] = calls;
+
+    queue.update([request('b', 1), request('c', 2)]);
+    expect(a.signal.aborted).toBe(true);
+    expect(b.signal.aborted).toBe(false);
+    expect(calls.map(call => call.key)).toEqual(['a', 'b', 'c']);
+    expect(queue.has('a')).toBe(false);
+  });
+
+  test('待機中に一覧から外れたタイルは開始しない', async () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 1);
+
+    queue.update([request('a', 1), request('stale', 2)]);
+    queue.update([request('a', 1), request('b', 3)]);
+    expect(queue.has('stale')).toBe(false);
+
+    calls[0].resolve();
+    await flush();
+    expect(calls.map(call => call.key)).toEqual(['a', 'b']);
+  });
+
+  test('中断後に同じタイルが再び要求された場合、古い読み込みの完了で新しい読み込みを消さない', async () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 6);
+
+    queue.update([request('a', 1)]);
+    queue.update([]);
+    queue.update([request('a', 1)]);
+    const [stale, current] = calls;
+    expect(stale.signal.aborted).toBe(true);
+    expect(current.signal.aborted).toBe(false);
+
+    stale.resolve();
+    await flush();
+    expect(queue.has('a')).toBe(true);
+    expect(queue.getStats().active).toBe(1);
+  });
+
+  test('clearは実行中の読み込みを全て中断し、待ち行列を空にする', () => {
+    const { loadTile, calls } = createLoader();
+    const queue = new TileLoadQueue(loadTile, 2);
+
+    queue.update([request('a', 1), request('b', 2), request('c', 3)]);
+    queue.clear();
+    expect(calls.every(call => call.signal.aborted)).toBe(true);
+    expect(queue.getStats()).toEqual({ active: 0, queued: 0 });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Vertex Overlay
+ * 地形の頂点カラーに重ねる半透明の色（土量の切土・盛土など）（Babylon.jsに依存しない）
+ *
+ * 重ねる色は頂点ごとのRGBAで、アルファを元の色との混合の割合とする（0は元の色のまま）。
+ * 陰影起伏を掛けた後の頂点カラーに混ぜるため、色分けや陰影の変更時も重ねる色の計算は不要。
+ */
+
+/**
+ * グリッドの値から頂点ごとの重ねる色を作成
+ * メッシュのグリッドは元のグリッドと左上が同じで、継ぎ目を埋めるために右・下へ広げている場合がある（広げた部分は重ねない）
+ * @param {number} meshWidth - メッシュのグリッドの幅（頂点数）
+ * @param {number} meshHeight
+ * @param {number} width - 元のグリッドの幅
+ * @param {number} height
+ * @param {Function} colorAt - (元のグリッドの画素番号, out, offset) → 色を書き込んだ場合はtrue
+ * @returns {Float32Array} RGBA
+ */
+export const createVertexOverlay = (meshWidth, meshHeight, width, height, colorAt) => {
+  const overlay = new Float32Array(meshWidth * meshHeight * 4);
+  for (let row = 0; row < Math.min(height, meshHeight); row++) {
+    for (let col = 0; col < Math.min(width, meshWidth); col++) {
+      const offset = (row * meshWidth + col) * 4;
+      if (!colorAt(row * width + col, overlay, offset)) {
+        overlay[offset + 3] = 0;
+      }
+    }
+  }
+  return overlay;
+};
+
+/**
+ * 頂点カラーに重ねる色を混ぜる（overlaysは重ねる順）
+ * @param {Float32Array} colors - 頂点カラー（RGBA）
+ * @param {Array<Float32Array>} overlays
+ * @returns {Float32Array} 重ねる色がない場合はcolorsそのもの
+ */
+export const blendVertexOverlays = (colors, overlays) => {
+  if (overlays.length === 0) {
+    return colors;
+  }
+  const out = new Float32Array(colors);
+  for (const overlay of overlays) {
+    for (let i = 0; i < out.length; i += 4) {
+      const alpha = overlay[i + 3];
+      if (alpha <= 0) continue;
+      out[i] += (overlay[i] - out[i]) * alpha;
+      out[i + 1] += (overlay[i + 1] - out[i + 1]) * alpha;
+      out[i + 2] += (overlay[i + 2] - out[i + 2]) * alpha;
+    }
+  }
+  return out;
+};
@@ -0,0 +1,207 @@
+/**
+ * Volume
+ * 多角形の範囲の土量（切土・盛土）の計算（Babylon.jsに依存しない）
+ *
+ * 読み込んだ標高グリッド（GeoTIFFLoaderの標高配列）の画素ごとに、基準面との標高差に画素の地上の面積を掛けて合計する。
+ * 中心が多角形の内側にある画素を数え、基準面より高い部分を切土、低い部分を盛土とする。
+ * 画素の面積は、画素の角を緯度経度に変換して楕円体の曲率半径で求めた地上の面積で、
+ * 投影法の縮尺係数や緯度による画素の大きさの違いを含む。
+ */
+
+import { toLonLat } from './CoordinateFormat';
+import { polygonArea, isInsidePolygon } from './Measurement';
+
+export const VOLUME_REFERENCES = {
+  elevation: '指定した標高',
+  plane: '境界の近似平面',
+  surface: '別のDEM'
+};
+
+// WGS84楕円体の長半径と離心率の2乗
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669437999014;
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * 緯度経度の小さな多角形の地上の面積（平方メートル）
+ * 中心の緯度の子午線曲率半径・卯酉線曲率半径で平面に展開して求める（画素程度の大きさを想定）
+ */
+export const lonLatArea = (corners) => {
+  const lat0 = corners.reduce((sum, corner) => sum + corner.lat, 0) / corners.length * DEG_TO_RAD;
+  const lon0 = corners[0].lon;
+  const sinLat = Math.sin(lat0);
+  const w = Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+  const primeVertical = WGS84_A / w;
+  const meridional = WGS84_A * (1 - WGS84_E2) / (w * w * w);
+  return polygonArea(corners.map(({ lon, lat }) => ({
+    x: primeVertical * Math.cos(lat0) * (lon - lon0) * DEG_TO_RAD,
+    z: meridional * (lat * DEG_TO_RAD - lat0)
+  })));
+};
+
+/**
+ * 行ごとの画素の地上の面積（平方メートル）を返す関数
+ * 列方向の変化は小さいため、指定した列（多角形の中心付近）の画素で代表する。
+ * 緯度経度に変換できない座標系はTerrainFrameの地上解像度の積
+ * @param {TerrainFrame} frame
+ * @param {number} col
+ */
+export const createPixelAreaModel = (frame, col) => {
+  const fallback = frame.groundResolution.x * frame.groundResolution.y;
+  const areas = new Map();
+  return (row) => {
+    let area = areas.get(row);
+    if (area === undefined) {
+      const corners = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([dc, dr]) => {
+        const source = frame.gridToSource(col + dc, row + dr);
+        return toLonLat(frame.crs, source.x, source.y);
+      });
+      area = corners.every(Boolean) ? lonLatArea(corners) : fallback;
+      areas.set(row, area);
+    }
+    return area;
+  };
+};
+
+/**
+ * 標高の標本に最小二乗法で平面 elevation = a + b·x + c·z を当てはめる
+ * @param {Array} samples - { x, z, elevation }（ローカル座標）
+ * @returns {Object} { elevationAt(x, z), centerElevation, slopeDegrees }
+ */
+export const fitPlane = (samples) => {
+  const count = samples.length;
+  const meanX = samples.reduce((sum, s) => sum + s.x, 0) / count;
+  const meanZ = samples.reduce((sum, s) => sum + s.z, 0) / count;
+  const meanE = samples.reduce((sum, s) => sum + s.elevation, 0) / count;
+
+  // 重心を原点にすると a は平均標高になり、b・c は2×2の正規方程式で求まる
+  let xx = 0, xz = 0, zz = 0, xe = 0, ze = 0;
+  for (const { x, z, elevation } of samples) {
+    const dx = x - meanX;
+    const dz = z - meanZ;
+    const de = elevation - meanE;
+    xx += dx * dx;
+    xz += dx * dz;
+    zz += dz * dz;
+    xe += dx * de;
+    ze += dz * de;
+  }
+  const determinant = xx * zz - xz * xz;
+  if (count < 3 || !(Math.abs(determinant) > 1e-9 * (xx * zz || 1))) {
+    throw new Error('境界の近似平面を求められません（頂点が一直線上にあります）');
+  }
+  const b = (xe * zz - ze * xz) / determinant;
+  const c = (ze * xx - xe * xz) / determinant;
+
+  return {
+    elevationAt: (x, z) => meanE + b * (x - meanX) + c * (z - meanZ),
+    centerElevation: meanE,
+    slopeDegrees: Math.atan(Math.hypot(b, c)) / DEG_TO_RAD
+  };
+};
+
+/**
+ * 切土・盛土の土量
+ * @param {Object} params
+ * @param {Array} params.tiles - 標高グリッド（elevationData, validMask, width, height）
+ * @param {Array} params.tileFrames - ファイルごとのTerrainFrame
+ * @param {TerrainFrame} params.frame - シーンのローカル座標と元の座標系の変換
+ * @param {Array} params.polygon - 多角形の頂点 { x, z }（ローカル座標）
+ * @param {Function} params.reference - (元の座標系の x, y) → 基準面の標高（求められない場合はnull）
+ * @returns {Object} { cut, fill, net（切土−盛土）, area, pixelCount, missingCount, maxDifference,
+ *   differences（ファイルごとの標高差（地形−基準面）、範囲外はNaN。範囲を含まないファイルはnull） }
+ */
+export const computeCutFill = ({ tiles, tileFrames, frame, polygon, reference }) => {
+  let cut = 0;
+  let fill = 0;
+  let area = 0;
+  let pixelCount = 0;
+  let missingCount = 0;
+  let maxDifference = 0;
+
+  const differences = tiles.map((tile, index) => {
+    const { elevationData, validMask, width, height } = tile;
+    const tileFrame = tileFrames[index];
+
+    // 多角形をファイルのグリッド座標に変換し、外接する範囲の画素だけ調べる
+    const gridPolygon = polygon.map(({ x, z }) => {
+      const source = frame.localToSource(x, z);
+      const { col, row } = tileFrame.sourceToGrid(source.x, source.y);
+      return { x: col, z: row };
+    });
+    const minCol = Math.max(0, Math.ceil(Math.min(...gridPolygon.map(p => p.x))));
+    const maxCol = Math.min(width - 1, Math.floor(Math.max(...gridPolygon.map(p => p.x))));
+    const minRow = Math.max(0, Math.ceil(Math.min(...gridPolygon.map(p => p.z))));
+    const maxRow = Math.min(height - 1, Math.floor(Math.max(...gridPolygon.map(p => p.z))));
+    if (minCol > maxCol || minRow > maxRow) {
+      return null;
+    }
+
+    const pixelArea = createPixelAreaModel(tileFrame, (minCol + maxCol) / 2);
+    const tileDifferences = new Float32Array(width * height).fill(NaN);
+    let inside = false;
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (!isInsidePolygon(col, row, gridPolygon)) continue;
+        inside = true;
+
+        const index = row * width + col;
+        const elevation = elevationData[index];
+        if ((validMask && validMask[index] !== 1) || !isFinite(elevation)) {
+          missingCount++;
+          continue;
+        }
+        const source = tileFrame.gridToSource(col, row);
+        const referenceElevation = reference(source.x, source.y);
+        if (referenceElevation === null) {
+          missingCount++;
+          continue;
+        }
+
+        const difference = elevation - referenceElevation;
+        const cellArea = pixelArea(row);
+        if (difference > 0) {
+          cut += difference * cellArea;
+        } else {
+          fill -= difference * cellArea;
+        }
+        area += cellArea;
+        pixelCount++;
+        maxDifference = Math.max(maxDifference, Math.abs(difference));
+        tileDifferences[index] = difference;
+      }
+    }
+    return inside ? tileDifferences : null;
+  });
+
+  return { cut, fill, net: cut - fill, area, pixelCount, missingCount, maxDifference, differences };
+};
+
+// 切土（地形が基準面より高い）は赤、盛土（低い）は青。標高差が大きいほど濃く重ねる
+export const CUT_COLOR = [0.85, 0.15, 0.1];
+export const FILL_COLOR = [0.1, 0.35, 0.9];
+const MIN_OVERLAY_ALPHA = 0.3;
+const MAX_OVERLAY_ALPHA = 0.85;
+
+/**
+ * 標高差（computeCutFillのdifferences）を切土・盛土の色にする関数（VertexOverlay.createVertexOverlayのcolorAt）
+ * @param {Float32Array} differences - 1ファイル分の標高差（範囲外はNaN）
+ * @param {number} maxDifference - 色の濃さが最大になる標高差の絶対値
+ */
+export const createCutFillColorizer = (differences, maxDifference) => (index, out, offset) => {
+  const difference = differences[index];
+  if (isNaN(difference)) return false;
+
+  const color = difference > 0 ? CUT_COLOR : FILL_COLOR;
+  const strength = maxDifference > 0 ? Math.min(Math.abs(difference) / maxDifference, 1) : 0;
+  out[offset] = color[0];
+  out[offset + 1] = color[1];
+  out[offset + 2] = color[2];
+  out[offset + 3] = MIN_OVERLAY_ALPHA + (MAX_OVERLAY_ALPHA - MIN_OVERLAY_ALPHA) * strength;
+  return true;
+};
+
+export const formatVolume = (cubicMeters) => (
+  `${cubicMeters.toLocaleString('ja-JP', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} m³`
+);
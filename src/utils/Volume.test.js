@@ -0,0 +1,200 @@
+import {
+  lonLatArea,
+  createPixelAreaModel,
+  fitPlane,
+  computeCutFill,
+  createCutFillColorizer,
+  formatVolume,
+  CUT_COLOR,
+  FILL_COLOR
+} from './Volume';
+import { TerrainFrame } from './TerrainFrame';
+
+// 10m画素・10×10のグリッド。proj4定義のない座標系なので画素の面積は地上解像度の積（100m²）
+const LOCAL_CRS = { resolved: true, code: 'LOCAL', proj4: null, isGeographic: false, toMeters: 1 };
+const createFrame = (minX = 0, minY = 0) => new TerrainFrame({
+  bounds: { minX, minY, maxX: minX + 100, maxY: minY + 100 },
+  width: 10,
+  height: 10,
+  crs: LOCAL_CRS
+});
+
+const createTile = (valueAt, validMask = null) => {
+  const elevationData = new Float32Array(100);
+  for (let row = 0; row < 10; row++) {
+    for (let col = 0; col < 10; col++) {
+      elevationData[row * 10 + col] = valueAt(col, row);
+    }
+  }
+  return { elevationData, validMask, width: 10, height: 10 };
+};
+
+// 画素の範囲（列・行の端は画素の境界）を囲む多角形（ローカル座標）
+const gridRectangle = (frame, minCol, minRow, maxCol, maxRow) => [
+  frame.gridToLocal(minCol - 0.5, minRow - 0.5),
+  frame.gridToLocal(maxCol + 0.5, minRow - 0.5),
+  frame.gridToLocal(maxCol + 0.5, maxRow + 0.5),
+  frame.gridToLocal(minCol - 0.5, maxRow + 0.5)
+];
+
+describe('lonLatArea', () => {
+  test('赤道の0.001°四方は子午線・卯酉線の曲率半径で求めた面積', () => {
+    const area = lonLatArea([
+      { lon: 0, lat: -0.0005 },
+      { lon: 0.001, lat: -0.0005 },
+      { lon: 0.001, lat: 0.0005 },
+      { lon: 0, lat: 0.0005 }
+    ]);
+    // 東西 111.319m × 南北 110.574m
+    expect(area).toBeCloseTo(111.3195 * 110.5743, -1);
+  });
+
+  test('緯度60°では東西の長さがおよそ半分になる（楕円体の曲率半径が大きくなる分だけ少し大きい）', () => {
+    const square = (lat) => lonLatArea([
+      { lon: 0, lat }, { lon: 0.001, lat }, { lon: 0.001, lat: lat + 0.001 }, { lon: 0, lat: lat + 0.001 }
+    ]);
+    const ratio = square(60) / square(0);
+    expect(ratio).toBeGreaterThan(0.5);
+    expect(ratio).toBeLessThan(0.51);
+  });
+});
+
+describe('createPixelAreaModel', () => {
+  test('UTMの画素は縮尺係数の分だけ地上の面積が大きい', () => {
+    const frame = new TerrainFrame({
+      bounds: { minX: 499950, minY: 3900000, maxX: 500050, maxY: 3900100 },
+      width: 10,
+      height: 10,
+      crs: {
+        resolved: true,
+        code: 'EPSG:32654',
+        proj4: '+proj=utm +zone=54 +datum=WGS84 +units=m +no_defs',
+        isGeographic: false,
+        toMeters: 1
+      }
+    });
+    const pixelArea = createPixelAreaModel(frame, 4.5);
+    // 中央子午線付近の縮尺係数 0.9996 → (10 / 0.9996)² m²
+    expect(pixelArea(5)).toBeCloseTo(Math.pow(10 / 0.9996, 2), 2);
+  });
+
+  test('緯度経度に変換できない座標系は地上解像度の積', () => {
+    expect(createPixelAreaModel(createFrame(), 0)(3)).toBe(100);
+  });
+});
+
+describe('fitPlane', () => {
+  test('平面上の標本から平面を復元する', () => {
+    const plane = (x, z) => 100 + 0.1 * x - 0.05 * z;
+    const samples = [[0, 0], [10, 0], [10, 20], [0, 20], [5, 7]].map(([x, z]) => ({ x, z, elevation: plane(x, z) }));
+    const fitted = fitPlane(samples);
+    expect(fitted.elevationAt(30, -40)).toBeCloseTo(plane(30, -40), 9);
+    expect(fitted.centerElevation).toBeCloseTo(plane(5, 9.4), 9);
+    expect(fitted.slopeDegrees).toBeCloseTo(Math.atan(Math.hypot(0.1, 0.05)) * 180 / Math.PI, 9);
+  });
+
+  test('標本が一直線上にある場合はエラー', () => {
+    const samples = [0, 1, 2, 3].map(i => ({ x: i, z: 2 * i, elevation: i }));
+    expect(() => fitPlane(samples)).toThrow('境界の近似平面を求められません');
+  });
+});
+
+describe('computeCutFill', () => {
+  const frame = createFrame();
+
+  test('基準面より高い画素を切土、低い画素を盛土として画素の面積を掛けて合計する', () => {
+    // 列2〜3は基準面（10m）より3m高く、列4〜5は1m低い。(5, 6) はNoData
+    const validMask = new Uint8Array(100).fill(1);
+    validMask[6 * 10 + 5] = 0;
+    const tile = createTile((col) => (col < 4 ? 13 : 9), validMask);
+
+    const result = computeCutFill({
+      tiles: [tile],
+      tileFrames: [frame],
+      frame,
+      polygon: gridRectangle(frame, 2, 3, 5, 6),
+      reference: () => 10
+    });
+
+    expect(result.pixelCount).toBe(15);
+    expect(result.missingCount).toBe(1);
+    expect(result.area).toBe(1500);
+    expect(result.cut).toBeCloseTo(8 * 3 * 100, 6);
+    expect(result.fill).toBeCloseTo(7 * 1 * 100, 6);
+    expect(result.net).toBeCloseTo(1700, 6);
+    expect(result.maxDifference).toBe(3);
+
+    const differences = result.differences[0];
+    expect(differences[3 * 10 + 2]).toBe(3);
+    expect(differences[3 * 10 + 5]).toBe(-1);
+    expect(differences[6 * 10 + 5]).toBeNaN();
+    expect(differences[2 * 10 + 2]).toBeNaN();
+  });
+
+  test('基準面の標高を元の座標系で求め、求められない画素は欠損として数える', () => {
+    const tile = createTile(() => 20);
+    const calls = [];
+    const result = computeCutFill({
+      tiles: [tile],
+      tileFrames: [frame],
+      frame,
+      polygon: gridRectangle(frame, 0, 0, 1, 1),
+      reference: (x, y) => {
+        calls.push([x, y]);
+        return x < 10 ? 15 : null;
+      }
+    });
+
+    // 画素の中心の元の座標（列0 → x = 5、行0 → y = 95）
+    expect(calls).toContainEqual([5, 95]);
+    expect(result.pixelCount).toBe(2);
+    expect(result.missingCount).toBe(2);
+    expect(result.cut).toBeCloseTo(2 * 5 * 100, 6);
+  });
+
+  test('多角形を含まないファイルのdifferencesはnull', () => {
+    const other = createFrame(1000, 1000);
+    const result = computeCutFill({
+      tiles: [createTile(() => 12), createTile(() => 12)],
+      tileFrames: [frame, other],
+      frame,
+      polygon: gridRectangle(frame, 0, 0, 2, 2),
+      reference: () => 10
+    });
+    expect(result.differences[0]).not.toBeNull();
+    expect(result.differences[1]).toBeNull();
+    expect(result.pixelCount).toBe(9);
+  });
+
+  test('中心が多角形の外にある画素は含めない（三角形）', () => {
+    const triangle = [frame.gridToLocal(-0.5, -0.5), frame.gridToLocal(4, -0.5), frame.gridToLocal(-0.5, 4)];
+    const result = computeCutFill({
+      tiles: [createTile(() => 11)],
+      tileFrames: [frame],
+      frame,
+      polygon: triangle,
+      reference: () => 10
+    });
+    // 斜辺は 列 + 行 = 3.5 → 列 + 行 ≤ 3 の10画素
+    expect(result.pixelCount).toBe(10);
+  });
+});
+
+describe('createCutFillColorizer', () => {
+  test('切土は赤・盛土は青で、標高差が大きいほど濃い', () => {
+    const colorAt = createCutFillColorizer(new Float32Array([2, -1, NaN, 0]), 2);
+    const out = new Float32Array(16);
+
+    expect(colorAt(0, out, 0)).toBe(true);
+    expect(Array.from(out.slice(0, 3))).toEqual(Array.from(new Float32Array(CUT_COLOR)));
+    expect(colorAt(1, out, 4)).toBe(true);
+    expect(Array.from(out.slice(4, 7))).toEqual(Array.from(new Float32Array(FILL_COLOR)));
+    expect(out[3]).toBeGreaterThan(out[7]);
+    expect(colorAt(2, out, 8)).toBe(false);
+  });
+});
+
+test('土量の書式', () => {
+  expect(formatVolume(1234.56)).toBe('1,234.6 m³');
+  expect(formatVolume(0)).toBe('0.0 m³');
+});
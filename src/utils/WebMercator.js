@@ -0,0 +1,60 @@
+/**
+ * Web Mercator
+ * XYZタイル（{z}/{x}/{y}、EPSG:3857）のタイル・ピクセル座標と緯度経度の変換
+ *
+ * ピクセル座標はズームレベルzでの世界全体のピクセル（左上が原点、xは東、yは南）。
+ */
+
+const EARTH_RADIUS = 6378137;
+export const MAX_LATITUDE = 85.0511287798066;
+
+export const worldSize = (zoom, tileSize = 256) => tileSize * Math.pow(2, zoom);
+
+export const lonToPixelX = (lon, zoom, tileSize = 256) => {
+  return (lon + 180) / 360 * worldSize(zoom, tileSize);
+};
+
+export const latToPixelY = (lat, zoom, tileSize = 256) => {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin(clamped * Math.PI / 180);
+  const y = 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+  return y * worldSize(zoom, tileSize);
+};
+
+export const pixelXToLon = (x, zoom, tileSize = 256) => {
+  return x / worldSize(zoom, tileSize) * 360 - 180;
+};
+
+export const pixelYToLat = (y, zoom, tileSize = 256) => {
+  const n = Math.PI - 2 * Math.PI * y / worldSize(zoom, tileSize);
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+};
+
+/**
+ * 緯度latでの地上解像度（メートル/ピクセル）
+ */
+export const groundResolution = (lat, zoom, tileSize = 256) => {
+  return Math.cos(lat * Math.PI / 180) * 2 * Math.PI * EARTH_RADIUS / worldSize(zoom, tileSize);
+};
+
+/**
+ * 地上解像度が目標以下になる最小のズームレベル（maxZoomで打ち切り）
+ */
+export const zoomForResolution = (resolution, lat, maxZoom, tileSize = 256) => {
+  for (let zoom = 0; zoom < maxZoom; zoom++) {
+    if (groundResolution(lat, zoom, tileSize) <= resolution) {
+      return zoom;
+    }
+  }
+  return maxZoom;
+};
+
+/**
+ * URLテンプレートの{z}・{x}・{y}を置き換え
+ */
+export const formatTileUrl = (template, zoom, x, y) => {
+  return template
+    .replace('{z}', zoom)
+    .replace('{x}', x)
+    .replace('{y}', y);
+};
@@ -0,0 +1,74 @@
+import {
+  lonToPixelX,
+  latToPixelY,
+  pixelXToLon,
+  pixelYToLat,
+  groundResolution,
+  zoomForResolution,
+  worldSize,
+  formatTileUrl,
+  MAX_LATITUDE
+} from './WebMercator';
+
+describe('緯度経度とピクセル座標', () => {
+  test('世界の中心と隅', () => {
+    expect(lonToPixelX(0, 0)).toBe(128);
+    expect(latToPixelY(0, 0)).toBeCloseTo(128, 9);
+    expect(lonToPixelX(-180, 1)).toBe(0);
+    expect(lonToPixelX(180, 1)).toBe(512);
+    expect(latToPixelY(MAX_LATITUDE, 2)).toBeCloseTo(0, 6);
+    expect(latToPixelY(-MAX_LATITUDE, 2)).toBeCloseTo(worldSize(2), 6);
+  });
+
+  test('範囲外の緯度はWeb Mercatorの限界で打ち切る', () => {
+    expect(latToPixelY(89.9, 3)).toBeCloseTo(latToPixelY(MAX_LATITUDE, 3), 9);
+  });
+
+  test('往復の変換で元に戻る', () => {
+    for (const [lon, lat] of [[139.767, 35.681], [-73.985, 40.748], [151.2, -33.86], [0, 0]]) {
+      for (const zoom of [0, 10, 18]) {
+        expect(pixelXToLon(lonToPixelX(lon, zoom), zoom)).toBeCloseTo(lon, 9);
+        expect(pixelYToLat(latToPixelY(lat, zoom), zoom)).toBeCloseTo(lat, 9);
+      }
+    }
+  });
+
+  test('ピクセル座標からタイル番号が求まる（東京駅・ズーム15）', () => {
+    const tileX = Math.floor(lonToPixelX(139.767, 15) / 256);
+    const tileY = Math.floor(latToPixelY(35.681, 15) / 256);
+    expect([tileX, tileY]).toEqual([29105, 12903]);
+    // タイルの左上の角は元の点の北西
+    expect(pixelXToLon(tileX * 256, 15)).toBeLessThanOrEqual(139.767);
+    expect(pixelYToLat(tileY * 256, 15)).toBeGreaterThanOrEqual(35.681);
+  });
+
+  test('タイルの大きさを指定できる', () => {
+    expect(lonToPixelX(180, 0, 512)).toBe(512);
+    expect(pixelYToLat(latToPixelY(35, 4, 512), 4, 512)).toBeCloseTo(35, 9);
+  });
+});
+
+describe('地上解像度とズームレベル', () => {
+  test('赤道のズーム0の地上解像度', () => {
+    expect(groundResolution(0, 0)).toBeCloseTo(156543.034, 3);
+    expect(groundResolution(60, 1)).toBeCloseTo(156543.034 / 4, 3);
+  });
+
+  test('地上解像度が目標以下になる最小のズームレベル', () => {
+    // 赤道のズーム14は約9.55m、ズーム13は約19.1m
+    expect(zoomForResolution(10, 0, 20)).toBe(14);
+    expect(zoomForResolution(groundResolution(0, 14), 0, 20)).toBe(14);
+    // 緯度60度では地上解像度が半分になるため1つ小さいズーム
+    expect(zoomForResolution(10, 60, 20)).toBe(13);
+  });
+
+  test('maxZoomで打ち切る', () => {
+    expect(zoomForResolution(0.01, 0, 15)).toBe(15);
+    expect(zoomForResolution(1e9, 0, 15)).toBe(0);
+  });
+});
+
+test('URLテンプレートの置き換え', () => {
+  expect(formatTileUrl('https://example.com/{z}/{x}/{y}.png', 12, 3639, 1612))
+    .toBe('https://example.com/12/3639/1612.png');
+});
@@ -0,0 +1,153 @@
+/**
+ * EPSG定義（オフライン用のサブセット）
+ * GeoKeysから座標系を解決するために、よく使う測地系・投影法のproj4定義を同梱
+ */
+
+// 測地系（GeographicTypeGeoKey）ごとの楕円体・データム指定
+export const GEOGRAPHIC_DATUMS = {
+  4326: { name: 'WGS 84', datum: '+datum=WGS84' },
+  4269: { name: 'NAD83', datum: '+datum=NAD83' },
+  4258: { name: 'ETRS89', datum: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' },
+  4301: { name: 'Tokyo', datum: '+ellps=bessel +towgs84=-146.414,507.337,680.507,0,0,0,0' },
+  4612: { name: 'JGD2000', datum: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' },
+  6668: { name: 'JGD2011', datum: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0' }
+};
+
+// 楕円体（GeogEllipsoidGeoKey）
+export const ELLIPSOIDS = {
+  7030: { name: 'WGS 84', ellps: '+ellps=WGS84' },
+  7019: { name: 'GRS 1980', ellps: '+ellps=GRS80' },
+  7004: { name: 'Bessel 1841', ellps: '+ellps=bessel' },
+  7008: { name: 'Clarke 1866', ellps: '+ellps=clrk66' },
+  7022: { name: 'International 1924', ellps: '+ellps=intl' }
+};
+
+// 長さの単位（ProjLinearUnitsGeoKey）
+export const LINEAR_UNITS = {
+  9001: { name: 'metre', proj4: 'm', toMeters: 1 },
+  9002: { name: 'foot', proj4: 'ft', toMeters: 0.3048 },
+  9003: { name: 'US survey foot', proj4: 'us-ft', toMeters: 1200 / 3937 }
+};
+
+// 平面直角座標系（系番号 I〜XIX）の原点 [緯度, 経度]
+const JAPAN_PLANE_ORIGINS = [
+  [33, 129.5],
+  [33, 131],
+  [36, 132 + 10 / 60],
+  [33, 133.5],
+  [36, 134 + 20 / 60],
+  [36, 136],
+  [36, 137 + 10 / 60],
+  [36, 138.5],
+  [36, 139 + 50 / 60],
+  [40, 140 + 50 / 60],
+  [44, 140.25],
+  [44, 142.25],
+  [44, 144.25],
+  [26, 142],
+  [26, 127.5],
+  [26, 124],
+  [26, 131],
+  [20, 136],
+  [26, 154]
+];
+
+const ROMAN_NUMERALS = [
+  'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X',
+  'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX'
+];
+
+/**
+ * 投影法（ProjectionGeoKey のEPSGコード）をproj4のパラメータに変換
+ * 測地系に依存しない部分のみを返す
+ */
+export const getProjectionConversion = (code) => {
+  // UTM 北半球 (16001〜16060)
+  if (code >= 16001 && code <= 16060) {
+    return { name: `UTM zone ${code - 16000}N`, params: `+proj=utm +zone=${code - 16000}` };
+  }
+  // UTM 南半球 (16101〜16160)
+  if (code >= 16101 && code <= 16160) {
+    return { name: `UTM zone ${code - 16100}S`, params: `+proj=utm +zone=${code - 16100} +south` };
+  }
+  // 平面直角座標系 (17801〜17819)
+  if (code >= 17801 && code <= 17819) {
+    const zone = code - 17800;
+    const [lat0, lon0] = JAPAN_PLANE_ORIGINS[zone - 1];
+    return {
+      name: `Japan Plane Rectangular CS ${ROMAN_NUMERALS[zone - 1]}`,
+      params: `+proj=tmerc +lat_0=${lat0} +lon_0=${lon0} +k=0.9999 +x_0=0 +y_0=0`
+    };
+  }
+  return null;
+};
+
+const buildDefinitions = () => {
+  const definitions = {};
+
+  // 地理座標系
+  for (const [code, { name, datum }] of Object.entries(GEOGRAPHIC_DATUMS)) {
+    definitions[`EPSG:${code}`] = {
+      name,
+      proj4: `+proj=longlat ${datum} +no_defs`,
+      isGeographic: true
+    };
+  }
+
+  // Web Mercator
+  definitions['EPSG:3857'] = {
+    name: 'WGS 84 / Pseudo-Mercator',
+    proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0.0 +lon_0=0.0 +x_0=0.0 +y_0=0 +k=1.0 +units=m +nadgrids=@null +wktext +no_defs',
+    isGeographic: false
+  };
+
+  // WGS 84 / UTM（北: 326xx, 南: 327xx）
+  for (let zone = 1; zone <= 60; zone++) {
+    const suffix = String(zone).padStart(2, '0');
+    definitions[`EPSG:326${suffix}`] = {
+      name: `WGS 84 / UTM zone ${zone}N`,
+      proj4: `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`,
+      isGeographic: false
+    };
+    definitions[`EPSG:327${suffix}`] = {
+      name: `WGS 84 / UTM zone ${zone}S`,
+      proj4: `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs`,
+      isGeographic: false
+    };
+  }
+
+  // JGD2000 / JGD2011 UTM 51〜55N
+  for (let zone = 51; zone <= 55; zone++) {
+    const datum = GEOGRAPHIC_DATUMS[6668].datum;
+    definitions[`EPSG:${3097 + zone - 51}`] = {
+      name: `JGD2000 / UTM zone ${zone}N`,
+      proj4: `+proj=utm +zone=${zone} ${datum} +units=m +no_defs`,
+      isGeographic: false
+    };
+    definitions[`EPSG:${6688 + zone - 51}`] = {
+      name: `JGD2011 / UTM zone ${zone}N`,
+      proj4: `+proj=utm +zone=${zone} ${datum} +units=m +no_defs`,
+      isGeographic: false
+    };
+  }
+
+  // 平面直角座標系（JGD2000: 2443〜2461, JGD2011: 6669〜6687）
+  for (let zone = 1; zone <= 19; zone++) {
+    const { name, params } = getProjectionConversion(17800 + zone);
+    const datum = GEOGRAPHIC_DATUMS[6668].datum;
+    definitions[`EPSG:${2442 + zone}`] = {
+      name: `JGD2000 / ${name}`,
+      proj4: `${params} ${datum} +units=m +no_defs`,
+      isGeographic: false
+    };
+    definitions[`EPSG:${6668 + zone}`] = {
+      name: `JGD2011 / ${name}`,
+      proj4: `${params} ${datum} +units=m +no_defs`,
+      isGeographic: false
+    };
+  }
+
+  return definitions;
+};
+
+export const EPSG_DEFINITIONS = buildDefinitions();
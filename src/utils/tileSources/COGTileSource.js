@@ -0,0 +1,19 @@
+/**
+ * COG Tile Source
+ * URLで指定したCOGからHTTP Rangeリクエストでタイルを読み込む
+ */
+
+import { GeoTIFFTileSource } from './GeoTIFFTileSource';
+
+export class COGTileSource extends GeoTIFFTileSource {
+  constructor(url, cogLoader, options = {}) {
+    super(cogLoader, options);
+    this.url = url;
+  }
+
+  async open() {
+    // IFDを先に解析し、開けない場合はタイルを読み込む前にエラーにする
+    this.raster = await this.cogLoader.openCOG(this.url);
+    return this;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Directory Tile Source
+ * フォルダ内の複数のGeoTIFF（同じ座標系で範囲を分割したタイル）を1つの地形として読み込む
+ *
+ * 全ファイルの範囲を合わせた範囲の中心をシーンの原点とし、
+ * 各タイルの範囲に重なるファイルだけを読み込んで合成する（重なる部分は先に見つかったファイルを優先）。
+ */
+
+import { TerrainTileSource } from './TerrainTileSource';
+import { TerrainQuadtree } from '../TerrainQuadtree';
+import { assertSameCRS, createMosaicFrame } from '../Mosaic';
+
+const GEOTIFF_EXTENSIONS = /\.(tif|tiff)$/i;
+
+export class DirectoryTileSource extends TerrainTileSource {
+  constructor(files, cogLoader, options = {}) {
+    super(options);
+    this.files = Array.from(files).filter(file => GEOTIFF_EXTENSIONS.test(file.name));
+    this.cogLoader = cogLoader;
+    this.rasters = [];
+    this.frame = null;
+  }
+
+  async open() {
+    if (this.files.length === 0) {
+      throw new Error('フォルダにGeoTIFFファイル（.tif / .tiff）がありません');
+    }
+
+    this.rasters = await Promise.all(this.files.map(async (file) => {
+      try {
+        return await this.cogLoader.openFile(file);
+      } catch (error) {
+        throw new Error(`${file.name} をGeoTIFFとして開けません: ${error.message}`);
+      }
+    }));
+
+    // 座標系が異なるファイルは同じ座標で並べられない
+    assertSameCRS(this.rasters);
+    const crsCode = this.rasters[0].crs.code;
+
+    this.frame = createMosaicFrame(this.rasters.map(raster => raster.frame));
+    this.extents = this.rasters.map(raster => this.frame.getLocalExtent(raster.bounds));
+
+    console.log('Directory Tile Source: ファイル解析完了', {
+      files: this.rasters.length,
+      size: `${this.frame.width}x${this.frame.height}`,
+      crs: crsCode
+    });
+    return this;
+  }
+
+  getName() {
+    return `${this.rasters.length}ファイル`;
+  }
+
+  getExtent() {
+    return this.frame.getLocalExtent();
+  }
+
+  getCRS() {
+    return this.frame.crs;
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  getAvailability() {
+    const extent = this.getExtent();
+    const size = Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ);
+    const resolution = Math.min(this.frame.groundResolution.x, this.frame.groundResolution.y);
+
+    return {
+      minLevel: 0,
+      maxLevel: TerrainQuadtree.levelForResolution(size, this.tileSize, resolution),
+      extents: this.extents
+    };
+  }
+
+  async sampleTile(bbox, resolution, signal) {
+    const elevationData = new Float32Array(resolution * resolution).fill(NaN);
+    const overlapping = this.rasters.filter((raster, i) => {
+      const extent = this.extents[i];
+      return bbox.minX <= extent.maxX && bbox.maxX >= extent.minX &&
+        bbox.minZ <= extent.maxZ && bbox.maxZ >= extent.minZ;
+    });
+
+    const tiles = await Promise.all(overlapping.map(raster =>
+      this.cogLoader.loadTile(raster, bbox, resolution, signal, this.frame)
+    ));
+
+    // 先に見つかったファイルの値を優先して合成
+    let validCount = 0;
+    for (let i = 0; i < elevationData.length; i++) {
+      for (const tile of tiles) {
+        const value = tile.elevationData[i];
+        if (!isNaN(value)) {
+          elevationData[i] = value;
+          validCount++;
+          break;
+        }
+      }
+    }
+
+    return {
+      elevationData,
+      bbox,
+      width: resolution,
+      height: resolution,
+      metadata: {
+        resolution,
+        files: overlapping.map(raster => raster.name),
+        validCount,
+        crs: this.frame.crs,
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  getCacheStats() {
+    return this.cogLoader.getCacheStats();
+  }
+
+  async clearCache() {
+    for (const raster of this.rasters) {
+      await this.cogLoader.clearCache(raster.url);
+    }
+  }
+}
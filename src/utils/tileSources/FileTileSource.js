@@ -0,0 +1,23 @@
+/**
+ * File Tile Source
+ * ローカルのGeoTIFFファイルからタイルを読み込む
+ * ファイル全体をメモリに読み込まず、IFDとタイルごとに必要な範囲だけをBlob.sliceで読む
+ */
+
+import { GeoTIFFTileSource } from './GeoTIFFTileSource';
+
+export class FileTileSource extends GeoTIFFTileSource {
+  constructor(file, cogLoader, options = {}) {
+    super(cogLoader, options);
+    this.file = file;
+  }
+
+  async open() {
+    try {
+      this.raster = await this.cogLoader.openFile(this.file);
+    } catch (error) {
+      throw new Error(`${this.file.name} をGeoTIFFとして開けません: ${error.message}`);
+    }
+    return this;
+  }
+}
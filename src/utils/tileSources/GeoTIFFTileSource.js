@@ -0,0 +1,61 @@
+/**
+ * GeoTIFF Tile Source
+ * 1つのGeoTIFF（COGまたはローカルファイル）から必要な範囲だけを読み込むタイルソースの共通部分
+ *
+ * シーンの原点はGeoTIFFの中心。最も細かいレベルでフル解像度に達するよう最大レベルを決める。
+ * 派生クラスはopen()でCOGLoaderの解析結果（this.raster）を設定する。
+ */
+
+import { TerrainTileSource } from './TerrainTileSource';
+import { TerrainQuadtree } from '../TerrainQuadtree';
+
+export class GeoTIFFTileSource extends TerrainTileSource {
+  constructor(cogLoader, options = {}) {
+    super(options);
+    this.cogLoader = cogLoader;
+    this.raster = null;
+  }
+
+  getName() {
+    return this.raster ? this.raster.name : '';
+  }
+
+  getExtent() {
+    return this.raster.frame.getLocalExtent();
+  }
+
+  getCRS() {
+    return this.raster.crs;
+  }
+
+  getFrame() {
+    return this.raster.frame;
+  }
+
+  getAvailability() {
+    const extent = this.getExtent();
+    const size = Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ);
+    const { groundResolution } = this.raster.frame;
+    const resolution = Math.min(groundResolution.x, groundResolution.y);
+
+    return {
+      minLevel: 0,
+      maxLevel: TerrainQuadtree.levelForResolution(size, this.tileSize, resolution),
+      extents: [extent]
+    };
+  }
+
+  async sampleTile(bbox, resolution, signal) {
+    return this.cogLoader.loadTile(this.raster, bbox, resolution, signal);
+  }
+
+  getCacheStats() {
+    return this.cogLoader.getCacheStats();
+  }
+
+  async clearCache() {
+    if (this.raster) {
+      await this.cogLoader.clearCache(this.raster.url);
+    }
+  }
+}
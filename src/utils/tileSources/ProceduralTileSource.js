@@ -0,0 +1,71 @@
+/**
+ * Procedural Tile Source
+ * ノイズで生成するデモ用の地形（データを読み込まずに動的地形を試すため）
+ */
+
+import { TerrainTileSource } from './TerrainTileSource';
+
+// 原点を中心とする一辺約65kmの範囲と最大レベル（頂点間隔約1m）
+const EXTENT_SIZE = 65536;
+const MAX_LEVEL = 10;
+
+export class ProceduralTileSource extends TerrainTileSource {
+  getName() {
+    return 'テスト地形（プロシージャル）';
+  }
+
+  getExtent() {
+    const half = EXTENT_SIZE / 2;
+    return { minX: -half, maxX: half, minZ: -half, maxZ: half };
+  }
+
+  getAvailability() {
+    return { minLevel: 0, maxLevel: MAX_LEVEL, extents: [this.getExtent()] };
+  }
+
+  async sampleTile(bbox, resolution) {
+    const width = resolution;
+    const height = resolution;
+    const elevationData = new Float32Array(width * height);
+
+    // パーリンノイズ風の地形を生成
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+
+        // 頂点のワールド座標（隣接タイルと境界の頂点が一致するよう両端を含める）
+        const worldX = bbox.minX + (x / (width - 1)) * (bbox.maxX - bbox.minX);
+        const worldZ = bbox.minZ + (y / (height - 1)) * (bbox.maxZ - bbox.minZ);
+
+        // 複数のノイズレイヤーを組み合わせ
+        const noise1 = this.simplexNoise(worldX * 0.01, worldZ * 0.01) * 100;
+        const noise2 = this.simplexNoise(worldX * 0.02, worldZ * 0.02) * 50;
+        const noise3 = this.simplexNoise(worldX * 0.04, worldZ * 0.04) * 25;
+
+        elevationData[index] = noise1 + noise2 + noise3;
+      }
+    }
+
+    return {
+      elevationData,
+      bbox,
+      width,
+      height,
+      metadata: {
+        generated: true,
+        validCount: elevationData.length
+      }
+    };
+  }
+
+  /**
+   * 簡易ノイズ関数（実際の実装では専用ライブラリを使用）
+   */
+  simplexNoise(x, z) {
+    // 簡易的なノイズ関数（実際の実装ではSimplexNoiseライブラリを使用）
+    const n1 = Math.sin(x) * Math.cos(z);
+    const n2 = Math.sin(x * 2.1) * Math.cos(z * 2.1) * 0.5;
+    const n3 = Math.sin(x * 4.1) * Math.cos(z * 4.1) * 0.25;
+    return n1 + n2 + n3;
+  }
+}
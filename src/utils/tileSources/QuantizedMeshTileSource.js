@@ -0,0 +1,366 @@
+/**
+ * Quantized Mesh Tile Source
+ * layer.jsonと.terrainタイル（quantized-mesh-1.0）の地形を読み込む
+ *
+ * タイルは三角形分割済みのため、グリッドに再サンプリングせずに頂点をそのままシーンの
+ * ローカル座標（表示範囲の中心の接平面）に変換する。四分木はlayer.jsonのタイル分割（GeographicTiling）で、
+ * タイルの有無はlayer.jsonのavailable（とタイルのメタデータ拡張のavailable）で判定する。
+ * 頂点法線（oct符号化）と水域マスクの拡張に対応し、水域は頂点色で塗り分ける。
+ */
+
+import { TerrainTileSource } from './TerrainTileSource';
+import { GeographicTiling, TILING_PROJECTIONS } from '../GeographicTiling';
+import { TerrainFrame } from '../TerrainFrame';
+import { CRSResolver } from '../CRSResolver';
+import { LocalTangentPlane } from '../LocalTangentPlane';
+import { MAX_LATITUDE, formatTileUrl } from '../WebMercator';
+import {
+  QUANTIZED_MAX,
+  WATER_MASK_SIZE,
+  decodeQuantizedMesh,
+  decodeOctNormal,
+  decompressIfGzipped
+} from '../QuantizedMeshDecoder';
+
+const WGS84_GEOKEYS = { GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 };
+
+// 対応している拡張（layer.jsonのextensionsの名前）
+const SUPPORTED_EXTENSIONS = ['octvertexnormals', 'watermask', 'metadata'];
+
+// 接平面に投影するため、広すぎる範囲は歪みが大きい
+const MAX_SPAN_DEGREES = 30;
+
+// スカートの深さ（タイルの幾何誤差に対する倍率）
+const SKIRT_DEPTH_FACTOR = 1.5;
+
+const LAND_COLOR = [0.4, 0.6, 0.3, 1];
+const WATER_COLOR = [0.2, 0.4, 0.7, 1];
+
+export class QuantizedMeshTileSource extends TerrainTileSource {
+  /**
+   * @param {string} layerUrl - layer.jsonのURL（ディレクトリのURLの場合はlayer.jsonを補う、相対URLも可）
+   * @param {COGLoader} cogLoader - タイルキャッシュを共有するCOGローダー
+   * @param {Object} options
+   * @param {Object} options.bounds - 表示範囲 { west, south, east, north }（度、省略時はlayer.jsonのbounds）
+   */
+  constructor(layerUrl, cogLoader, options = {}) {
+    super(options);
+    const baseUrl = typeof window !== 'undefined' ? window.location.href : undefined;
+    const url = new URL(layerUrl, baseUrl);
+    if (!url.pathname.endsWith('.json')) {
+      url.pathname = url.pathname.replace(/\/?$/, '/layer.json');
+    }
+    this.layerUrl = url.href;
+    this.cogLoader = cogLoader;
+    this.bounds = options.bounds || null;
+    this.layer = null;
+    this.frame = null;
+    this.available = null; // レベルごとのタイルの範囲の一覧 [{ startX, startY, endX, endY }]
+    this.availabilityTiles = new Set(); // availableを追加済みのタイル
+  }
+
+  async open() {
+    const layer = await this.fetchLayer();
+    const projection = layer.projection || 'EPSG:4326';
+    if (layer.format && !layer.format.startsWith('quantized-mesh')) {
+      throw new Error(`quantized-mesh以外の形式には対応していません: ${layer.format}`);
+    }
+    if (!TILING_PROJECTIONS.includes(projection)) {
+      throw new Error(`対応していないタイル分割の座標系です: ${projection}`);
+    }
+    if (!Array.isArray(layer.tiles) || layer.tiles.length === 0) {
+      throw new Error('layer.jsonにタイルのURL（tiles）がありません');
+    }
+    if (layer.parentUrl) {
+      // 親のレイヤーにしかないタイルを読み込めず、範囲の一部が欠けるため開かない
+      throw new Error('parentUrl（親のレイヤー）を参照するlayer.jsonには対応していません');
+    }
+
+    const bounds = this.bounds || (Array.isArray(layer.bounds)
+      ? { west: layer.bounds[0], south: layer.bounds[1], east: layer.bounds[2], north: layer.bounds[3] }
+      : null);
+    const maxLatitude = projection === 'EPSG:3857' ? MAX_LATITUDE : 90;
+    if (!bounds || !(bounds.west < bounds.east) || !(bounds.south < bounds.north) ||
+      bounds.west < -180 || bounds.east > 180 || bounds.south < -maxLatitude || bounds.north > maxLatitude) {
+      throw new Error('表示範囲（西・南・東・北の経緯度）が正しくありません');
+    }
+    if (Math.max(bounds.east - bounds.west, bounds.north - bounds.south) > MAX_SPAN_DEGREES) {
+      throw new Error(`表示範囲が広すぎます（${MAX_SPAN_DEGREES}度以内の範囲を指定してください）`);
+    }
+
+    this.layer = layer;
+    this.bounds = bounds;
+    this.projection = projection;
+    this.scheme = layer.scheme || 'tms';
+    this.extensions = (layer.extensions || []).filter(name => SUPPORTED_EXTENSIONS.includes(name));
+    this.available = Array.isArray(layer.available) ? layer.available.map(ranges => [...ranges]) : null;
+
+    const maxLevel = layer.maxzoom !== undefined
+      ? layer.maxzoom
+      : (this.available && !layer.metadataAvailability ? this.available.length - 1 : 20);
+    const rootLevel = Math.min(maxLevel, Math.max(
+      layer.minzoom || 0,
+      GeographicTiling.levelForBounds(projection, bounds)
+    ));
+
+    // フレームの画素数は最大レベルのタイルの頂点間隔に合わせた目安
+    const tileDegrees = (projection === 'EPSG:3857' ? 360 : 180) / Math.pow(2, maxLevel);
+    const crs = new CRSResolver().resolveEPSG(4326);
+    this.frame = new TerrainFrame({
+      bounds: { minX: bounds.west, minY: bounds.south, maxX: bounds.east, maxY: bounds.north },
+      width: Math.max(1, Math.round((bounds.east - bounds.west) / tileDegrees * (this.tileSize - 1))),
+      height: Math.max(1, Math.round((bounds.north - bounds.south) / tileDegrees * (this.tileSize - 1))),
+      crs,
+      geoKeys: WGS84_GEOKEYS
+    });
+    this.quadtree = new GeographicTiling({
+      frame: this.frame,
+      bounds,
+      projection,
+      rootLevel,
+      maxLevel,
+      tileSize: this.tileSize
+    });
+
+    // ルートのタイルを先に読み込み、URLやサーバーの問題をタイルの読み込み前にエラーにする
+    const root = this.quadtree.getRoots().find(node => this.hasTile(node.level, node.x, node.z));
+    if (!root) {
+      throw new Error('表示範囲にタイルがありません（layer.jsonのavailableを確認してください）');
+    }
+    await this.getTile(root.level, root.x, root.z);
+    return this;
+  }
+
+  async fetchLayer() {
+    let response;
+    try {
+      response = await fetch(this.layerUrl);
+    } catch (error) {
+      throw new Error(`layer.jsonを取得できません（CORSまたはネットワークエラー）: ${this.layerUrl}`);
+    }
+    if (!response.ok) {
+      throw new Error(`layer.jsonの取得に失敗しました (${response.status}): ${this.layerUrl}`);
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`layer.jsonを解析できません: ${this.layerUrl}`);
+    }
+  }
+
+  getName() {
+    return this.layerUrl;
+  }
+
+  getExtent() {
+    return this.frame.getLocalExtent();
+  }
+
+  getCRS() {
+    return this.frame.crs;
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  getQuadtree() {
+    return this.quadtree;
+  }
+
+  getAvailability() {
+    return {
+      minLevel: this.quadtree.rootLevel,
+      maxLevel: this.quadtree.maxLevel,
+      extents: [this.getExtent()]
+    };
+  }
+
+  /**
+   * タイルが存在するか（layer.jsonのavailableがない場合は最大レベルまで全て存在するとみなす）
+   * メタデータ拡張で子孫の有無を配信するレイヤーは、親のタイルを読み込むまで子孫は存在しない扱い
+   */
+  hasTile(level, x, y) {
+    const { quadtree } = this;
+    if (level < quadtree.rootLevel || level > quadtree.maxLevel) return false;
+    if (!quadtree.intersectsBounds(quadtree.getTileRectangle(level, x, y))) return false;
+    if (!this.available) return true;
+
+    const row = this.getSchemeRow(level, y);
+    const ranges = this.available[level];
+    return !!ranges && ranges.some(range =>
+      x >= range.startX && x <= range.endX && row >= range.startY && row <= range.endY
+    );
+  }
+
+  /**
+   * layer.jsonのタイル番号の行（TMSは南から、slippyMapは北から数える）
+   */
+  getSchemeRow(level, y) {
+    return this.scheme === 'slippyMap' ? this.quadtree.getTileCount(level).y - 1 - y : y;
+  }
+
+  /**
+   * タイルのメタデータ拡張のavailable（子孫のレベルのタイルの範囲）を追加
+   */
+  addAvailability(address, level, available) {
+    if (!this.available || !Array.isArray(available) || this.availabilityTiles.has(address)) return;
+    this.availabilityTiles.add(address);
+    available.forEach((ranges, i) => {
+      const targetLevel = level + 1 + i;
+      if (!this.available[targetLevel]) {
+        this.available[targetLevel] = [];
+      }
+      this.available[targetLevel].push(...ranges);
+    });
+  }
+
+  /**
+   * タイルを読み込み
+   * 戻り値は { mesh, bbox, metadata }（meshはTerrainTileMeshBuilder.buildFromMeshの入力、タイルがなければnull）
+   */
+  async getTile(level, x, y, signal = null) {
+    const address = `${level}/${x}/${y}`;
+    const cache = this.cogLoader.tileCache;
+    const cached = await cache.get(this.layerUrl, null, address);
+    if (cached) {
+      this.addAvailability(address, level, cached.metadata.available);
+      return cached;
+    }
+
+    const node = this.quadtree.createNode(level, x, y);
+    const buffer = await this.fetchTerrain(level, x, y, signal);
+    let tileData;
+    if (!buffer) {
+      tileData = { mesh: null, bbox: node.bbox, metadata: { validCount: 0, level } };
+    } else {
+      const decoded = decodeQuantizedMesh(await decompressIfGzipped(buffer));
+      tileData = {
+        mesh: this.createMeshData(decoded, node),
+        bbox: node.bbox,
+        metadata: {
+          validCount: decoded.vertexCount,
+          level,
+          vertexCount: decoded.vertexCount,
+          triangleCount: decoded.indices.length / 3,
+          normals: !!decoded.octNormals,
+          waterMask: !!decoded.waterMask,
+          available: decoded.metadata ? decoded.metadata.available : undefined,
+          crs: this.frame.crs,
+          timestamp: Date.now()
+        }
+      };
+    }
+
+    this.addAvailability(address, level, tileData.metadata.available);
+    await cache.set(this.layerUrl, null, address, tileData);
+    return tileData;
+  }
+
+  /**
+   * .terrainタイルを取得（存在しないタイルはnull）
+   */
+  async fetchTerrain(level, x, y, signal) {
+    const row = this.getSchemeRow(level, y);
+    const template = this.layer.tiles[0].replace('{version}', this.layer.version || '1.0.0');
+    const url = new URL(formatTileUrl(template, level, x, row), this.layerUrl).href;
+
+    // 拡張はAcceptヘッダーで要求する
+    const accept = this.extensions.length > 0
+      ? `application/vnd.quantized-mesh;extensions=${this.extensions.join('-')},application/octet-stream;q=0.9,*/*;q=0.01`
+      : 'application/vnd.quantized-mesh,application/octet-stream;q=0.9,*/*;q=0.01';
+
+    let response;
+    try {
+      response = await fetch(url, { signal, headers: { Accept: accept } });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`地形タイルを取得できません（CORSまたはネットワークエラー）: ${url}`);
+    }
+
+    if (response.status === 404 || response.status === 204) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`地形タイルの取得に失敗しました (${response.status}): ${url}`);
+    }
+    return response.arrayBuffer();
+  }
+
+  /**
+   * 復号したタイルの頂点をシーンのローカル座標に変換
+   * 法線は地心直交座標から各頂点の東・北・上の成分に分解してシーンの向き（x: 東、y: 上、z: 南）にする
+   */
+  createMeshData(decoded, node) {
+    const { vertexCount, header, octNormals, waterMask } = decoded;
+    const { level, x, z: y } = node;
+    const heightRange = header.maximumHeight - header.minimumHeight;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const normals = octNormals ? new Float32Array(vertexCount * 3) : null;
+    const colors = waterMask ? new Float32Array(vertexCount * 4) : null;
+
+    for (let i = 0; i < vertexCount; i++) {
+      const u = decoded.u[i] / QUANTIZED_MAX;
+      const v = decoded.v[i] / QUANTIZED_MAX;
+      const { lon, lat } = this.quadtree.getTileLonLat(level, x, y, u, v);
+      const local = this.frame.sourceToLocal(lon, lat);
+
+      positions[i * 3] = local.x;
+      positions[i * 3 + 1] = header.minimumHeight + decoded.height[i] / QUANTIZED_MAX * heightRange;
+      positions[i * 3 + 2] = local.z;
+      uvs[i * 2] = u;
+      uvs[i * 2 + 1] = 1 - v;
+
+      if (normals) {
+        const ecef = decodeOctNormal(octNormals[i * 2], octNormals[i * 2 + 1]);
+        const enu = LocalTangentPlane.rotateToENU(lon, lat, ecef.x, ecef.y, ecef.z);
+        normals[i * 3] = enu.east;
+        normals[i * 3 + 1] = enu.up;
+        normals[i * 3 + 2] = -enu.north;
+      }
+
+      if (colors) {
+        colors.set(this.isWater(waterMask, u, v) ? WATER_COLOR : LAND_COLOR, i * 4);
+      }
+    }
+
+    return {
+      positions,
+      normals,
+      uvs,
+      colors,
+      indices: decoded.indices,
+      edges: {
+        west: decoded.westIndices,
+        south: decoded.southIndices,
+        east: decoded.eastIndices,
+        north: decoded.northIndices
+      },
+      minElevation: header.minimumHeight,
+      maxElevation: header.maximumHeight,
+      skirtDepth: this.quadtree.getGeometricError(node) * SKIRT_DEPTH_FACTOR
+    };
+  }
+
+  /**
+   * 水域マスクの判定（1バイトの場合はタイル全体、256×256の場合は最寄りの格子点）
+   */
+  isWater(waterMask, u, v) {
+    if (waterMask.length === 1) {
+      return waterMask[0] !== 0;
+    }
+    const col = Math.round(u * (WATER_MASK_SIZE - 1));
+    const row = Math.round((1 - v) * (WATER_MASK_SIZE - 1));
+    return waterMask[row * WATER_MASK_SIZE + col] >= 128;
+  }
+
+  getCacheStats() {
+    return this.cogLoader.getCacheStats();
+  }
+
+  async clearCache() {
+    await this.cogLoader.clearCache(this.layerUrl);
+  }
+}
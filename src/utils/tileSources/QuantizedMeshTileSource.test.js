@@ -0,0 +1,252 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { QuantizedMeshTileSource } from './QuantizedMeshTileSource';
+import { COGLoader } from '../COGLoader';
+import { QUANTIZED_MAX } from '../QuantizedMeshDecoder';
+import { startFixtureServer } from '../../testing/fixtureServer';
+import { buildTerrainTile, QUAD, metadataExtension } from '../../testing/quantizedMeshFixture';
+
+// レベル3のタイル (14, 5) の範囲（東経135〜157.5°、北緯22.5〜45°）
+// 範囲の幅22.5°からルートはレベル4の2×2枚 (28〜29, 10〜11)（TMSの行は南から数える）
+const BOUNDS = [135, 22.5, 157.5, 45];
+
+// レベル4のタイル (28, 10) の子（レベル5）のうち西側の2×2枚
+const CHILD_RANGES = [{ startX: 56, startY: 20, endX: 57, endY: 21 }];
+
+const createLayer = (overrides = {}) => ({
+  tilejson: '2.1.0',
+  format: 'quantized-mesh-1.0',
+  version: '1.2.0',
+  scheme: 'tms',
+  projection: 'EPSG:4326',
+  tiles: ['{z}/{x}/{y}.terrain?v={version}'],
+  bounds: BOUNDS,
+  available: [
+    [{ startX: 0, startY: 0, endX: 1, endY: 0 }],
+    [{ startX: 0, startY: 0, endX: 3, endY: 1 }],
+    [{ startX: 0, startY: 0, endX: 7, endY: 3 }],
+    [{ startX: 14, startY: 5, endX: 14, endY: 5 }],
+    [{ startX: 28, startY: 10, endX: 29, endY: 11 }],
+    CHILD_RANGES
+  ],
+  ...overrides
+});
+
+let server;
+let cogLoader;
+
+beforeAll(async () => {
+  server = await startFixtureServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  for (const path of Object.keys(server.files)) {
+    delete server.files[path];
+  }
+  server.files['/terrain/layer.json'] = JSON.stringify(createLayer());
+  server.files['/terrain/4/28/10.terrain'] = buildTerrainTile(QUAD);
+  server.requests.length = 0;
+  cogLoader = new COGLoader();
+});
+
+const terrainRequests = () => server.requests.filter(request => request.path.endsWith('.terrain'));
+
+const openSource = (path = '/terrain/layer.json', options) =>
+  new QuantizedMeshTileSource(`${server.url}${path}`, cogLoader, options).open();
+
+describe('layer.jsonのURL', () => {
+  test('ディレクトリのURLはlayer.jsonのURLにする', () => {
+    const source = (url) => new QuantizedMeshTileSource(url, cogLoader);
+    expect(source('http://example.com/terrain').layerUrl).toBe('http://example.com/terrain/layer.json');
+    expect(source('http://example.com/terrain/').layerUrl).toBe('http://example.com/terrain/layer.json');
+    expect(source('http://example.com/terrain/tiles.json').layerUrl).toBe('http://example.com/terrain/tiles.json');
+  });
+
+  test('ディレクトリのURLで開くとlayer.jsonを取得する', async () => {
+    const source = await openSource('/terrain');
+    expect(source.layerUrl).toBe(`${server.url}/terrain/layer.json`);
+    expect(server.requests[0].path).toBe('/terrain/layer.json');
+  });
+});
+
+describe('open', () => {
+  test('layer.jsonを読み込み、表示範囲を覆うルートのうち最初に存在するタイルを読み込む', async () => {
+    const source = await openSource();
+
+    expect(source.projection).toBe('EPSG:4326');
+    expect(source.bounds).toEqual({ west: 135, south: 22.5, east: 157.5, north: 45 });
+    expect(source.getAvailability()).toMatchObject({ minLevel: 4, maxLevel: 5 });
+    expect(source.getQuadtree().getRoots().map(node => node.key)).toEqual(['4/28/10', '4/29/10', '4/28/11', '4/29/11']);
+
+    // タイルのURLはlayer.jsonからの相対URLで、{version}にlayer.jsonのバージョンを入れる
+    expect(terrainRequests()).toHaveLength(1);
+    expect(terrainRequests()[0].path).toBe('/terrain/4/28/10.terrain');
+    expect(terrainRequests()[0].query).toBe('?v=1.2.0');
+    expect(terrainRequests()[0].headers.accept).toMatch(/^application\/vnd\.quantized-mesh,/);
+  });
+
+  test('対応している拡張だけをAcceptヘッダーで要求する', async () => {
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({
+      extensions: ['octvertexnormals', 'watermask', 'unknown']
+    }));
+    await openSource();
+    expect(terrainRequests()[0].headers.accept)
+      .toMatch(/^application\/vnd\.quantized-mesh;extensions=octvertexnormals-watermask,/);
+  });
+
+  test('layer.jsonを取得・解析できない場合はエラー', async () => {
+    await expect(openSource('/missing/layer.json')).rejects.toThrow('layer.jsonの取得に失敗しました (404)');
+
+    server.files['/broken/layer.json'] = '{ "tiles": ';
+    await expect(openSource('/broken/layer.json')).rejects.toThrow('layer.jsonを解析できません');
+  });
+
+  test('対応していない形式・タイル分割・表示範囲はエラー', async () => {
+    const openLayer = (overrides) => {
+      server.files['/terrain/layer.json'] = JSON.stringify(createLayer(overrides));
+      return openSource();
+    };
+    await expect(openLayer({ format: 'heightmap-1.0' })).rejects.toThrow('quantized-mesh以外の形式には対応していません');
+    await expect(openLayer({ projection: 'EPSG:32654' })).rejects.toThrow('対応していないタイル分割の座標系です');
+    await expect(openLayer({ tiles: [] })).rejects.toThrow('layer.jsonにタイルのURL（tiles）がありません');
+    await expect(openLayer({ bounds: [100, 0, 160, 40] })).rejects.toThrow('表示範囲が広すぎます');
+  });
+
+  test('親のレイヤー（parentUrl）を参照するlayer.jsonはエラー', async () => {
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({ parentUrl: '../parent' }));
+    await expect(openSource()).rejects.toThrow('parentUrl（親のレイヤー）を参照するlayer.jsonには対応していません');
+  });
+
+  test('表示範囲にavailableなタイルがない場合はエラー', async () => {
+    const available = createLayer().available.slice(0, 4).concat([[{ startX: 0, startY: 0, endX: 1, endY: 1 }]]);
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({ available }));
+    await expect(openSource()).rejects.toThrow('表示範囲にタイルがありません');
+  });
+});
+
+describe('available', () => {
+  test('layer.jsonのavailableの範囲にあるタイルだけが存在する', async () => {
+    const source = await openSource();
+    expect(source.hasTile(4, 29, 11)).toBe(true);
+    expect(source.hasTile(5, 56, 20)).toBe(true);
+    expect(source.hasTile(5, 57, 21)).toBe(true);
+    // 範囲外の子、最大レベルより細かいタイル、ルートより粗いタイル
+    expect(source.hasTile(5, 58, 20)).toBe(false);
+    expect(source.hasTile(6, 112, 40)).toBe(false);
+    expect(source.hasTile(3, 14, 5)).toBe(false);
+  });
+
+  test('metadataAvailabilityのレイヤーは読み込んだタイルのメタデータ拡張で子孫のタイルを追加する', async () => {
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({
+      available: createLayer().available.slice(0, 5),
+      metadataAvailability: 10,
+      extensions: ['metadata']
+    }));
+    server.files['/terrain/4/28/10.terrain'] = buildTerrainTile({
+      ...QUAD,
+      extensions: [metadataExtension({ available: [CHILD_RANGES] })]
+    });
+
+    const source = await openSource();
+    expect(source.getAvailability().maxLevel).toBe(20);
+    expect(source.hasTile(5, 56, 20)).toBe(true);
+    expect(source.hasTile(5, 58, 20)).toBe(false);
+
+    // 同じタイルの範囲は重ねて追加しない（キャッシュから返した場合も）
+    await source.getTile(4, 28, 10);
+    expect(source.available[5]).toEqual(CHILD_RANGES);
+  });
+
+  test('availableがないレイヤーは表示範囲内の最大レベルまでのタイルが全て存在する', async () => {
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({ available: undefined, maxzoom: 6 }));
+    const source = await openSource();
+    expect(source.hasTile(6, 115, 43)).toBe(true);
+    expect(source.hasTile(7, 230, 86)).toBe(false);
+    // 表示範囲の外
+    expect(source.hasTile(4, 30, 10)).toBe(false);
+  });
+});
+
+describe('タイルの行の数え方', () => {
+  test('TMSは南から数えた行でタイルを要求する', async () => {
+    const source = await openSource();
+    expect(source.getSchemeRow(4, 10)).toBe(10);
+    expect(terrainRequests()[0].path).toBe('/terrain/4/28/10.terrain');
+  });
+
+  test('slippyMapは北から数えた行でタイルを要求し、availableも北から数える', async () => {
+    // レベル4は南北16枚 → TMSの行10はslippyMapの行5
+    server.files['/terrain/layer.json'] = JSON.stringify(createLayer({
+      scheme: 'slippyMap',
+      available: [[], [], [], [], [{ startX: 28, startY: 4, endX: 29, endY: 5 }], [{ startX: 56, startY: 10, endX: 57, endY: 11 }]]
+    }));
+    server.files['/terrain/4/28/5.terrain'] = buildTerrainTile(QUAD);
+
+    const source = await openSource();
+    expect(source.getSchemeRow(4, 10)).toBe(5);
+    expect(terrainRequests().map(request => request.path)).toEqual(['/terrain/4/28/5.terrain']);
+    // TMSの行 20・21 の子 → slippyMapの行 11・10
+    expect(source.hasTile(5, 56, 20)).toBe(true);
+    expect(source.hasTile(5, 56, 22)).toBe(false);
+  });
+});
+
+describe('getTile', () => {
+  test('頂点をタイルの経緯度の範囲に配置し、標高をヘッダーの範囲で復元する', async () => {
+    const source = await openSource();
+    const tile = await source.getTile(4, 28, 10);
+    const { mesh } = tile;
+    const frame = source.getFrame();
+    const position = (i) => Array.from(mesh.positions.slice(i * 3, i * 3 + 3));
+
+    // タイル (4, 28, 10) は東経135〜146.25°、北緯22.5〜33.75°（位置はFloat32）
+    const southWest = frame.sourceToLocal(135, 22.5);
+    const northEast = frame.sourceToLocal(146.25, 33.75);
+    expect(position(0)[0]).toBe(Math.fround(southWest.x));
+    expect(position(0)[2]).toBe(Math.fround(southWest.z));
+    expect(position(2)[0]).toBe(Math.fround(northEast.x));
+    expect(position(2)[2]).toBe(Math.fround(northEast.z));
+
+    // 最低100m・最高500m（ヘッダー）の範囲で量子化した標高
+    expect(position(0)[1]).toBe(100);
+    expect(position(1)[1]).toBeCloseTo(100 + 16000 / QUANTIZED_MAX * 400, 3);
+    expect(position(2)[1]).toBe(500);
+
+    // 三角形はそのまま使い、グリッドに再サンプリングしない
+    expect(Array.from(mesh.indices)).toEqual(QUAD.triangles);
+    expect(Array.from(mesh.edges.west)).toEqual(QUAD.edges.west);
+    expect(Array.from(mesh.uvs.slice(0, 2))).toEqual([0, 1]);
+    expect(mesh.normals).toBeNull();
+    expect(mesh.colors).toBeNull();
+    expect(mesh.skirtDepth).toBeCloseTo(source.getQuadtree().getGeometricError(source.getQuadtree().createNode(4, 28, 10)) * 1.5, 6);
+    expect(tile.metadata).toMatchObject({ level: 4, vertexCount: 4, triangleCount: 2, normals: false, waterMask: false });
+  });
+
+  test('読み込んだタイルはキャッシュから返し、再度要求しない', async () => {
+    const source = await openSource();
+    const first = await source.getTile(4, 28, 10);
+    expect(terrainRequests()).toHaveLength(1);
+
+    await expect(source.getTile(4, 28, 10)).resolves.toBe(first);
+    expect(terrainRequests()).toHaveLength(1);
+  });
+
+  test('サーバーにないタイルは空のタイル（meshがnull）', async () => {
+    const source = await openSource();
+    const tile = await source.getTile(4, 29, 11);
+    expect(tile.mesh).toBeNull();
+    expect(tile.metadata.validCount).toBe(0);
+    expect(terrainRequests().map(request => request.path)).toContain('/terrain/4/29/11.terrain');
+  });
+
+  test('サーバーエラーはタイルの読み込みエラー', async () => {
+    const source = await openSource();
+    server.files['/terrain/4/29/10.terrain'] = { body: '', status: 500 };
+    await expect(source.getTile(4, 29, 10)).rejects.toThrow('地形タイルの取得に失敗しました (500)');
+  });
+});
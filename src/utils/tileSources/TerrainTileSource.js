@@ -0,0 +1,123 @@
+/**
+ * Terrain Tile Source
+ * 動的地形のタイルの読み込み元の共通インターフェース
+ *
+ * 座標はシーンのローカル座標（メートル、x: 東、z: 南）。タイルのアドレスは四分木（TerrainQuadtree）の
+ * レベル・x・y（yは北から南）で、getTileはタイルの外側1サンプル分（エプロン）を含めて返す。
+ *
+ * 実装クラスが実装するメソッド:
+ * - open(): IFDの解析など、タイルを読み込む前の準備（不要なら省略）
+ * - getExtent(): データ全体の範囲 { minX, maxX, minZ, maxZ }
+ * - getCRS(): 元データの座標系（CRSResolverの解決結果、ない場合はnull）
+ * - getAvailability(): { minLevel, maxLevel, extents }（extentsはデータが存在する範囲の一覧）
+ * - sampleTile(bbox, resolution, signal): 範囲の resolution×resolution 点（境界を含む）の標高（NoDataはNaN）
+ *
+ * 三角形分割済みのタイルを配信する形式（quantized-mesh）は、getQuadtree・hasTile・getTileを上書きし、
+ * getTileで標高グリッドの代わりにメッシュ（mesh）を返す。
+ */
+
+import { TerrainQuadtree } from '../TerrainQuadtree';
+
+export class TerrainTileSource {
+  /**
+   * @param {Object} options
+   * @param {number} options.tileSize - タイルの一辺の頂点数（エプロンを除く）
+   */
+  constructor({ tileSize = 65 } = {}) {
+    this.tileSize = tileSize;
+    this.quadtree = null;
+  }
+
+  async open() {
+    return this;
+  }
+
+  /**
+   * 表示用の名前
+   */
+  getName() {
+    return '';
+  }
+
+  getExtent() {
+    throw new Error('getExtentが実装されていません');
+  }
+
+  getCRS() {
+    return null;
+  }
+
+  /**
+   * 元の座標系とローカル座標の変換（TerrainFrame、元の座標系がない場合はnull）
+   */
+  getFrame() {
+    return null;
+  }
+
+  getAvailability() {
+    throw new Error('getAvailabilityが実装されていません');
+  }
+
+  async sampleTile(bbox, resolution, signal) {
+    throw new Error('sampleTileが実装されていません');
+  }
+
+  /**
+   * タイルのアドレスに対応する四分木
+   */
+  getQuadtree() {
+    if (!this.quadtree) {
+      this.quadtree = new TerrainQuadtree({
+        extent: this.getExtent(),
+        maxLevel: this.getAvailability().maxLevel,
+        tileSize: this.tileSize
+      });
+    }
+    return this.quadtree;
+  }
+
+  /**
+   * タイルの範囲にデータが存在する可能性があるか（存在しないタイルは読み込まない）
+   */
+  hasTile(level, x, y) {
+    const { minLevel, maxLevel, extents } = this.getAvailability();
+    if (level < minLevel || level > maxLevel) return false;
+
+    const { bbox } = this.getQuadtree().createNode(level, x, y);
+    return extents.some(extent =>
+      bbox.minX <= extent.maxX && bbox.maxX >= extent.minX &&
+      bbox.minZ <= extent.maxZ && bbox.maxZ >= extent.minZ
+    );
+  }
+
+  /**
+   * タイルを読み込み
+   * 戻り値は { elevationData, width, height, bbox, apron, metadata }（width・height・bboxはエプロンを含む）
+   */
+  async getTile(level, x, y, signal = null) {
+    const quadtree = this.getQuadtree();
+    const node = quadtree.createNode(level, x, y);
+    const spacing = quadtree.getGeometricError(node);
+    const bbox = {
+      minX: node.bbox.minX - spacing,
+      maxX: node.bbox.maxX + spacing,
+      minZ: node.bbox.minZ - spacing,
+      maxZ: node.bbox.maxZ + spacing,
+      centerX: node.bbox.centerX,
+      centerZ: node.bbox.centerZ
+    };
+
+    const sampled = await this.sampleTile(bbox, this.tileSize + 2, signal);
+    return { ...sampled, apron: 1 };
+  }
+
+  /**
+   * キャッシュの統計（キャッシュを持たないソースはnull）
+   */
+  getCacheStats() {
+    return null;
+  }
+
+  async clearCache() {
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * XYZ Terrain Tile Source
+ * {z}/{x}/{y}.png 形式の標高タイル（Terrain-RGB・Terrarium）を読み込む
+ *
+ * シーンの原点は指定した範囲（緯度経度）の中心で、接平面に投影する（TerrainFrameの地理座標系と同じ）。
+ * 四分木のタイルの頂点間隔に合ったズームレベルのPNGを取得し、各頂点の位置で双線形補間する。
+ * 復号した標高はCOGLoaderのタイルキャッシュ（メモリ）に保存し、隣接する四分木のタイルと共有する。
+ */
+
+import { TerrainTileSource } from './TerrainTileSource';
+import { TerrainQuadtree } from '../TerrainQuadtree';
+import { TerrainFrame } from '../TerrainFrame';
+import { CRSResolver } from '../CRSResolver';
+import { decodeTerrainImage } from '../TerrainRGB';
+import {
+  MAX_LATITUDE,
+  lonToPixelX,
+  latToPixelY,
+  groundResolution,
+  zoomForResolution,
+  formatTileUrl
+} from '../WebMercator';
+
+const WGS84_GEOKEYS = { GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 };
+
+const createAbortError = () => {
+  const error = new Error('タイルの読み込みを中断しました');
+  error.name = 'AbortError';
+  return error;
+};
+
+export class XYZTerrainTileSource extends TerrainTileSource {
+  /**
+   * @param {string} urlTemplate - {z}・{x}・{y}を含むURL（相対URLも可）
+   * @param {COGLoader} cogLoader - タイルキャッシュを共有するCOGローダー
+   * @param {Object} options
+   * @param {string} options.encoding - 'terrain-rgb' または 'terrarium'
+   * @param {number} options.minZoom / options.maxZoom - タイルが存在するズームレベルの範囲
+   * @param {Object} options.bounds - 表示範囲 { west, south, east, north }（度）
+   * @param {number} options.imageTileSize - PNGタイルの一辺のピクセル数
+   */
+  constructor(urlTemplate, cogLoader, options = {}) {
+    super(options);
+    this.urlTemplate = urlTemplate;
+    this.cogLoader = cogLoader;
+    this.encoding = options.encoding || 'terrain-rgb';
+    this.minZoom = options.minZoom !== undefined ? options.minZoom : 0;
+    this.maxZoom = options.maxZoom !== undefined ? options.maxZoom : 15;
+    this.bounds = options.bounds;
+    this.imageTileSize = options.imageTileSize || 256;
+    this.frame = null;
+    this.pending = new Map(); // 'z/x/y' -> 取得中のPNG（同じタイルを複数の四分木のタイルが待つ）
+  }
+
+  async open() {
+    const { urlTemplate, bounds } = this;
+    if (!['{z}', '{x}', '{y}'].every(key => urlTemplate.includes(key))) {
+      throw new Error('URLテンプレートには {z}・{x}・{y} を含めてください');
+    }
+    if (!bounds || !(bounds.west < bounds.east) || !(bounds.south < bounds.north) ||
+      bounds.west < -180 || bounds.east > 180 || bounds.south < -MAX_LATITUDE || bounds.north > MAX_LATITUDE) {
+      throw new Error('表示範囲（西・南・東・北の経緯度）が正しくありません');
+    }
+    if (!(this.minZoom >= 0 && this.minZoom <= this.maxZoom && this.maxZoom <= 24)) {
+      throw new Error('ズームレベルの範囲が正しくありません');
+    }
+
+    const crs = new CRSResolver().resolveEPSG(4326);
+    const zoom = this.maxZoom;
+    this.frame = new TerrainFrame({
+      bounds: { minX: bounds.west, minY: bounds.south, maxX: bounds.east, maxY: bounds.north },
+      width: Math.max(1, Math.round(lonToPixelX(bounds.east, zoom, this.imageTileSize) - lonToPixelX(bounds.west, zoom, this.imageTileSize))),
+      height: Math.max(1, Math.round(latToPixelY(bounds.south, zoom, this.imageTileSize) - latToPixelY(bounds.north, zoom, this.imageTileSize))),
+      crs,
+      geoKeys: WGS84_GEOKEYS
+    });
+
+    // ルートのタイルを先に読み込み、URLやサーバーの問題をタイルの読み込み前にエラーにする
+    await this.getTile(0, 0, 0);
+    return this;
+  }
+
+  getName() {
+    return this.urlTemplate;
+  }
+
+  getExtent() {
+    return this.frame.getLocalExtent();
+  }
+
+  getCRS() {
+    return this.frame.crs;
+  }
+
+  getFrame() {
+    return this.frame;
+  }
+
+  getAvailability() {
+    const extent = this.getExtent();
+    const size = Math.max(extent.maxX - extent.minX, extent.maxZ - extent.minZ);
+    const resolution = groundResolution(this.frame.centerY, this.maxZoom, this.imageTileSize);
+
+    return {
+      minLevel: 0,
+      maxLevel: TerrainQuadtree.levelForResolution(size, this.tileSize, resolution),
+      extents: [extent]
+    };
+  }
+
+  async sampleTile(bbox, resolution, signal) {
+    const { frame, imageTileSize } = this;
+
+    // 頂点間隔に合ったズームレベル
+    const spacing = (bbox.maxX - bbox.minX) / (resolution - 1);
+    const center = frame.localToSource(bbox.centerX, bbox.centerZ);
+    const zoom = Math.max(this.minZoom, zoomForResolution(spacing, center.y, this.maxZoom, imageTileSize));
+
+    // 各頂点のズームレベルzでのピクセル座標（ピクセル中心が整数）
+    const pixels = new Float64Array(resolution * resolution * 2);
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+
+    for (let y = 0; y < resolution; y++) {
+      for (let x = 0; x < resolution; x++) {
+        const localX = bbox.minX + (x / (resolution - 1)) * (bbox.maxX - bbox.minX);
+        const localZ = bbox.minZ + (y / (resolution - 1)) * (bbox.maxZ - bbox.minZ);
+        const { x: lon, y: lat } = frame.localToSource(localX, localZ);
+        const px = lonToPixelX(lon, zoom, imageTileSize) - 0.5;
+        const py = latToPixelY(lat, zoom, imageTileSize) - 0.5;
+        const index = (y * resolution + x) * 2;
+        pixels[index] = px;
+        pixels[index + 1] = py;
+
+        if (px < minX) minX = px;
+        if (px > maxX) maxX = px;
+        if (py < minY) minY = py;
+        if (py > maxY) maxY = py;
+      }
+    }
+
+    // 補間に必要なPNGタイルをまとめて取得
+    const tileCount = Math.pow(2, zoom);
+    const clampTile = (value) => Math.max(0, Math.min(tileCount - 1, value));
+    const firstX = clampTile(Math.floor(minX / imageTileSize));
+    const lastX = clampTile(Math.floor((maxX + 1) / imageTileSize));
+    const firstY = clampTile(Math.floor(minY / imageTileSize));
+    const lastY = clampTile(Math.floor((maxY + 1) / imageTileSize));
+
+    const requests = [];
+    for (let tileY = firstY; tileY <= lastY; tileY++) {
+      for (let tileX = firstX; tileX <= lastX; tileX++) {
+        requests.push(this.loadImageTile(zoom, tileX, tileY, signal)
+          .then(tile => [`${tileX}/${tileY}`, tile]));
+      }
+    }
+    const images = new Map(await Promise.all(requests));
+
+    const sample = (col, row) => {
+      const image = images.get(`${Math.floor(col / imageTileSize)}/${Math.floor(row / imageTileSize)}`);
+      if (!image) return NaN;
+      const localCol = col - Math.floor(col / imageTileSize) * imageTileSize;
+      const localRow = row - Math.floor(row / imageTileSize) * imageTileSize;
+      return image.elevationData[localRow * image.width + localCol];
+    };
+
+    const elevationData = new Float32Array(resolution * resolution).fill(NaN);
+    let validCount = 0;
+    for (let i = 0; i < elevationData.length; i++) {
+      const value = this.cogLoader.bilinear(sample, pixels[i * 2], pixels[i * 2 + 1]);
+      if (!isNaN(value)) {
+        elevationData[i] = value;
+        validCount++;
+      }
+    }
+
+    return {
+      elevationData,
+      bbox,
+      width: resolution,
+      height: resolution,
+      metadata: {
+        resolution,
+        zoom,
+        validCount,
+        crs: frame.crs,
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  /**
+   * PNGタイルを取得して復号（キャッシュ済みならキャッシュから）
+   * 複数の四分木のタイルが同じPNGを待つ場合は1回だけ取得し、全員が中断した場合にだけ取得を中断する
+   */
+  async loadImageTile(zoom, x, y, signal) {
+    const address = `${zoom}/${x}/${y}`;
+    const cache = this.cogLoader.tileCache;
+    const cached = await cache.get(this.urlTemplate, null, address);
+    if (cached) {
+      return cached;
+    }
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    let entry = this.pending.get(address);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, users: 0 };
+      entry.promise = this.fetchImageTile(zoom, x, y, controller.signal)
+        .then(async (tile) => {
+          await cache.set(this.urlTemplate, null, address, tile);
+          return tile;
+        })
+        .finally(() => {
+          if (this.pending.get(address) === entry) {
+            this.pending.delete(address);
+          }
+        });
+      this.pending.set(address, entry);
+    }
+
+    entry.users++;
+    const release = () => {
+      entry.users--;
+      if (entry.users === 0) {
+        entry.controller.abort();
+        this.pending.delete(address);
+      }
+    };
+    if (signal) {
+      signal.addEventListener('abort', release, { once: true });
+    }
+
+    try {
+      return await entry.promise;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', release);
+      }
+    }
+  }
+
+  async fetchImageTile(zoom, x, y, signal) {
+    const url = formatTileUrl(this.urlTemplate, zoom, x, y);
+    let response;
+    try {
+      response = await fetch(url, { signal });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`標高タイルを取得できません（CORSまたはネットワークエラー）: ${url}`);
+    }
+
+    // データの範囲外のタイルは存在しないことが多いため、空のタイルとして扱う
+    if (response.status === 404 || response.status === 204) {
+      const size = this.imageTileSize;
+      return {
+        elevationData: new Float32Array(size * size).fill(NaN),
+        width: size,
+        height: size,
+        empty: true
+      };
+    }
+    if (!response.ok) {
+      throw new Error(`標高タイルの取得に失敗しました (${response.status}): ${url}`);
+    }
+
+    const blob = await response.blob();
+    try {
+      return await decodeTerrainImage(blob, this.encoding);
+    } catch (error) {
+      throw new Error(`標高タイルを画像として復号できません: ${url}`);
+    }
+  }
+
+  getCacheStats() {
+    return this.cogLoader.getCacheStats();
+  }
+
+  async clearCache() {
+    await this.cogLoader.clearCache(this.urlTemplate);
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * @jest-environment ./src/testing/nodeFetchEnvironment.js
+ */
+import { XYZTerrainTileSource } from './XYZTerrainTileSource';
+import { COGLoader } from '../COGLoader';
+import { lonToPixelX, latToPixelY } from '../WebMercator';
+import { startFixtureServer } from '../../testing/fixtureServer';
+import { encodePNG, installImageDecoding } from '../../testing/pngImage';
+
+// ズームレベル15の4×4ピクセルのPNGタイル（範囲は東西約15ピクセル・4枚分）
+const ZOOM = 15;
+const IMAGE_TILE_SIZE = 4;
+const BOUNDS = { west: 139.70, south: 35.64, east: 139.74, north: 35.68 };
+
+// 配信するタイルの範囲（表示範囲の外側1枚まで）
+const tileRange = {
+  minX: Math.floor(lonToPixelX(BOUNDS.west, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE) - 1,
+  maxX: Math.floor(lonToPixelX(BOUNDS.east, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE) + 1,
+  minY: Math.floor(latToPixelY(BOUNDS.north, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE) - 1,
+  maxY: Math.floor(latToPixelY(BOUNDS.south, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE) + 1
+};
+const originCol = tileRange.minX * IMAGE_TILE_SIZE;
+const originRow = tileRange.minY * IMAGE_TILE_SIZE;
+
+// 標高 = 500 + 2 × 列 + 3 × 行（配信範囲の左上からのピクセル、双線形補間で正確に再現される一次関数）
+const elevationAt = (col, row) => 500 + 2 * (col - originCol) + 3 * (row - originRow);
+
+const ENCODERS = {
+  // height = (R × 256 + G + B / 256) - 32768
+  terrarium: (height) => {
+    const value = height + 32768;
+    return [value >> 8, value & 0xff, 0];
+  },
+  // height = -10000 + (R × 256² + G × 256 + B) × 0.1
+  'terrain-rgb': (height) => {
+    const value = (height + 10000) * 10;
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+  }
+};
+
+const createTilePNG = (tileX, tileY, encoding) => {
+  const rgba = new Uint8Array(IMAGE_TILE_SIZE * IMAGE_TILE_SIZE * 4);
+  for (let row = 0; row < IMAGE_TILE_SIZE; row++) {
+    for (let col = 0; col < IMAGE_TILE_SIZE; col++) {
+      const height = elevationAt(tileX * IMAGE_TILE_SIZE + col, tileY * IMAGE_TILE_SIZE + row);
+      rgba.set([...ENCODERS[encoding](height), 255], (row * IMAGE_TILE_SIZE + col) * 4);
+    }
+  }
+  return encodePNG(IMAGE_TILE_SIZE, IMAGE_TILE_SIZE, rgba);
+};
+
+const tilePath = (encoding, tileX, tileY) => `/${encoding}/${ZOOM}/${tileX}/${tileY}.png`;
+
+let server;
+let cogLoader;
+let restoreImageDecoding;
+
+beforeAll(async () => {
+  server = await startFixtureServer();
+  restoreImageDecoding = installImageDecoding();
+});
+
+afterAll(async () => {
+  restoreImageDecoding();
+  await server.close();
+});
+
+beforeEach(() => {
+  for (const encoding of Object.keys(ENCODERS)) {
+    for (let tileY = tileRange.minY; tileY <= tileRange.maxY; tileY++) {
+      for (let tileX = tileRange.minX; tileX <= tileRange.maxX; tileX++) {
+        server.files[tilePath(encoding, tileX, tileY)] = { body: createTilePNG(tileX, tileY, encoding), contentType: 'image/png' };
+      }
+    }
+  }
+  server.requests.length = 0;
+  cogLoader = new COGLoader();
+});
+
+const createSource = (encoding = 'terrarium', options = {}) => new XYZTerrainTileSource(
+  `${server.url}/${encoding}/{z}/{x}/{y}.png`,
+  cogLoader,
+  { encoding, minZoom: ZOOM, maxZoom: ZOOM, bounds: BOUNDS, imageTileSize: IMAGE_TILE_SIZE, tileSize: 9, ...options }
+);
+
+const pngRequests = () => server.requests.filter(request => request.path.endsWith('.png'));
+
+// 頂点のローカル座標での位置から求めた標高（PNGのピクセル中心が整数になるピクセル座標）
+const expectedElevation = (frame, localX, localZ) => {
+  const { x: lon, y: lat } = frame.localToSource(localX, localZ);
+  return elevationAt(
+    lonToPixelX(lon, ZOOM, IMAGE_TILE_SIZE) - 0.5,
+    latToPixelY(lat, ZOOM, IMAGE_TILE_SIZE) - 0.5
+  );
+};
+
+const forEachVertex = (tile, callback) => {
+  const { bbox, width, height } = tile;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const localX = bbox.minX + (x / (width - 1)) * (bbox.maxX - bbox.minX);
+      const localZ = bbox.minZ + (y / (height - 1)) * (bbox.maxZ - bbox.minZ);
+      callback(tile.elevationData[y * width + x], localX, localZ);
+    }
+  }
+};
+
+describe('open', () => {
+  test('表示範囲の中心を原点とするフレームを作り、ルートのタイルを読み込む', async () => {
+    const source = await createSource().open();
+    const frame = source.getFrame();
+
+    expect(source.getCRS().code).toBe('EPSG:4326');
+    expect(frame.centerX).toBeCloseTo(139.72, 9);
+    expect(frame.centerY).toBeCloseTo(35.66, 9);
+    const origin = frame.sourceToLocal(139.72, 35.66);
+    expect(origin.x).toBeCloseTo(0, 6);
+    expect(origin.z).toBeCloseTo(0, 6);
+    // 北は-z、東は+x
+    expect(frame.sourceToLocal(139.72, BOUNDS.north).z).toBeLessThan(0);
+    expect(frame.sourceToLocal(BOUNDS.east, 35.66).x).toBeGreaterThan(0);
+
+    expect(pngRequests().length).toBeGreaterThan(0);
+    expect(pngRequests().every(request => request.path.startsWith(`/terrarium/${ZOOM}/`))).toBe(true);
+  });
+
+  test('URLテンプレート・表示範囲・ズームレベルが正しくない場合はエラー', async () => {
+    await expect(new XYZTerrainTileSource(`${server.url}/{z}/{x}.png`, cogLoader, { bounds: BOUNDS }).open())
+      .rejects.toThrow('URLテンプレートには {z}・{x}・{y} を含めてください');
+    await expect(createSource('terrarium', { bounds: { ...BOUNDS, east: BOUNDS.west } }).open())
+      .rejects.toThrow('表示範囲（西・南・東・北の経緯度）が正しくありません');
+    await expect(createSource('terrarium', { minZoom: 16 }).open())
+      .rejects.toThrow('ズームレベルの範囲が正しくありません');
+  });
+});
+
+describe('getTile', () => {
+  test('PNGを復号した標高を各頂点のローカル座標の位置で補間する', async () => {
+    const source = await createSource().open();
+    const tile = await source.getTile(0, 0, 0);
+
+    expect(tile.width).toBe(11);
+    expect(tile.apron).toBe(1);
+    expect(tile.metadata.zoom).toBe(ZOOM);
+    expect(tile.metadata.validCount).toBe(121);
+    forEachVertex(tile, (value, localX, localZ) => {
+      expect(value).toBeCloseTo(expectedElevation(source.getFrame(), localX, localZ), 2);
+    });
+  });
+
+  test('タイルの範囲は四分木のノードの範囲に頂点間隔1つ分のエプロンを加えたもの', async () => {
+    const source = await createSource().open();
+    const quadtree = source.getQuadtree();
+    const node = quadtree.createNode(1, 1, 0);
+    const spacing = quadtree.getGeometricError(node);
+
+    const tile = await source.getTile(1, 1, 0);
+    expect(tile.bbox).toMatchObject({
+      minX: node.bbox.minX - spacing,
+      maxX: node.bbox.maxX + spacing,
+      minZ: node.bbox.minZ - spacing,
+      maxZ: node.bbox.maxZ + spacing
+    });
+    // エプロンの内側の角の頂点はノードの北西の角
+    expect(tile.elevationData[tile.width + 1])
+      .toBeCloseTo(expectedElevation(source.getFrame(), node.bbox.minX, node.bbox.minZ), 2);
+  });
+
+  test('Terrain-RGBの標高を復号する', async () => {
+    const source = await createSource('terrain-rgb').open();
+    const tile = await source.getTile(0, 0, 0);
+    forEachVertex(tile, (value, localX, localZ) => {
+      expect(value).toBeCloseTo(expectedElevation(source.getFrame(), localX, localZ), 1);
+    });
+  });
+
+  test('2回目は復号済みのPNGをCOGLoaderのタイルキャッシュから使い、再度取得しない', async () => {
+    const source = await createSource().open();
+    const requestCount = pngRequests().length;
+    const { hits } = cogLoader.tileCache.getStats().memory;
+
+    const tile = await source.getTile(0, 0, 0);
+    expect(pngRequests()).toHaveLength(requestCount);
+    expect(cogLoader.tileCache.getStats().memory.hits).toBe(hits + requestCount);
+    expect(tile.metadata.validCount).toBe(121);
+
+    // キャッシュのキーはURLテンプレートとズームレベル・タイル番号
+    const [, z, x, y] = /\/(\d+)\/(\d+)\/(\d+)\.png$/.exec(pngRequests()[0].path);
+    const cached = await cogLoader.tileCache.get(source.urlTemplate, null, `${z}/${x}/${y}`);
+    expect(cached.elevationData).toHaveLength(IMAGE_TILE_SIZE * IMAGE_TILE_SIZE);
+  });
+
+  test('同時に要求された同じPNGは1回だけ取得する', async () => {
+    const source = await createSource().open();
+    await source.clearCache();
+    server.requests.length = 0;
+
+    await Promise.all([source.getTile(0, 0, 0), source.getTile(0, 0, 0)]);
+    expect(pngRequests().length).toBeGreaterThan(0);
+    const paths = pngRequests().map(request => request.path);
+    expect(new Set(paths).size).toBe(paths.length);
+  });
+
+  test('存在しないPNGタイルの範囲はNaN', async () => {
+    const source = await createSource().open();
+    await source.clearCache();
+
+    // 表示範囲の中心を含むタイルを削除
+    const { centerX, centerY } = source.getFrame();
+    const tileX = Math.floor(lonToPixelX(centerX, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE);
+    const tileY = Math.floor(latToPixelY(centerY, ZOOM, IMAGE_TILE_SIZE) / IMAGE_TILE_SIZE);
+    delete server.files[tilePath('terrarium', tileX, tileY)];
+
+    const tile = await source.getTile(0, 0, 0);
+    const missing = Array.from(tile.elevationData).filter(Number.isNaN).length;
+    expect(missing).toBeGreaterThan(0);
+    expect(tile.metadata.validCount).toBe(121 - missing);
+  });
+
+  test('サーバーエラーはタイルの読み込みエラー', async () => {
+    server.files[tilePath('terrarium', tileRange.minX + 1, tileRange.minY + 1)] = { body: '', status: 500 };
+    await expect(createSource().open()).rejects.toThrow('標高タイルの取得に失敗しました (500)');
+  });
+});
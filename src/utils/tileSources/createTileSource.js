@@ -0,0 +1,45 @@
+/**
+ * タイルソースの種類と生成
+ * specは { type: 'procedural' } / { type: 'cog', url } / { type: 'file', file } / { type: 'directory', files }
+ *   / { type: 'xyz', template, encoding, minZoom, maxZoom, bounds } / { type: 'quantized-mesh', url, bounds }
+ */
+
+import { ProceduralTileSource } from './ProceduralTileSource';
+import { COGTileSource } from './COGTileSource';
+import { FileTileSource } from './FileTileSource';
+import { DirectoryTileSource } from './DirectoryTileSource';
+import { XYZTerrainTileSource } from './XYZTerrainTileSource';
+import { QuantizedMeshTileSource } from './QuantizedMeshTileSource';
+
+export const TILE_SOURCE_TYPES = [
+  { value: 'procedural', label: 'テスト地形（プロシージャル）' },
+  { value: 'cog', label: 'COG（URL）' },
+  { value: 'file', label: 'ローカルファイル' },
+  { value: 'directory', label: 'GeoTIFFタイルのフォルダ' },
+  { value: 'xyz', label: '標高PNGタイル（Terrain-RGB / Terrarium）' },
+  { value: 'quantized-mesh', label: 'quantized-mesh（layer.json）' }
+];
+
+export const createTileSource = (spec, cogLoader) => {
+  switch (spec.type) {
+    case 'procedural':
+      return new ProceduralTileSource();
+    case 'cog':
+      return new COGTileSource(spec.url, cogLoader);
+    case 'file':
+      return new FileTileSource(spec.file, cogLoader);
+    case 'directory':
+      return new DirectoryTileSource(spec.files, cogLoader);
+    case 'xyz':
+      return new XYZTerrainTileSource(spec.template, cogLoader, {
+        encoding: spec.encoding,
+        minZoom: spec.minZoom,
+        maxZoom: spec.maxZoom,
+        bounds: spec.bounds
+      });
+    case 'quantized-mesh':
+      return new QuantizedMeshTileSource(spec.url, cogLoader, { bounds: spec.bounds });
+    default:
+      throw new Error(`不明なタイルソースです: ${spec.type}`);
+  }
+};
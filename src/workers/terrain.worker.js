@@ -0,0 +1,75 @@
+/**
+ * Terrain Worker
+ * GeoTIFFのデコードと地形メッシュの頂点バッファ作成をメインスレッド外で実行
+ *
+ * メッセージ:
+ * - { type: 'load', id, source, options }   GeoTIFF（ArrayBufferまたはURL）を読み込み、メッシュを作成
+ *   （options.skipMeshの場合はメッシュを作成しない。複数ファイルは共通のフレームが決まってからbuildで作成）
+ * - { type: 'build', id, terrain, options } 読み込み済みの標高データからメッシュを再作成
+ * 処理中は { type: 'progress', id, progress } で各段階の進捗を通知
+ */
+
+/* eslint-disable no-restricted-globals */
+import { GeoTIFFLoader } from '../utils/GeoTIFFLoader';
+import { TerrainMeshBuilder } from '../utils/TerrainMeshBuilder';
+
+const loader = new GeoTIFFLoader();
+const meshBuilder = new TerrainMeshBuilder();
+
+// メインスレッドへ転送する標高データ（正規化データは不要なので除外）
+const toTransferableTerrain = (result) => ({
+  elevationData: result.originalData,
+  validMask: result.validMask,
+  noDataValue: result.noDataValue,
+  colorData: result.colorData,
+  width: result.width,
+  height: result.height,
+  originalWidth: result.originalWidth,
+  originalHeight: result.originalHeight,
+  bounds: result.bounds,
+  minElevation: result.minElevation,
+  maxElevation: result.maxElevation,
+  geoKeys: result.geoKeys,
+  crs: result.crs,
+  overview: result.overview,
+  isLargeFile: result.isLargeFile,
+  scaleFactor: result.scaleFactor
+});
+
+const getTerrainTransferables = (terrain) => {
+  const buffers = [terrain.elevationData.buffer, terrain.validMask.buffer];
+  if (terrain.colorData) {
+    buffers.push(terrain.colorData.red.buffer, terrain.colorData.green.buffer, terrain.colorData.blue.buffer);
+  }
+  // 同じバッファを重複して転送するとエラーになるため除外
+  return Array.from(new Set(buffers));
+};
+
+self.onmessage = async (event) => {
+  const { type, id } = event.data;
+  const options = {
+    ...event.data.options,
+    onProgress: (progress) => self.postMessage({ type: 'progress', id, progress })
+  };
+
+  try {
+    if (type === 'load') {
+      const result = await loader.loadGeoTIFF(event.data.source, options);
+      const terrain = toTransferableTerrain(result);
+      const geometry = options.skipMesh ? null : meshBuilder.build(terrain, options);
+
+      self.postMessage(
+        { type: 'result', id, terrain, geometry },
+        [...getTerrainTransferables(terrain), ...(geometry ? TerrainMeshBuilder.getTransferables(geometry) : [])]
+      );
+    } else if (type === 'build') {
+      const geometry = meshBuilder.build(event.data.terrain, options);
+      self.postMessage(
+        { type: 'result', id, geometry },
+        TerrainMeshBuilder.getTransferables(geometry)
+      );
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};